@@ -4,6 +4,8 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { mount } from '@vue/test-utils';
 import { createPinia, setActivePinia } from 'pinia';
 import QuickCheck from './QuickCheck.vue';
+import { useAnswerStore } from '../stores/answer_store';
+import { questionTypeRegistry } from '../lib/question_type_registry.js';
 
 vi.mock('../stores/action_store', () => ({
   useActionStore: vi.fn(() => ({
@@ -72,6 +74,46 @@ vi.mock('./questions/DragAndDropQuestion.vue', () => ({
   },
 }));
 
+vi.mock('./questions/MatchingQuestion.vue', () => ({
+  default: {
+    name: 'MatchingQuestion',
+    template: '<div class="matching-question">Matching</div>',
+    emits: ['answer-submitted'],
+  },
+}));
+
+vi.mock('./questions/OrderingQuestion.vue', () => ({
+  default: {
+    name: 'OrderingQuestion',
+    template: '<div class="ordering-question">Ordering</div>',
+    emits: ['answer-submitted'],
+  },
+}));
+
+vi.mock('./questions/TrueFalseQuestion.vue', () => ({
+  default: {
+    name: 'TrueFalseQuestion',
+    template: '<div class="true-false-question">True or False</div>',
+    emits: ['answer-submitted'],
+  },
+}));
+
+vi.mock('./questions/DictationQuestion.vue', () => ({
+  default: {
+    name: 'DictationQuestion',
+    template: '<div class="dictation-question">Dictation</div>',
+    emits: ['answer-submitted'],
+  },
+}));
+
+vi.mock('./questions/VideoHotspotQuestion.vue', () => ({
+  default: {
+    name: 'VideoHotspotQuestion',
+    template: '<div class="video-hotspot-question">Video Hotspot</div>',
+    emits: ['answer-submitted'],
+  },
+}));
+
 vi.mock('./DirectionLine.vue', () => ({
   default: {
     name: 'DirectionLine',
@@ -113,7 +155,7 @@ describe('QuickCheck', () => {
       expect(wrapper.text()).toContain('Quick Check');
     });
 
-    it('shows complete button when action data is available', () => {
+    it('leaves completing to the question component', () => {
       useActionStore.mockReturnValue({
         currentAction: {
           type: 'quick_check',
@@ -131,10 +173,7 @@ describe('QuickCheck', () => {
         },
       });
 
-      const completeButton = wrapper.find('button');
-
-      expect(completeButton.exists()).toBe(true);
-      expect(completeButton.text()).toBe('Complete');
+      expect(wrapper.find('button').exists()).toBe(false);
     });
 
     it('hides complete button when no action data is available', () => {
@@ -239,6 +278,111 @@ describe('QuickCheck', () => {
 
       expect(wrapper.find('.drag-and-drop-question').exists()).toBe(true);
     });
+
+    it('renders matching question', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'matching',
+            quick_check_content: {},
+          },
+        },
+        currentActionIndex: 0,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.matching-question').exists()).toBe(true);
+    });
+
+    it('renders ordering question', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'ordering',
+            quick_check_content: {},
+          },
+        },
+        currentActionIndex: 0,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.ordering-question').exists()).toBe(true);
+    });
+
+    it('renders true/false question', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'true_false',
+            quick_check_content: {},
+          },
+        },
+        currentActionIndex: 0,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.true-false-question').exists()).toBe(true);
+    });
+
+    it('renders dictation question', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'dictation',
+            quick_check_content: {},
+          },
+        },
+        currentActionIndex: 0,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.dictation-question').exists()).toBe(true);
+    });
+
+    it('renders video hotspot question', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'video_hotspot',
+            quick_check_content: {},
+          },
+        },
+        currentActionIndex: 0,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.video-hotspot-question').exists()).toBe(true);
+    });
   });
 
   describe('direction line rendering', () => {
@@ -282,12 +426,12 @@ describe('QuickCheck', () => {
   });
 
   describe('user interactions', () => {
-    it('emits quick-check-complete when complete button is clicked', async () => {
+    it('records and completes an unsupported question type', async () => {
       useActionStore.mockReturnValue({
         currentAction: {
           type: 'quick_check',
           data: {
-            type: 'multiple_choice',
+            type: 'crossword',
             quick_check_content: {},
           },
         },
@@ -303,6 +447,9 @@ describe('QuickCheck', () => {
       const completeButton = wrapper.find('button');
       await completeButton.trigger('click');
 
+      expect(useAnswerStore().answerForAction(0)).toMatchObject({
+        answer: null,
+      });
       expect(wrapper.emitted('quick-check-complete')).toBeTruthy();
     });
 
@@ -417,6 +564,269 @@ describe('QuickCheck', () => {
 
       expect(wrapper.emitted('quick-check-complete')).toBeTruthy();
     });
+    it('records the scored answer for the current action', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'multiple_choice',
+            quick_check_content: {
+              choices: [{ text: 'A', correct: true }, { text: 'B' }],
+            },
+          },
+        },
+        currentActionIndex: 3,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      const multipleChoiceQuestion = wrapper.findComponent({
+        name: 'MultipleChoiceQuestion',
+      });
+      multipleChoiceQuestion.vm.$emit('answer-selected', {
+        questionId: '1',
+        choiceIndex: 2,
+      });
+
+      expect(useAnswerStore().answerForAction(3)?.isCorrect).toBe(false);
+    });
+
+    it('records how many checks the answer took', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'multiple_choice',
+            quick_check_content: {
+              choices: [{ text: 'A', correct: true }, { text: 'B' }],
+            },
+          },
+        },
+        currentActionIndex: 3,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      wrapper.findComponent({ name: 'MultipleChoiceQuestion' })
+        .vm.$emit('answer-selected', { choiceIndex: 1 }, 2);
+
+      expect(useAnswerStore().answerForAction(3)?.attempts).toBe(2);
+    });
+
+    it('walks through every item before completing', async () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: {
+            type: 'quick_check_drag_and_drop',
+            quick_check_content: {
+              items: [
+                { answer: 'hola', words: [{ content: 'hola' }] },
+                { answer: 'adiós', words: [{ content: 'adiós' }] },
+              ],
+            },
+          },
+        },
+        currentActionIndex: 2,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.text()).toContain('1 of 2');
+
+      wrapper.findComponent({ name: 'DragAndDropQuestion' })
+        .vm.$emit('answer-submitted', ['hola']);
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.emitted('quick-check-complete')).toBeFalsy();
+      expect(wrapper.text()).toContain('2 of 2');
+
+      wrapper.findComponent({ name: 'DragAndDropQuestion' })
+        .vm.$emit('answer-submitted', ['hola']);
+
+      expect(wrapper.emitted('quick-check-complete')).toBeTruthy();
+      expect(useAnswerStore().answerForAction(2)).toMatchObject({
+        answer: [['hola'], ['hola']],
+        maxScore: 2,
+        score: 1,
+      });
+    });
+  });
+
+  describe('question type registry', () => {
+    it('renders a fallback for unknown question types', () => {
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: { type: 'crossword', quick_check_content: {} },
+        },
+        currentActionIndex: 0,
+      });
+
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      const fallback = wrapper.find('[role="alert"]');
+      expect(fallback.text()).toContain('not supported: crossword');
+      expect(wrapper.find('button').text()).toBe('Complete');
+    });
+
+    it('renders and scores question types registered by host code', () => {
+      questionTypeRegistry.register({
+        answerEvent: 'word-spelled',
+        component: {
+          name: 'SpellingQuestion',
+          props: ['question'],
+          template: '<div class="spelling-question" />',
+        },
+        score: (content, answer) => ({
+          isCorrect: answer === content.answer,
+          isGraded: true,
+          maxScore: 1,
+          score: answer === content.answer ? 1 : 0,
+        }),
+        type: 'spelling',
+      });
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: { type: 'spelling', quick_check_content: { answer: 'casa' } },
+        },
+        currentActionIndex: 4,
+      });
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      wrapper.findComponent({ name: 'SpellingQuestion' })
+        .vm.$emit('word-spelled', 'casa');
+
+      expect(useAnswerStore().answerForAction(4)?.isCorrect).toBe(true);
+      expect(wrapper.emitted('quick-check-complete')).toBeTruthy();
+      questionTypeRegistry.unregister('spelling');
+    });
+
+    it('keeps a component the host registered for a built-in type', () => {
+      const builtInTrueFalse = questionTypeRegistry.get('true_false');
+      questionTypeRegistry.register({
+        component: {
+          name: 'HostTrueFalseQuestion',
+          props: ['question'],
+          template: '<div class="host-true-false-question" />',
+        },
+        type: 'true_false',
+      });
+      useActionStore.mockReturnValue({
+        currentAction: {
+          type: 'quick_check',
+          data: { type: 'true_false', quick_check_content: {} },
+        },
+        currentActionIndex: 0,
+      });
+
+      const firstWrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+      firstWrapper.unmount();
+      const wrapper = mount(QuickCheck, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+      questionTypeRegistry.register(
+        /** @type {import('../lib/question_type_registry.js').QuestionType} */ (
+          builtInTrueFalse
+        )
+      );
+
+      expect(wrapper.find('.host-true-false-question').exists()).toBe(true);
+      expect(wrapper.findComponent({ name: 'TrueFalseQuestion' }).exists())
+        .toBe(false);
+    });
+  });
+
+  describe('cue points', () => {
+    const cuePoint = {
+      id: 'cue-0',
+      quickCheck: {
+        type: 'multiple_choice',
+        quick_check_content: {
+          choices: [{ text: 'hola', correct: true }],
+        },
+      },
+      time: 30,
+    };
+
+    beforeEach(() => {
+      useActionStore.mockReturnValue({
+        currentAction: { type: 'video', data: {} },
+        currentActionIndex: 2,
+      });
+    });
+
+    it('renders the cue point quick check during a video', () => {
+      const wrapper = mount(QuickCheck, {
+        props: { cuePoint },
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.multiple-choice-question').exists()).toBe(true);
+    });
+
+    it('records the answer against the cue point', () => {
+      const wrapper = mount(QuickCheck, {
+        props: { cuePoint },
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      wrapper.findComponent({ name: 'MultipleChoiceQuestion' })
+        .vm.$emit('answer-selected', { choiceIndex: 1 });
+
+      expect(useAnswerStore().answerForCuePoint('cue-0')).toMatchObject({
+        actionIndex: 2,
+        isCorrect: true,
+      });
+      expect(wrapper.emitted('quick-check-complete')).toBeTruthy();
+    });
+
+    it('leaves the progress bar to the video', () => {
+      const dispatchSpy = vi.spyOn(document, 'dispatchEvent');
+      const wrapper = mount(QuickCheck, {
+        props: { cuePoint },
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      wrapper.findComponent({ name: 'MultipleChoiceQuestion' })
+        .vm.$emit('answer-selected', { choiceIndex: 0 });
+
+      expect(wrapper.emitted('quick-check-complete')).toBeTruthy();
+      expect(dispatchSpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('component lifecycle', () => {
@@ -3,7 +3,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { mount } from '@vue/test-utils';
 import { createPinia, setActivePinia } from 'pinia';
+import { ref } from 'vue';
 import VideoPlayer from './VideoPlayer.vue';
+import { useVideoPlayer } from '../composables/use_video_player';
+import { useProgressStore } from '../stores/progress_store';
 
 vi.mock('../stores/main_store', () => ({
   mainStore: vi.fn(() => ({
@@ -39,14 +42,19 @@ vi.mock('../stores/direction_line_store', () => ({
   })),
 }));
 
-vi.mock('../composables/use_video_player', () => ({
-  useVideoPlayer: vi.fn(() => ({
-    videoPlayer: { value: null },
-    isPlaying: { value: false },
-    initializeVideoPlayer: vi.fn(),
-    cleanupVideoPlayer: vi.fn(),
-  })),
-}));
+vi.mock('../composables/use_video_player', async () => {
+  const { ref: createRef } = await import('vue');
+  return {
+    useVideoPlayer: vi.fn(() => ({
+      activeCuePoint: createRef(null),
+      videoPlayer: { value: null },
+      isPlaying: { value: false },
+      initializeVideoPlayer: vi.fn(),
+      cleanupVideoPlayer: vi.fn(),
+      resumeFromCuePoint: vi.fn(),
+    })),
+  };
+});
 
 vi.mock('../lib/event_dispatcher.js', () => ({
   eventDispatcher: {
@@ -59,6 +67,15 @@ vi.mock('../lib/event_dispatcher.js', () => ({
   },
 }));
 
+vi.mock('./QuickCheck.vue', () => ({
+  default: {
+    name: 'QuickCheck',
+    template: '<div class="quick-check">Quick Check</div>',
+    props: ['cuePoint'],
+    emits: ['quick-check-complete'],
+  },
+}));
+
 vi.mock('./DirectionLine.vue', () => ({
   default: {
     name: 'DirectionLine',
@@ -244,4 +261,123 @@ describe('VideoPlayer', () => {
       expect(wrapper.find('.test-initialized').exists()).toBe(true);
     });
   });
+
+  describe('resume position', () => {
+    it('seeks to the saved position once the player is attached', () => {
+      const currentTime = vi.fn();
+      /** @type {import('vitest').Mock} */ (useVideoPlayer).mockReturnValue({
+        activeCuePoint: ref(null),
+        cleanupVideoPlayer: vi.fn(),
+        initializeVideoPlayer: vi.fn(),
+        isPlaying: ref(false),
+        resumeFromCuePoint: vi.fn(),
+        videoPlayer: ref({ videojs_player: { currentTime } }),
+      });
+      const progressStore = useProgressStore();
+      progressStore.resumeVideoPosition = 42;
+
+      mount(VideoPlayer, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(currentTime).toHaveBeenCalledWith(42);
+      expect(progressStore.resumeVideoPosition).toBe(0);
+    });
+
+    it('keeps the saved position while no player is attached', () => {
+      const progressStore = useProgressStore();
+      progressStore.resumeVideoPosition = 42;
+
+      mount(VideoPlayer, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(progressStore.resumeVideoPosition).toBe(42);
+    });
+  });
+
+  describe('cue points', () => {
+    const cuePoint = {
+      id: 'cue-0',
+      quickCheck: { quick_check_content: {}, type: 'multiple_choice' },
+      time: 30,
+    };
+    /** @type {import('vitest').Mock} */
+    let resumeFromCuePoint;
+
+    beforeEach(() => {
+      resumeFromCuePoint = vi.fn();
+      /** @type {import('vitest').Mock} */ (useVideoPlayer).mockReturnValue({
+        activeCuePoint: ref(cuePoint),
+        cleanupVideoPlayer: vi.fn(),
+        initializeVideoPlayer: vi.fn(),
+        isPlaying: ref(false),
+        resumeFromCuePoint,
+        videoPlayer: ref(null),
+      });
+    });
+
+    it('overlays the quick check on the paused video', () => {
+      const wrapper = mount(VideoPlayer, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      const quickCheck = wrapper.findComponent({ name: 'QuickCheck' });
+      expect(quickCheck.props('cuePoint')).toEqual(cuePoint);
+      expect(wrapper.find('[class*="video-controls"]').exists()).toBe(false);
+    });
+
+    it('resumes the video when the quick check is done', async () => {
+      const wrapper = mount(VideoPlayer, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      await wrapper.findComponent({ name: 'QuickCheck' })
+        .vm.$emit('quick-check-complete');
+
+      expect(resumeFromCuePoint).toHaveBeenCalled();
+      expect(wrapper.emitted('cue-point-complete')?.[0]).toEqual([cuePoint]);
+    });
+
+    it('leaves the frame visible for video hotspot questions', () => {
+      /** @type {import('vitest').Mock} */ (useVideoPlayer).mockReturnValue({
+        activeCuePoint: ref({
+          ...cuePoint,
+          quickCheck: { quick_check_content: {}, type: 'video_hotspot' },
+        }),
+        cleanupVideoPlayer: vi.fn(),
+        initializeVideoPlayer: vi.fn(),
+        isPlaying: ref(false),
+        resumeFromCuePoint,
+        videoPlayer: ref(null),
+      });
+
+      const wrapper = mount(VideoPlayer, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('[class*="hotspot-cue-point"]').exists()).toBe(true);
+    });
+
+    it('covers the frame for other questions', () => {
+      const wrapper = mount(VideoPlayer, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('[class*="hotspot-cue-point"]').exists())
+        .toBe(false);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,182 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { flushPromises, mount } from '@vue/test-utils';
+import DictationQuestion from './DictationQuestion.vue';
+import { AudioService } from '../../lib/audio_service.js';
+
+/**
+ * Clicks the button with the given text
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button text
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) => button.text() === label)
+    ?.trigger('click');
+};
+
+/**
+ * Finds the button with the given text
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button text
+ * @return {import('@vue/test-utils').DOMWrapper<Element>|undefined}
+ */
+const findButton = (wrapper, label) =>
+  wrapper.findAll('button').find((button) => button.text() === label);
+
+describe('DictationQuestion', () => {
+  const question = {
+    prompt: 'Write what you hear.',
+    quick_check_content: {
+      audio_path: '/audio/gato.mp3',
+      language: 'es',
+      text: 'El gato come pescado.',
+    },
+    type: 'dictation',
+  };
+
+  /** @type {ReturnType<typeof vi.spyOn>} */
+  let playAudio;
+
+  beforeEach(() => {
+    playAudio = vi.spyOn(AudioService, 'playAudioWithFallback')
+      .mockImplementation(async (path, text, language, options) => {
+        options?.onEnd?.();
+      });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Mounts the question
+   * @param {Object} [content] - Quick check content to add
+   * @return {import('@vue/test-utils').VueWrapper}
+   */
+  const mountQuestion = (content = {}) => {
+    return mount(DictationQuestion, {
+      props: {
+        question: {
+          ...question,
+          quick_check_content: { ...question.quick_check_content, ...content },
+        },
+      },
+    });
+  };
+
+  it('plays the clip with a spoken fallback', async () => {
+    const wrapper = mountQuestion();
+
+    await clickButton(wrapper, 'Play');
+
+    expect(playAudio).toHaveBeenCalledWith(
+      '/audio/gato.mp3',
+      'El gato come pescado.',
+      'es',
+      expect.objectContaining({ playbackRate: 1 })
+    );
+  });
+
+  it('plays the clip slowly', async () => {
+    const wrapper = mountQuestion();
+
+    await clickButton(wrapper, 'Play slowly');
+
+    expect(playAudio).toHaveBeenCalledWith(
+      '/audio/gato.mp3',
+      'El gato come pescado.',
+      'es',
+      expect.objectContaining({ playbackRate: 0.75 })
+    );
+  });
+
+  it('can hide slow playback', () => {
+    const wrapper = mountQuestion({ allow_slow_playback: false });
+
+    expect(findButton(wrapper, 'Play slowly')).toBeUndefined();
+  });
+
+  it('limits the replays', async () => {
+    const wrapper = mountQuestion({ max_replays: 1 });
+
+    await clickButton(wrapper, 'Play');
+    await flushPromises();
+
+    expect(wrapper.text()).toContain('1 replay left');
+
+    await clickButton(wrapper, 'Play again');
+    await flushPromises();
+
+    expect(wrapper.text()).toContain('0 replays left');
+    expect(findButton(wrapper, 'Play again')?.attributes('disabled'))
+      .toBeDefined();
+    expect(playAudio).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not replay while the clip is playing', async () => {
+    playAudio.mockImplementation(() => new Promise(() => {}));
+    const wrapper = mountQuestion();
+
+    await clickButton(wrapper, 'Play');
+    await clickButton(wrapper, 'Play again');
+
+    expect(playAudio).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows missing, extra and misspelled words after a check', async () => {
+    const wrapper = mountQuestion();
+
+    await wrapper.find('textarea').setValue('el gato no comen');
+    await clickButton(wrapper, 'Check');
+
+    const words = wrapper.findAll('[title]')
+      .map((word) => [word.attributes('title'), word.text()]);
+
+    expect(words).toEqual([
+      ['Correct', 'El'],
+      ['Correct', 'gato'],
+      ['Not in the clip', 'no'],
+      ['Misspelled', 'comen come'],
+      ['Missing', 'pescado.'],
+    ]);
+  });
+
+  it('keeps the text when trying again', async () => {
+    const wrapper = mountQuestion();
+
+    await wrapper.find('textarea').setValue('el gato come');
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Try again');
+
+    expect(wrapper.find('textarea').element.value).toBe('el gato come');
+    expect(wrapper.findAll('[title]')).toHaveLength(0);
+  });
+
+  it('answers with the typed text', async () => {
+    const wrapper = mountQuestion();
+
+    await wrapper.find('textarea').setValue(' El gato come pescado. ');
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Continue');
+
+    expect(wrapper.emitted('answer-submitted')?.[0])
+      .toEqual(['El gato come pescado.', 1]);
+  });
+
+  it('inserts palette characters at the cursor', async () => {
+    const wrapper = mountQuestion();
+    const textarea = /** @type {HTMLTextAreaElement} */ (
+      wrapper.find('textarea').element
+    );
+
+    await wrapper.find('textarea').setValue('nino');
+    textarea.setSelectionRange(2, 3);
+    await wrapper.findComponent({ name: 'SpecialCharacterPalette' })
+      .vm.$emit('insert', 'ñ');
+
+    expect(wrapper.find('textarea').element.value).toBe('niño');
+  });
+});
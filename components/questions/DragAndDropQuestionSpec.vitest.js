@@ -94,7 +94,7 @@ describe('DragAndDropQuestion', () => {
       expect(wrapper.text()).not.toContain('Drop here');
     });
 
-    it('enables submit button when word is dropped', async () => {
+    it('enables check button when word is dropped', async () => {
       const wrapper = mount(DragAndDropQuestion, {
         props: { question: mockQuestion },
       });
@@ -105,19 +105,19 @@ describe('DragAndDropQuestion', () => {
         await component.onDrop();
       }
 
-      const submitButton = wrapper.find('button');
+      const checkButton = wrapper.find('button');
 
-      expect(submitButton.attributes('disabled')).toBeUndefined();
+      expect(checkButton.attributes('disabled')).toBeUndefined();
     });
 
-    it('disables submit button when no word is dropped', () => {
+    it('disables check button when no word is dropped', () => {
       const wrapper = mount(DragAndDropQuestion, {
         props: { question: mockQuestion },
       });
 
-      const submitButton = wrapper.find('button');
+      const checkButton = wrapper.find('button');
 
-      expect(submitButton.attributes('disabled')).toBeDefined();
+      expect(checkButton.attributes('disabled')).toBeDefined();
     });
   });
 
@@ -163,16 +163,16 @@ describe('DragAndDropQuestion', () => {
       expect(component.droppedWord).toEqual({ content: 'apple' });
     });
 
-    it('emits answer-submitted when submit button is clicked', async () => {
+    it('emits answer-submitted when the answer is checked', async () => {
       const wrapper = mount(DragAndDropQuestion, {
         props: { question: mockQuestion },
       });
 
       const component = wrapper.vm;
-      if (component.onDragStart && component.onDrop && component.submit) {
+      if (component.onDragStart && component.onDrop && component.check) {
         await component.onDragStart(1);
         await component.onDrop();
-        await component.submit();
+        await component.check();
       }
 
       expect(wrapper.emitted('answer-submitted')).toBeTruthy();
@@ -353,8 +353,8 @@ describe('DragAndDropQuestion', () => {
         props: { question: mockQuestion },
       });
 
-      const submitButton = wrapper.find('button');
-      await submitButton.trigger('click');
+      const checkButton = wrapper.find('button');
+      await checkButton.trigger('click');
 
       expect(wrapper.emitted('answer-submitted')).toBeFalsy();
     });
@@ -533,17 +533,17 @@ describe('DragAndDropQuestion', () => {
     });
   });
 
-  describe('submit function', () => {
+  describe('check function', () => {
     it('emits answer-submitted with dropped word content', async () => {
       const wrapper = mount(DragAndDropQuestion, {
         props: { question: mockQuestion },
       });
 
       const component = wrapper.vm;
-      if (component.onDragStart && component.onDrop && component.submit) {
+      if (component.onDragStart && component.onDrop && component.check) {
         await component.onDragStart(1);
         await component.onDrop();
-        await component.submit();
+        await component.check();
 
         expect(wrapper.emitted('answer-submitted')).toBeTruthy();
       }
@@ -555,14 +555,14 @@ describe('DragAndDropQuestion', () => {
       });
 
       const component = wrapper.vm;
-      if (component.onDragStart && component.onDrop && component.submit) {
+      if (component.onDragStart && component.onDrop && component.check) {
         await component.onDragStart(1);
         await component.onDrop();
-        await component.submit();
+        await component.check();
 
         const emitted = wrapper.emitted('answer-submitted');
         if (emitted && emitted[0]) {
-          expect(emitted[0]).toEqual([['banana']]);
+          expect(emitted[0]).toEqual([['banana'], 1]);
         }
       }
     });
@@ -573,11 +573,256 @@ describe('DragAndDropQuestion', () => {
       });
 
       const component = wrapper.vm;
-      if (component.submit) {
-        await component.submit();
+      if (component.check) {
+        await component.check();
 
         expect(wrapper.emitted('answer-submitted')).toBeFalsy();
       }
     });
+
+    it('clears an incorrect word when the learner tries again', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: {
+          question: {
+            quick_check_content: {
+              items: [{
+                ...mockQuestion.quick_check_content.items[0],
+                answer: 'apple',
+              }],
+            },
+            type: 'quick_check_drag_and_drop',
+          },
+        },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(1);
+      await component.onDrop();
+      await component.check();
+
+      expect(wrapper.emitted('answer-submitted')).toBeFalsy();
+      expect(wrapper.text()).toContain('Not quite');
+
+      await wrapper.find('button').trigger('click');
+
+      expect(component.droppedWord).toBeNull();
+    });
+  });
+
+  describe('multiple drop zones', () => {
+    const sentenceQuestion = {
+      quick_check_content: {
+        items: [
+          {
+            answers: ['Yo', 'hablo', 'español'],
+            prompt: '___ ___ ___.',
+            words: [
+              { content: 'hablo' },
+              { content: 'español' },
+              { content: 'Yo' },
+            ],
+          },
+        ],
+      },
+      type: 'quick_check_drag_and_drop',
+    };
+
+    it('renders a drop zone for each blank in the prompt', () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      expect(wrapper.findAll('[data-zone]')).toHaveLength(3);
+    });
+
+    it('renders a drop zone for each answer without blanks', () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: {
+          question: {
+            quick_check_content: {
+              items: [{
+                ...sentenceQuestion.quick_check_content.items[0],
+                prompt: 'Build the sentence.',
+              }],
+            },
+          },
+        },
+      });
+
+      expect(wrapper.findAll('[data-zone]')).toHaveLength(3);
+    });
+
+    it('rebuilds the drop zones when the question changes', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: mockQuestion },
+      });
+
+      await wrapper.setProps({ question: sentenceQuestion });
+
+      expect(wrapper.findAll('[data-zone]')).toHaveLength(3);
+      expect(wrapper.vm.availableWords).toHaveLength(3);
+    });
+
+    it('keeps the markup around a drop zone', () => {
+      const item = sentenceQuestion.quick_check_content.items[0];
+      const wrapper = mount(DragAndDropQuestion, {
+        props: {
+          question: {
+            ...sentenceQuestion,
+            quick_check_content: {
+              items: [{ ...item, prompt: '<b>___ ___</b> ___.' }],
+            },
+          },
+        },
+      });
+
+      expect(wrapper.find('b').findAll('[data-zone]')).toHaveLength(2);
+      expect(wrapper.findAll('[data-zone]')).toHaveLength(3);
+    });
+
+    it('moves a placed word out of the bank', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(2);
+      await component.onDrop(0);
+
+      expect(component.dropZones[0]).toEqual({ content: 'Yo' });
+      expect(component.availableWords.map((word) => word.content))
+        .toEqual(['hablo', 'español']);
+    });
+
+    it('fills the next empty zone from the keyboard', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onWordClick(0);
+      await component.placeSelectedWord();
+      await component.onWordClick(0);
+      await component.placeSelectedWord();
+
+      expect(component.dropZones.map((word) => word?.content))
+        .toEqual(['hablo', 'español', undefined]);
+    });
+
+    it('returns a placed word to the bank when it is clicked', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(0);
+      await component.onDrop(1);
+      await wrapper.find('[data-zone="1"] [role="button"]').trigger('click');
+
+      expect(component.dropZones[1]).toBeNull();
+      expect(component.availableWords).toHaveLength(3);
+    });
+
+    it('swaps words dragged between zones', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(0);
+      await component.onDrop(0);
+      await component.onDragStart(1);
+      await component.onDrop(1);
+      await component.onPlacedDragStart(0);
+      await component.onDrop(1);
+
+      expect(component.dropZones.map((word) => word?.content))
+        .toEqual(['Yo', 'hablo', undefined]);
+    });
+
+    it('returns the displaced word when a zone is filled again', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(0);
+      await component.onDrop(0);
+      await component.onDragStart(0);
+      await component.onDrop(0);
+
+      expect(component.dropZones[0]).toEqual({ content: 'español' });
+      expect(component.availableWords.map((word) => word.content))
+        .toEqual(['Yo', 'hablo']);
+    });
+
+    it('places a word dragged with a pointer', async () => {
+      vi.spyOn(window, 'requestAnimationFrame').mockReturnValue(1);
+      vi.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+      await wrapper.vm.$nextTick();
+      document.elementFromPoint = vi.fn(
+        () => wrapper.element.querySelector('[data-zone="1"]')
+      );
+      const pointer = (type, clientX) => Object.assign(new Event(type), {
+        button: 0,
+        clientX,
+        clientY: 10,
+        pointerId: 1,
+        pointerType: 'touch',
+      });
+
+      const component = wrapper.vm;
+      component.onWordPointerDown(pointer('pointerdown', 0), 2);
+      window.dispatchEvent(pointer('pointermove', 50));
+      await wrapper.vm.$nextTick();
+
+      expect(component.ghost).toMatchObject({ label: 'Yo', x: 50 });
+      expect(component.hoveredTarget).toBe('1');
+
+      window.dispatchEvent(pointer('pointerup', 50));
+      await wrapper.vm.$nextTick();
+
+      expect(component.dropZones[1]).toEqual({ content: 'Yo' });
+      expect(component.draggedIndex).toBeNull();
+    });
+
+    it('waits until every zone is filled before checking', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(0);
+      await component.onDrop(0);
+
+      expect(component.canCheck).toBe(false);
+    });
+
+    it('emits the words in zone order', async () => {
+      const wrapper = mount(DragAndDropQuestion, {
+        props: { question: sentenceQuestion },
+      });
+
+      const component = wrapper.vm;
+      await component.onDragStart(2);
+      await component.onDrop(0);
+      await component.onDragStart(0);
+      await component.onDrop(1);
+      await component.onDragStart(0);
+      await component.onDrop(2);
+      await component.check();
+      await wrapper.vm.$nextTick();
+      await wrapper.findAll('button')
+        .find((button) => button.text() === 'Continue')
+        ?.trigger('click');
+
+      expect(wrapper.emitted('answer-submitted')?.[0]).toEqual([
+        ['Yo', 'hablo', 'español'],
+        1,
+      ]);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,173 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { nextTick } from 'vue';
+import FillInTheBlanksQuestion from './FillInTheBlanksQuestion.vue';
+
+/**
+ * Types into an input the way a keyboard does
+ * @param {import('@vue/test-utils').DOMWrapper<Element>} input - The input
+ * @param {string} value - The input's text after the keystroke
+ * @return {Promise<void>}
+ */
+const typeInto = async (input, value) => {
+  const element = /** @type {HTMLInputElement} */ (input.element);
+  element.value = value;
+  element.dispatchEvent(
+    new InputEvent('input', { data: value.slice(-1), inputType: 'insertText' })
+  );
+  await nextTick();
+};
+
+/**
+ * Clicks the button with the given label
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button's text or aria-label
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) =>
+      button.text() === label || button.attributes('aria-label') === label
+    )
+    ?.trigger('click');
+};
+
+describe('FillInTheBlanksQuestion', () => {
+  const question = {
+    prompt: 'Yo ___ en la ___.',
+    quick_check_content: {
+      blanks: [{ answer: 'estoy' }, { answer: 'clínica' }],
+      language: 'es',
+    },
+    type: 'fill_in_the_blanks',
+  };
+
+  /**
+   * Mounts the question
+   * @param {Object} [props] - Question fields to override
+   * @return {import('@vue/test-utils').VueWrapper}
+   */
+  const mountQuestion = (props = {}) => {
+    return mount(FillInTheBlanksQuestion, {
+      attachTo: document.body,
+      props: { question: { ...question, ...props } },
+    });
+  };
+
+  describe('blanks', () => {
+    it('places an input at each blank in the prompt', () => {
+      const wrapper = mountQuestion();
+
+      expect(wrapper.findAll('input')).toHaveLength(2);
+      expect(wrapper.find('input').attributes('aria-label')).toBe('Blank 1');
+    });
+
+    it('keeps the markup around a blank', async () => {
+      const wrapper = mountQuestion({ prompt: '<b>Yo ___ en la</b> ___.' });
+      const bold = wrapper.find('b');
+
+      expect(bold.text()).toMatch(/^Yo\s+en la$/);
+      expect(bold.findAll('input')).toHaveLength(1);
+      expect(wrapper.findAll('input')).toHaveLength(2);
+
+      await wrapper.findAll('input')[1].setValue('clínica');
+
+      expect(wrapper.findAll('input')[1].element.value).toBe('clínica');
+    });
+
+    it('lists inputs below prompts without blanks', () => {
+      const wrapper = mountQuestion({ prompt: 'Fill in the blanks.' });
+
+      expect(wrapper.findAll('input')).toHaveLength(2);
+      expect(wrapper.text()).toContain('Fill in the blanks.');
+    });
+
+    it('names what to review in each incorrect blank', async () => {
+      const wrapper = mountQuestion();
+      const inputs = wrapper.findAll('input');
+
+      await inputs[0].setValue('estoy');
+      await inputs[1].setValue('clinica');
+      await clickButton(wrapper, 'Check');
+
+      expect(wrapper.text()).toContain('Blank 2: Review accents.');
+      expect(inputs[1].attributes('aria-invalid')).toBe('true');
+      expect(inputs[0].attributes('aria-invalid')).toBe('false');
+    });
+
+    it('waits for a response before checking', async () => {
+      const wrapper = mountQuestion();
+      const checkButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Check');
+
+      await wrapper.find('input').setValue('   ');
+
+      expect(checkButton?.attributes('disabled')).toBeDefined();
+
+      await wrapper.find('input').setValue('estoy');
+
+      expect(checkButton?.attributes('disabled')).toBeUndefined();
+    });
+  });
+
+  describe('special characters', () => {
+    it('shows the characters for the question language', () => {
+      const wrapper = mountQuestion();
+
+      expect(wrapper.find('[role="toolbar"]').text()).toContain('ñ');
+    });
+
+    it('hides the palette for languages without special characters', () => {
+      const wrapper = mountQuestion({
+        quick_check_content: {
+          ...question.quick_check_content,
+          language: 'en',
+        },
+      });
+
+      expect(wrapper.find('[role="toolbar"]').exists()).toBe(false);
+    });
+
+    it('inserts a character at the cursor of the focused blank', async () => {
+      const wrapper = mountQuestion();
+      const input = wrapper.findAll('input')[1];
+      const element = /** @type {HTMLInputElement} */ (input.element);
+
+      await input.setValue('clnica');
+      await input.trigger('focus');
+      element.setSelectionRange(2, 2);
+      await clickButton(wrapper, 'Insert í');
+      await nextTick();
+
+      expect(element.value).toBe('clínica');
+      expect(element.selectionStart).toBe(3);
+      wrapper.unmount();
+    });
+
+    it('inserts capitals when the case is switched', async () => {
+      const wrapper = mountQuestion();
+      const input = wrapper.find('input');
+
+      await input.trigger('focus');
+      await clickButton(wrapper, 'Capital letters');
+      await clickButton(wrapper, 'Insert É');
+      await nextTick();
+
+      expect(/** @type {HTMLInputElement} */ (input.element).value).toBe('É');
+      wrapper.unmount();
+    });
+
+    it('adds an accent typed after a letter', async () => {
+      const wrapper = mountQuestion();
+      const input = wrapper.findAll('input')[1];
+      const element = /** @type {HTMLInputElement} */ (input.element);
+
+      await typeInto(input, 'cli\'');
+
+      expect(element.value).toBe('clí');
+      expect(/** @type {any} */ (wrapper.vm).answers[1]).toBe('clí');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mount } from '@vue/test-utils';
+import MatchingQuestion from './MatchingQuestion.vue';
+
+/**
+ * Clicks the button with the given text or aria-label
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button's text or aria-label
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) =>
+      button.text() === label || button.attributes('aria-label') === label
+    )
+    ?.trigger('click');
+};
+
+/**
+ * Clicks the match with the given text or image alt
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The match text or image alt
+ * @return {Promise<void>}
+ */
+const clickMatch = async (wrapper, label) => {
+  await wrapper.findAll('[aria-label="Matches"] button')
+    .find((button) =>
+      button.text() === label ||
+      (button.find('img').exists() &&
+        button.find('img').attributes('alt') === label)
+    )
+    ?.trigger('click');
+};
+
+describe('MatchingQuestion', () => {
+  const question = {
+    id: 'animals',
+    prompt: 'Match the words.',
+    quick_check_content: {
+      pairs: [
+        { match: 'dog', term: 'perro' },
+        { alt: 'cat', image_path: '/gato.png', term: 'gato' },
+      ],
+    },
+    type: 'matching',
+  };
+
+  /** @type {import('@vue/test-utils').VueWrapper} */
+  let wrapper;
+
+  beforeEach(() => {
+    localStorage.clear();
+    wrapper = mount(MatchingQuestion, { props: { question } });
+  });
+
+  it('shows text and image matches', () => {
+    expect(wrapper.text()).toContain('dog');
+    expect(wrapper.find('img').attributes('src')).toBe('/gato.png');
+  });
+
+  it('pairs a word with the match picked after it', async () => {
+    await clickButton(wrapper, 'perro');
+    await clickMatch(wrapper, 'dog');
+
+    expect(wrapper.text()).toContain('perro → dog');
+  });
+
+  it('pairs a match with the word picked after it', async () => {
+    await clickMatch(wrapper, 'cat');
+    await clickButton(wrapper, 'gato');
+
+    expect(wrapper.text()).toContain('gato → cat');
+  });
+
+  it('moves a match to the last word it was paired with', async () => {
+    await clickButton(wrapper, 'perro');
+    await clickMatch(wrapper, 'dog');
+    await clickButton(wrapper, 'gato');
+    await clickMatch(wrapper, 'dog');
+
+    expect(/** @type {any} */ (wrapper.vm).pairings).toEqual([null, 0]);
+  });
+
+  it('unpairs a word', async () => {
+    await clickButton(wrapper, 'perro');
+    await clickMatch(wrapper, 'dog');
+    await clickButton(wrapper, 'Unpair perro');
+
+    expect(wrapper.text()).not.toContain('→');
+  });
+
+  it('answers with the match for each word', async () => {
+    await clickButton(wrapper, 'perro');
+    await clickMatch(wrapper, 'dog');
+    await clickButton(wrapper, 'gato');
+    await clickMatch(wrapper, 'cat');
+    await clickButton(wrapper, 'Check');
+
+    expect(wrapper.text()).toContain('Correct!');
+
+    await clickButton(wrapper, 'Continue');
+
+    expect(wrapper.emitted('answer-submitted')?.[0]).toEqual([['dog', 'cat'], 1]);
+  });
+
+  it('tells apart images without alt text', async () => {
+    wrapper = mount(MatchingQuestion, {
+      props: {
+        question: {
+          ...question,
+          quick_check_content: {
+            pairs: [
+              { image_path: '/perro.png', term: 'perro' },
+              { image_path: '/gato.png', term: 'gato' },
+            ],
+          },
+        },
+      },
+    });
+    const vm = /** @type {any} */ (wrapper.vm);
+
+    vm.pair(0, 1);
+    vm.pair(1, 0);
+    await clickButton(wrapper, 'Check');
+
+    expect(wrapper.text()).not.toContain('Correct!');
+  });
+});
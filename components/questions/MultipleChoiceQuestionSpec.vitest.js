@@ -0,0 +1,213 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mount } from '@vue/test-utils';
+import MultipleChoiceQuestion from './MultipleChoiceQuestion.vue';
+import { AudioService } from '../../lib/audio_service.js';
+
+/**
+ * Clicks the button with the given text or aria-label
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button's text or aria-label
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) =>
+      button.text() === label || button.attributes('aria-label') === label
+    )
+    ?.trigger('click');
+};
+
+/**
+ * Selects the choice with the given text
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} text - The choice text
+ * @return {Promise<void>}
+ */
+const selectChoice = async (wrapper, text) => {
+  await wrapper.findAll('label')
+    .find((label) => label.text() === text)
+    ?.find('input')
+    .trigger('change');
+};
+
+/**
+ * Lists the choice texts in the order they are shown
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @return {Array<string>} The choice texts
+ */
+const shownChoices = (wrapper) =>
+  wrapper.findAll('label').map((label) => label.text());
+
+describe('MultipleChoiceQuestion', () => {
+  const question = {
+    id: 'colors',
+    prompt: 'Which word is a color?',
+    quick_check_content: {
+      choices: [
+        { correct: true, text: 'rojo' },
+        { text: 'perro' },
+        { text: 'mesa' },
+        { text: 'libro' },
+      ],
+    },
+    type: 'multiple_choice',
+  };
+
+  /**
+   * Mounts the question
+   * @param {Object} [content] - Quick check content to add
+   * @return {import('@vue/test-utils').VueWrapper}
+   */
+  const mountQuestion = (content = {}) => {
+    return mount(MultipleChoiceQuestion, {
+      props: {
+        question: {
+          ...question,
+          quick_check_content: { ...question.quick_check_content, ...content },
+        },
+      },
+    });
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('submitting', () => {
+    it('waits for the learner to check before answering', async () => {
+      const wrapper = mountQuestion();
+
+      await selectChoice(wrapper, 'rojo');
+
+      expect(wrapper.emitted('answer-selected')).toBeUndefined();
+
+      await clickButton(wrapper, 'Check');
+      await clickButton(wrapper, 'Continue');
+
+      expect(wrapper.emitted('answer-selected')?.[0]).toEqual([
+        { choiceIndex: 1, questionId: 'colors' },
+        1,
+      ]);
+    });
+
+    it('lets the learner change their mind before checking', async () => {
+      const wrapper = mountQuestion();
+
+      await selectChoice(wrapper, 'perro');
+      await selectChoice(wrapper, 'rojo');
+      await clickButton(wrapper, 'Check');
+
+      expect(wrapper.text()).toContain('Correct!');
+    });
+  });
+
+  describe('select all that apply', () => {
+    const multiSelect = {
+      choices: [
+        { correct: true, text: 'rojo' },
+        { text: 'perro' },
+        { correct: true, text: 'azul' },
+      ],
+      multi_select: true,
+    };
+
+    it('shows checkboxes', () => {
+      const wrapper = mountQuestion(multiSelect);
+
+      expect(wrapper.findAll('input[type="checkbox"]')).toHaveLength(3);
+      expect(wrapper.text()).toContain('Select all that apply.');
+    });
+
+    it('answers with every selected choice', async () => {
+      const wrapper = mountQuestion(multiSelect);
+
+      await selectChoice(wrapper, 'azul');
+      await selectChoice(wrapper, 'perro');
+      await selectChoice(wrapper, 'rojo');
+      await selectChoice(wrapper, 'perro');
+      await clickButton(wrapper, 'Check');
+      await clickButton(wrapper, 'Continue');
+
+      expect(wrapper.emitted('answer-selected')?.[0]).toEqual([
+        { choiceIndexes: [1, 3], questionId: 'colors' },
+        1,
+      ]);
+    });
+
+    it('marks a partial selection incorrect', async () => {
+      const wrapper = mountQuestion(multiSelect);
+
+      await selectChoice(wrapper, 'rojo');
+      await clickButton(wrapper, 'Check');
+
+      expect(wrapper.text()).toContain('Not quite.');
+    });
+  });
+
+  describe('media choices', () => {
+    it('shows image choices with their alt text', () => {
+      const wrapper = mountQuestion({
+        choices: [{ alt: 'A red apple', correct: true, image_path: '/a.png' }],
+      });
+      const image = wrapper.find('img');
+
+      expect(image.attributes('src')).toBe('/a.png');
+      expect(image.attributes('alt')).toBe('A red apple');
+    });
+
+    it('plays audio choices without selecting them', async () => {
+      const playAudio = vi.spyOn(AudioService, 'playAudioWithFallback')
+        .mockResolvedValue(undefined);
+      const wrapper = mountQuestion({
+        choices: [{ alt: 'Perro', audio_path: '/perro.mp3', correct: true }],
+        language: 'es',
+      });
+
+      await clickButton(wrapper, 'Play Perro');
+
+      expect(playAudio).toHaveBeenCalledWith(
+        '/perro.mp3',
+        'Perro',
+        'es',
+        expect.any(Object)
+      );
+      const input = /** @type {HTMLInputElement} */ (
+        wrapper.find('input').element
+      );
+
+      expect(input.checked).toBe(false);
+    });
+  });
+
+  describe('choice order', () => {
+    it('keeps the same order for the same learner', () => {
+      const first = shownChoices(mountQuestion());
+      const second = shownChoices(mountQuestion());
+
+      expect(second).toEqual(first);
+      expect([...first].sort()).toEqual(['libro', 'mesa', 'perro', 'rojo']);
+    });
+
+    it('shuffles the choices unless the content turns it off', () => {
+      const orders = ['ana', 'ben', 'cam', 'dee', 'eli'].map((seed) => {
+        localStorage.setItem('interactive_video_learner_seed', seed);
+        return shownChoices(mountQuestion()).join();
+      });
+
+      expect(orders.some((order) => order !== 'rojo,perro,mesa,libro'))
+        .toBe(true);
+    });
+
+    it('keeps the authored order when shuffling is off', () => {
+      const wrapper = mountQuestion({ shuffle_choices: false });
+
+      expect(shownChoices(wrapper)).toEqual(['rojo', 'perro', 'mesa', 'libro']);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mount } from '@vue/test-utils';
+import OrderingQuestion from './OrderingQuestion.vue';
+
+/**
+ * Clicks the button with the given text or aria-label
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button's text or aria-label
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) =>
+      button.text() === label || button.attributes('aria-label') === label
+    )
+    ?.trigger('click');
+};
+
+describe('OrderingQuestion', () => {
+  const sequence = ['Se despierta', 'Desayuna', 'Sale de casa'];
+  const question = {
+    id: 'morning',
+    prompt: 'Put the events in order.',
+    quick_check_content: { sequence },
+    type: 'ordering',
+  };
+
+  /** @type {import('@vue/test-utils').VueWrapper} */
+  let wrapper;
+
+  /**
+   * Lists the steps in the order they are shown
+   * @return {Array<string>} The steps
+   */
+  const shownSteps = () =>
+    /** @type {any} */ (wrapper.vm).steps.slice();
+
+  /**
+   * Puts the steps into the correct order with the move buttons
+   * @return {Promise<void>}
+   */
+  const solve = async () => {
+    for (let target = 0; target < sequence.length; target++) {
+      let position = shownSteps().indexOf(sequence[target]);
+      while (position > target) {
+        await clickButton(wrapper, `Move ${sequence[target]} up`);
+        position--;
+      }
+    }
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    wrapper = mount(OrderingQuestion, { props: { question } });
+  });
+
+  it('starts with every step, out of order', () => {
+    expect([...shownSteps()].sort()).toEqual([...sequence].sort());
+    expect(shownSteps()).not.toEqual(sequence);
+  });
+
+  it('moves steps with the arrow buttons', async () => {
+    const [first, second] = shownSteps();
+
+    await clickButton(wrapper, `Move ${first} down`);
+
+    expect(shownSteps().slice(0, 2)).toEqual([second, first]);
+  });
+
+  it('moves the focused step with Alt and the arrow keys', async () => {
+    const [first, second] = shownSteps();
+
+    await wrapper.findAll('li')[1].find('span').trigger('keydown', {
+      altKey: true,
+      key: 'ArrowUp',
+    });
+
+    expect(shownSteps().slice(0, 2)).toEqual([second, first]);
+  });
+
+  it('moves a dropped step to the drop target', () => {
+    const [first, second, third] = shownSteps();
+    const vm = /** @type {any} */ (wrapper.vm);
+
+    vm.moveStep(0, 2);
+
+    expect(shownSteps()).toEqual([second, third, first]);
+  });
+
+  it('answers with the steps in the learner\'s order', async () => {
+    await solve();
+    await clickButton(wrapper, 'Check');
+
+    expect(wrapper.text()).toContain('Correct!');
+
+    await clickButton(wrapper, 'Continue');
+
+    expect(wrapper.emitted('answer-submitted')?.[0]).toEqual([sequence, 1]);
+  });
+
+  it('keeps repeated steps apart', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    wrapper = mount(OrderingQuestion, {
+      props: {
+        question: {
+          ...question,
+          quick_check_content: { sequence: ['Stir', 'Add salt', 'Stir'] },
+        },
+      },
+    });
+    const vm = /** @type {any} */ (wrapper.vm);
+
+    for (const [fromIndex, toIndex] of [[0, 2], [1, 0], [2, 1], [0, 1]]) {
+      vm.moveStep(fromIndex, toIndex);
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.findAll('li').map((step) => step.find('span').text()))
+        .toEqual(shownSteps());
+    }
+    expect(warn.mock.calls.flat().join(' ')).not.toContain('Duplicate keys');
+    warn.mockRestore();
+  });
+});
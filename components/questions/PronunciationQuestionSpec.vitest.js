@@ -0,0 +1,346 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { nextTick, ref } from 'vue';
+import PronunciationQuestion from './PronunciationQuestion.vue';
+import { useSpeechRecognition } from '../../composables/use_speech_recognition';
+import { AudioService } from '../../lib/audio_service.js';
+
+const recorder = {
+  elapsed: ref(0),
+  isRecording: ref(false),
+  level: ref(0),
+  maxDuration: 15,
+  permission: ref('prompt'),
+  recording: ref(null),
+  startRecording: vi.fn(),
+  stopRecording: vi.fn(),
+};
+
+const recognizer = {
+  error: ref(''),
+  isListening: ref(false),
+  isSupported: true,
+  start: vi.fn(() => true),
+  stop: vi.fn(),
+  transcript: ref(''),
+};
+
+vi.mock('../../composables/use_audio_recorder', () => ({
+  useAudioRecorder: vi.fn(() => recorder),
+}));
+
+vi.mock('../../composables/use_speech_recognition', () => ({
+  useSpeechRecognition: vi.fn(() => recognizer),
+}));
+
+/**
+ * Clicks the question button with the given label
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The mounted question
+ * @param {string} label - The button text
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) => button.text() === label)
+    ?.trigger('click');
+};
+
+/**
+ * Simulates a recording while speech recognition hears the given text
+ * @param {string} heard - The recognized text
+ * @return {Promise<void>}
+ */
+const recordAttempt = async (heard) => {
+  recorder.isRecording.value = true;
+  await nextTick();
+  recognizer.transcript.value = heard;
+  recorder.isRecording.value = false;
+  recorder.recording.value = {
+    blob: new Blob(['audio']),
+    duration: 2,
+    url: 'blob:recording',
+  };
+  await nextTick();
+};
+
+describe('PronunciationQuestion', () => {
+  const question = {
+    id: 'pronunciation-1',
+    prompt: 'Say the word',
+    quick_check_content: {
+      audio_path: '/audio/hola.mp3',
+      language: 'es',
+      text: 'hola',
+    },
+    type: 'pronunciation',
+  };
+
+  beforeEach(() => {
+    recorder.elapsed.value = 0;
+    recorder.isRecording.value = false;
+    recorder.level.value = 0;
+    recorder.permission.value = 'prompt';
+    recorder.recording.value = null;
+    recognizer.error.value = '';
+    recognizer.isListening.value = false;
+    recognizer.isSupported = true;
+    recognizer.transcript.value = '';
+    vi.clearAllMocks();
+    recognizer.start.mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('model audio', () => {
+    it('plays the model audio from the question data', async () => {
+      const playAudio = vi.spyOn(AudioService, 'playAudioWithFallback')
+        .mockResolvedValue(undefined);
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      await wrapper.find('button').trigger('click');
+
+      expect(playAudio).toHaveBeenCalledWith(
+        '/audio/hola.mp3',
+        'hola',
+        'es',
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('recording', () => {
+    it('explains the microphone prompt before recording', () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      expect(wrapper.find('[role="status"]').text())
+        .toContain('ask to use your microphone');
+    });
+
+    it('starts recording from the record button', async () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      const recordButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Start Recording');
+      await recordButton?.trigger('click');
+
+      expect(recorder.startRecording).toHaveBeenCalled();
+    });
+
+    it('shows the level meter while recording', async () => {
+      recorder.isRecording.value = true;
+      recorder.level.value = 0.5;
+
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      expect(wrapper.find('[role="meter"]').attributes('aria-valuenow'))
+        .toBe('50');
+    });
+
+    it('explains when the microphone is blocked', () => {
+      recorder.permission.value = 'denied';
+
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      expect(wrapper.find('[role="status"]').text()).toContain('blocked');
+    });
+
+    it('hides recording when the toggle is off', () => {
+      const wrapper = mount(PronunciationQuestion, {
+        props: { pronunciationToggle: { checked: false }, question },
+      });
+
+      const buttonTexts = wrapper.findAll('button').map((button) => button.text());
+      expect(buttonTexts).not.toContain('Start Recording');
+    });
+
+    it('plays back the learner recording', async () => {
+      const play = vi.fn().mockResolvedValue(undefined);
+      vi.stubGlobal('Audio', vi.fn(() => ({ play })));
+      recorder.recording.value = {
+        blob: new Blob(['audio']),
+        duration: 3,
+        url: 'blob:recording',
+      };
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      const playbackButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Play My Recording');
+      await playbackButton?.trigger('click');
+
+      expect(Audio).toHaveBeenCalledWith('blob:recording');
+      expect(play).toHaveBeenCalled();
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe('speech recognition', () => {
+    it('listens in the question language', () => {
+      mount(PronunciationQuestion, { props: { question } });
+
+      expect(useSpeechRecognition).toHaveBeenCalledWith({ language: 'es' });
+    });
+
+    it('listens while the learner records', async () => {
+      mount(PronunciationQuestion, { props: { question } });
+
+      recorder.isRecording.value = true;
+      await nextTick();
+      recorder.isRecording.value = false;
+      await nextTick();
+
+      expect(recognizer.start).toHaveBeenCalled();
+      expect(recognizer.stop).toHaveBeenCalled();
+    });
+
+    it('shows the score for the attempt', async () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      await recordAttempt('hola');
+
+      expect(wrapper.text()).toContain('Score: 100%');
+    });
+
+    it('highlights words that were missed', async () => {
+      const wrapper = mount(PronunciationQuestion, {
+        props: {
+          question: {
+            ...question,
+            quick_check_content: { language: 'es', text: 'hola amigo' },
+          },
+        },
+      });
+
+      await recordAttempt('hola');
+
+      const statuses = wrapper.findAll('[data-status]')
+        .map((word) => word.attributes('data-status'));
+      expect(statuses).toEqual(['correct', 'missed']);
+      expect(wrapper.text()).toContain('Highlighted words');
+    });
+
+    it('explains when recognition is not supported', async () => {
+      recognizer.isSupported = false;
+      recognizer.start.mockReturnValue(false);
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      await recordAttempt('');
+
+      expect(wrapper.text()).toContain('Automatic feedback is not available');
+      expect(wrapper.text()).not.toContain('Score:');
+    });
+
+    it('explains when recognition fails', async () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      await recordAttempt('');
+      recognizer.error.value = 'network';
+      await nextTick();
+
+      expect(wrapper.text()).toContain('could not be checked automatically');
+    });
+  });
+
+  describe('completion', () => {
+    it('emits the recording and its duration', async () => {
+      const blob = new Blob(['audio']);
+      recorder.recording.value = { blob, duration: 3, url: 'blob:recording' };
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      await clickButton(wrapper, 'Check');
+
+      expect(wrapper.emitted('pronunciation-complete')?.[0][0]).toEqual({
+        audio: blob,
+        duration: 3,
+        questionId: 'pronunciation-1',
+        recorded: true,
+        score: null,
+        transcript: '',
+      });
+    });
+
+    it('emits the recognition score', async () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+      await recordAttempt('hola');
+
+      await clickButton(wrapper, 'Check');
+      await clickButton(wrapper, 'Continue');
+
+      expect(wrapper.emitted('pronunciation-complete')?.[0][0]).toMatchObject({
+        recorded: true,
+        score: 100,
+        transcript: 'hola',
+      });
+    });
+
+    it('waits for a recording before checking', async () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+      const checkButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Check');
+
+      await clickButton(wrapper, 'Check');
+
+      expect(checkButton?.attributes('disabled')).toBeDefined();
+      expect(wrapper.emitted('pronunciation-complete')).toBeFalsy();
+    });
+
+    it('emits no audio when the browser cannot record', async () => {
+      recorder.permission.value = 'unsupported';
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+
+      await clickButton(wrapper, 'Check');
+
+      expect(wrapper.emitted('pronunciation-complete')?.[0][0]).toMatchObject({
+        audio: null,
+        duration: 0,
+        recorded: false,
+        score: null,
+      });
+    });
+
+    it('asks for another recording after a missed attempt', async () => {
+      const wrapper = mount(PronunciationQuestion, { props: { question } });
+      await recordAttempt('adios');
+
+      await clickButton(wrapper, 'Check');
+
+      expect(wrapper.emitted('pronunciation-complete')).toBeFalsy();
+      expect(wrapper.text()).toContain('Not quite');
+
+      await clickButton(wrapper, 'Try again');
+
+      expect(wrapper.text()).not.toContain('Score:');
+      expect(
+        wrapper.findAll('button')
+          .find((button) => button.text() === 'Check')
+          ?.attributes('disabled')
+      ).toBeDefined();
+    });
+
+    it('plays the model audio when the answer is shown', async () => {
+      const playAudio = vi.spyOn(AudioService, 'playAudioWithFallback')
+        .mockResolvedValue(undefined);
+      const wrapper = mount(PronunciationQuestion, {
+        props: {
+          question: {
+            ...question,
+            quick_check_content: {
+              ...question.quick_check_content,
+              max_attempts: 1,
+            },
+          },
+        },
+      });
+      await recordAttempt('adios');
+
+      await clickButton(wrapper, 'Check');
+      await clickButton(wrapper, 'Show answer');
+
+      expect(playAudio).toHaveBeenCalled();
+      expect(wrapper.text()).toContain('Here is the correct answer.');
+    });
+  });
+});
\ No newline at end of file
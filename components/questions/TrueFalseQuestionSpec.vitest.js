@@ -0,0 +1,119 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import TrueFalseQuestion from './TrueFalseQuestion.vue';
+
+/**
+ * Clicks the button with the given text
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button text
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) => button.text() === label)
+    ?.trigger('click');
+};
+
+describe('TrueFalseQuestion', () => {
+  const question = {
+    prompt: 'El cielo es verde.',
+    quick_check_content: { answer: false },
+    type: 'true_false',
+  };
+
+  /**
+   * Mounts the question
+   * @param {Object} [content] - Quick check content to add
+   * @return {import('@vue/test-utils').VueWrapper}
+   */
+  const mountQuestion = (content = {}) => {
+    return mount(TrueFalseQuestion, {
+      props: {
+        question: {
+          ...question,
+          quick_check_content: { ...question.quick_check_content, ...content },
+        },
+      },
+    });
+  };
+
+  /**
+   * Finds the Check button
+   * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+   * @return {import('@vue/test-utils').DOMWrapper<Element>|undefined}
+   */
+  const findCheckButton = (wrapper) =>
+    wrapper.findAll('button').find((button) => button.text() === 'Check');
+
+  it('shows the statement', () => {
+    expect(mountQuestion().text()).toContain('El cielo es verde.');
+  });
+
+  it('needs a verdict and a justification before checking', async () => {
+    const wrapper = mountQuestion();
+
+    await clickButton(wrapper, 'False');
+
+    expect(findCheckButton(wrapper)?.attributes('disabled')).toBeDefined();
+
+    await wrapper.find('textarea').setValue('El cielo es azul.');
+
+    expect(findCheckButton(wrapper)?.attributes('disabled')).toBeUndefined();
+  });
+
+  it('can go without a justification', async () => {
+    const wrapper = mountQuestion({ require_justification: false });
+
+    await clickButton(wrapper, 'True');
+
+    expect(findCheckButton(wrapper)?.attributes('disabled')).toBeUndefined();
+  });
+
+  it('answers with the verdict and justification', async () => {
+    const wrapper = mountQuestion();
+
+    await clickButton(wrapper, 'False');
+    await wrapper.find('textarea').setValue('  El cielo es azul. ');
+    await clickButton(wrapper, 'Check');
+
+    expect(wrapper.text()).toContain('Correct!');
+
+    await clickButton(wrapper, 'Continue');
+
+    expect(wrapper.emitted('answer-submitted')?.[0]).toEqual([
+      { justification: 'El cielo es azul.', value: false },
+      1,
+    ]);
+  });
+
+  it('shows the correct verdict after the last attempt', async () => {
+    const wrapper = mountQuestion({ max_attempts: 1 });
+
+    await clickButton(wrapper, 'True');
+    await wrapper.find('textarea').setValue('Porque sí.');
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Show answer');
+
+    const falseButton = wrapper.findAll('button')
+      .find((button) => button.text() === 'False');
+
+    expect(falseButton?.attributes('aria-pressed')).toBe('true');
+  });
+
+  it('answers with the checked verdict after showing the answer', async () => {
+    const wrapper = mountQuestion({ max_attempts: 1 });
+
+    await clickButton(wrapper, 'True');
+    await wrapper.find('textarea').setValue('Porque sí.');
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Show answer');
+    await clickButton(wrapper, 'Continue');
+
+    expect(wrapper.emitted('answer-submitted')?.[0]).toEqual([
+      { justification: 'Porque sí.', value: true },
+      1,
+    ]);
+  });
+});
@@ -0,0 +1,151 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mount } from '@vue/test-utils';
+import VideoHotspotQuestion from './VideoHotspotQuestion.vue';
+
+/**
+ * Clicks the button with the given text
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+ * @param {string} label - The button text
+ * @return {Promise<void>}
+ */
+const clickButton = async (wrapper, label) => {
+  await wrapper.findAll('button')
+    .find((button) => button.text() === label)
+    ?.trigger('click');
+};
+
+describe('VideoHotspotQuestion', () => {
+  const question = {
+    prompt: 'Click the person who is ordering coffee.',
+    quick_check_content: {
+      regions: [
+        { label: 'El camarero', x: 0, y: 0, width: 0.5, height: 1 },
+        {
+          correct: true,
+          height: 1,
+          label: 'La clienta',
+          width: 0.5,
+          x: 0.5,
+          y: 0,
+        },
+      ],
+    },
+    type: 'video_hotspot',
+  };
+
+  beforeEach(() => {
+    vi.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockReturnValue(
+      /** @type {DOMRect} */ ({ height: 100, left: 0, top: 0, width: 200 })
+    );
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  /**
+   * Mounts the question
+   * @param {Object} [content] - Quick check content to add
+   * @return {import('@vue/test-utils').VueWrapper}
+   */
+  const mountQuestion = (content = {}) => {
+    return mount(VideoHotspotQuestion, {
+      props: {
+        question: {
+          ...question,
+          quick_check_content: { ...question.quick_check_content, ...content },
+        },
+      },
+    });
+  };
+
+  /**
+   * Finds the Check button
+   * @param {import('@vue/test-utils').VueWrapper} wrapper - The question
+   * @return {import('@vue/test-utils').DOMWrapper<Element>|undefined}
+   */
+  const findCheckButton = (wrapper) =>
+    wrapper.findAll('button').find((button) => button.text() === 'Check');
+
+  it('needs a point before checking', () => {
+    const wrapper = mountQuestion();
+
+    expect(findCheckButton(wrapper)?.attributes('disabled')).toBeDefined();
+  });
+
+  it('answers with the point the learner clicked', async () => {
+    const wrapper = mountQuestion();
+
+    await wrapper.find('[role="application"]')
+      .trigger('click', { clientX: 150, clientY: 25 });
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Continue');
+
+    expect(wrapper.emitted('answer-submitted')?.[0])
+      .toEqual([{ x: 0.75, y: 0.25 }, 1]);
+  });
+
+  it('moves the marker with the arrow keys', async () => {
+    const wrapper = mountQuestion();
+    const layer = wrapper.find('[role="application"]');
+
+    await layer.trigger('keydown', { key: 'ArrowRight' });
+    await layer.trigger('keydown', { key: 'ArrowUp' });
+
+    expect(wrapper.vm.point).toEqual({ x: 0.55, y: 0.45 });
+    expect(layer.attributes('aria-label'))
+      .toBe('Video frame. Marker at La clienta.');
+  });
+
+  it('outlines the correct region after a correct answer', async () => {
+    const wrapper = mountQuestion();
+
+    await wrapper.find('[role="application"]')
+      .trigger('click', { clientX: 150, clientY: 25 });
+    await clickButton(wrapper, 'Check');
+
+    expect(wrapper.findAll('polygon')).toHaveLength(1);
+    expect(wrapper.find('polygon').attributes('points'))
+      .toBe('0.5,0 1,0 1,1 0.5,1');
+  });
+
+  it('clears the point when trying again', async () => {
+    const wrapper = mountQuestion();
+
+    await wrapper.find('[role="application"]')
+      .trigger('click', { clientX: 50, clientY: 25 });
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Try again');
+
+    expect(wrapper.vm.point).toBeNull();
+    expect(wrapper.findAll('polygon')).toHaveLength(0);
+  });
+
+  it('marks the correct region when showing the answer', async () => {
+    const wrapper = mountQuestion({ max_attempts: 1 });
+
+    await wrapper.find('[role="application"]')
+      .trigger('click', { clientX: 50, clientY: 25 });
+    await clickButton(wrapper, 'Check');
+    await clickButton(wrapper, 'Show answer');
+
+    expect(wrapper.vm.point).toEqual({ x: 0.75, y: 0.5 });
+    expect(wrapper.findAll('polygon')).toHaveLength(1);
+  });
+
+  it('covers the paused video with the click layer', () => {
+    const container = document.createElement('div');
+    container.className = 'js-tutorial-container';
+    document.body.appendChild(container);
+
+    const wrapper = mountQuestion();
+
+    expect(container.querySelector('[role="application"]')).not.toBeNull();
+    expect(wrapper.find('[role="application"]').exists()).toBe(false);
+
+    wrapper.unmount();
+  });
+});
@@ -0,0 +1,287 @@
+// @ts-check
+
+import { onScopeDispose, ref } from 'vue';
+
+/**
+ * @typedef {'denied' | 'granted' | 'prompt' | 'unavailable' | 'unsupported'}
+ *   MicrophonePermission
+ */
+
+/**
+ * @typedef {Object} AudioRecording
+ * @property {Blob} blob - The recorded audio
+ * @property {number} duration - Length of the recording in seconds
+ * @property {string} url - Object URL for playing the recording back
+ */
+
+/**
+ * @typedef {Object} AudioRecorderOptions
+ * @property {number} [maxDuration] - Longest recording allowed in seconds
+ */
+
+/**
+ * @typedef {Object} AudioRecorderAPI
+ * @property {import('vue').Ref<number>} elapsed - Seconds recorded so far
+ * @property {import('vue').Ref<boolean>} isRecording - Current recording state
+ * @property {import('vue').Ref<number>} level - Input level from 0 to 1
+ * @property {number} maxDuration - Longest recording allowed in seconds
+ * @property {import('vue').Ref<MicrophonePermission>} permission - Microphone
+ *   permission state
+ * @property {import('vue').Ref<AudioRecording|null>} recording - The most
+ *   recent recording
+ * @property {function(): Promise<boolean>} requestPermission - Asks for the
+ *   microphone
+ * @property {function(): void} cleanup - Releases the microphone
+ * @property {function(): Promise<void>} startRecording - Starts recording
+ * @property {function(): void} stopRecording - Stops recording
+ */
+
+const DEFAULT_MAX_DURATION = 15;
+const LEVEL_GAIN = 3;
+
+/**
+ * Check if the browser can record audio
+ * @return {boolean} True if getUserMedia and MediaRecorder are available
+ */
+export function audioRecordingIsSupported() {
+  return Boolean(
+    typeof navigator !== 'undefined' &&
+    navigator.mediaDevices?.getUserMedia &&
+    typeof MediaRecorder !== 'undefined'
+  );
+}
+
+/**
+ * Maps a getUserMedia error to a permission state
+ * @param {unknown} error - The error getUserMedia rejected with
+ * @return {MicrophonePermission} The permission state
+ */
+function permissionFromError(error) {
+  const name = error instanceof Error || error instanceof DOMException ?
+    error.name :
+    '';
+  return name === 'NotAllowedError' || name === 'SecurityError' ?
+    'denied' :
+    'unavailable';
+}
+
+/**
+ * Calculates the loudness of an audio frame
+ * @param {Uint8Array} samples - Time domain samples centered on 128
+ * @return {number} Input level from 0 to 1
+ */
+export function calculateInputLevel(samples) {
+  if (samples.length === 0) {
+    return 0;
+  }
+
+  let sumOfSquares = 0;
+  samples.forEach((sample) => {
+    const amplitude = (sample - 128) / 128;
+    sumOfSquares += amplitude * amplitude;
+  });
+  return Math.min(1, Math.sqrt(sumOfSquares / samples.length) * LEVEL_GAIN);
+}
+
+/**
+ * Records microphone audio with MediaRecorder, reporting a live input level
+ * and stopping automatically at the maximum duration.
+ * @param {AudioRecorderOptions} [options] - Recorder options
+ * @return {AudioRecorderAPI} Recorder state and controls
+ */
+export function useAudioRecorder({ maxDuration = DEFAULT_MAX_DURATION } = {}) {
+  /** @type {import('vue').Ref<number>} */
+  const elapsed = ref(0);
+  /** @type {import('vue').Ref<boolean>} */
+  const isRecording = ref(false);
+  /** @type {import('vue').Ref<number>} */
+  const level = ref(0);
+  /** @type {import('vue').Ref<MicrophonePermission>} */
+  const permission = ref(audioRecordingIsSupported() ? 'prompt' : 'unsupported');
+  /** @type {import('vue').Ref<AudioRecording|null>} */
+  const recording = ref(null);
+
+  /** @type {MediaStream|null} */
+  let stream = null;
+  /** @type {MediaRecorder|null} */
+  let mediaRecorder = null;
+  /** @type {AudioContext|null} */
+  let audioContext = null;
+  /** @type {number|null} */
+  let frameId = null;
+  /** @type {number|null} */
+  let stopTimeout = null;
+  let startedAt = 0;
+
+  /**
+   * Asks the learner for microphone access
+   * @return {Promise<boolean>} True if access was granted
+   */
+  const requestPermission = async () => {
+    if (stream) {
+      return true;
+    }
+    if (!audioRecordingIsSupported()) {
+      permission.value = 'unsupported';
+      return false;
+    }
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      permission.value = 'granted';
+      return true;
+    } catch (error) {
+      console.warn('Microphone access failed:', error);
+      permission.value = permissionFromError(error);
+      return false;
+    }
+  };
+
+  /**
+   * Gets the seconds since recording started, capped at the maximum
+   * @return {number} Seconds recorded
+   */
+  const getElapsedSeconds = () => {
+    return Math.min(maxDuration, (Date.now() - startedAt) / 1000);
+  };
+
+  /**
+   * Starts sampling the microphone level on every animation frame
+   */
+  const startLevelMeter = () => {
+    const AudioContextClass = window.AudioContext ||
+      /** @type {typeof AudioContext|undefined} */ (
+        /** @type {Object<string, unknown>} */ (/** @type {unknown} */ (window))
+          .webkitAudioContext
+      );
+
+    /** @type {AnalyserNode|null} */
+    let analyser = null;
+    let samples = new Uint8Array(0);
+    if (AudioContextClass && stream) {
+      audioContext = new AudioContextClass();
+      analyser = audioContext.createAnalyser();
+      analyser.fftSize = 256;
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+      samples = new Uint8Array(analyser.fftSize);
+    }
+
+    const sample = () => {
+      elapsed.value = getElapsedSeconds();
+      if (analyser) {
+        analyser.getByteTimeDomainData(samples);
+        level.value = calculateInputLevel(samples);
+      }
+      frameId = window.requestAnimationFrame(sample);
+    };
+    sample();
+  };
+
+  /**
+   * Stops sampling the microphone level
+   */
+  const stopLevelMeter = () => {
+    if (frameId !== null) {
+      window.cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    if (audioContext) {
+      audioContext.close().catch(() => {});
+      audioContext = null;
+    }
+    level.value = 0;
+  };
+
+  /**
+   * Replaces the previous recording with a new one
+   * @param {Array<Blob>} chunks - Recorded audio chunks
+   * @param {string} mimeType - The recorder's MIME type
+   */
+  const saveRecording = (chunks, mimeType) => {
+    if (recording.value) {
+      URL.revokeObjectURL(recording.value.url);
+    }
+
+    const blob = new Blob(chunks, { type: mimeType || 'audio/webm' });
+    recording.value = {
+      blob,
+      duration: getElapsedSeconds(),
+      url: URL.createObjectURL(blob),
+    };
+  };
+
+  /**
+   * Stops recording; the recording is saved once the recorder flushes
+   */
+  const stopRecording = () => {
+    if (stopTimeout !== null) {
+      window.clearTimeout(stopTimeout);
+      stopTimeout = null;
+    }
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+      mediaRecorder.stop();
+    }
+  };
+
+  /**
+   * Starts recording, asking for microphone access first if needed
+   * @return {Promise<void>}
+   */
+  const startRecording = async () => {
+    if (isRecording.value || !(await requestPermission()) || !stream) {
+      return;
+    }
+
+    /** @type {Array<Blob>} */
+    const chunks = [];
+    const recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      saveRecording(chunks, recorder.mimeType);
+      isRecording.value = false;
+      stopLevelMeter();
+    };
+
+    mediaRecorder = recorder;
+    startedAt = Date.now();
+    elapsed.value = 0;
+    recorder.start();
+    isRecording.value = true;
+    startLevelMeter();
+    stopTimeout = window.setTimeout(stopRecording, maxDuration * 1000);
+  };
+
+  /**
+   * Stops recording and releases the microphone
+   */
+  const cleanup = () => {
+    stopRecording();
+    stopLevelMeter();
+    if (stream) {
+      stream.getTracks().forEach((track) => track.stop());
+      stream = null;
+    }
+    if (recording.value) {
+      URL.revokeObjectURL(recording.value.url);
+    }
+  };
+
+  onScopeDispose(cleanup);
+
+  return {
+    cleanup,
+    elapsed,
+    isRecording,
+    level,
+    maxDuration,
+    permission,
+    recording,
+    requestPermission,
+    startRecording,
+    stopRecording,
+  };
+}
\ No newline at end of file
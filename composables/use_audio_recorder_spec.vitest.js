@@ -0,0 +1,172 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { effectScope } from 'vue';
+import {
+  calculateInputLevel,
+  useAudioRecorder,
+} from './use_audio_recorder.js';
+
+/**
+ * Minimal MediaRecorder that emits one chunk when stopped
+ */
+class MockMediaRecorder {
+  /** @type {Array<MockMediaRecorder>} */
+  static instances = [];
+
+  /**
+   * @param {MediaStream} stream - The stream to record
+   */
+  constructor(stream) {
+    this.stream = stream;
+    this.mimeType = 'audio/webm';
+    this.state = 'inactive';
+    /** @type {Function|null} */
+    this.ondataavailable = null;
+    /** @type {Function|null} */
+    this.onstop = null;
+    MockMediaRecorder.instances.push(this);
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable?.({ data: new Blob(['audio'], { type: 'audio/webm' }) });
+    this.onstop?.();
+  }
+}
+
+describe('useAudioRecorder', () => {
+  /** @type {import('vitest').Mock} */
+  let getUserMedia;
+  /** @type {import('vitest').Mock} */
+  let stopTrack;
+  /** @type {import('vue').EffectScope} */
+  let scope;
+
+  /**
+   * Creates the recorder inside an effect scope
+   * @param {import('./use_audio_recorder.js').AudioRecorderOptions} [options]
+   * @return {import('./use_audio_recorder.js').AudioRecorderAPI}
+   */
+  const createRecorder = (options) => {
+    scope = effectScope();
+    return /** @type {import('./use_audio_recorder.js').AudioRecorderAPI} */ (
+      scope.run(() => useAudioRecorder(options))
+    );
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    MockMediaRecorder.instances = [];
+    stopTrack = vi.fn();
+    getUserMedia = vi.fn().mockResolvedValue({
+      getTracks: () => [{ stop: stopTrack }],
+    });
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia } });
+    vi.stubGlobal('MediaRecorder', MockMediaRecorder);
+    vi.stubGlobal('AudioContext', undefined);
+    vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+    URL.createObjectURL = vi.fn(() => 'blob:recording');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    scope?.stop();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  describe('permission', () => {
+    it('starts by prompting for the microphone', () => {
+      const recorder = createRecorder();
+
+      expect(recorder.permission.value).toBe('prompt');
+    });
+
+    it('is unsupported without MediaRecorder', () => {
+      vi.stubGlobal('MediaRecorder', undefined);
+
+      const recorder = createRecorder();
+
+      expect(recorder.permission.value).toBe('unsupported');
+    });
+
+    it('is granted when the learner allows the microphone', async () => {
+      const recorder = createRecorder();
+
+      await recorder.requestPermission();
+
+      expect(recorder.permission.value).toBe('granted');
+    });
+
+    it('is denied when the learner blocks the microphone', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      getUserMedia.mockRejectedValue(
+        new DOMException('Permission denied', 'NotAllowedError')
+      );
+      const recorder = createRecorder();
+
+      await recorder.startRecording();
+
+      expect(recorder.permission.value).toBe('denied');
+      expect(recorder.isRecording.value).toBe(false);
+    });
+  });
+
+  describe('recording', () => {
+    it('records until stopped', async () => {
+      const recorder = createRecorder();
+
+      await recorder.startRecording();
+      vi.advanceTimersByTime(2000);
+      recorder.stopRecording();
+
+      expect(recorder.isRecording.value).toBe(false);
+      expect(recorder.recording.value?.duration).toBe(2);
+      expect(recorder.recording.value?.blob).toBeInstanceOf(Blob);
+    });
+
+    it('stops at the maximum duration', async () => {
+      const recorder = createRecorder({ maxDuration: 5 });
+
+      await recorder.startRecording();
+      vi.advanceTimersByTime(5000);
+
+      expect(recorder.isRecording.value).toBe(false);
+      expect(recorder.recording.value?.duration).toBe(5);
+    });
+
+    it('provides a URL for playing the recording back', async () => {
+      const recorder = createRecorder();
+
+      await recorder.startRecording();
+      recorder.stopRecording();
+
+      expect(recorder.recording.value?.url).toBe('blob:recording');
+    });
+
+    it('releases the microphone when disposed', async () => {
+      const recorder = createRecorder();
+      await recorder.startRecording();
+
+      scope.stop();
+
+      expect(stopTrack).toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateInputLevel', () => {
+    it('is silent at the midpoint', () => {
+      expect(calculateInputLevel(new Uint8Array([128, 128, 128]))).toBe(0);
+    });
+
+    it('is capped at 1', () => {
+      expect(calculateInputLevel(new Uint8Array([0, 255, 0, 255]))).toBe(1);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+// @ts-check
+
+import { onScopeDispose, watch } from 'vue';
+import { useActionStore } from '../stores/action_store';
+import { mainStore } from '../stores/main_store';
+
+const HISTORY_STATE_KEY = 'interactiveVideoStep';
+
+/**
+ * Reads how many steps deep a browser history entry is
+ * @param {unknown} state - The history entry state
+ * @return {number} The step, or 0 for entries the activity did not add
+ */
+function getHistoryStep(state) {
+  const step = state && typeof state === 'object' ?
+    /** @type {Record<string, unknown>} */ (state)[HISTORY_STATE_KEY] :
+    undefined;
+  return typeof step === 'number' ? step : 0;
+}
+
+/**
+ * Records every screen and action change in the navigation history and
+ * mirrors it into the browser history, so the browser back button steps
+ * back through the activity before leaving the page.
+ * @return {Function} Stops recording and listening for back navigation
+ */
+export function useNavigationHistory() {
+  const actionStore = useActionStore();
+  const store = mainStore();
+
+  /**
+   * Adds a browser history entry for each new step in the activity
+   */
+  const syncBrowserHistory = () => {
+    const step = store.navigationHistory.entries.length;
+    if (step > getHistoryStep(window.history.state)) {
+      window.history.pushState(
+        { ...window.history.state, [HISTORY_STATE_KEY]: step },
+        ''
+      );
+    }
+  };
+
+  /**
+   * Steps back through the activity to the browser history entry the
+   * learner returned to. If a guard keeps the learner where they are, the
+   * browser history entry they left is added back.
+   * @param {PopStateEvent} event - The popstate event
+   */
+  const handlePopState = async (event) => {
+    const steps = store.navigationHistory.entries.length -
+      getHistoryStep(event.state);
+    if (steps < 1) {
+      return;
+    }
+    const didGoBack = await store.goBack(steps);
+    if (!didGoBack) {
+      syncBrowserHistory();
+    }
+  };
+
+  const stopWatching = watch(
+    () => [store.sequencer.currentScreen?.id, actionStore.currentActionIndex],
+    () => {
+      store.recordLocation();
+      syncBrowserHistory();
+    },
+    { immediate: true }
+  );
+  window.addEventListener('popstate', handlePopState);
+
+  const stop = () => {
+    stopWatching();
+    window.removeEventListener('popstate', handlePopState);
+  };
+  onScopeDispose(stop);
+
+  return stop;
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { effectScope, nextTick } from 'vue';
+import { flushPromises } from '@vue/test-utils';
+import { setActivePinia, createPinia } from 'pinia';
+import { useActionStore } from '../stores/action_store';
+import { mainStore } from '../stores/main_store';
+import { useNavigationHistory } from './use_navigation_history.js';
+
+describe('useNavigationHistory', () => {
+  /** @type {import('vue').EffectScope} */
+  let scope;
+  /** @type {ReturnType<typeof mainStore>} */
+  let store;
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    window.history.replaceState(null, '');
+    store = mainStore();
+    store.sequencer.addScreen([
+      { id: 'intro', name: 'intro' },
+      { id: 'player', name: 'player' },
+    ]);
+    store.sequencer.goToScreen('intro');
+    useActionStore().actions = [
+      { data: {}, type: 'video' },
+      { data: {}, type: 'quick_check' },
+    ];
+
+    scope = effectScope();
+    scope.run(() => useNavigationHistory());
+  });
+
+  afterEach(() => {
+    scope.stop();
+  });
+
+  it('records screen and action changes', async () => {
+    store.sequencer.goToScreen('player');
+    await nextTick();
+    useActionStore().goToAction(1);
+    await nextTick();
+
+    expect(store.navigationHistory.entries).toEqual([
+      { actionIndex: null, screenId: 'intro' },
+      { actionIndex: 0, screenId: 'player' },
+    ]);
+  });
+
+  it('adds a browser history entry for each step', async () => {
+    store.sequencer.goToScreen('player');
+    await nextTick();
+
+    expect(window.history.state).toEqual({ interactiveVideoStep: 1 });
+  });
+
+  it('goes back when the browser returns to an earlier step', async () => {
+    store.sequencer.goToScreen('player');
+    await nextTick();
+    useActionStore().goToAction(1);
+    await nextTick();
+
+    window.dispatchEvent(
+      new PopStateEvent('popstate', { state: { interactiveVideoStep: 0 } })
+    );
+    await flushPromises();
+
+    expect(store.sequencer.currentScreen?.id).toBe('intro');
+    expect(store.canGoBack).toBe(false);
+  });
+
+  it('goes back several steps in one navigation', async () => {
+    store.sequencer.goToScreen('player');
+    await nextTick();
+    useActionStore().goToAction(1);
+    await nextTick();
+    const goBack = vi.spyOn(store, 'goBack');
+
+    window.dispatchEvent(
+      new PopStateEvent('popstate', { state: { interactiveVideoStep: 0 } })
+    );
+    await flushPromises();
+
+    expect(goBack).toHaveBeenCalledTimes(1);
+    expect(goBack).toHaveBeenCalledWith(2);
+    expect(store.sequencer.currentScreen?.id).toBe('intro');
+  });
+
+  it('adds the browser history entry back when a guard cancels', async () => {
+    store.sequencer.goToScreen('player');
+    await nextTick();
+    store.sequencer.addNavigationHook('player', 'beforeLeave', () => false);
+    window.history.replaceState({ interactiveVideoStep: 0 }, '');
+
+    window.dispatchEvent(
+      new PopStateEvent('popstate', { state: { interactiveVideoStep: 0 } })
+    );
+    await flushPromises();
+
+    expect(store.sequencer.currentScreen?.id).toBe('player');
+    expect(store.navigationHistory.entries).toHaveLength(1);
+    expect(window.history.state).toEqual({ interactiveVideoStep: 1 });
+  });
+
+  it('stops listening for back navigation when the scope stops', async () => {
+    store.sequencer.goToScreen('player');
+    await nextTick();
+
+    scope.stop();
+    window.dispatchEvent(
+      new PopStateEvent('popstate', { state: { interactiveVideoStep: 0 } })
+    );
+
+    expect(store.sequencer.currentScreen?.id).toBe('player');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,260 @@
+// @ts-check
+
+import { onScopeDispose, ref } from 'vue';
+
+/**
+ * @typedef {Object} DragGhost
+ * @property {string} label - Text shown in the ghost
+ * @property {number} x - Pointer position from the left of the viewport
+ * @property {number} y - Pointer position from the top of the viewport
+ */
+
+/**
+ * @typedef {Object} PointerDragOptions
+ * @property {function(): boolean} [isDisabled] - Whether dragging is off
+ * @property {function(unknown): void} onStart - Receives the source once the
+ *   pointer has moved far enough to count as a drag
+ * @property {function(string): void} onDrop - Receives the
+ *   `data-drop-target` value of the element the source was dropped on
+ * @property {function(): void} onEnd - Called when any drag ends, dropped or
+ *   not
+ */
+
+/**
+ * @typedef {Object} PointerDragAPI
+ * @property {import('vue').Ref<DragGhost|null>} ghost - The element that
+ *   follows the pointer while dragging
+ * @property {import('vue').Ref<string|null>} hoveredTarget - The drop target
+ *   under the pointer
+ * @property {import('vue').Ref<boolean>} isDragging - Whether a drag is in
+ *   progress
+ * @property {function(PointerEvent, unknown, string): void} startDrag -
+ *   Starts tracking a pointer pressed on a source, with the ghost label
+ * @property {function(): void} cleanup - Cancels the drag and removes the
+ *   listeners
+ */
+
+/**
+ * Distance in pixels the pointer moves before a press becomes a drag, so
+ * taps and clicks still work
+ */
+export const DRAG_THRESHOLD = 6;
+
+/**
+ * Distance in pixels from the top or bottom of the viewport where dragging
+ * scrolls the page
+ */
+export const AUTO_SCROLL_EDGE = 48;
+
+/**
+ * Pixels scrolled per animation frame at the very edge of the viewport
+ */
+export const AUTO_SCROLL_SPEED = 16;
+
+/**
+ * Finds the drop target under a point
+ * @param {number} x - Position from the left of the viewport
+ * @param {number} y - Position from the top of the viewport
+ * @return {string|null} The target's `data-drop-target` value
+ */
+export function findDropTarget(x, y) {
+  const element = typeof document.elementFromPoint === 'function' ?
+    document.elementFromPoint(x, y) :
+    null;
+  return element?.closest('[data-drop-target]')
+    ?.getAttribute('data-drop-target') ?? null;
+}
+
+/**
+ * Calculates how far to scroll for a pointer near the viewport edges
+ * @param {number} y - Position from the top of the viewport
+ * @param {number} viewportHeight - Height of the viewport
+ * @return {number} Pixels to scroll, negative to scroll up
+ */
+export function getAutoScrollDelta(y, viewportHeight) {
+  if (y < AUTO_SCROLL_EDGE) {
+    return -Math.ceil(AUTO_SCROLL_SPEED * (1 - y / AUTO_SCROLL_EDGE));
+  }
+  const distanceFromBottom = viewportHeight - y;
+  if (distanceFromBottom < AUTO_SCROLL_EDGE) {
+    return Math.ceil(
+      AUTO_SCROLL_SPEED * (1 - distanceFromBottom / AUTO_SCROLL_EDGE)
+    );
+  }
+  return 0;
+}
+
+/**
+ * Drags items with Pointer Events, so mouse, touch and pen all work. A ghost
+ * follows the pointer, the drop target under it is tracked and the page
+ * scrolls when the pointer nears the top or bottom of the viewport.
+ * Drop targets are elements with a `data-drop-target` attribute.
+ * @param {PointerDragOptions} options - Drag callbacks
+ * @return {PointerDragAPI} Drag state and controls
+ */
+export function usePointerDrag(options) {
+  /** @type {import('vue').Ref<DragGhost|null>} */
+  const ghost = ref(null);
+  /** @type {import('vue').Ref<string|null>} */
+  const hoveredTarget = ref(null);
+  const isDragging = ref(false);
+
+  /** @type {unknown} */
+  let source = null;
+  let label = '';
+  /** @type {number|null} */
+  let pointerId = null;
+  let startX = 0;
+  let startY = 0;
+  let lastY = 0;
+  /** @type {number|null} */
+  let frameId = null;
+
+  /**
+   * Scrolls the page while the pointer stays near an edge
+   */
+  const autoScroll = () => {
+    const delta = getAutoScrollDelta(lastY, window.innerHeight);
+    if (delta !== 0) {
+      window.scrollBy(0, delta);
+    }
+    frameId = window.requestAnimationFrame(autoScroll);
+  };
+
+  /**
+   * Swallows the click the browser fires after a drag ends on its source
+   * @param {MouseEvent} event - The click event
+   */
+  const suppressClick = (event) => {
+    event.stopPropagation();
+    event.preventDefault();
+  };
+
+  /**
+   * Stops swallowing clicks
+   */
+  const allowClicks = () => {
+    window.removeEventListener('click', suppressClick, true);
+  };
+
+  /**
+   * Removes the listeners and resets the drag state
+   */
+  const cleanup = () => {
+    window.removeEventListener('pointermove', handlePointerMove);
+    window.removeEventListener('pointerup', handlePointerUp);
+    window.removeEventListener('pointercancel', handlePointerCancel);
+    if (frameId !== null) {
+      window.cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    if (isDragging.value) {
+      options.onEnd();
+    }
+    ghost.value = null;
+    hoveredTarget.value = null;
+    isDragging.value = false;
+    pointerId = null;
+    source = null;
+  };
+
+  /**
+   * Moves the ghost and tracks the target under the pointer, starting the
+   * drag once the pointer passes the threshold
+   * @param {PointerEvent} event - The pointer move event
+   */
+  function handlePointerMove(event) {
+    if (event.pointerId !== pointerId) {
+      return;
+    }
+
+    if (!isDragging.value) {
+      const distance = Math.hypot(
+        event.clientX - startX,
+        event.clientY - startY
+      );
+      if (distance < DRAG_THRESHOLD) {
+        return;
+      }
+      isDragging.value = true;
+      options.onStart(source);
+      autoScroll();
+    }
+
+    event.preventDefault();
+    lastY = event.clientY;
+    ghost.value = { label, x: event.clientX, y: event.clientY };
+    hoveredTarget.value = findDropTarget(event.clientX, event.clientY);
+  }
+
+  /**
+   * Drops the source on the target under the pointer
+   * @param {PointerEvent} event - The pointer up event
+   */
+  function handlePointerUp(event) {
+    if (event.pointerId !== pointerId) {
+      return;
+    }
+
+    if (isDragging.value) {
+      const target = findDropTarget(event.clientX, event.clientY);
+      if (target !== null) {
+        options.onDrop(target);
+      }
+      window.addEventListener('click', suppressClick, true);
+      window.setTimeout(allowClicks, 0);
+    }
+    cleanup();
+  }
+
+  /**
+   * Cancels the drag when the browser takes over the pointer
+   * @param {PointerEvent} event - The pointer cancel event
+   */
+  function handlePointerCancel(event) {
+    if (event.pointerId === pointerId) {
+      cleanup();
+    }
+  }
+
+  /**
+   * Starts tracking a pointer pressed on a drag source
+   * @param {PointerEvent} event - The pointer down event
+   * @param {unknown} dragSource - What is being dragged
+   * @param {string} ghostLabel - Text shown in the ghost
+   */
+  const startDrag = (event, dragSource, ghostLabel) => {
+    if (
+      pointerId !== null ||
+      (event.pointerType === 'mouse' && event.button !== 0) ||
+      options.isDisabled?.()
+    ) {
+      return;
+    }
+
+    source = dragSource;
+    label = ghostLabel;
+    pointerId = event.pointerId;
+    startX = event.clientX;
+    startY = event.clientY;
+    lastY = event.clientY;
+    window.addEventListener('pointermove', handlePointerMove, {
+      passive: false,
+    });
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerCancel);
+  };
+
+  onScopeDispose(() => {
+    cleanup();
+    allowClicks();
+  });
+
+  return {
+    cleanup,
+    ghost,
+    hoveredTarget,
+    isDragging,
+    startDrag,
+  };
+}
@@ -0,0 +1,210 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { effectScope } from 'vue';
+import {
+  AUTO_SCROLL_EDGE,
+  DRAG_THRESHOLD,
+  findDropTarget,
+  getAutoScrollDelta,
+  usePointerDrag,
+} from './use_pointer_drag.js';
+
+/**
+ * Creates a pointer event with the given fields
+ * @param {string} type - The event type
+ * @param {Object} fields - Pointer fields such as clientX and pointerId
+ * @return {PointerEvent} The event
+ */
+const pointerEvent = (type, fields) => {
+  return /** @type {PointerEvent} */ (
+    Object.assign(new Event(type, { cancelable: true }), {
+      button: 0,
+      pointerId: 1,
+      pointerType: 'touch',
+      ...fields,
+    })
+  );
+};
+
+/**
+ * Sends a pointer event to the window
+ * @param {string} type - The event type
+ * @param {Object} [fields] - Pointer fields such as clientX and pointerId
+ */
+const dispatchPointer = (type, fields = {}) => {
+  window.dispatchEvent(
+    pointerEvent(type, { clientX: 100, clientY: 200, ...fields })
+  );
+};
+
+describe('usePointerDrag', () => {
+  /** @type {import('vue').EffectScope} */
+  let scope;
+  /** @type {import('./use_pointer_drag.js').PointerDragAPI} */
+  let drag;
+  /** @type {Object<string, ReturnType<typeof vi.fn>>} */
+  let callbacks;
+  /** @type {HTMLElement} */
+  let target;
+
+  beforeEach(() => {
+    target = document.createElement('div');
+    target.setAttribute('data-drop-target', 'zone-1');
+    target.innerHTML = '<span>inside</span>';
+    document.body.appendChild(target);
+    document.elementFromPoint = vi.fn(() => target.firstElementChild);
+    vi.spyOn(window, 'requestAnimationFrame').mockReturnValue(1);
+    vi.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+
+    callbacks = { onDrop: vi.fn(), onEnd: vi.fn(), onStart: vi.fn() };
+    scope = effectScope();
+    drag = /** @type {import('./use_pointer_drag.js').PointerDragAPI} */ (
+      scope.run(() => usePointerDrag({
+        onDrop: callbacks.onDrop,
+        onEnd: callbacks.onEnd,
+        onStart: callbacks.onStart,
+      }))
+    );
+  });
+
+  /**
+   * Presses the pointer on the drag source
+   * @param {Object} [fields] - Pointer fields to override
+   */
+  const press = (fields = {}) => {
+    drag.startDrag(
+      pointerEvent('pointerdown', { clientX: 10, clientY: 10, ...fields }),
+      'a',
+      'A'
+    );
+  };
+
+  afterEach(() => {
+    scope.stop();
+    target.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('treats a short press as a click', () => {
+    press();
+    dispatchPointer('pointermove', { clientX: 12, clientY: 11 });
+    dispatchPointer('pointerup', { clientX: 12, clientY: 11 });
+
+    expect(callbacks.onStart).not.toHaveBeenCalled();
+    expect(callbacks.onDrop).not.toHaveBeenCalled();
+  });
+
+  it('starts dragging past the threshold and shows a ghost', () => {
+    press();
+    dispatchPointer('pointermove', { clientX: 10 + DRAG_THRESHOLD });
+
+    expect(callbacks.onStart).toHaveBeenCalledWith('a');
+    expect(drag.isDragging.value).toBe(true);
+    expect(drag.ghost.value).toEqual({
+      label: 'A',
+      x: 10 + DRAG_THRESHOLD,
+      y: 200,
+    });
+    expect(drag.hoveredTarget.value).toBe('zone-1');
+  });
+
+  it('drops on the target under the pointer', () => {
+    press();
+    dispatchPointer('pointermove');
+    dispatchPointer('pointerup');
+
+    expect(callbacks.onDrop).toHaveBeenCalledWith('zone-1');
+    expect(callbacks.onEnd).toHaveBeenCalled();
+    expect(drag.ghost.value).toBeNull();
+    expect(drag.isDragging.value).toBe(false);
+  });
+
+  it('ends without dropping outside a target', () => {
+    document.elementFromPoint = vi.fn(() => document.body);
+    press();
+    dispatchPointer('pointermove');
+    dispatchPointer('pointerup');
+
+    expect(callbacks.onDrop).not.toHaveBeenCalled();
+    expect(callbacks.onEnd).toHaveBeenCalled();
+  });
+
+  it('cancels when the browser takes over the pointer', () => {
+    press();
+    dispatchPointer('pointermove');
+    dispatchPointer('pointercancel');
+    dispatchPointer('pointerup');
+
+    expect(callbacks.onDrop).not.toHaveBeenCalled();
+    expect(callbacks.onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores other pointers', () => {
+    press();
+    dispatchPointer('pointermove', { pointerId: 2 });
+
+    expect(callbacks.onStart).not.toHaveBeenCalled();
+  });
+
+  it('ignores secondary mouse buttons', () => {
+    press({ button: 2, pointerType: 'mouse' });
+    dispatchPointer('pointermove');
+
+    expect(callbacks.onStart).not.toHaveBeenCalled();
+  });
+
+  it('does not drag while disabled', () => {
+    drag = /** @type {import('./use_pointer_drag.js').PointerDragAPI} */ (
+      scope.run(() => usePointerDrag({
+        onDrop: callbacks.onDrop,
+        onEnd: callbacks.onEnd,
+        onStart: callbacks.onStart,
+        isDisabled: () => true,
+      }))
+    );
+
+    press();
+    dispatchPointer('pointermove');
+
+    expect(callbacks.onStart).not.toHaveBeenCalled();
+  });
+
+  it('swallows the click that follows a drag', () => {
+    const onClick = vi.fn();
+    target.addEventListener('click', onClick);
+
+    press();
+    dispatchPointer('pointermove');
+    dispatchPointer('pointerup');
+    target.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  describe('findDropTarget', () => {
+    it('finds the closest drop target', () => {
+      expect(findDropTarget(0, 0)).toBe('zone-1');
+    });
+
+    it('returns null away from drop targets', () => {
+      document.elementFromPoint = vi.fn(() => null);
+
+      expect(findDropTarget(0, 0)).toBeNull();
+    });
+  });
+
+  describe('getAutoScrollDelta', () => {
+    it('scrolls up near the top', () => {
+      expect(getAutoScrollDelta(0, 800)).toBeLessThan(0);
+    });
+
+    it('scrolls down near the bottom', () => {
+      expect(getAutoScrollDelta(799, 800)).toBeGreaterThan(0);
+    });
+
+    it('does not scroll away from the edges', () => {
+      expect(getAutoScrollDelta(AUTO_SCROLL_EDGE + 1, 800)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+// @ts-check
+
+import { watch } from 'vue';
+import { useActionStore } from '../stores/action_store';
+import { useAnswerStore } from '../stores/answer_store';
+import { mainStore } from '../stores/main_store';
+import { useProgressStore } from '../stores/progress_store';
+
+/**
+ * Saves the learner's progress whenever the current screen, current action,
+ * completed actions, quick check answers or video position change.
+ * @return {Function} Stops watching for progress changes
+ */
+export function useProgressPersistence() {
+  const actionStore = useActionStore();
+  const answerStore = useAnswerStore();
+  const progressStore = useProgressStore();
+  const store = mainStore();
+
+  return watch(
+    () => [
+      store.sequencer.currentScreen?.id,
+      actionStore.currentActionIndex,
+      actionStore.completedActions,
+      answerStore.answers,
+      progressStore.videoPosition,
+    ],
+    () => progressStore.save(),
+    { deep: true }
+  );
+}
\ No newline at end of file
@@ -0,0 +1,167 @@
+// @ts-check
+
+import { computed, ref, watch } from 'vue';
+import { scoreAnswer } from '../lib/answer_scoring.js';
+
+/**
+ * @typedef {import('../lib/answer_scoring.js').QuickCheck} QuickCheck
+ * @typedef {import('../lib/answer_scoring.js').ScoreResult} ScoreResult
+ */
+
+/**
+ * @typedef {'answering' | 'correct' | 'incorrect' | 'revealed'} QuestionStatus
+ */
+
+/**
+ * @typedef {Object} QuestionOptions
+ * @property {function(): unknown} getAnswer - Returns the learner's answer in
+ *   the form the question component emits it
+ * @property {function(): boolean} [isAnswerReady] - Whether the learner has
+ *   answered enough to check; always true when omitted
+ * @property {number} [maxAttempts] - Attempts allowed before the answer can
+ *   be shown; the quick check's max_attempts takes precedence
+ * @property {function(unknown, number): void} onComplete - Receives the
+ *   answer the learner last checked and how many checks it took when the
+ *   learner finishes the question
+ * @property {function(): void} [onRetry] - Clears whatever the learner should
+ *   redo before trying again
+ * @property {function(): void} [onShowAnswer] - Fills in the correct answer
+ *   when the learner asks to see it
+ * @property {function(): QuickCheck} question - Returns the quick check
+ */
+
+/**
+ * @typedef {Object} QuestionAPI
+ * @property {import('vue').Ref<number>} attempts - Answers checked so far
+ * @property {import('vue').ComputedRef<number>} attemptsLeft - Checks left
+ *   before the answer can be shown
+ * @property {import('vue').ComputedRef<boolean>} canCheck - Whether the
+ *   answer can be checked now
+ * @property {function(): void} check - Scores the answer and shows feedback;
+ *   questions without an answer key complete straight away
+ * @property {function(): void} complete - Hands the checked answer to
+ *   onComplete
+ * @property {import('vue').ComputedRef<boolean>} isLocked - Whether the
+ *   answer is checked and can no longer be changed
+ * @property {import('vue').Ref<ScoreResult|null>} result - Score of the most
+ *   recent check
+ * @property {function(): void} retry - Lets the learner answer again
+ * @property {function(): void} showAnswer - Reveals the correct answer after
+ *   the last attempt
+ * @property {import('vue').Ref<QuestionStatus>} status - Where the learner is
+ *   in the check, feedback and retry cycle
+ */
+
+export const DEFAULT_MAX_ATTEMPTS = 2;
+
+/**
+ * Manages the check, feedback, retry and show answer cycle shared by the
+ * question components
+ * @param {QuestionOptions} options - The question options
+ * @return {QuestionAPI}
+ */
+export function useQuestion(options) {
+  /** @type {import('vue').Ref<QuestionStatus>} */
+  const status = ref('answering');
+  const attempts = ref(0);
+  /** @type {import('vue').Ref<ScoreResult|null>} */
+  const result = ref(null);
+  /**
+   * The answer scored by the most recent check. Showing the answer fills in
+   * the answer key, so this is what the learner is scored on.
+   * @type {unknown}
+   */
+  let checkedAnswer = null;
+
+  const maxAttempts = computed(() => {
+    const content = /** @type {{max_attempts?: number|string}} */ (
+      options.question()?.quick_check_content || {}
+    );
+    return Math.max(
+      1,
+      Number(content.max_attempts) ||
+        options.maxAttempts ||
+        DEFAULT_MAX_ATTEMPTS
+    );
+  });
+
+  const attemptsLeft = computed(() =>
+    Math.max(0, maxAttempts.value - attempts.value)
+  );
+
+  const isLocked = computed(() => status.value !== 'answering');
+
+  const canCheck = computed(() =>
+    status.value === 'answering' &&
+    (!options.isAnswerReady || options.isAnswerReady())
+  );
+
+  /**
+   * Hands the checked answer and the number of checks to onComplete
+   */
+  const complete = () => {
+    options.onComplete(checkedAnswer, attempts.value);
+  };
+
+  /**
+   * Scores the answer and shows feedback
+   */
+  const check = () => {
+    if (!canCheck.value) {
+      return;
+    }
+
+    checkedAnswer = options.getAnswer();
+    attempts.value++;
+    const score = scoreAnswer(options.question(), checkedAnswer);
+    if (!score.isGraded) {
+      complete();
+      return;
+    }
+
+    result.value = score;
+    status.value = score.isCorrect ? 'correct' : 'incorrect';
+  };
+
+  /**
+   * Lets the learner answer again while attempts are left
+   */
+  const retry = () => {
+    if (status.value !== 'incorrect' || attemptsLeft.value === 0) {
+      return;
+    }
+    status.value = 'answering';
+    options.onRetry?.();
+  };
+
+  /**
+   * Reveals the correct answer once every attempt is used
+   */
+  const showAnswer = () => {
+    if (status.value !== 'incorrect' || attemptsLeft.value > 0) {
+      return;
+    }
+    status.value = 'revealed';
+    options.onShowAnswer?.();
+  };
+
+  watch(options.question, () => {
+    attempts.value = 0;
+    checkedAnswer = null;
+    result.value = null;
+    status.value = 'answering';
+  });
+
+  return {
+    attempts,
+    attemptsLeft,
+    canCheck,
+    check,
+    complete,
+    isLocked,
+    result,
+    retry,
+    showAnswer,
+    status,
+  };
+}
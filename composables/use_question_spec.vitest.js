@@ -0,0 +1,187 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { effectScope, nextTick, ref } from 'vue';
+import { DEFAULT_MAX_ATTEMPTS, useQuestion } from './use_question.js';
+
+describe('useQuestion', () => {
+  /** @type {import('vue').EffectScope} */
+  let scope;
+  /** @type {import('vue').Ref<number|null>} */
+  let choiceIndex;
+  /** @type {import('vue').Ref<Object>} */
+  let question;
+  /** @type {ReturnType<typeof vi.fn>} */
+  let onComplete;
+  /** @type {ReturnType<typeof vi.fn>} */
+  let onRetry;
+  /** @type {ReturnType<typeof vi.fn>} */
+  let onShowAnswer;
+
+  /**
+   * Runs the composable for the current question
+   * @return {import('./use_question.js').QuestionAPI}
+   */
+  const setUp = () => {
+    return /** @type {import('./use_question.js').QuestionAPI} */ (
+      scope.run(() => useQuestion({
+        getAnswer: () => ({ choiceIndex: choiceIndex.value }),
+        isAnswerReady: () => choiceIndex.value !== null,
+        onComplete,
+        onRetry,
+        onShowAnswer,
+        question: () => question.value,
+      }))
+    );
+  };
+
+  beforeEach(() => {
+    scope = effectScope();
+    choiceIndex = ref(null);
+    question = ref({
+      quick_check_content: {
+        choices: [{ correct: true, text: 'Yes' }, { text: 'No' }],
+      },
+      type: 'multiple_choice',
+    });
+    onComplete = vi.fn();
+    onRetry = vi.fn();
+    onShowAnswer = vi.fn();
+  });
+
+  afterEach(() => {
+    scope.stop();
+  });
+
+  it('waits for an answer before checking', () => {
+    const { canCheck, check, status } = setUp();
+
+    check();
+
+    expect(canCheck.value).toBe(false);
+    expect(status.value).toBe('answering');
+  });
+
+  it('shows correct feedback and completes on continue', () => {
+    const { check, complete, isLocked, status } = setUp();
+
+    choiceIndex.value = 1;
+    check();
+
+    expect(status.value).toBe('correct');
+    expect(isLocked.value).toBe(true);
+    expect(onComplete).not.toHaveBeenCalled();
+
+    complete();
+
+    expect(onComplete).toHaveBeenCalledWith({ choiceIndex: 1 }, 1);
+  });
+
+  it('lets the learner retry an incorrect answer', () => {
+    const { attemptsLeft, check, retry, status } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+
+    expect(status.value).toBe('incorrect');
+    expect(attemptsLeft.value).toBe(DEFAULT_MAX_ATTEMPTS - 1);
+
+    retry();
+
+    expect(status.value).toBe('answering');
+    expect(onRetry).toHaveBeenCalled();
+  });
+
+  it('shows the answer after the last attempt', () => {
+    const { attemptsLeft, check, retry, showAnswer, status } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+    retry();
+    check();
+    retry();
+
+    expect(attemptsLeft.value).toBe(0);
+    expect(status.value).toBe('incorrect');
+    expect(onRetry).toHaveBeenCalledTimes(1);
+
+    showAnswer();
+
+    expect(status.value).toBe('revealed');
+    expect(onShowAnswer).toHaveBeenCalled();
+  });
+
+  it('completes with the checked answer after showing the answer', () => {
+    onShowAnswer.mockImplementation(() => {
+      choiceIndex.value = 1;
+    });
+    const { check, complete, retry, showAnswer } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+    retry();
+    check();
+    showAnswer();
+    complete();
+
+    expect(choiceIndex.value).toBe(1);
+    expect(onComplete).toHaveBeenCalledWith({ choiceIndex: 2 }, 2);
+  });
+
+  it('completes with the number of checks', () => {
+    const { check, complete, retry } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+    retry();
+    choiceIndex.value = 1;
+    check();
+    complete();
+
+    expect(onComplete).toHaveBeenCalledWith({ choiceIndex: 1 }, 2);
+  });
+
+  it('does not show the answer while attempts are left', () => {
+    const { check, showAnswer, status } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+    showAnswer();
+
+    expect(status.value).toBe('incorrect');
+    expect(onShowAnswer).not.toHaveBeenCalled();
+  });
+
+  it('reads max_attempts from the quick check', () => {
+    question.value.quick_check_content.max_attempts = '3';
+    const { attemptsLeft } = setUp();
+
+    expect(attemptsLeft.value).toBe(3);
+  });
+
+  it('completes ungraded questions without feedback', () => {
+    question.value = {
+      quick_check_content: { choices: [{ text: 'Yes' }, { text: 'No' }] },
+      type: 'multiple_choice',
+    };
+    const { check, status } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+
+    expect(status.value).toBe('answering');
+    expect(onComplete).toHaveBeenCalledWith({ choiceIndex: 2 }, 1);
+  });
+
+  it('starts over when the question changes', async () => {
+    const { attempts, check, status } = setUp();
+
+    choiceIndex.value = 2;
+    check();
+    question.value = { ...question.value };
+    await nextTick();
+
+    expect(attempts.value).toBe(0);
+    expect(status.value).toBe('answering');
+  });
+});
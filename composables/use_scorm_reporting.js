@@ -0,0 +1,73 @@
+// @ts-check
+
+import { onScopeDispose, watch } from 'vue';
+import { ScormAdapter } from '../lib/scorm_adapter.js';
+import { useActionStore } from '../stores/action_store';
+import { useAnswerStore } from '../stores/answer_store';
+import { useDiagnosticStore } from '../stores/diagnostic_store';
+
+/**
+ * Reports the learner's progress to a SCORM LMS. Completion and the quick
+ * check score are reported when the last action completes, a pass and the
+ * diagnostic score when the diagnostic passes, and the current action and
+ * completed actions are written as suspend data as they change. Nothing is
+ * reported when no LMS API is found.
+ * @param {ScormAdapter} [adapter] - The adapter to report through
+ * @return {ScormAdapter} The adapter in use
+ */
+export function useScormReporting(adapter = new ScormAdapter()) {
+  if (!adapter.isAvailable || !adapter.initialize()) {
+    return adapter;
+  }
+
+  const actionStore = useActionStore();
+  const answerStore = useAnswerStore();
+  const diagnosticStore = useDiagnosticStore();
+
+  watch(
+    () => [actionStore.currentActionIndex, actionStore.completedActions],
+    () => {
+      adapter.setSuspendData(JSON.stringify({
+        completedActions: actionStore.completedActions,
+        currentActionIndex: actionStore.currentActionIndex,
+      }));
+    },
+    { deep: true }
+  );
+
+  watch(
+    () => actionStore.finalActionIndex !== -1 &&
+      actionStore.completedActions.includes(actionStore.finalActionIndex),
+    (isLastActionComplete) => {
+      if (!isLastActionComplete) {
+        return;
+      }
+      adapter.reportCompletion(answerStore.totalMaxScore > 0 ?
+        { maxScore: answerStore.totalMaxScore, score: answerStore.totalScore } :
+        {});
+    }
+  );
+
+  watch(
+    () => diagnosticStore.status,
+    (status) => {
+      if (status !== 'passed') {
+        return;
+      }
+      adapter.reportCompletion({
+        maxScore: diagnosticStore.items.length,
+        passed: true,
+        score: diagnosticStore.correctCount,
+      });
+    }
+  );
+
+  const terminate = () => adapter.terminate();
+  window.addEventListener('beforeunload', terminate);
+  onScopeDispose(() => {
+    window.removeEventListener('beforeunload', terminate);
+    terminate();
+  });
+
+  return adapter;
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { effectScope, nextTick } from 'vue';
+import { setActivePinia, createPinia } from 'pinia';
+import { ScormAdapter } from '../lib/scorm_adapter.js';
+import { useActionStore } from '../stores/action_store';
+import { useDiagnosticStore } from '../stores/diagnostic_store';
+import { useScormReporting } from './use_scorm_reporting.js';
+
+describe('useScormReporting', () => {
+  /** @type {Object<string, string>} */
+  let values;
+  /** @type {ScormAdapter} */
+  let adapter;
+  /** @type {import('vue').EffectScope} */
+  let scope;
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    values = {};
+    adapter = new ScormAdapter({
+      api: {
+        LMSCommit: vi.fn(() => 'true'),
+        LMSFinish: vi.fn(() => 'true'),
+        LMSGetValue: vi.fn((element) => values[element] || ''),
+        LMSInitialize: vi.fn(() => 'true'),
+        LMSSetValue: vi.fn((element, value) => {
+          values[element] = value;
+          return 'true';
+        }),
+      },
+      version: '1.2',
+    });
+
+    useActionStore().createActions({
+      diagnostic: {},
+      dl: '',
+      quick_checks: [{ quick_check_content: {}, type: 'multiple_choice' }],
+      reference: [{ dl: '', id: '1', title: 'Video', url: '' }],
+      sub_topic: '',
+      title: '',
+      topic: '',
+    });
+
+    scope = effectScope();
+    scope.run(() => useScormReporting(adapter));
+  });
+
+  afterEach(() => {
+    scope.stop();
+  });
+
+  it('writes suspend data when the action changes', async () => {
+    useActionStore().goToNextAction();
+    await nextTick();
+
+    expect(JSON.parse(values['cmi.suspend_data'])).toEqual({
+      completedActions: [],
+      currentActionIndex: 1,
+    });
+  });
+
+  it('reports completion when the last action completes', async () => {
+    useActionStore().markActionComplete(1);
+    await nextTick();
+
+    expect(values['cmi.core.lesson_status']).toBe('completed');
+  });
+
+  it('does not report completion for earlier actions', async () => {
+    useActionStore().markActionComplete(0);
+    await nextTick();
+
+    expect(values['cmi.core.lesson_status']).toBeUndefined();
+  });
+
+  it('reports a pass with the diagnostic score', async () => {
+    const diagnosticStore = useDiagnosticStore();
+    diagnosticStore.start({
+      failure_message: '',
+      items: [{ correct: 0, options: ['a', 'b'], question: 'Q1' }],
+      number_of_questions: '1',
+      threshold: '1',
+    });
+
+    diagnosticStore.answerCurrentItem({ choiceIndex: 1 });
+    await nextTick();
+
+    expect(values['cmi.core.lesson_status']).toBe('passed');
+    expect(values['cmi.core.score.raw']).toBe('1');
+  });
+
+  it('terminates the session when disposed', () => {
+    scope.stop();
+
+    expect(adapter.api?.LMSFinish).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,19 @@
+// @ts-check
+
+import { watch } from 'vue';
+import { mainStore } from '../stores/main_store';
+
+/**
+ * Re-evaluates the screen visibility rules whenever the activity state they
+ * depend on changes, such as the learner finishing the last action.
+ * @return {Function} Stops watching for state changes
+ */
+export function useScreenVisibility() {
+  const store = mainStore();
+
+  return watch(
+    () => store.screenVisibilityState,
+    () => store.sequencer.updateVisibleScreens(),
+    { deep: true }
+  );
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+// @ts-check
+
+import { onScopeDispose, ref } from 'vue';
+
+/**
+ * @typedef {Object} SpeechRecognitionOptions
+ * @property {string} [language] - BCP 47 language the learner is speaking
+ */
+
+/**
+ * @typedef {Object} SpeechRecognitionAPI
+ * @property {import('vue').Ref<string>} error - The last recognition error
+ *   code, or an empty string
+ * @property {import('vue').Ref<boolean>} isListening - Whether recognition
+ *   is running
+ * @property {boolean} isSupported - Whether the browser can recognize speech
+ * @property {function(): boolean} start - Starts listening
+ * @property {function(): void} stop - Stops listening; the transcript is
+ *   final once isListening turns false
+ * @property {import('vue').Ref<string>} transcript - What was heard
+ */
+
+/**
+ * @typedef {Object} RecognitionAlternative
+ * @property {string} transcript - The words heard
+ */
+
+/**
+ * @typedef {ArrayLike<RecognitionAlternative> & {isFinal: boolean}} RecognitionResult
+ */
+
+/**
+ * @typedef {Object} RecognitionResultEvent
+ * @property {number} resultIndex - Index of the first changed result
+ * @property {ArrayLike<RecognitionResult>} results - Every result so far
+ */
+
+/**
+ * @typedef {Object} RecognitionErrorEvent
+ * @property {string} error - The error code
+ */
+
+/**
+ * @typedef {Object} Recognition
+ * @property {function(): void} abort - Stops without delivering results
+ * @property {boolean} continuous - Whether to keep listening after a pause
+ * @property {boolean} interimResults - Whether to deliver unfinished results
+ * @property {string} lang - BCP 47 language to recognize
+ * @property {number} maxAlternatives - Alternatives delivered per result
+ * @property {(function(): void)|null} onend - Runs when recognition ends
+ * @property {(function(RecognitionErrorEvent): void)|null} onerror - Runs
+ *   when recognition fails
+ * @property {(function(RecognitionResultEvent): void)|null} onresult - Runs
+ *   when results arrive
+ * @property {function(): void} start - Starts listening
+ * @property {function(): void} stop - Stops listening and delivers results
+ */
+
+/**
+ * @typedef {new () => Recognition} RecognitionConstructor
+ */
+
+/**
+ * @typedef {Object} SpeechWindow
+ * @property {RecognitionConstructor} [SpeechRecognition] - The standard
+ *   constructor
+ * @property {RecognitionConstructor} [webkitSpeechRecognition] - The
+ *   prefixed constructor in Chrome and Safari
+ */
+
+/**
+ * Gets the browser's SpeechRecognition constructor
+ * @return {RecognitionConstructor|null} The constructor, or null when it is
+ *   unavailable
+ */
+function getSpeechRecognitionClass() {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const speechWindow = /** @type {SpeechWindow} */ (
+    /** @type {unknown} */ (window)
+  );
+  return speechWindow.SpeechRecognition ||
+    speechWindow.webkitSpeechRecognition ||
+    null;
+}
+
+/**
+ * Check if the browser can recognize speech
+ * @return {boolean} True if SpeechRecognition is available
+ */
+export function speechRecognitionIsSupported() {
+  return Boolean(getSpeechRecognitionClass());
+}
+
+/**
+ * Transcribes the learner's speech with the browser SpeechRecognition API
+ * @param {SpeechRecognitionOptions} [options] - Recognition options
+ * @return {SpeechRecognitionAPI} Recognition state and controls
+ */
+export function useSpeechRecognition({ language = 'en' } = {}) {
+  /** @type {import('vue').Ref<string>} */
+  const error = ref('');
+  /** @type {import('vue').Ref<boolean>} */
+  const isListening = ref(false);
+  /** @type {import('vue').Ref<string>} */
+  const transcript = ref('');
+  const isSupported = speechRecognitionIsSupported();
+
+  /** @type {Recognition|null} */
+  let recognition = null;
+
+  /**
+   * Starts listening, replacing the previous transcript
+   * @return {boolean} True if recognition started
+   */
+  const start = () => {
+    const SpeechRecognitionClass = getSpeechRecognitionClass();
+    if (!SpeechRecognitionClass || isListening.value) {
+      return false;
+    }
+
+    /** @type {Array<string>} */
+    const finalResults = [];
+    recognition = new SpeechRecognitionClass();
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.lang = language;
+    recognition.maxAlternatives = 1;
+    recognition.onresult = (event) => {
+      const { resultIndex, results } = event;
+      for (let index = resultIndex; index < results.length; index++) {
+        const result = results[index];
+        if (result.isFinal) {
+          finalResults.push(result[0].transcript.trim());
+        }
+      }
+      transcript.value = finalResults.join(' ');
+    };
+    recognition.onerror = (event) => {
+      error.value = event.error || 'unknown';
+    };
+    recognition.onend = () => {
+      isListening.value = false;
+      recognition = null;
+    };
+
+    error.value = '';
+    transcript.value = '';
+    try {
+      recognition.start();
+      isListening.value = true;
+      return true;
+    } catch (startError) {
+      console.warn('Speech recognition failed to start:', startError);
+      error.value = 'start-failed';
+      recognition = null;
+      return false;
+    }
+  };
+
+  /**
+   * Stops listening and lets the recognizer deliver its final results
+   */
+  const stop = () => {
+    if (recognition) {
+      recognition.stop();
+    }
+  };
+
+  onScopeDispose(() => {
+    if (recognition) {
+      recognition.onend = null;
+      recognition.onresult = null;
+      recognition.abort();
+      recognition = null;
+    }
+  });
+
+  return {
+    error,
+    isListening,
+    isSupported,
+    start,
+    stop,
+    transcript,
+  };
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { effectScope } from 'vue';
+import { useSpeechRecognition } from './use_speech_recognition.js';
+
+/**
+ * Minimal SpeechRecognition that lets tests deliver results
+ */
+class MockSpeechRecognition {
+  /** @type {Array<MockSpeechRecognition>} */
+  static instances = [];
+
+  constructor() {
+    this.lang = '';
+    /** @type {Function|null} */
+    this.onend = null;
+    /** @type {Function|null} */
+    this.onerror = null;
+    /** @type {Function|null} */
+    this.onresult = null;
+    this.abort = vi.fn();
+    this.start = vi.fn();
+    MockSpeechRecognition.instances.push(this);
+  }
+
+  stop() {
+    this.onend?.();
+  }
+
+  /**
+   * Delivers a final result
+   * @param {string} text - The recognized text
+   */
+  hear(text) {
+    const result = Object.assign([{ transcript: text }], { isFinal: true });
+    this.onresult?.({ resultIndex: 0, results: [result] });
+  }
+}
+
+describe('useSpeechRecognition', () => {
+  /** @type {import('vue').EffectScope} */
+  let scope;
+
+  /**
+   * Creates the recognizer inside an effect scope
+   * @param {import('./use_speech_recognition.js').SpeechRecognitionOptions}
+   *   [options]
+   * @return {import('./use_speech_recognition.js').SpeechRecognitionAPI}
+   */
+  const createRecognizer = (options) => {
+    scope = effectScope();
+    return /** @type {any} */ (scope.run(() => useSpeechRecognition(options)));
+  };
+
+  beforeEach(() => {
+    MockSpeechRecognition.instances = [];
+    vi.stubGlobal('SpeechRecognition', undefined);
+    vi.stubGlobal('webkitSpeechRecognition', MockSpeechRecognition);
+  });
+
+  afterEach(() => {
+    scope?.stop();
+    vi.unstubAllGlobals();
+  });
+
+  it('is unsupported without SpeechRecognition', () => {
+    vi.stubGlobal('webkitSpeechRecognition', undefined);
+
+    const recognizer = createRecognizer();
+
+    expect(recognizer.isSupported).toBe(false);
+    expect(recognizer.start()).toBe(false);
+  });
+
+  it('listens in the requested language', () => {
+    const recognizer = createRecognizer({ language: 'es' });
+
+    recognizer.start();
+
+    const [recognition] = MockSpeechRecognition.instances;
+    expect(recognition.lang).toBe('es');
+    expect(recognition.start).toHaveBeenCalled();
+    expect(recognizer.isListening.value).toBe(true);
+  });
+
+  it('collects the final transcript until stopped', () => {
+    const recognizer = createRecognizer();
+    recognizer.start();
+    const [recognition] = MockSpeechRecognition.instances;
+
+    recognition.hear('buenos');
+    recognition.hear('días');
+    recognizer.stop();
+
+    expect(recognizer.transcript.value).toBe('buenos días');
+    expect(recognizer.isListening.value).toBe(false);
+  });
+
+  it('records recognition errors', () => {
+    const recognizer = createRecognizer();
+    recognizer.start();
+
+    MockSpeechRecognition.instances[0].onerror?.({ error: 'not-allowed' });
+
+    expect(recognizer.error.value).toBe('not-allowed');
+  });
+
+  it('aborts recognition when disposed', () => {
+    const recognizer = createRecognizer();
+    recognizer.start();
+
+    scope.stop();
+
+    expect(MockSpeechRecognition.instances[0].abort).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
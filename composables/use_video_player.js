@@ -4,6 +4,7 @@ import { ref } from 'vue';
 import { useActionStore } from '../stores/action_store';
 import { useActivitySettingsStore } from '../stores/activity_settings_store';
 import { useDLStore } from '../stores/direction_line_store';
+import { findReachedCuePoint } from '../lib/cue_points.js';
 import { attachVideo } from './use_attach_video';
 
 // Global videojs variable declaration
@@ -17,6 +18,7 @@ import { attachVideo } from './use_attach_video';
  * @property {Function} [pause] - Optional pause method
  * @property {Function} [play] - Optional play method that returns a Promise
  * @property {Function} [controlBar] - Control bar access method
+ * @property {Function} [currentTime] - Playback position getter and setter
  * @property {Function} [playbackRate] - Playback rate method
  * @property {Function} [requestFullscreen] - Fullscreen request method
  * @property {Function} [exitFullscreen] - Fullscreen exit method
@@ -43,11 +45,18 @@ import { attachVideo } from './use_attach_video';
  * @property {VideoJSPlayer} videojs_player - VideoJS player instance
  */
 
+/**
+ * @typedef {import('../lib/cue_points.js').CuePoint} CuePoint
+ */
+
 /**
  * @typedef {Object} VideoPlayerAPI
+ * @property {import('vue').Ref<CuePoint|null>} activeCuePoint - Quick check
+ *   the video is paused for
  * @property {Function} cleanupVideoPlayer - Clean up video player resources
  * @property {Function} initializeVideoPlayer - Initialize the video player
  * @property {import('vue').Ref<boolean>} isPlaying - Current playing state
+ * @property {Function} resumeFromCuePoint - Close the cue point and play on
  * @property {import('vue').Ref<Object|null>} videoPlayer - Video player instance
  */
 
@@ -57,13 +66,26 @@ import { attachVideo } from './use_attach_video';
  *
  * @param {import('vue').Ref<HTMLElement|null>} videoContainer - The video container ref
  * @param {Function} onEnded - Callback function when video ends
+ * @param {Function} [onTimeUpdate] - Callback receiving the playback position
+ * @param {function(CuePoint): boolean} [isCuePointAnswered] - Cue points it
+ *   returns true for are not shown again
  * @return {Object} Video player API object
  */
-export function useVideoPlayer(videoContainer, onEnded) {
+export function useVideoPlayer(
+  videoContainer,
+  onEnded,
+  onTimeUpdate,
+  isCuePointAnswered
+) {
   /** @type {import('vue').Ref<VHLVideoFile|null>} */
   const videoPlayer = ref(null);
   /** @type {import('vue').Ref<boolean>} */
   const isPlaying = ref(false);
+  /** @type {import('vue').Ref<CuePoint|null>} */
+  const activeCuePoint = ref(null);
+
+  /** @type {Array<CuePoint>} */
+  let pendingCuePoints = [];
 
   /**
    * Configures VideoJS control bar with fullscreen and playback rate controls
@@ -185,6 +207,46 @@ export function useVideoPlayer(videoContainer, onEnded) {
       videoPlayer.value = null;
       isPlaying.value = false;
     }
+    activeCuePoint.value = null;
+    pendingCuePoints = [];
+  };
+
+  /**
+   * Pauses the video at a cue point so its quick check can be shown
+   * @param {VideoJSPlayer} player - The VideoJS player instance
+   * @param {CuePoint} cuePoint - The cue point that was reached
+   */
+  const openCuePoint = (player, cuePoint) => {
+    pendingCuePoints = pendingCuePoints.filter(
+      (pending) => pending !== cuePoint
+    );
+    activeCuePoint.value = cuePoint;
+
+    if (typeof player.pause === 'function') {
+      player.pause();
+    }
+    if (typeof player.isFullscreen === 'function' && player.isFullscreen() &&
+        typeof player.exitFullscreen === 'function') {
+      player.exitFullscreen();
+    }
+  };
+
+  /**
+   * Closes the active cue point and continues playback
+   * @return {void}
+   */
+  const resumeFromCuePoint = () => {
+    activeCuePoint.value = null;
+
+    const player = videoPlayer.value?.videojs_player;
+    if (!player || typeof player.play !== 'function') return;
+
+    const playResult = player.play();
+    if (playResult && typeof playResult.catch === 'function') {
+      playResult.catch((/** @type {Error} */ error) => {
+        console.warn('Failed to resume video after quick check:', error);
+      });
+    }
   };
 
   /**
@@ -204,6 +266,12 @@ export function useVideoPlayer(videoContainer, onEnded) {
         return;
       }
 
+      activeCuePoint.value = null;
+      pendingCuePoints = (currentAction.cuePoints || []).filter(
+        (cuePoint) => typeof isCuePointAnswered !== 'function' ||
+          !isCuePointAnswered(cuePoint)
+      );
+
       const actionIndex = actionStore.currentActionIndex + 1;
       const selector = `.js-interactive-video-v2-segment-${actionIndex}-video`;
 
@@ -242,11 +310,31 @@ export function useVideoPlayer(videoContainer, onEnded) {
         }
       });
 
+      player.on('timeupdate', () => {
+        if (typeof player.currentTime !== 'function') return;
+
+        const seconds = player.currentTime();
+        if (typeof onTimeUpdate === 'function') {
+          onTimeUpdate(seconds);
+        }
+
+        const cuePoint = activeCuePoint.value ?
+          null :
+          findReachedCuePoint(pendingCuePoints, seconds);
+        if (cuePoint) {
+          openCuePoint(player, cuePoint);
+        }
+      });
+
       player.on('pause', () => {
         isPlaying.value = false;
       });
 
       player.on('play', () => {
+        if (activeCuePoint.value && typeof player.pause === 'function') {
+          player.pause();
+          return;
+        }
         isPlaying.value = true;
       });
 
@@ -265,9 +353,11 @@ export function useVideoPlayer(videoContainer, onEnded) {
   };
 
   return {
+    activeCuePoint,
     cleanupVideoPlayer,
     initializeVideoPlayer,
     isPlaying,
+    resumeFromCuePoint,
     videoPlayer,
   };
 }
\ No newline at end of file
@@ -1371,4 +1371,123 @@ describe('useVideoPlayer', () => {
       consoleSpy.mockRestore();
     });
   });
+
+  describe('cue points', () => {
+    const cuePoint = {
+      id: 'cue-0',
+      quickCheck: { quick_check_content: {}, type: 'multiple_choice' },
+      time: 30,
+    };
+
+    /** @type {Object<string, Function>} */
+    let listeners;
+    /** @type {any} */
+    let player;
+
+    beforeEach(async () => {
+      const { useActionStore } = await import('../stores/action_store');
+      const { attachVideo } = await import('./use_attach_video');
+
+      useActionStore.mockReturnValue({
+        currentAction: { cuePoints: [cuePoint], type: 'video' },
+        currentActionIndex: 0,
+      });
+
+      listeners = {};
+      player = {
+        currentTime: vi.fn(() => 0),
+        el_: {},
+        on: vi.fn((event, callback) => {
+          listeners[event] = callback;
+        }),
+        pause: vi.fn(),
+        play: vi.fn(() => Promise.resolve()),
+      };
+      attachVideo.mockReturnValue({
+        show_controls: false,
+        video: {},
+        videojs_player: player,
+      });
+    });
+
+    it('pauses when playback reaches a cue point', () => {
+      const result = /** @type {any} */ (
+        useVideoPlayer(videoContainer, onEndedCallback)
+      );
+      result.initializeVideoPlayer();
+
+      player.currentTime.mockReturnValue(30.2);
+      listeners.timeupdate();
+
+      expect(player.pause).toHaveBeenCalled();
+      expect(result.activeCuePoint.value).toEqual(cuePoint);
+    });
+
+    it('waits until the cue point time', () => {
+      const result = /** @type {any} */ (
+        useVideoPlayer(videoContainer, onEndedCallback)
+      );
+      result.initializeVideoPlayer();
+
+      player.currentTime.mockReturnValue(29);
+      listeners.timeupdate();
+
+      expect(player.pause).not.toHaveBeenCalled();
+      expect(result.activeCuePoint.value).toBeNull();
+    });
+
+    it('resumes playback once the quick check is done', () => {
+      const result = /** @type {any} */ (
+        useVideoPlayer(videoContainer, onEndedCallback)
+      );
+      result.initializeVideoPlayer();
+      player.currentTime.mockReturnValue(30);
+      listeners.timeupdate();
+
+      result.resumeFromCuePoint();
+
+      expect(result.activeCuePoint.value).toBeNull();
+      expect(player.play).toHaveBeenCalled();
+    });
+
+    it('shows each cue point once', () => {
+      const result = /** @type {any} */ (
+        useVideoPlayer(videoContainer, onEndedCallback)
+      );
+      result.initializeVideoPlayer();
+      player.currentTime.mockReturnValue(30);
+      listeners.timeupdate();
+      result.resumeFromCuePoint();
+
+      listeners.timeupdate();
+
+      expect(player.pause).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the video paused while the quick check is open', () => {
+      const result = /** @type {any} */ (
+        useVideoPlayer(videoContainer, onEndedCallback)
+      );
+      result.initializeVideoPlayer();
+      player.currentTime.mockReturnValue(30);
+      listeners.timeupdate();
+
+      listeners.play();
+
+      expect(player.pause).toHaveBeenCalledTimes(2);
+      expect(result.isPlaying.value).toBe(false);
+    });
+
+    it('skips cue points that were already answered', () => {
+      const result = /** @type {any} */ (
+        useVideoPlayer(videoContainer, onEndedCallback, undefined, () => true)
+      );
+      result.initializeVideoPlayer();
+
+      player.currentTime.mockReturnValue(45);
+      listeners.timeupdate();
+
+      expect(result.activeCuePoint.value).toBeNull();
+    });
+  });
 });
\ No newline at end of file
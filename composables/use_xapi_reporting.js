@@ -0,0 +1,59 @@
+// @ts-check
+
+import { onScopeDispose, watch } from 'vue';
+import { useActionStore } from '../stores/action_store';
+import { useDiagnosticStore } from '../stores/diagnostic_store';
+import { mainStore } from '../stores/main_store';
+import { useXapiStore } from '../stores/xapi_store';
+
+/**
+ * Sends the activity-level xAPI statements: launched when the first screen
+ * is shown, completed when the last action completes, and passed or failed
+ * when the diagnostic is scored. Queued statements are flushed again when
+ * the browser comes back online.
+ */
+export function useXapiReporting() {
+  const actionStore = useActionStore();
+  const diagnosticStore = useDiagnosticStore();
+  const store = mainStore();
+  const xapiStore = useXapiStore();
+
+  watch(
+    () => store.sequencer.currentScreen?.id,
+    (screenId) => {
+      if (screenId) {
+        xapiStore.trackLaunched();
+      }
+    },
+    { immediate: true }
+  );
+
+  watch(
+    () => actionStore.finalActionIndex !== -1 &&
+      actionStore.completedActions.includes(actionStore.finalActionIndex),
+    (isLastActionComplete) => {
+      if (isLastActionComplete) {
+        xapiStore.trackCompleted();
+      }
+    }
+  );
+
+  watch(
+    () => diagnosticStore.status,
+    (status) => {
+      if (status === 'passed' || status === 'failed') {
+        xapiStore.trackDiagnosticResult(
+          status === 'passed',
+          diagnosticStore.correctCount,
+          diagnosticStore.items.length
+        );
+      }
+    }
+  );
+
+  const flush = () => xapiStore.flush();
+  window.addEventListener('online', flush);
+  onScopeDispose(() => {
+    window.removeEventListener('online', flush);
+  });
+}
\ No newline at end of file
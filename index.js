@@ -5,6 +5,9 @@ import { createApp } from 'vue';
 import { createPinia } from 'pinia';
 import InteractiveVideoApp from './views/InteractiveVideoApp.vue';
 
+export { questionTypeRegistry } from './lib/question_type_registry.js';
+export { screenRegistry } from './lib/screen_registry.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   const el = document.getElementById('interactive_video_v2');
   if (el) {
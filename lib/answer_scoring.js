@@ -0,0 +1,535 @@
+// @ts-check
+
+import { compareDictation } from './dictation_scoring.js';
+import { findRegionAt } from './hotspot_regions.js';
+import { DEFAULT_PASS_SCORE } from './pronunciation_scoring.js';
+import { questionTypeRegistry } from './question_type_registry.js';
+import { getQuickCheckItems } from './quick_check_items.js';
+import { gradeResponse } from './text_grading.js';
+
+/**
+ * @typedef {Object} ScoreResult
+ * @property {boolean} isCorrect - Whether the answer earned full credit
+ * @property {boolean} isGraded - Whether the question has an answer key
+ * @property {Array<ScoreResult>} [items] - Result for each item of a quick
+ *   check that asks several questions
+ * @property {number} maxScore - Highest score the question can award
+ * @property {number} score - Score earned by the answer
+ */
+
+/**
+ * @typedef {Object} Choice
+ * @property {string} [alt] - Describes the image or audio of the choice
+ * @property {string} [audio_path] - Audio clip the learner plays
+ * @property {boolean} [correct] - Whether this choice is a correct answer
+ * @property {string} [image_path] - Image shown for the choice
+ * @property {string} [text] - The choice text (may contain HTML)
+ */
+
+/**
+ * @typedef {Object} MultipleChoiceContent
+ * @property {Array<Choice>} [choices]
+ * @property {boolean} [multi_select] - Whether the learner selects all the
+ *   choices that apply
+ * @property {boolean} [shuffle_choices] - Whether each learner sees the
+ *   choices in their own order; defaults to true
+ */
+
+/**
+ * @typedef {Object} MultipleChoiceAnswer
+ * @property {number} [choiceIndex] - The selected choice (1-based)
+ * @property {Array<number>} [choiceIndexes] - The selected choices of a
+ *   multi-select question (1-based)
+ */
+
+/**
+ * @typedef {import('./text_grading.js').GradingTolerance} GradingTolerance
+ * @typedef {import('./text_grading.js').ResponseGrade} ResponseGrade
+ */
+
+/**
+ * @typedef {Object} Blank
+ * @property {string|Array<string>} [answer] - Accepted answer(s)
+ * @property {string} [placeholder]
+ * @property {GradingTolerance} [tolerance] - Overrides the quick check's
+ *   tolerance for this blank
+ */
+
+/**
+ * @typedef {Object} FillInTheBlanksContent
+ * @property {Array<Blank>} [blanks]
+ * @property {GradingTolerance} [tolerance] - Differences accepted in every
+ *   blank
+ */
+
+/**
+ * @typedef {Object} Word
+ * @property {string} content - The text content of the word
+ * @property {boolean} [correct] - Whether this word belongs in the drop zone
+ */
+
+/**
+ * @typedef {Object} DragAndDropItem
+ * @property {string} [answer] - The expected dropped word
+ * @property {Array<string|Array<string>>} [answers] - Accepted word(s) for
+ *   each drop zone, in order
+ * @property {Array<Word>} [words]
+ */
+
+/**
+ * @typedef {Object} DragAndDropContent
+ * @property {Array<DragAndDropItem>} [items]
+ */
+
+/**
+ * @typedef {Object} DictationContent
+ * @property {boolean} [allow_slow_playback] - Whether the learner can play
+ *   the clip slowly; defaults to true
+ * @property {string} [audio_path] - The clip; spoken with TTS when missing
+ * @property {string} [language] - Language code of the clip
+ * @property {number|string} [max_replays] - Times the clip can be played
+ *   again after the first play; unlimited when missing
+ * @property {string} [text] - What the clip says
+ */
+
+/**
+ * @typedef {Object} HotspotContent
+ * @property {Array<import('./hotspot_regions.js').HotspotRegion>} [regions] -
+ *   Regions of the paused frame; clicking one marked correct is correct
+ */
+
+/**
+ * @typedef {Object} MatchingPair
+ * @property {string} [alt] - Describes the image, and names the match when
+ *   there is no text
+ * @property {string} [image_path] - Image shown as the match, which names
+ *   the match when there is neither text nor alt text
+ * @property {string} [match] - Text that matches the term, such as its
+ *   translation
+ * @property {string} term - The word or phrase to match
+ */
+
+/**
+ * @typedef {Object} MatchingContent
+ * @property {Array<MatchingPair>} [pairs]
+ */
+
+/**
+ * @typedef {Object} OrderingContent
+ * @property {Array<string>} [sequence] - Steps in the correct order
+ */
+
+/**
+ * @typedef {Object} TrueFalseContent
+ * @property {boolean|string} [answer] - Whether the statement is true
+ * @property {string} [justification_prompt] - Asks the learner to explain
+ *   their answer
+ * @property {boolean} [require_justification] - Whether an explanation is
+ *   needed before checking; defaults to true
+ */
+
+/**
+ * @typedef {Object} TrueFalseAnswer
+ * @property {string} [justification] - The learner's explanation
+ * @property {boolean|null} [value] - The learner's verdict
+ */
+
+/**
+ * @typedef {Object} PronunciationContent
+ * @property {number|string} [pass_score] - Lowest score that counts as correct
+ */
+
+/**
+ * @typedef {Object} PronunciationAnswer
+ * @property {number|null} [score] - Speech recognition score from 0 to 100
+ */
+
+/**
+ * @typedef {Object} QuickCheck
+ * @property {Object} [quick_check_content]
+ * @property {string} type
+ */
+
+/**
+ * @typedef {function(Object, unknown): ScoreResult} Scorer
+ * @typedef {import('./question_type_registry.js').QuestionTypeRegistry} QuestionTypeRegistry
+ */
+
+/**
+ * Builds a score result from earned and possible points
+ * @param {number} score - Points earned
+ * @param {number} maxScore - Points possible
+ * @return {ScoreResult} The score result
+ */
+export function createScoreResult(score, maxScore) {
+  return {
+    isCorrect: maxScore > 0 && score === maxScore,
+    isGraded: maxScore > 0,
+    maxScore,
+    score,
+  };
+}
+
+/**
+ * Result for questions that have no answer key. They count as complete
+ * without affecting the learner's score.
+ * @return {ScoreResult} An ungraded result
+ */
+export function createUngradedResult() {
+  return {
+    isCorrect: true,
+    isGraded: false,
+    maxScore: 0,
+    score: 0,
+  };
+}
+
+/**
+ * Normalizes learner and expected text for comparison
+ * @param {unknown} text - The text to normalize
+ * @return {string} Trimmed, lowercased text with collapsed whitespace
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Checks whether a response matches any of the accepted answers
+ * @param {unknown} response - The learner's response
+ * @param {string|Array<string>} accepted - Accepted answer(s)
+ * @return {boolean} True if the response matches
+ */
+function responseMatches(response, accepted) {
+  const acceptedAnswers = Array.isArray(accepted) ? accepted : [accepted];
+  const normalizedResponse = normalizeText(response);
+  return acceptedAnswers.some(
+    (answer) => normalizeText(answer) === normalizedResponse
+  );
+}
+
+/**
+ * Scores a multiple choice answer against the choices flagged as correct.
+ * Multi-select answers earn a point per correct choice selected, less a
+ * point per incorrect one.
+ * @param {MultipleChoiceContent} content - The quick check content
+ * @param {unknown} answer - The emitted answer
+ * @return {ScoreResult} The score result
+ */
+export function scoreMultipleChoice(content, answer) {
+  const choices = content.choices || [];
+  const correctCount = choices.filter((choice) => choice.correct).length;
+  if (correctCount === 0) {
+    return createUngradedResult();
+  }
+
+  const { choiceIndex, choiceIndexes } =
+    /** @type {MultipleChoiceAnswer} */ (answer || {});
+  if (Array.isArray(choiceIndexes)) {
+    const selectedChoices = [...new Set(choiceIndexes)]
+      .map((index) => choices[Number(index) - 1])
+      .filter(Boolean);
+    const correctSelected = selectedChoices
+      .filter((choice) => choice.correct).length;
+    const incorrectSelected = selectedChoices.length - correctSelected;
+    return createScoreResult(
+      Math.max(0, correctSelected - incorrectSelected),
+      correctCount
+    );
+  }
+
+  const selectedChoice = choices[Number(choiceIndex) - 1];
+  return createScoreResult(selectedChoice?.correct ? 1 : 0, 1);
+}
+
+/**
+ * Grades each fill-in-the-blanks response with the blank's tolerance
+ * @param {FillInTheBlanksContent} content - The quick check content
+ * @param {unknown} answer - The emitted array of blank responses
+ * @return {Array<ResponseGrade|null>} The grade for each blank, or null for
+ *   blanks without an answer
+ */
+export function gradeFillInTheBlanks(content, answer) {
+  const responses = Array.isArray(answer) ? answer : [];
+  return (content.blanks || []).map((blank, index) => {
+    if (blank.answer === undefined) {
+      return null;
+    }
+    return gradeResponse(
+      responses[index],
+      blank.answer,
+      { ...content.tolerance, ...blank.tolerance }
+    );
+  });
+}
+
+/**
+ * Scores fill-in-the-blanks answers, awarding one point per correct blank
+ * @param {FillInTheBlanksContent} content - The quick check content
+ * @param {unknown} answer - The emitted array of blank responses
+ * @return {ScoreResult} The score result
+ */
+export function scoreFillInTheBlanks(content, answer) {
+  const grades = gradeFillInTheBlanks(content, answer)
+    .filter((grade) => grade !== null);
+  if (grades.length === 0) {
+    return createUngradedResult();
+  }
+
+  const score = grades.filter((grade) => grade?.isCorrect).length;
+  return createScoreResult(score, grades.length);
+}
+
+/**
+ * Gets the accepted answers for a drag and drop item
+ * @param {DragAndDropItem} item - The drag and drop item
+ * @return {Array<string>} Accepted words
+ */
+function getDragAndDropAnswers(item) {
+  if (item.answer) {
+    return [item.answer];
+  }
+  return (item.words || [])
+    .filter((word) => word.correct)
+    .map((word) => word.content);
+}
+
+/**
+ * Scores a drag and drop answer. Items with an answer for each drop zone
+ * award one point per zone; other items expect a single word.
+ * @param {DragAndDropContent} content - The quick check content
+ * @param {unknown} answer - The emitted array of dropped words, in zone order
+ * @return {ScoreResult} The score result
+ */
+export function scoreDragAndDrop(content, answer) {
+  const item = content.items?.[0];
+  if (item?.answers?.length) {
+    const droppedWords = Array.isArray(answer) ? answer : [];
+    const score = item.answers.filter((accepted, index) =>
+      responseMatches(droppedWords[index], accepted)
+    ).length;
+    return createScoreResult(score, item.answers.length);
+  }
+
+  const acceptedAnswers = item ? getDragAndDropAnswers(item) : [];
+  if (acceptedAnswers.length === 0) {
+    return createUngradedResult();
+  }
+
+  const droppedWord = Array.isArray(answer) ? answer[0] : undefined;
+  return createScoreResult(
+    responseMatches(droppedWord, acceptedAnswers) ? 1 : 0,
+    1
+  );
+}
+
+/**
+ * Scores a dictation, awarding one point per word written correctly less a
+ * point per extra word
+ * @param {DictationContent} content - The quick check content
+ * @param {unknown} answer - The emitted text the learner typed
+ * @return {ScoreResult} The score result
+ */
+export function scoreDictation(content, answer) {
+  const comparison = compareDictation(
+    content.text || '',
+    typeof answer === 'string' ? answer : ''
+  );
+  const maxScore = comparison.words
+    .filter((word) => word.status !== 'extra').length;
+  if (maxScore === 0) {
+    return createUngradedResult();
+  }
+
+  return createScoreResult(
+    Math.max(0, comparison.correctCount - comparison.extraCount),
+    maxScore
+  );
+}
+
+/**
+ * Scores a click on the paused video frame by the region it landed in
+ * @param {HotspotContent} content - The quick check content
+ * @param {unknown} answer - The emitted point the learner clicked
+ * @return {ScoreResult} The score result
+ */
+export function scoreHotspot(content, answer) {
+  const regions = content.regions || [];
+  if (!regions.some((region) => region.correct)) {
+    return createUngradedResult();
+  }
+
+  const point = /** @type {import('./hotspot_regions.js').HotspotPoint} */ (
+    answer
+  );
+  const isInCorrectRegion = Number.isFinite(point?.x) &&
+    Number.isFinite(point?.y) &&
+    Boolean(findRegionAt(regions, point)?.correct);
+  return createScoreResult(isInCorrectRegion ? 1 : 0, 1);
+}
+
+/**
+ * Names the match of a matching pair, which is its text or, for images,
+ * the alt text. An image without alt text is named by its path, so that
+ * two such images are never taken for the same match.
+ * @param {MatchingPair} pair - The matching pair
+ * @return {string} The match label
+ */
+export function getMatchLabel(pair) {
+  return pair.match || pair.alt || pair.image_path || '';
+}
+
+/**
+ * Scores a matching answer, awarding one point per term paired with its
+ * own match
+ * @param {MatchingContent} content - The quick check content
+ * @param {unknown} answer - The emitted array of match labels, in term order
+ * @return {ScoreResult} The score result
+ */
+export function scoreMatching(content, answer) {
+  const pairs = content.pairs || [];
+  if (pairs.length === 0) {
+    return createUngradedResult();
+  }
+
+  const matches = Array.isArray(answer) ? answer : [];
+  const score = pairs.filter((pair, index) =>
+    responseMatches(matches[index], getMatchLabel(pair))
+  ).length;
+  return createScoreResult(score, pairs.length);
+}
+
+/**
+ * Scores an ordering answer, awarding one point per step in its place
+ * @param {OrderingContent} content - The quick check content
+ * @param {unknown} answer - The emitted array of steps, in the learner's
+ *   order
+ * @return {ScoreResult} The score result
+ */
+export function scoreOrdering(content, answer) {
+  const sequence = content.sequence || [];
+  if (sequence.length === 0) {
+    return createUngradedResult();
+  }
+
+  const steps = Array.isArray(answer) ? answer : [];
+  const score = sequence.filter((step, index) =>
+    responseMatches(steps[index], step)
+  ).length;
+  return createScoreResult(score, sequence.length);
+}
+
+/**
+ * Scores a true/false verdict. The justification is kept with the answer
+ * but not graded.
+ * @param {TrueFalseContent} content - The quick check content
+ * @param {unknown} answer - The emitted verdict and justification
+ * @return {ScoreResult} The score result
+ */
+export function scoreTrueFalse(content, answer) {
+  if (content.answer === undefined || content.answer === '') {
+    return createUngradedResult();
+  }
+
+  const expected = String(content.answer).toLowerCase() === 'true';
+  const value = /** @type {TrueFalseAnswer|null} */ (answer)?.value;
+  return createScoreResult(value === expected ? 1 : 0, 1);
+}
+
+/**
+ * Scores a pronunciation attempt by its speech recognition score. Attempts
+ * that could not be recognized are ungraded.
+ * @param {PronunciationContent} content - The quick check content
+ * @param {unknown} answer - The emitted pronunciation result
+ * @return {ScoreResult} The score result
+ */
+export function scorePronunciation(content, answer) {
+  const score = /** @type {PronunciationAnswer|null} */ (answer)?.score;
+  if (typeof score !== 'number') {
+    return createUngradedResult();
+  }
+
+  const passScore = Number(content.pass_score) || DEFAULT_PASS_SCORE;
+  return createScoreResult(score >= passScore ? 1 : 0, 1);
+}
+
+/**
+ * Add a built-in scorer, keeping whatever the host already registered for
+ * that type
+ * @param {QuestionTypeRegistry} registry - The registry to add the scorer to
+ * @param {string} type - The quick check type
+ * @param {Scorer} score - The built-in scorer
+ */
+function registerDefaultScorer(registry, type, score) {
+  registry.register({ score, type, ...registry.get(type) });
+}
+
+/**
+ * Add the scorers of the question types every activity supports to a
+ * registry. Host scorers for the same types win.
+ * @param {QuestionTypeRegistry} registry - The registry to add the scorers to
+ */
+export function registerDefaultScorers(registry) {
+  registerDefaultScorer(registry, 'dictation', scoreDictation);
+  registerDefaultScorer(registry, 'fill_in_the_blanks', scoreFillInTheBlanks);
+  registerDefaultScorer(registry, 'matching', scoreMatching);
+  registerDefaultScorer(registry, 'multiple_choice', scoreMultipleChoice);
+  registerDefaultScorer(registry, 'ordering', scoreOrdering);
+  registerDefaultScorer(registry, 'pronunciation', scorePronunciation);
+  registerDefaultScorer(
+    registry,
+    'quick_check_drag_and_drop',
+    scoreDragAndDrop
+  );
+  registerDefaultScorer(registry, 'true_false', scoreTrueFalse);
+  registerDefaultScorer(registry, 'video_hotspot', scoreHotspot);
+}
+
+registerDefaultScorers(questionTypeRegistry);
+
+/**
+ * Scores the answer to a single quick check item with the scorer for its type
+ * @param {QuickCheck} quickCheck - The quick check item
+ * @param {unknown} answer - The answer emitted by the question component
+ * @return {ScoreResult} The score result
+ */
+function scoreItem(quickCheck, answer) {
+  const scorer = questionTypeRegistry.get(quickCheck?.type)?.score;
+  if (!scorer) {
+    return createUngradedResult();
+  }
+  return scorer(quickCheck.quick_check_content || {}, answer);
+}
+
+/**
+ * Scores a learner's answer to a quick check with the scorer registered for
+ * its type. Types without a scorer are treated as ungraded. Quick checks with several items expect an array with
+ * the answer to each item and add up the item scores.
+ * @param {QuickCheck} quickCheck - The quick check being answered
+ * @param {unknown} answer - The answer emitted by the question component
+ * @return {ScoreResult} The score result
+ */
+export function scoreAnswer(quickCheck, answer) {
+  const items = getQuickCheckItems(quickCheck);
+  if (items.length <= 1) {
+    return scoreItem(quickCheck, answer);
+  }
+
+  const answers = Array.isArray(answer) ? answer : [];
+  const itemResults = items.map((item, index) =>
+    scoreItem(item, answers[index])
+  );
+  const total = itemResults.reduce(
+    (sum, result) => ({
+      maxScore: sum.maxScore + result.maxScore,
+      score: sum.score + result.score,
+    }),
+    { maxScore: 0, score: 0 }
+  );
+  const result = total.maxScore > 0 ?
+    createScoreResult(total.score, total.maxScore) :
+    createUngradedResult();
+  return { ...result, items: itemResults };
+}
\ No newline at end of file
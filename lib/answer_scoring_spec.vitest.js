@@ -0,0 +1,509 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  createScoreResult,
+  gradeFillInTheBlanks,
+  normalizeText,
+  registerDefaultScorers,
+  scoreAnswer,
+  scoreDictation,
+  scoreDragAndDrop,
+  scoreHotspot,
+  scoreFillInTheBlanks,
+  scoreMatching,
+  scoreMultipleChoice,
+  scoreOrdering,
+  scorePronunciation,
+  scoreTrueFalse,
+} from './answer_scoring.js';
+import {
+  QuestionTypeRegistry,
+  questionTypeRegistry,
+} from './question_type_registry.js';
+
+describe('answer_scoring', () => {
+  describe('createScoreResult', () => {
+    it('marks full credit as correct', () => {
+      const result = createScoreResult(2, 2);
+
+      expect(result).toEqual({
+        isCorrect: true,
+        isGraded: true,
+        maxScore: 2,
+        score: 2,
+      });
+    });
+
+    it('marks partial credit as incorrect', () => {
+      const result = createScoreResult(1, 2);
+
+      expect(result.isCorrect).toBe(false);
+    });
+  });
+
+  describe('normalizeText', () => {
+    it('trims, lowercases and collapses whitespace', () => {
+      expect(normalizeText('  Yo   HABLO ')).toBe('yo hablo');
+    });
+
+    it('handles undefined', () => {
+      expect(normalizeText(undefined)).toBe('');
+    });
+  });
+
+  describe('scoreMultipleChoice', () => {
+    const content = {
+      choices: [
+        { text: 'hablo', correct: true },
+        { text: 'hablas' },
+        { text: 'habla' },
+      ],
+    };
+
+    it('scores the correct choice', () => {
+      const result = scoreMultipleChoice(content, { choiceIndex: 1 });
+
+      expect(result.isCorrect).toBe(true);
+      expect(result.score).toBe(1);
+    });
+
+    it('scores an incorrect choice', () => {
+      const result = scoreMultipleChoice(content, { choiceIndex: 2 });
+
+      expect(result.isCorrect).toBe(false);
+      expect(result.score).toBe(0);
+    });
+
+    it('treats a question with no correct choice as ungraded', () => {
+      const result = scoreMultipleChoice({ choices: [{ text: 'a' }] }, {
+        choiceIndex: 1,
+      });
+
+      expect(result.isGraded).toBe(false);
+    });
+
+    it('scores every selected choice of a multi-select answer', () => {
+      const multiSelect = {
+        choices: [
+          { text: 'rojo', correct: true },
+          { text: 'perro' },
+          { text: 'azul', correct: true },
+        ],
+        multi_select: true,
+      };
+
+      expect(scoreMultipleChoice(multiSelect, { choiceIndexes: [1, 3] }))
+        .toEqual(createScoreResult(2, 2));
+      expect(scoreMultipleChoice(multiSelect, { choiceIndexes: [1] }))
+        .toEqual(createScoreResult(1, 2));
+      expect(scoreMultipleChoice(multiSelect, { choiceIndexes: [1, 2] }))
+        .toEqual(createScoreResult(0, 2));
+      expect(scoreMultipleChoice(multiSelect, { choiceIndexes: [2] }))
+        .toEqual(createScoreResult(0, 2));
+    });
+
+    it('handles a missing answer', () => {
+      const result = scoreMultipleChoice(content, undefined);
+
+      expect(result.isCorrect).toBe(false);
+    });
+  });
+
+  describe('scoreFillInTheBlanks', () => {
+    const content = {
+      blanks: [
+        { answer: 'hablo' },
+        { answer: ['comes', 'bebes'] },
+      ],
+    };
+
+    it('awards a point per correct blank', () => {
+      const result = scoreFillInTheBlanks(content, ['Hablo', 'corres']);
+
+      expect(result.score).toBe(1);
+      expect(result.maxScore).toBe(2);
+      expect(result.isCorrect).toBe(false);
+    });
+
+    it('accepts any of several answers', () => {
+      const result = scoreFillInTheBlanks(content, ['hablo', ' bebes ']);
+
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('treats blanks without answers as ungraded', () => {
+      const result = scoreFillInTheBlanks({ blanks: [{}] }, ['x']);
+
+      expect(result.isGraded).toBe(false);
+    });
+
+    it('handles a non-array answer', () => {
+      const result = scoreFillInTheBlanks(content, 'hablo');
+
+      expect(result.score).toBe(0);
+    });
+
+    it('applies the quick check tolerance', () => {
+      const result = scoreFillInTheBlanks(
+        {
+          blanks: [{ answer: 'está' }, { answer: '¡Hola!' }],
+          tolerance: { accents: true, punctuation: true },
+        },
+        ['esta', 'Hola']
+      );
+
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('lets a blank override the tolerance', () => {
+      const result = scoreFillInTheBlanks(
+        {
+          blanks: [{ answer: 'está', tolerance: { accents: false } }],
+          tolerance: { accents: true },
+        },
+        ['esta']
+      );
+
+      expect(result.isCorrect).toBe(false);
+    });
+  });
+
+  describe('gradeFillInTheBlanks', () => {
+    it('grades each blank and skips blanks without answers', () => {
+      const grades = gradeFillInTheBlanks(
+        { blanks: [{ answer: 'Madrid' }, {}] },
+        ['madrid', 'x']
+      );
+
+      expect(grades[0]?.isCorrect).toBe(true);
+      expect(grades[1]).toBeNull();
+    });
+  });
+
+  describe('scoreDragAndDrop', () => {
+    it('scores against the item answer', () => {
+      const content = {
+        items: [{ answer: 'apple', words: [{ content: 'apple' }] }],
+      };
+
+      const result = scoreDragAndDrop(content, ['apple']);
+
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('scores against words flagged as correct', () => {
+      const content = {
+        items: [{
+          words: [{ content: 'apple', correct: true }, { content: 'banana' }],
+        }],
+      };
+
+      const result = scoreDragAndDrop(content, ['banana']);
+
+      expect(result.isCorrect).toBe(false);
+    });
+
+    it('treats an item without an answer as ungraded', () => {
+      const content = { items: [{ words: [{ content: 'apple' }] }] };
+
+      const result = scoreDragAndDrop(content, ['apple']);
+
+      expect(result.isGraded).toBe(false);
+    });
+
+    it('treats missing items as ungraded', () => {
+      const result = scoreDragAndDrop({}, ['apple']);
+
+      expect(result.isGraded).toBe(false);
+    });
+
+    it('awards a point for each drop zone in order', () => {
+      const content = {
+        items: [{
+          answers: ['yo', 'hablo', ['español', 'espanol']],
+          words: [
+            { content: 'hablo' },
+            { content: 'yo' },
+            { content: 'español' },
+          ],
+        }],
+      };
+
+      const result = scoreDragAndDrop(content, ['yo', 'español', 'hablo']);
+
+      expect(result).toEqual({
+        isCorrect: false,
+        isGraded: true,
+        maxScore: 3,
+        score: 1,
+      });
+    });
+
+    it('accepts any listed answer for a drop zone', () => {
+      const content = {
+        items: [{ answers: ['yo', ['español', 'espanol']] }],
+      };
+
+      const result = scoreDragAndDrop(content, ['Yo', 'espanol']);
+
+      expect(result.isCorrect).toBe(true);
+    });
+  });
+
+  describe('scoreDictation', () => {
+    const content = { text: 'El gato come pescado.' };
+
+    it('awards a point per word written correctly', () => {
+      expect(scoreDictation(content, 'el gato come pescado'))
+        .toEqual(createScoreResult(4, 4));
+      expect(scoreDictation(content, 'el gato comen pescado'))
+        .toEqual(createScoreResult(3, 4));
+    });
+
+    it('takes a point off per extra word', () => {
+      expect(scoreDictation(content, 'el gato no come pescado'))
+        .toEqual(createScoreResult(3, 4));
+    });
+
+    it('handles a missing answer', () => {
+      expect(scoreDictation(content, undefined))
+        .toEqual(createScoreResult(0, 4));
+    });
+
+    it('treats a clip without text as ungraded', () => {
+      expect(scoreDictation({}, 'hola').isGraded).toBe(false);
+    });
+  });
+
+  describe('scoreHotspot', () => {
+    const content = {
+      regions: [
+        { label: 'Café', x: 0, y: 0, width: 1, height: 1 },
+        {
+          correct: true,
+          label: 'Customer',
+          points: [{ x: 0.2, y: 0.2 }, { x: 0.4, y: 0.2 }, { x: 0.3, y: 0.6 }],
+        },
+      ],
+    };
+
+    it('awards a point for a click in a correct region', () => {
+      expect(scoreHotspot(content, { x: 0.3, y: 0.3 }))
+        .toEqual(createScoreResult(1, 1));
+    });
+
+    it('awards nothing for a click elsewhere', () => {
+      expect(scoreHotspot(content, { x: 0.8, y: 0.8 }))
+        .toEqual(createScoreResult(0, 1));
+      expect(scoreHotspot(content, null)).toEqual(createScoreResult(0, 1));
+    });
+
+    it('treats frames without a correct region as ungraded', () => {
+      expect(scoreHotspot({ regions: [{ x: 0, y: 0, width: 1, height: 1 }] },
+        { x: 0.5, y: 0.5 }).isGraded).toBe(false);
+    });
+  });
+
+  describe('scoreMatching', () => {
+    const content = {
+      pairs: [
+        { match: 'dog', term: 'perro' },
+        { alt: 'cat', image_path: '/gato.png', term: 'gato' },
+      ],
+    };
+
+    it('awards a point per correct pair', () => {
+      expect(scoreMatching(content, ['dog', 'cat']))
+        .toEqual(createScoreResult(2, 2));
+      expect(scoreMatching(content, ['cat', 'dog']))
+        .toEqual(createScoreResult(0, 2));
+      expect(scoreMatching(content, ['dog', null]))
+        .toEqual(createScoreResult(1, 2));
+    });
+
+    it('tells apart images without alt text', () => {
+      const images = {
+        pairs: [
+          { image_path: '/perro.png', term: 'perro' },
+          { image_path: '/gato.png', term: 'gato' },
+        ],
+      };
+
+      expect(scoreMatching(images, ['/perro.png', '/gato.png']))
+        .toEqual(createScoreResult(2, 2));
+      expect(scoreMatching(images, ['/gato.png', '/perro.png']))
+        .toEqual(createScoreResult(0, 2));
+    });
+
+    it('treats a question without pairs as ungraded', () => {
+      expect(scoreMatching({}, []).isGraded).toBe(false);
+    });
+  });
+
+  describe('scoreOrdering', () => {
+    const content = { sequence: ['Wake up', 'Eat', 'Leave'] };
+
+    it('awards a point per step in its place', () => {
+      expect(scoreOrdering(content, ['Wake up', 'Eat', 'Leave']))
+        .toEqual(createScoreResult(3, 3));
+      expect(scoreOrdering(content, ['Wake up', 'Leave', 'Eat']))
+        .toEqual(createScoreResult(1, 3));
+    });
+
+    it('handles a missing answer', () => {
+      expect(scoreOrdering(content, undefined).score).toBe(0);
+    });
+
+    it('treats a question without a sequence as ungraded', () => {
+      expect(scoreOrdering({}, []).isGraded).toBe(false);
+    });
+  });
+
+  describe('scoreTrueFalse', () => {
+    it('scores the verdict', () => {
+      const content = { answer: false };
+
+      expect(scoreTrueFalse(content, { justification: 'x', value: false }))
+        .toEqual(createScoreResult(1, 1));
+      expect(scoreTrueFalse(content, { justification: 'x', value: true }))
+        .toEqual(createScoreResult(0, 1));
+    });
+
+    it('accepts answers authored as text', () => {
+      expect(scoreTrueFalse({ answer: 'True' }, { value: true }).isCorrect)
+        .toBe(true);
+    });
+
+    it('treats a statement without an answer as ungraded', () => {
+      expect(scoreTrueFalse({}, { value: true }).isGraded).toBe(false);
+    });
+  });
+
+  describe('scorePronunciation', () => {
+    it('passes scores at the default pass mark', () => {
+      const result = scorePronunciation({}, { score: 80 });
+
+      expect(result.isCorrect).toBe(true);
+      expect(result.isGraded).toBe(true);
+    });
+
+    it('uses the pass mark from the content', () => {
+      const result = scorePronunciation({ pass_score: 90 }, { score: 85 });
+
+      expect(result.isCorrect).toBe(false);
+    });
+
+    it('is ungraded when speech was not recognized', () => {
+      const result = scorePronunciation({}, { recorded: true, score: null });
+
+      expect(result.isGraded).toBe(false);
+    });
+  });
+
+  describe('registerDefaultScorers', () => {
+    it('registers the scorer of each built-in type', () => {
+      const registry = new QuestionTypeRegistry();
+
+      registerDefaultScorers(registry);
+
+      expect(registry.get('multiple_choice')?.score).toBe(scoreMultipleChoice);
+      expect(Object.keys(registry.types)).toHaveLength(9);
+    });
+
+    it('keeps a scorer the host registered', () => {
+      const registry = new QuestionTypeRegistry();
+      const score = () => createScoreResult(1, 1);
+      registry.register({ score, type: 'true_false' });
+
+      registerDefaultScorers(registry);
+
+      expect(registry.get('true_false')?.score).toBe(score);
+    });
+  });
+
+  describe('scoreAnswer', () => {
+    it('dispatches to the scorer for the quick check type', () => {
+      const quickCheck = {
+        quick_check_content: { choices: [{ text: 'a', correct: true }] },
+        type: 'multiple_choice',
+      };
+
+      const result = scoreAnswer(quickCheck, { choiceIndex: 1 });
+
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('treats unknown types as ungraded', () => {
+      const result = scoreAnswer({ type: 'pronunciation' }, { recorded: true });
+
+      expect(result.isGraded).toBe(false);
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('handles missing quick check content', () => {
+      const result = scoreAnswer({ type: 'multiple_choice' }, {});
+
+      expect(result.isGraded).toBe(false);
+    });
+
+    it('uses the scorer registered for the quick check type', () => {
+      questionTypeRegistry.register({
+        score: (content, answer) => createScoreResult(
+          answer === content.answer ? 1 : 0,
+          1
+        ),
+        type: 'spelling',
+      });
+      const quickCheck = {
+        quick_check_content: { answer: 'casa' },
+        type: 'spelling',
+      };
+
+      const result = scoreAnswer(quickCheck, 'casa');
+
+      expect(result.isCorrect).toBe(true);
+      questionTypeRegistry.unregister('spelling');
+    });
+
+    it('adds up the scores of every item', () => {
+      const quickCheck = {
+        quick_check_content: {
+          items: [
+            { answer: 'hola', words: [{ content: 'hola' }] },
+            { answer: 'adiós', words: [{ content: 'adiós' }] },
+            { words: [{ content: 'gracias' }] },
+          ],
+        },
+        type: 'quick_check_drag_and_drop',
+      };
+
+      const result = scoreAnswer(
+        quickCheck,
+        [['hola'], ['hola'], ['gracias']]
+      );
+
+      expect(result).toMatchObject({
+        isCorrect: false,
+        isGraded: true,
+        maxScore: 2,
+        score: 1,
+      });
+      expect(result.items?.map((item) => item.isCorrect))
+        .toEqual([true, false, true]);
+      expect(result.items?.[2].isGraded).toBe(false);
+    });
+
+    it('treats quick checks without graded items as ungraded', () => {
+      const quickCheck = {
+        quick_check_content: { items: [{ words: [] }, { words: [] }] },
+        type: 'quick_check_drag_and_drop',
+      };
+
+      const result = scoreAnswer(quickCheck, [['a'], ['b']]);
+
+      expect(result.isGraded).toBe(false);
+      expect(result.items).toHaveLength(2);
+    });
+  });
+});
\ No newline at end of file
@@ -8,6 +8,8 @@
  * @property {function(): void} onStart - Callback when audio starts
  * @property {function(): void} onEnd - Callback when audio ends
  * @property {function(Error): void} onError - Callback when audio errors
+ * @property {number} playbackRate - Speed relative to normal, such as 0.75
+ *   for slow playback
  */
 
 /**
@@ -24,6 +26,9 @@ export class AudioService {
   static async playAudioFile(audioPath, options = {}) {
     return new Promise((resolve, reject) => {
       const audio = new Audio(audioPath);
+      if (options.playbackRate) {
+        audio.playbackRate = options.playbackRate;
+      }
 
       audio.addEventListener('ended', () => {
         options.onEnd?.();
@@ -86,7 +91,7 @@ export class AudioService {
     const utterance = new SpeechSynthesisUtterance(textContent);
     utterance.lang = languageCode;
     utterance.pitch = 1;
-    utterance.rate = 0.9;
+    utterance.rate = 0.9 * (options.playbackRate || 1);
 
     utterance.onstart = () => {
       options.onStart?.();
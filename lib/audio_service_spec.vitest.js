@@ -123,6 +123,14 @@ describe('AudioService', () => {
       expect(utterance.rate).toBe(0.9);
     });
 
+    it('slows the speech for slow playback', () => {
+      const utterance = AudioService.createUtterance('Test text', 'en', {
+        playbackRate: 0.5,
+      });
+
+      expect(utterance.rate).toBeCloseTo(0.45);
+    });
+
     it('sets up event handlers correctly', () => {
       const textContent = 'Test text';
       const languageCode = 'en';
@@ -146,6 +154,26 @@ describe('AudioService', () => {
     });
   });
 
+  describe('playAudioFile', () => {
+    it('plays the file at the requested speed', async () => {
+      /** @type {Object<string, unknown>} */
+      const audio = {
+        addEventListener: vi.fn((type, listener) => {
+          if (type === 'ended') {
+            listener();
+          }
+        }),
+        play: vi.fn().mockResolvedValue(undefined),
+        readyState: 4,
+      };
+      global.Audio = vi.fn(() => audio);
+
+      await AudioService.playAudioFile('/clip.mp3', { playbackRate: 0.75 });
+
+      expect(audio.playbackRate).toBe(0.75);
+    });
+  });
+
   describe('playTTS', () => {
     it('calls onEnd when text is empty', async () => {
       const text = '';
@@ -0,0 +1,154 @@
+// @ts-check
+
+/**
+ * @typedef {'always' | 'correct' | 'incorrect'} BranchCondition
+ */
+
+/**
+ * @typedef {Object} BranchRule
+ * @property {string} go_to - ID of the video or quick check to go to
+ * @property {BranchCondition} [when] - When the rule applies; defaults to
+ *   'always', which is the only condition videos can use
+ */
+
+/**
+ * @typedef {Object} BranchingActionData
+ * @property {Array<BranchRule>} [branches] - Rules checked in order after the
+ *   action; the first match decides the next action
+ * @property {string} [id] - Identifier branch rules point at
+ * @property {string} [next] - Where a remediation video continues
+ */
+
+/**
+ * @typedef {Object} BranchingAction
+ * @property {BranchingActionData} data - The action data
+ * @property {boolean} [remediation] - Whether the action is only reached
+ *   through a branch
+ * @property {string} type - Either 'video' or 'quick_check'
+ */
+
+/**
+ * @typedef {Object} BranchAnswer
+ * @property {boolean} isCorrect - Whether the answer was correct
+ */
+
+/**
+ * Checks a branch condition against the learner's answer. Quick checks the
+ * learner skipped count as incorrect.
+ * @param {BranchCondition|undefined} condition - The rule's condition
+ * @param {BranchAnswer|null} answer - The stored answer, if any
+ * @return {boolean} True if the rule applies
+ */
+export function matchesBranchCondition(condition, answer) {
+  switch (condition || 'always') {
+    case 'always':
+      return true;
+    case 'correct':
+      return Boolean(answer?.isCorrect);
+    case 'incorrect':
+      return !answer?.isCorrect;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Finds an action by the ID of its video or quick check
+ * @param {Array<BranchingAction>} actions - All actions
+ * @param {string|undefined} id - The ID to find
+ * @return {number} The action index, or -1 if there is none
+ */
+export function findActionIndexById(actions, id) {
+  if (!id) {
+    return -1;
+  }
+  return actions.findIndex((action) => action.data?.id === id);
+}
+
+/**
+ * Finds the next action on the main path, skipping remediation videos
+ * @param {Array<BranchingAction>} actions - All actions
+ * @param {number} index - The current action index
+ * @return {number} The next action index, or -1 at the end of the path
+ */
+export function findLinearNextIndex(actions, index) {
+  for (let next = index + 1; next < actions.length; next++) {
+    if (!actions[next].remediation) {
+      return next;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Finds where a remediation video continues: its `next` ID, otherwise the
+ * main path after the action that branched to it
+ * @param {Array<BranchingAction>} actions - All actions
+ * @param {number} index - Index of the remediation video
+ * @return {number} The next action index, or -1 if there is none
+ */
+function findRemediationNextIndex(actions, index) {
+  const { id, next } = actions[index].data || {};
+  const nextIndex = findActionIndexById(actions, next);
+  if (nextIndex !== -1) {
+    return nextIndex;
+  }
+
+  const originIndex = actions.findIndex((action) =>
+    !action.remediation &&
+    (action.data?.branches || []).some((rule) => rule.go_to === id)
+  );
+  return originIndex === -1 ?
+    findLinearNextIndex(actions, index) :
+    findLinearNextIndex(actions, originIndex);
+}
+
+/**
+ * Decides which action follows the current one. The first branch rule whose
+ * condition matches the stored answer wins; otherwise remediation videos
+ * return to the main path and other actions continue in order.
+ * @param {Array<BranchingAction>} actions - All actions
+ * @param {number} index - The current action index
+ * @param {function(number): (BranchAnswer|null)} getAnswer - Looks up the
+ *   stored answer for an action index
+ * @return {number} The next action index, or -1 at the end of the activity
+ */
+export function resolveNextActionIndex(actions, index, getAnswer) {
+  const action = actions[index];
+  if (!action) {
+    return -1;
+  }
+
+  const isQuickCheck = action.type === 'quick_check';
+  const answer = isQuickCheck ? getAnswer(index) : null;
+  for (const rule of action.data?.branches || []) {
+    const targetIndex = findActionIndexById(actions, rule.go_to);
+    const canMatch = isQuickCheck || (rule.when || 'always') === 'always';
+    if (
+      targetIndex !== -1 &&
+      targetIndex !== index &&
+      canMatch &&
+      matchesBranchCondition(rule.when, answer)
+    ) {
+      return targetIndex;
+    }
+  }
+
+  return action.remediation ?
+    findRemediationNextIndex(actions, index) :
+    findLinearNextIndex(actions, index);
+}
+
+/**
+ * Finds the last action on the main path, which completes the activity
+ * @param {Array<BranchingAction>} actions - All actions
+ * @return {number} The action index, or -1 if there are no actions
+ */
+export function findFinalActionIndex(actions) {
+  for (let index = actions.length - 1; index >= 0; index--) {
+    if (!actions[index].remediation) {
+      return index;
+    }
+  }
+  return -1;
+}
\ No newline at end of file
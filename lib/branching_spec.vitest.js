@@ -0,0 +1,132 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  findActionIndexById,
+  findFinalActionIndex,
+  findLinearNextIndex,
+  matchesBranchCondition,
+  resolveNextActionIndex,
+} from './branching.js';
+
+describe('branching', () => {
+  const actions = [
+    { data: { id: 'video-1' }, type: 'video' },
+    {
+      data: {
+        branches: [
+          { go_to: 'video-2b', when: 'incorrect' },
+          { go_to: 'video-3' },
+        ],
+        id: 'check-2',
+      },
+      type: 'quick_check',
+    },
+    { data: { id: 'video-2' }, type: 'video' },
+    { data: { id: 'video-3' }, type: 'video' },
+    { data: { id: 'video-2b' }, remediation: true, type: 'video' },
+  ];
+
+  const noAnswer = () => null;
+
+  describe('matchesBranchCondition', () => {
+    it('always matches without a condition', () => {
+      expect(matchesBranchCondition(undefined, null)).toBe(true);
+    });
+
+    it('matches correct answers', () => {
+      expect(matchesBranchCondition('correct', { isCorrect: true })).toBe(true);
+      expect(matchesBranchCondition('correct', { isCorrect: false }))
+        .toBe(false);
+    });
+
+    it('treats skipped quick checks as incorrect', () => {
+      expect(matchesBranchCondition('incorrect', null)).toBe(true);
+    });
+  });
+
+  describe('findActionIndexById', () => {
+    it('finds actions by their data ID', () => {
+      expect(findActionIndexById(actions, 'video-3')).toBe(3);
+    });
+
+    it('returns -1 for unknown IDs', () => {
+      expect(findActionIndexById(actions, 'missing')).toBe(-1);
+    });
+  });
+
+  describe('findLinearNextIndex', () => {
+    it('skips remediation videos', () => {
+      expect(findLinearNextIndex(actions, 3)).toBe(-1);
+    });
+  });
+
+  describe('resolveNextActionIndex', () => {
+    it('goes to remediation after a wrong answer', () => {
+      const getAnswer = () => ({ isCorrect: false });
+
+      expect(resolveNextActionIndex(actions, 1, getAnswer)).toBe(4);
+    });
+
+    it('skips ahead after a right answer', () => {
+      const getAnswer = () => ({ isCorrect: true });
+
+      expect(resolveNextActionIndex(actions, 1, getAnswer)).toBe(3);
+    });
+
+    it('continues in order without branch rules', () => {
+      expect(resolveNextActionIndex(actions, 0, noAnswer)).toBe(1);
+    });
+
+    it('returns from remediation after the branching quick check', () => {
+      expect(resolveNextActionIndex(actions, 4, noAnswer)).toBe(2);
+    });
+
+    it('follows the next ID of a remediation video', () => {
+      const withNext = actions.map((action) => action.remediation ?
+        { ...action, data: { ...action.data, next: 'video-3' } } :
+        action);
+
+      expect(resolveNextActionIndex(withNext, 4, noAnswer)).toBe(3);
+    });
+
+    it('ignores answer conditions on videos', () => {
+      const videoActions = [
+        {
+          data: { branches: [{ go_to: 'b', when: 'incorrect' }], id: 'a' },
+          type: 'video',
+        },
+        { data: { id: 'c' }, type: 'video' },
+        { data: { id: 'b' }, type: 'video' },
+      ];
+
+      expect(resolveNextActionIndex(videoActions, 0, noAnswer)).toBe(1);
+    });
+
+    it('ignores rules pointing at unknown actions', () => {
+      const broken = [
+        {
+          data: { branches: [{ go_to: 'missing' }], id: 'a' },
+          type: 'quick_check',
+        },
+        { data: { id: 'b' }, type: 'video' },
+      ];
+
+      expect(resolveNextActionIndex(broken, 0, noAnswer)).toBe(1);
+    });
+
+    it('returns -1 at the end of the main path', () => {
+      expect(resolveNextActionIndex(actions, 3, noAnswer)).toBe(-1);
+    });
+  });
+
+  describe('findFinalActionIndex', () => {
+    it('finds the last action on the main path', () => {
+      expect(findFinalActionIndex(actions)).toBe(3);
+    });
+
+    it('returns -1 without actions', () => {
+      expect(findFinalActionIndex([])).toBe(-1);
+    });
+  });
+});
\ No newline at end of file
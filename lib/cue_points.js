@@ -0,0 +1,120 @@
+// @ts-check
+
+/**
+ * @typedef {import('./answer_scoring.js').QuickCheck} QuickCheck
+ */
+
+/**
+ * @typedef {Object} TimedQuickCheck
+ * @property {string} [reference_id] - ID of the video the check appears in;
+ *   defaults to the video it would otherwise follow
+ * @property {number|string} [timestamp] - When the check appears, in seconds
+ *   or as m:ss / h:mm:ss
+ */
+
+/**
+ * @typedef {Object} CuePointReference
+ * @property {string} [id] - The reference identifier
+ */
+
+/**
+ * @typedef {Object} CuePoint
+ * @property {string} id - Stable identifier used to store the answer
+ * @property {QuickCheck} quickCheck - The quick check shown at the cue point
+ * @property {number} time - Playback position in seconds
+ */
+
+/**
+ * Parses a quick check timestamp
+ * @param {unknown} timestamp - Seconds, or a m:ss / h:mm:ss string
+ * @return {number|null} The time in seconds, or null if it is not valid
+ */
+export function parseTimestamp(timestamp) {
+  if (typeof timestamp === 'number') {
+    return Number.isFinite(timestamp) && timestamp >= 0 ? timestamp : null;
+  }
+  if (typeof timestamp !== 'string' || timestamp.trim() === '') {
+    return null;
+  }
+
+  const parts = timestamp.trim().split(':');
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) {
+    return null;
+  }
+  return parts.reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+/**
+ * Builds the cue point for a quick check
+ * @param {QuickCheck & TimedQuickCheck} quickCheck - The timed quick check
+ * @param {number} quickCheckIndex - Position of the check in quick_checks
+ * @param {number} time - Playback position in seconds
+ * @return {CuePoint} The cue point
+ */
+export function createCuePoint(quickCheck, quickCheckIndex, time) {
+  return {
+    id: `cue-${quickCheckIndex}`,
+    quickCheck,
+    time,
+  };
+}
+
+/**
+ * Finds the video a timed quick check appears in: the reference named by
+ * reference_id, otherwise the video it would follow, otherwise the last video
+ * @param {Array<CuePointReference>} references - The activity's videos
+ * @param {TimedQuickCheck} quickCheck - The timed quick check
+ * @param {number} quickCheckIndex - Position of the check in quick_checks
+ * @return {number} The reference index, or -1 if there is no such video
+ */
+export function findCuePointReference(references, quickCheck, quickCheckIndex) {
+  if (quickCheck.reference_id) {
+    return references.findIndex(
+      (reference) => reference.id === quickCheck.reference_id
+    );
+  }
+  return Math.min(quickCheckIndex, references.length - 1);
+}
+
+/**
+ * Turns quick checks with a timestamp into cue points, grouped by the index
+ * of the video they appear in and sorted by time
+ * @param {Array<CuePointReference>} references - The activity's videos
+ * @param {Array<QuickCheck & TimedQuickCheck>} quickChecks - All quick checks
+ * @return {Map<number, Array<CuePoint>>} Cue points by reference index
+ */
+export function groupCuePointsByReference(references, quickChecks) {
+  /** @type {Map<number, Array<CuePoint>>} */
+  const cuePointsByReference = new Map();
+
+  quickChecks.forEach((quickCheck, quickCheckIndex) => {
+    const time = parseTimestamp(quickCheck.timestamp);
+    const referenceIndex = findCuePointReference(
+      references,
+      quickCheck,
+      quickCheckIndex
+    );
+    if (time === null || referenceIndex === -1) {
+      return;
+    }
+
+    const cuePoints = cuePointsByReference.get(referenceIndex) || [];
+    cuePoints.push(createCuePoint(quickCheck, quickCheckIndex, time));
+    cuePoints.sort((first, second) => first.time - second.time);
+    cuePointsByReference.set(referenceIndex, cuePoints);
+  });
+
+  return cuePointsByReference;
+}
+
+/**
+ * Finds the earliest cue point the playback position has reached
+ * @param {Array<CuePoint>} cuePoints - Cue points that have not been shown
+ * @param {number} seconds - Current playback position
+ * @return {CuePoint|null} The cue point to show, or null
+ */
+export function findReachedCuePoint(cuePoints, seconds) {
+  return cuePoints
+    .filter((cuePoint) => cuePoint.time <= seconds)
+    .sort((first, second) => first.time - second.time)[0] || null;
+}
\ No newline at end of file
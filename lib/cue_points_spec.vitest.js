@@ -0,0 +1,92 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  findCuePointReference,
+  findReachedCuePoint,
+  groupCuePointsByReference,
+  parseTimestamp,
+} from './cue_points.js';
+
+describe('cue_points', () => {
+  const quickCheck = { quick_check_content: {}, type: 'multiple_choice' };
+
+  describe('parseTimestamp', () => {
+    it('accepts seconds', () => {
+      expect(parseTimestamp(42.5)).toBe(42.5);
+    });
+
+    it('parses minutes and hours', () => {
+      expect(parseTimestamp('1:05')).toBe(65);
+      expect(parseTimestamp('1:00:30')).toBe(3630);
+    });
+
+    it('parses numeric strings', () => {
+      expect(parseTimestamp('90')).toBe(90);
+    });
+
+    it('rejects missing and invalid timestamps', () => {
+      expect(parseTimestamp(undefined)).toBeNull();
+      expect(parseTimestamp('')).toBeNull();
+      expect(parseTimestamp('soon')).toBeNull();
+      expect(parseTimestamp(-1)).toBeNull();
+    });
+  });
+
+  describe('findCuePointReference', () => {
+    const references = [{ id: 'intro' }, { id: 'main' }];
+
+    it('uses the referenced video', () => {
+      expect(findCuePointReference(references, { reference_id: 'main' }, 0))
+        .toBe(1);
+    });
+
+    it('defaults to the video the check follows', () => {
+      expect(findCuePointReference(references, {}, 0)).toBe(0);
+    });
+
+    it('falls back to the last video', () => {
+      expect(findCuePointReference(references, {}, 5)).toBe(1);
+    });
+
+    it('returns -1 for an unknown reference', () => {
+      expect(findCuePointReference(references, { reference_id: 'x' }, 0))
+        .toBe(-1);
+    });
+  });
+
+  describe('groupCuePointsByReference', () => {
+    it('groups timed checks by video in time order', () => {
+      const late = { ...quickCheck, reference_id: 'a', timestamp: 50 };
+      const early = { ...quickCheck, reference_id: 'a', timestamp: 10 };
+
+      const grouped = groupCuePointsByReference([{ id: 'a' }], [late, early]);
+
+      expect(grouped.get(0)).toEqual([
+        { id: 'cue-1', quickCheck: early, time: 10 },
+        { id: 'cue-0', quickCheck: late, time: 50 },
+      ]);
+    });
+
+    it('ignores checks without a timestamp', () => {
+      const grouped = groupCuePointsByReference([{ id: 'a' }], [quickCheck]);
+
+      expect(grouped.size).toBe(0);
+    });
+  });
+
+  describe('findReachedCuePoint', () => {
+    const cuePoints = [
+      { id: 'cue-0', quickCheck, time: 10 },
+      { id: 'cue-1', quickCheck, time: 20 },
+    ];
+
+    it('returns null before the first cue point', () => {
+      expect(findReachedCuePoint(cuePoints, 9.9)).toBeNull();
+    });
+
+    it('returns the earliest cue point reached', () => {
+      expect(findReachedCuePoint(cuePoints, 25)?.id).toBe('cue-0');
+    });
+  });
+});
\ No newline at end of file
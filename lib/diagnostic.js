@@ -0,0 +1,122 @@
+// @ts-check
+
+import { normalizeText } from './answer_scoring.js';
+
+/**
+ * @typedef {Object} DiagnosticItem
+ * @property {number|string|Array<string>} correct - Index of the correct
+ *   option (multiple choice) or accepted answer(s) (fill in the blanks)
+ * @property {Array<string>} [options] - Answer options for multiple choice
+ * @property {string} question - The question prompt
+ * @property {'fill_in_the_blanks' | 'multiple_choice'} [type]
+ */
+
+/**
+ * @typedef {Object} DiagnosticQuestion
+ * @property {Array<{placeholder: string}>} [blanks]
+ * @property {Array<{text: string}>} [choices]
+ * @property {string} id
+ * @property {string} prompt
+ */
+
+/**
+ * Gets the question type of a diagnostic item, defaulting to multiple choice
+ * @param {DiagnosticItem} item - The diagnostic item
+ * @return {'fill_in_the_blanks' | 'multiple_choice'} The item type
+ */
+export function getDiagnosticItemType(item) {
+  return item.type || 'multiple_choice';
+}
+
+/**
+ * Picks a random sample of diagnostic items without repeats
+ * @param {Array<DiagnosticItem>} items - All diagnostic items
+ * @param {number|string} count - Number of items to sample; all items are
+ *   used when the count is missing or larger than the pool
+ * @param {function(): number} [random] - Random number source in [0, 1)
+ * @return {Array<DiagnosticItem>} The sampled items
+ */
+export function sampleDiagnosticItems(items, count, random = Math.random) {
+  const pool = [...(items || [])];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  const sampleSize = Number(count);
+  if (!sampleSize || sampleSize > pool.length) {
+    return pool;
+  }
+  return pool.slice(0, sampleSize);
+}
+
+/**
+ * Converts a diagnostic item into the question shape the question
+ * components render
+ * @param {DiagnosticItem} item - The diagnostic item
+ * @param {number} index - Position of the item in the diagnostic
+ * @return {DiagnosticQuestion} Question props for the item's component
+ */
+export function toDiagnosticQuestion(item, index) {
+  const question = {
+    id: `diagnostic-${index}`,
+    prompt: item.question,
+  };
+
+  if (getDiagnosticItemType(item) === 'fill_in_the_blanks') {
+    return { ...question, blanks: [{ placeholder: '' }] };
+  }
+  return {
+    ...question,
+    choices: (item.options || []).map((text) => ({ text })),
+  };
+}
+
+/**
+ * Checks a learner's answer against the item's `correct` field
+ * @param {DiagnosticItem} item - The diagnostic item
+ * @param {unknown} answer - The answer emitted by the question component
+ * @return {boolean} True if the answer is correct
+ */
+export function diagnosticAnswerIsCorrect(item, answer) {
+  if (getDiagnosticItemType(item) === 'fill_in_the_blanks') {
+    const response = normalizeText(Array.isArray(answer) ? answer[0] : answer);
+    const accepted = Array.isArray(item.correct) ? item.correct : [item.correct];
+    return accepted.some((text) => normalizeText(text) === response);
+  }
+
+  const choiceIndex = Number(
+    /** @type {{choiceIndex: number}} */ (answer)?.choiceIndex
+  );
+  return choiceIndex - 1 === Number(item.correct);
+}
+
+/**
+ * Converts the authored threshold into the number of correct answers needed
+ * to pass. Authors give either a count ('2') or a percentage of the sampled
+ * questions ('80%'). A bare number larger than the number of questions can
+ * only be a percentage, so it is read as one.
+ * @param {number|string} threshold - The authored threshold
+ * @param {number} itemCount - Number of questions the learner answers
+ * @return {number} Correct answers required to pass
+ */
+export function getRequiredCorrectCount(threshold, itemCount) {
+  const text = String(threshold ?? '').trim();
+  const value = Number(text.replace(/%$/, '')) || 0;
+  const isPercent = text.endsWith('%') || value > itemCount;
+  if (!isPercent) {
+    return value;
+  }
+  return Math.ceil(Math.min(value, 100) / 100 * itemCount);
+}
+
+/**
+ * Checks whether a number of correct answers meets the diagnostic threshold
+ * @param {number} correctCount - Number of correct answers
+ * @param {number|string} threshold - Correct answers required to pass, as
+ *   returned by getRequiredCorrectCount
+ * @return {boolean} True if the learner passed
+ */
+export function diagnosticIsPassed(correctCount, threshold) {
+  return correctCount >= (Number(threshold) || 0);
+}
\ No newline at end of file
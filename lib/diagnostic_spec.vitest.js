@@ -0,0 +1,156 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  diagnosticAnswerIsCorrect,
+  diagnosticIsPassed,
+  getRequiredCorrectCount,
+  getDiagnosticItemType,
+  sampleDiagnosticItems,
+  toDiagnosticQuestion,
+} from './diagnostic.js';
+
+describe('diagnostic', () => {
+  const items = [
+    { question: 'Q1', options: ['a', 'b'], correct: 0 },
+    { question: 'Q2', options: ['a', 'b'], correct: 1 },
+    { question: 'Q3', options: ['a', 'b'], correct: 0 },
+  ];
+
+  describe('getDiagnosticItemType', () => {
+    it('defaults to multiple choice', () => {
+      expect(getDiagnosticItemType(items[0])).toBe('multiple_choice');
+    });
+
+    it('returns the declared type', () => {
+      const item = { question: 'Q', correct: 'hablo', type: 'fill_in_the_blanks' };
+
+      expect(getDiagnosticItemType(item)).toBe('fill_in_the_blanks');
+    });
+  });
+
+  describe('sampleDiagnosticItems', () => {
+    it('returns the requested number of items', () => {
+      const sample = sampleDiagnosticItems(items, '2');
+
+      expect(sample).toHaveLength(2);
+    });
+
+    it('does not repeat items', () => {
+      const sample = sampleDiagnosticItems(items, 3);
+
+      expect(new Set(sample).size).toBe(3);
+    });
+
+    it('returns all items when the count is missing', () => {
+      const sample = sampleDiagnosticItems(items, '');
+
+      expect(sample).toHaveLength(3);
+    });
+
+    it('returns all items when the count exceeds the pool', () => {
+      const sample = sampleDiagnosticItems(items, 10);
+
+      expect(sample).toHaveLength(3);
+    });
+
+    it('uses the provided random source', () => {
+      const sample = sampleDiagnosticItems(items, 3, () => 0.99);
+
+      expect(sample).toEqual(items);
+    });
+
+    it('does not modify the original items', () => {
+      const original = [...items];
+
+      sampleDiagnosticItems(items, 2, () => 0);
+
+      expect(items).toEqual(original);
+    });
+
+    it('handles missing items', () => {
+      expect(sampleDiagnosticItems(undefined, 2)).toEqual([]);
+    });
+  });
+
+  describe('toDiagnosticQuestion', () => {
+    it('builds multiple choice props from options', () => {
+      const question = toDiagnosticQuestion(items[0], 4);
+
+      expect(question).toEqual({
+        choices: [{ text: 'a' }, { text: 'b' }],
+        id: 'diagnostic-4',
+        prompt: 'Q1',
+      });
+    });
+
+    it('builds a single blank for fill in the blanks', () => {
+      const item = { question: 'Yo ___', correct: 'hablo', type: 'fill_in_the_blanks' };
+
+      const question = toDiagnosticQuestion(item, 0);
+
+      expect(question.blanks).toHaveLength(1);
+    });
+  });
+
+  describe('diagnosticAnswerIsCorrect', () => {
+    it('compares the 1-based choice to the 0-based correct index', () => {
+      expect(diagnosticAnswerIsCorrect(items[1], { choiceIndex: 2 })).toBe(true);
+    });
+
+    it('rejects the wrong choice', () => {
+      expect(diagnosticAnswerIsCorrect(items[1], { choiceIndex: 1 })).toBe(false);
+    });
+
+    it('compares fill in the blanks text', () => {
+      const item = { question: 'Yo ___', correct: 'hablo', type: 'fill_in_the_blanks' };
+
+      expect(diagnosticAnswerIsCorrect(item, [' Hablo '])).toBe(true);
+    });
+
+    it('accepts any of several fill in the blanks answers', () => {
+      const item = {
+        correct: ['como', 'bebo'],
+        question: 'Yo ___',
+        type: 'fill_in_the_blanks',
+      };
+
+      expect(diagnosticAnswerIsCorrect(item, ['bebo'])).toBe(true);
+    });
+  });
+
+  describe('getRequiredCorrectCount', () => {
+    it('reads a count of correct answers', () => {
+      expect(getRequiredCorrectCount('2', 3)).toBe(2);
+    });
+
+    it('reads a percentage of the questions', () => {
+      expect(getRequiredCorrectCount('50%', 3)).toBe(2);
+      expect(getRequiredCorrectCount('100%', 1)).toBe(1);
+    });
+
+    it('reads numbers above the question count as a percentage', () => {
+      expect(getRequiredCorrectCount('80', 1)).toBe(1);
+      expect(getRequiredCorrectCount(80, 5)).toBe(4);
+    });
+
+    it('needs nothing without a threshold', () => {
+      expect(getRequiredCorrectCount('', 3)).toBe(0);
+      expect(getRequiredCorrectCount(undefined, 3)).toBe(0);
+    });
+  });
+
+  describe('diagnosticIsPassed', () => {
+    it('passes when the threshold is met', () => {
+      expect(diagnosticIsPassed(3, '3')).toBe(true);
+    });
+
+    it('fails below the threshold', () => {
+      expect(diagnosticIsPassed(2, '3')).toBe(false);
+    });
+
+    it('passes when there is no threshold', () => {
+      expect(diagnosticIsPassed(0, '')).toBe(true);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+// @ts-check
+
+import {
+  buildDistanceTable,
+  calculateEditDistance,
+  normalizeSpokenText,
+  splitWords,
+} from './pronunciation_scoring.js';
+
+/**
+ * @typedef {'correct' | 'extra' | 'misspelled' | 'missing'} DictationStatus
+ */
+
+/**
+ * @typedef {Object} DictationWord
+ * @property {DictationStatus} status - How the learner wrote the word
+ * @property {string} text - The word as written in the clip's text, or the
+ *   learner's word when it is extra
+ * @property {string} [typed] - What the learner wrote for a misspelled word
+ */
+
+/**
+ * @typedef {Object} DictationComparison
+ * @property {number} correctCount - Words written correctly
+ * @property {number} extraCount - Words written that are not in the clip
+ * @property {Array<DictationWord>} words - The words in order, with the
+ *   learner's extra words where they wrote them
+ */
+
+/**
+ * Checks whether a written word is close enough to the expected word to be
+ * a misspelling of it rather than a different word
+ * @param {string} expected - The normalized expected word
+ * @param {string} typed - The normalized written word
+ * @return {boolean} True if the words differ by a few letters at most
+ */
+export function isMisspelling(expected, typed) {
+  const allowedEdits = Math.max(1, Math.floor(expected.length / 3));
+  return calculateEditDistance(expected, typed) <= allowedEdits;
+}
+
+/**
+ * Compares what the learner typed with the clip's text, word by word. Case
+ * and punctuation are ignored; accents count as spelling.
+ * @param {string} expected - The clip's text
+ * @param {string} typed - What the learner typed
+ * @return {DictationComparison} The words with their status
+ */
+export function compareDictation(expected, typed) {
+  const expectedWords = splitWords(expected);
+  const typedWords = splitWords(typed);
+  const normalizedExpected = expectedWords.map(normalizeSpokenText);
+  const normalizedTyped = typedWords.map(normalizeSpokenText);
+  const table = buildDistanceTable(normalizedExpected, normalizedTyped);
+
+  /** @type {Array<DictationWord>} */
+  const words = [];
+  let row = normalizedExpected.length;
+  let column = normalizedTyped.length;
+  while (row > 0 || column > 0) {
+    const expectedWord = normalizedExpected[row - 1];
+    const typedWord = normalizedTyped[column - 1];
+    const isMatch = row > 0 && column > 0 && expectedWord === typedWord;
+    const diagonal = row > 0 && column > 0 ?
+      table[row - 1][column - 1] :
+      Infinity;
+
+    if (table[row][column] === diagonal + (isMatch ? 0 : 1) &&
+      (isMatch || isMisspelling(expectedWord, typedWord))) {
+      words.unshift(isMatch ?
+        { status: 'correct', text: expectedWords[row - 1] } :
+        {
+          status: 'misspelled',
+          text: expectedWords[row - 1],
+          typed: typedWords[column - 1],
+        });
+      row--;
+      column--;
+    } else if (row > 0 &&
+      (column === 0 || table[row - 1][column] <= table[row][column - 1])) {
+      words.unshift({ status: 'missing', text: expectedWords[row - 1] });
+      row--;
+    } else {
+      words.unshift({ status: 'extra', text: typedWords[column - 1] });
+      column--;
+    }
+  }
+
+  return {
+    correctCount: words.filter((word) => word.status === 'correct').length,
+    extraCount: words.filter((word) => word.status === 'extra').length,
+    words,
+  };
+}
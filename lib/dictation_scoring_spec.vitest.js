@@ -0,0 +1,81 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import { compareDictation, isMisspelling } from './dictation_scoring.js';
+
+/**
+ * Lists the status of each word
+ * @param {import('./dictation_scoring.js').DictationComparison} comparison
+ * @return {Array<string>} Each word as status:text
+ */
+const describeWords = (comparison) =>
+  comparison.words.map((word) => `${word.status}:${word.text}`);
+
+describe('dictation_scoring', () => {
+  describe('isMisspelling', () => {
+    it('accepts a few wrong letters', () => {
+      expect(isMisspelling('come', 'comen')).toBe(true);
+      expect(isMisspelling('está', 'esta')).toBe(true);
+    });
+
+    it('rejects a different word', () => {
+      expect(isMisspelling('gato', 'perro')).toBe(false);
+    });
+  });
+
+  describe('compareDictation', () => {
+    it('marks every word correct for an exact answer', () => {
+      const comparison = compareDictation('El gato come.', 'el gato come');
+
+      expect(comparison.correctCount).toBe(3);
+      expect(comparison.extraCount).toBe(0);
+      expect(describeWords(comparison)).toEqual([
+        'correct:El',
+        'correct:gato',
+        'correct:come.',
+      ]);
+    });
+
+    it('finds missing words', () => {
+      expect(describeWords(compareDictation('El gato come', 'El come')))
+        .toEqual(['correct:El', 'missing:gato', 'correct:come']);
+    });
+
+    it('finds extra words', () => {
+      const comparison = compareDictation('El gato come', 'El gato no come');
+
+      expect(comparison.extraCount).toBe(1);
+      expect(describeWords(comparison)).toEqual([
+        'correct:El',
+        'correct:gato',
+        'extra:no',
+        'correct:come',
+      ]);
+    });
+
+    it('keeps what the learner wrote for misspelled words', () => {
+      const comparison = compareDictation('Ella está aquí', 'Ella esta aquí');
+
+      expect(comparison.words[1]).toEqual({
+        status: 'misspelled',
+        text: 'está',
+        typed: 'esta',
+      });
+    });
+
+    it('treats a different word as missing and extra', () => {
+      expect(describeWords(compareDictation('el gato', 'el perro')))
+        .toEqual(['correct:el', 'extra:perro', 'missing:gato']);
+    });
+
+    it('marks every word missing for a blank answer', () => {
+      const comparison = compareDictation('Hola amigo', '');
+
+      expect(describeWords(comparison)).toEqual([
+        'missing:Hola',
+        'missing:amigo',
+      ]);
+      expect(comparison.correctCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// @ts-check
+
+/**
+ * @typedef {Object} HotspotPoint
+ * @property {number} x - Distance from the left edge of the frame, from 0
+ *   to 1
+ * @property {number} y - Distance from the top edge of the frame, from 0
+ *   to 1
+ */
+
+/**
+ * A region of the frame the learner can click, given either as a rectangle
+ * (x, y, width and height) or as a polygon (points). Coordinates are
+ * fractions of the frame's width and height, so they hold at any size.
+ * @typedef {Object} HotspotRegion
+ * @property {boolean} [correct] - Whether clicking the region is correct
+ * @property {number} [height] - Height of a rectangle
+ * @property {string} [label] - Describes what the region shows
+ * @property {Array<HotspotPoint>} [points] - Corners of a polygon, in order
+ * @property {number} [width] - Width of a rectangle
+ * @property {number} [x] - Left edge of a rectangle
+ * @property {number} [y] - Top edge of a rectangle
+ */
+
+/**
+ * Lists the corners of a region, turning rectangles into polygons
+ * @param {HotspotRegion} region - The region
+ * @return {Array<HotspotPoint>} The corners, or none for an invalid region
+ */
+export function getRegionPoints(region) {
+  if (Array.isArray(region?.points)) {
+    return region.points.filter((point) =>
+      Number.isFinite(point?.x) && Number.isFinite(point?.y)
+    );
+  }
+
+  const x = Number(region?.x);
+  const y = Number(region?.y);
+  const width = Number(region?.width);
+  const height = Number(region?.height);
+  if (![x, y, width, height].every(Number.isFinite)) {
+    return [];
+  }
+  return [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height },
+  ];
+}
+
+/**
+ * Checks whether a point falls inside a region, counting its edges as
+ * inside for rectangles
+ * @param {HotspotPoint} point - The point
+ * @param {HotspotRegion} region - The region
+ * @return {boolean} True if the point is in the region
+ */
+export function isPointInRegion(point, region) {
+  if (!Array.isArray(region?.points)) {
+    const [topLeft, , bottomRight] = getRegionPoints(region);
+    return Boolean(topLeft) &&
+      point.x >= Math.min(topLeft.x, bottomRight.x) &&
+      point.x <= Math.max(topLeft.x, bottomRight.x) &&
+      point.y >= Math.min(topLeft.y, bottomRight.y) &&
+      point.y <= Math.max(topLeft.y, bottomRight.y);
+  }
+
+  const points = getRegionPoints(region);
+  let isInside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const crossesRay = (a.y > point.y) !== (b.y > point.y) &&
+      point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x;
+    if (crossesRay) {
+      isInside = !isInside;
+    }
+  }
+  return isInside;
+}
+
+/**
+ * Finds the region under a point. Regions later in the list are drawn on
+ * top, so they win where regions overlap.
+ * @param {Array<HotspotRegion>} regions - The regions
+ * @param {HotspotPoint} point - The point
+ * @return {HotspotRegion|null} The region, or null if the point is in none
+ */
+export function findRegionAt(regions, point) {
+  for (let i = regions.length - 1; i >= 0; i--) {
+    if (isPointInRegion(point, regions[i])) {
+      return regions[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the middle of a region, where a marker shows the answer
+ * @param {HotspotRegion} region - The region
+ * @return {HotspotPoint|null} The average of its corners, or null for an
+ *   invalid region
+ */
+export function getRegionCenter(region) {
+  const points = getRegionPoints(region);
+  if (points.length === 0) {
+    return null;
+  }
+  return {
+    x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+    y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+  };
+}
+
+/**
+ * Converts a position in the viewport to a point on an element
+ * @param {number} clientX - Position from the left of the viewport
+ * @param {number} clientY - Position from the top of the viewport
+ * @param {{left: number, top: number, width: number, height: number}} rect -
+ *   The element's bounding box
+ * @return {HotspotPoint} The point, kept within the element
+ */
+export function toHotspotPoint(clientX, clientY, rect) {
+  /**
+   * Keeps a fraction between 0 and 1
+   * @param {number} value - The fraction
+   * @return {number} The clamped fraction
+   */
+  const clamp = (value) =>
+    Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+
+  return {
+    x: clamp((clientX - rect.left) / rect.width),
+    y: clamp((clientY - rect.top) / rect.height),
+  };
+}
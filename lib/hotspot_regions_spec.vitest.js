@@ -0,0 +1,89 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  findRegionAt,
+  getRegionCenter,
+  getRegionPoints,
+  isPointInRegion,
+  toHotspotPoint,
+} from './hotspot_regions.js';
+
+describe('hotspot_regions', () => {
+  const rectangle = { x: 0.1, y: 0.2, width: 0.3, height: 0.4 };
+  const triangle = {
+    points: [{ x: 0.5, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }],
+  };
+
+  describe('getRegionPoints', () => {
+    it('turns a rectangle into its corners', () => {
+      expect(getRegionPoints({ x: 0, y: 0, width: 0.5, height: 0.25 }))
+        .toEqual([
+          { x: 0, y: 0 },
+          { x: 0.5, y: 0 },
+          { x: 0.5, y: 0.25 },
+          { x: 0, y: 0.25 },
+        ]);
+    });
+
+    it('has no corners for an incomplete rectangle', () => {
+      expect(getRegionPoints({ x: 0, y: 0, width: 0.5 })).toEqual([]);
+    });
+  });
+
+  describe('isPointInRegion', () => {
+    it('checks rectangles, edges included', () => {
+      expect(isPointInRegion({ x: 0.2, y: 0.3 }, rectangle)).toBe(true);
+      expect(isPointInRegion({ x: 0.1, y: 0.6 }, rectangle)).toBe(true);
+      expect(isPointInRegion({ x: 0.5, y: 0.3 }, rectangle)).toBe(false);
+    });
+
+    it('checks polygons', () => {
+      expect(isPointInRegion({ x: 0.5, y: 0.5 }, triangle)).toBe(true);
+      expect(isPointInRegion({ x: 0.1, y: 0.2 }, triangle)).toBe(false);
+    });
+
+    it('never matches an invalid region', () => {
+      expect(isPointInRegion({ x: 0.5, y: 0.5 }, {})).toBe(false);
+    });
+  });
+
+  describe('findRegionAt', () => {
+    it('prefers the region drawn on top', () => {
+      const whole = { label: 'whole', x: 0, y: 0, width: 1, height: 1 };
+      const part = { label: 'part', ...rectangle };
+
+      expect(findRegionAt([whole, part], { x: 0.2, y: 0.3 })).toBe(part);
+      expect(findRegionAt([whole, part], { x: 0.9, y: 0.9 })).toBe(whole);
+    });
+
+    it('returns null outside every region', () => {
+      expect(findRegionAt([rectangle], { x: 0.9, y: 0.9 })).toBeNull();
+    });
+  });
+
+  describe('getRegionCenter', () => {
+    it('finds the middle of a rectangle', () => {
+      const center = getRegionCenter(rectangle);
+
+      expect(center?.x).toBeCloseTo(0.25);
+      expect(center?.y).toBeCloseTo(0.4);
+    });
+
+    it('returns null for an invalid region', () => {
+      expect(getRegionCenter({})).toBeNull();
+    });
+  });
+
+  describe('toHotspotPoint', () => {
+    const rect = { height: 200, left: 100, top: 50, width: 400 };
+
+    it('converts viewport positions to fractions of the element', () => {
+      expect(toHotspotPoint(300, 100, rect)).toEqual({ x: 0.5, y: 0.25 });
+    });
+
+    it('keeps the point within the element', () => {
+      expect(toHotspotPoint(0, 500, rect)).toEqual({ x: 0, y: 1 });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// @ts-check
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number|null} actionIndex - The current action on the player
+ *   screen, or null on other screens
+ * @property {string} screenId - ID of the screen
+ */
+
+/**
+ * Remembers where the learner has been so they can step back through
+ * screens and player actions
+ */
+export class NavigationHistory {
+  /** @type {HistoryEntry[]} */
+  entries = [];
+  /** @type {HistoryEntry|null} */
+  current = null;
+
+  /**
+   * Check whether two entries point at the same place
+   * @param {HistoryEntry|null} first - The first entry
+   * @param {HistoryEntry|null} second - The second entry
+   * @return {boolean} True if both entries match
+   */
+  static isSameEntry(first, second) {
+    return Boolean(first && second) &&
+      first?.screenId === second?.screenId &&
+      first?.actionIndex === second?.actionIndex;
+  }
+
+  /**
+   * Record a new location, remembering the previous one
+   * @param {HistoryEntry} entry - Where the learner is now
+   */
+  visit(entry) {
+    if (NavigationHistory.isSameEntry(this.current, entry)) {
+      return;
+    }
+    if (this.current) {
+      this.entries.push(this.current);
+    }
+    this.current = { ...entry };
+  }
+
+  /**
+   * Check if there is a previous location to go back to
+   * @return {boolean} True if back navigation is possible
+   */
+  canGoBack() {
+    return this.entries.length > 0;
+  }
+
+  /**
+   * Step back to an earlier location, forgetting the ones in between
+   * @param {number} [steps=1] - How many locations to step back
+   * @return {HistoryEntry|null} The location stepped back to, or null if
+   *   there are not that many
+   */
+  back(steps = 1) {
+    if (steps < 1 || steps > this.entries.length) {
+      return null;
+    }
+    const [entry] = this.entries.splice(this.entries.length - steps);
+    this.current = entry;
+    return entry;
+  }
+
+  /**
+   * Forget every location
+   */
+  clear() {
+    this.entries = [];
+    this.current = null;
+  }
+}
\ No newline at end of file
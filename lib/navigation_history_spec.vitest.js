@@ -0,0 +1,109 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { NavigationHistory } from './navigation_history.js';
+
+describe('NavigationHistory', () => {
+  /** @type {NavigationHistory} */
+  let history;
+
+  beforeEach(() => {
+    history = new NavigationHistory();
+  });
+
+  describe('visit', () => {
+    it('does not remember the first location', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+
+      expect(history.entries).toEqual([]);
+      expect(history.canGoBack()).toBe(false);
+    });
+
+    it('remembers the previous location', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+      history.visit({ actionIndex: 0, screenId: 'player' });
+
+      expect(history.entries).toEqual([
+        { actionIndex: null, screenId: 'intro' },
+      ]);
+      expect(history.canGoBack()).toBe(true);
+    });
+
+    it('ignores visits to the current location', () => {
+      history.visit({ actionIndex: 0, screenId: 'player' });
+      history.visit({ actionIndex: 0, screenId: 'player' });
+
+      expect(history.entries).toEqual([]);
+    });
+
+    it('treats a new action on the same screen as a new location', () => {
+      history.visit({ actionIndex: 0, screenId: 'player' });
+      history.visit({ actionIndex: 1, screenId: 'player' });
+
+      expect(history.entries).toEqual([{ actionIndex: 0, screenId: 'player' }]);
+    });
+  });
+
+  describe('back', () => {
+    it('returns null when there is nowhere to go back to', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+
+      const entry = history.back();
+
+      expect(entry).toBeNull();
+      expect(history.current).toEqual({ actionIndex: null, screenId: 'intro' });
+    });
+
+    it('returns the previous location and makes it current', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+      history.visit({ actionIndex: 0, screenId: 'player' });
+
+      const entry = history.back();
+
+      expect(entry).toEqual({ actionIndex: null, screenId: 'intro' });
+      expect(history.current).toEqual(entry);
+      expect(history.canGoBack()).toBe(false);
+    });
+
+    it('steps back several locations at once', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+      history.visit({ actionIndex: 0, screenId: 'player' });
+      history.visit({ actionIndex: 1, screenId: 'player' });
+
+      const entry = history.back(2);
+
+      expect(entry).toEqual({ actionIndex: null, screenId: 'intro' });
+      expect(history.entries).toEqual([]);
+    });
+
+    it('returns null when there are fewer locations than steps', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+      history.visit({ actionIndex: 0, screenId: 'player' });
+
+      expect(history.back(2)).toBeNull();
+      expect(history.entries).toHaveLength(1);
+    });
+
+    it('does not record the location it returned to', () => {
+      history.visit({ actionIndex: 0, screenId: 'player' });
+      history.visit({ actionIndex: 1, screenId: 'player' });
+
+      history.back();
+      history.visit({ actionIndex: 0, screenId: 'player' });
+
+      expect(history.entries).toEqual([]);
+    });
+  });
+
+  describe('clear', () => {
+    it('forgets every location', () => {
+      history.visit({ actionIndex: null, screenId: 'intro' });
+      history.visit({ actionIndex: 0, screenId: 'player' });
+
+      history.clear();
+
+      expect(history.entries).toEqual([]);
+      expect(history.current).toBeNull();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+// @ts-check
+
+/**
+ * @typedef {Object} ActivityIdentity
+ * @property {string} sub_topic
+ * @property {string} title
+ * @property {string} topic
+ */
+
+/**
+ * @typedef {Object} ProgressSnapshot
+ * @property {Object<number|string, Object>} answers - Quick check answers by
+ *   action index or cue point ID
+ * @property {Array<number>} completedActions - Indexes of completed actions
+ * @property {number} currentActionIndex - Index of the current action
+ * @property {string} currentScreenId - ID of the current screen
+ * @property {number} savedAt - Timestamp of the save in milliseconds
+ * @property {number} [timeSpent] - Time spent on the activity in
+ *   milliseconds
+ * @property {number} videoPosition - Playback position in seconds
+ */
+
+const STORAGE_PREFIX = 'interactive_video_progress';
+
+/**
+ * Builds the localStorage key that identifies an activity's progress
+ * @param {ActivityIdentity} activityInfo - The activity information
+ * @return {string} The storage key
+ */
+export function getProgressStorageKey(activityInfo) {
+  const identity = [
+    activityInfo.topic,
+    activityInfo.sub_topic,
+    activityInfo.title,
+  ].map((part) => encodeURIComponent(part || ''));
+  return `${STORAGE_PREFIX}:${identity.join(':')}`;
+}
+
+/**
+ * Reads saved progress, ignoring missing or unreadable entries
+ * @param {string} storageKey - The activity's storage key
+ * @return {ProgressSnapshot|null} The saved progress or null
+ */
+export function loadProgress(storageKey) {
+  try {
+    const storedProgress = localStorage.getItem(storageKey);
+    return storedProgress ? JSON.parse(storedProgress) : null;
+  } catch (error) {
+    console.warn('Failed to load saved progress:', error);
+    return null;
+  }
+}
+
+/**
+ * Writes progress, ignoring storage that is full or unavailable
+ * @param {string} storageKey - The activity's storage key
+ * @param {ProgressSnapshot} progress - The progress to save
+ */
+export function saveProgress(storageKey, progress) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(progress));
+  } catch (error) {
+    console.warn('Failed to save progress:', error);
+  }
+}
+
+/**
+ * Removes saved progress for an activity
+ * @param {string} storageKey - The activity's storage key
+ */
+export function clearProgress(storageKey) {
+  try {
+    localStorage.removeItem(storageKey);
+  } catch (error) {
+    console.warn('Failed to clear saved progress:', error);
+  }
+}
\ No newline at end of file
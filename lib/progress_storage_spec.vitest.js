@@ -0,0 +1,65 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  clearProgress,
+  getProgressStorageKey,
+  loadProgress,
+  saveProgress,
+} from './progress_storage.js';
+
+describe('progress_storage', () => {
+  const progress = {
+    answers: {},
+    completedActions: [0],
+    currentActionIndex: 1,
+    currentScreenId: 'player',
+    savedAt: 1000,
+    videoPosition: 12,
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('getProgressStorageKey', () => {
+    it('identifies the activity by topic, sub topic and title', () => {
+      const key = getProgressStorageKey({
+        sub_topic: 'Greetings',
+        title: 'Lesson 1',
+        topic: 'Spanish',
+      });
+
+      expect(key).toBe('interactive_video_progress:Spanish:Greetings:Lesson%201');
+    });
+  });
+
+  describe('saveProgress and loadProgress', () => {
+    it('round-trips saved progress', () => {
+      saveProgress('key', progress);
+
+      expect(loadProgress('key')).toEqual(progress);
+    });
+
+    it('returns null when nothing is saved', () => {
+      expect(loadProgress('key')).toBeNull();
+    });
+
+    it('returns null for unreadable progress', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      localStorage.setItem('key', '{not json');
+
+      expect(loadProgress('key')).toBeNull();
+    });
+  });
+
+  describe('clearProgress', () => {
+    it('removes saved progress', () => {
+      saveProgress('key', progress);
+
+      clearProgress('key');
+
+      expect(loadProgress('key')).toBeNull();
+    });
+  });
+});
\ No newline at end of file
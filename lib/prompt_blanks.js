@@ -0,0 +1,80 @@
+// @ts-check
+
+/**
+ * Marks a blank inside a prompt: a run of three or more underscores
+ * @type {RegExp}
+ */
+export const BLANK_PATTERN = /_{3,}/g;
+
+/**
+ * @typedef {Object} PromptNode
+ * @property {Object<string, string>} [attributes] - Attributes of an element
+ * @property {Array<PromptNode>} [children] - Child nodes of an element
+ * @property {number} [index] - Position of a blank among the prompt's blanks
+ * @property {string} [tag] - Tag name of an element
+ * @property {string} [text] - Text of a text node
+ * @property {'blank'|'element'|'text'} type - Kind of node
+ */
+
+/**
+ * @typedef {Object} ParsedPrompt
+ * @property {number} blankCount - Number of blanks in the prompt
+ * @property {Array<PromptNode>} nodes - The prompt's top-level nodes
+ */
+
+/**
+ * Parses a prompt into its elements and text, with the blanks split out of
+ * the text, so markup around a blank stays whole
+ * @param {unknown} prompt - The prompt HTML
+ * @return {ParsedPrompt} The prompt nodes and how many blanks they hold
+ */
+export function parsePromptBlanks(prompt) {
+  const template = document.createElement('template');
+  template.innerHTML = String(prompt ?? '');
+  let blankCount = 0;
+
+  /**
+   * Splits a text node around its blanks
+   * @param {string} text - The text
+   * @return {Array<PromptNode>} Text and blank nodes
+   */
+  const splitText = (text) =>
+    text.split(BLANK_PATTERN).flatMap((part, partIndex) => {
+      /** @type {Array<PromptNode>} */
+      const parts = [];
+      if (partIndex > 0) {
+        parts.push({ index: blankCount++, type: 'blank' });
+      }
+      if (part) {
+        parts.push({ text: part, type: 'text' });
+      }
+      return parts;
+    });
+
+  /**
+   * Converts DOM nodes to prompt nodes, leaving out comments
+   * @param {NodeListOf<ChildNode>} domNodes - The DOM nodes
+   * @return {Array<PromptNode>} The prompt nodes
+   */
+  const toPromptNodes = (domNodes) =>
+    Array.from(domNodes).flatMap((domNode) => {
+      if (domNode.nodeType === Node.TEXT_NODE) {
+        return splitText(domNode.textContent || '');
+      }
+      if (domNode.nodeType !== Node.ELEMENT_NODE) {
+        return [];
+      }
+      const element = /** @type {Element} */ (domNode);
+      return [{
+        attributes: Object.fromEntries(
+          Array.from(element.attributes, ({ name, value }) => [name, value])
+        ),
+        children: toPromptNodes(element.childNodes),
+        tag: element.tagName.toLowerCase(),
+        type: 'element',
+      }];
+    });
+
+  const nodes = toPromptNodes(template.content.childNodes);
+  return { blankCount, nodes };
+}
@@ -0,0 +1,63 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import { parsePromptBlanks } from './prompt_blanks.js';
+
+describe('prompt_blanks', () => {
+  describe('parsePromptBlanks', () => {
+    it('splits the text around runs of underscores', () => {
+      expect(parsePromptBlanks('Yo ___ español y ____ inglés.')).toEqual({
+        blankCount: 2,
+        nodes: [
+          { text: 'Yo ', type: 'text' },
+          { index: 0, type: 'blank' },
+          { text: ' español y ', type: 'text' },
+          { index: 1, type: 'blank' },
+          { text: ' inglés.', type: 'text' },
+        ],
+      });
+    });
+
+    it('keeps the markup around a blank whole', () => {
+      expect(parsePromptBlanks('<b class="hint">El ___ gato</b>.')).toEqual({
+        blankCount: 1,
+        nodes: [
+          {
+            attributes: { class: 'hint' },
+            children: [
+              { text: 'El ', type: 'text' },
+              { index: 0, type: 'blank' },
+              { text: ' gato', type: 'text' },
+            ],
+            tag: 'b',
+            type: 'element',
+          },
+          { text: '.', type: 'text' },
+        ],
+      });
+    });
+
+    it('numbers the blanks across elements', () => {
+      const { blankCount, nodes } = parsePromptBlanks(
+        '<i>___</i> y <b>___</b>'
+      );
+
+      expect(blankCount).toBe(2);
+      expect(nodes[2].children).toEqual([{ index: 1, type: 'blank' }]);
+    });
+
+    it('leaves shorter runs of underscores in the text', () => {
+      expect(parsePromptBlanks('snake__case')).toEqual({
+        blankCount: 0,
+        nodes: [{ text: 'snake__case', type: 'text' }],
+      });
+    });
+
+    it('handles a missing prompt', () => {
+      expect(parsePromptBlanks(undefined)).toEqual({
+        blankCount: 0,
+        nodes: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// @ts-check
+
+/**
+ * @typedef {'correct' | 'missed' | 'mispronounced'} WordStatus
+ */
+
+/**
+ * @typedef {Object} WordResult
+ * @property {WordStatus} status - How the learner said the word
+ * @property {string} text - The word as written in the target text
+ */
+
+/**
+ * @typedef {Object} PronunciationComparison
+ * @property {boolean} isCorrect - Whether the score reaches the pass mark
+ * @property {number} score - Similarity to the target from 0 to 100
+ * @property {string} transcript - What the recognizer heard
+ * @property {Array<WordResult>} words - The target words with their status
+ */
+
+export const DEFAULT_PASS_SCORE = 80;
+
+/**
+ * Normalizes spoken or written text so punctuation and case are ignored
+ * @param {unknown} text - The text to normalize
+ * @return {string} Lowercased letters, digits and apostrophes separated by
+ *   single spaces
+ */
+export function normalizeSpokenText(text) {
+  return String(text ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Splits text into words, keeping the original spelling of each word
+ * @param {unknown} text - The text to split
+ * @return {Array<string>} The words
+ */
+export function splitWords(text) {
+  return String(text ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .split(/\s+/)
+    .filter((word) => normalizeSpokenText(word) !== '');
+}
+
+/**
+ * Builds the Levenshtein table for two sequences
+ * @param {ArrayLike<string>} source - The expected sequence
+ * @param {ArrayLike<string>} target - The actual sequence
+ * @return {Array<Array<number>>} Edit distances between every prefix pair
+ */
+export function buildDistanceTable(source, target) {
+  const table = Array.from({ length: source.length + 1 }, (_, row) =>
+    Array.from({ length: target.length + 1 }, (_, column) =>
+      row === 0 ? column : column === 0 ? row : 0
+    )
+  );
+
+  for (let row = 1; row <= source.length; row++) {
+    for (let column = 1; column <= target.length; column++) {
+      const substitutionCost = source[row - 1] === target[column - 1] ? 0 : 1;
+      table[row][column] = Math.min(
+        table[row - 1][column] + 1,
+        table[row][column - 1] + 1,
+        table[row - 1][column - 1] + substitutionCost
+      );
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Counts the insertions, deletions and substitutions between two sequences
+ * @param {ArrayLike<string>} source - The expected sequence
+ * @param {ArrayLike<string>} target - The actual sequence
+ * @return {number} The edit distance
+ */
+export function calculateEditDistance(source, target) {
+  return buildDistanceTable(source, target)[source.length][target.length];
+}
+
+/**
+ * Compares two texts with an edit distance normalized by their length
+ * @param {string} expected - The target text
+ * @param {string} actual - The recognized text
+ * @return {number} Similarity from 0 (nothing alike) to 1 (identical)
+ */
+export function calculateSimilarity(expected, actual) {
+  const normalizedExpected = normalizeSpokenText(expected);
+  const normalizedActual = normalizeSpokenText(actual);
+  const length = Math.max(normalizedExpected.length, normalizedActual.length);
+  if (length === 0) {
+    return 1;
+  }
+  return 1 - calculateEditDistance(normalizedExpected, normalizedActual) /
+    length;
+}
+
+/**
+ * Aligns the target words with the recognized words to find the ones the
+ * learner left out or said differently. Extra spoken words are ignored.
+ * @param {string} expected - The target text
+ * @param {string} actual - The recognized text
+ * @return {Array<WordResult>} The target words with their status
+ */
+export function compareWords(expected, actual) {
+  const expectedWords = splitWords(expected);
+  const normalizedExpected = expectedWords.map(normalizeSpokenText);
+  const normalizedActual = splitWords(actual).map(normalizeSpokenText);
+  const table = buildDistanceTable(normalizedExpected, normalizedActual);
+
+  /** @type {Array<WordResult>} */
+  const results = [];
+  let row = normalizedExpected.length;
+  let column = normalizedActual.length;
+  while (row > 0) {
+    const isMatch = column > 0 &&
+      normalizedExpected[row - 1] === normalizedActual[column - 1];
+    const diagonal = column > 0 ? table[row - 1][column - 1] : Infinity;
+
+    if (column > 0 && table[row][column] === diagonal + (isMatch ? 0 : 1)) {
+      results.unshift({
+        status: isMatch ? 'correct' : 'mispronounced',
+        text: expectedWords[row - 1],
+      });
+      row--;
+      column--;
+    } else if (table[row][column] === table[row - 1][column] + 1) {
+      results.unshift({ status: 'missed', text: expectedWords[row - 1] });
+      row--;
+    } else {
+      column--;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Scores what the learner said against the text they were asked to say
+ * @param {string} expected - The target text
+ * @param {string} transcript - The recognized text
+ * @param {number} [passScore] - Lowest score that counts as correct
+ * @return {PronunciationComparison} The score and per-word feedback
+ */
+export function comparePronunciation(
+  expected,
+  transcript,
+  passScore = DEFAULT_PASS_SCORE
+) {
+  const score = normalizeSpokenText(transcript) === '' ?
+    0 :
+    Math.round(calculateSimilarity(expected, transcript) * 100);
+
+  return {
+    isCorrect: score >= passScore,
+    score,
+    transcript,
+    words: compareWords(expected, transcript),
+  };
+}
\ No newline at end of file
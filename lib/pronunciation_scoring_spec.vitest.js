@@ -0,0 +1,89 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateEditDistance,
+  calculateSimilarity,
+  comparePronunciation,
+  compareWords,
+  normalizeSpokenText,
+} from './pronunciation_scoring.js';
+
+describe('pronunciation_scoring', () => {
+  describe('normalizeSpokenText', () => {
+    it('ignores case, punctuation and markup', () => {
+      expect(normalizeSpokenText('<b>¡Hola,</b>  señor!')).toBe('hola señor');
+    });
+
+    it('keeps apostrophes inside words', () => {
+      expect(normalizeSpokenText("C'est l'heure.")).toBe("c'est l'heure");
+    });
+  });
+
+  describe('calculateEditDistance', () => {
+    it('counts single character edits', () => {
+      expect(calculateEditDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    it('compares word arrays', () => {
+      expect(calculateEditDistance(['a', 'b', 'c'], ['a', 'c'])).toBe(1);
+    });
+  });
+
+  describe('calculateSimilarity', () => {
+    it('is 1 for matching text', () => {
+      expect(calculateSimilarity('Buenos días.', 'buenos días')).toBe(1);
+    });
+
+    it('is normalized by the longer text', () => {
+      expect(calculateSimilarity('hola', 'ola')).toBe(0.75);
+    });
+  });
+
+  describe('compareWords', () => {
+    it('marks words that were left out as missed', () => {
+      const words = compareWords('me llamo Ana', 'me Ana');
+
+      expect(words).toEqual([
+        { status: 'correct', text: 'me' },
+        { status: 'missed', text: 'llamo' },
+        { status: 'correct', text: 'Ana' },
+      ]);
+    });
+
+    it('marks words heard differently as mispronounced', () => {
+      const words = compareWords('tengo perro', 'tengo pero');
+
+      expect(words[1]).toEqual({ status: 'mispronounced', text: 'perro' });
+    });
+
+    it('ignores extra spoken words', () => {
+      const words = compareWords('gracias', 'muchas gracias');
+
+      expect(words).toEqual([{ status: 'correct', text: 'gracias' }]);
+    });
+  });
+
+  describe('comparePronunciation', () => {
+    it('scores a close attempt as correct', () => {
+      const result = comparePronunciation('Buenos días', 'buenos dias');
+
+      expect(result.score).toBe(91);
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('scores silence as zero with every word missed', () => {
+      const result = comparePronunciation('hola amigo', '');
+
+      expect(result.score).toBe(0);
+      expect(result.words.every((word) => word.status === 'missed'))
+        .toBe(true);
+    });
+
+    it('uses the pass score', () => {
+      const result = comparePronunciation('hola', 'ola', 90);
+
+      expect(result.isCorrect).toBe(false);
+    });
+  });
+});
\ No newline at end of file
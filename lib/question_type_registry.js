@@ -0,0 +1,60 @@
+// @ts-check
+
+/**
+ * @typedef {import('./answer_scoring.js').Scorer} Scorer
+ */
+
+/**
+ * @typedef {Object} QuestionType
+ * @property {string} [answerEvent] - Event the component emits with the
+ *   learner's answer
+ * @property {Object} [component] - The Vue component that renders the
+ *   question; it receives the quick check as its question prop
+ * @property {function(Object): (string|undefined)} [getDL] - Extracts the
+ *   direction line from the quick check content
+ * @property {Scorer} [score] - Scores an answer against the quick check
+ *   content
+ * @property {string} type - The quick check type the definition handles
+ */
+
+/**
+ * Maps quick check types to the component that renders them, how answers
+ * are scored and where their direction line is, so host code can add types
+ */
+export class QuestionTypeRegistry {
+  /** @type {Object<string, QuestionType>} */
+  types = {};
+
+  /**
+   * Add a question type, or update the definition of a registered one
+   * @param {QuestionType} definition - The question type definition
+   */
+  register(definition) {
+    this.types[definition.type] = {
+      ...this.types[definition.type],
+      ...definition,
+    };
+  }
+
+  /**
+   * Remove a question type
+   * @param {string} type - The quick check type
+   */
+  unregister(type) {
+    delete this.types[type];
+  }
+
+  /**
+   * Get the definition of a question type
+   * @param {string|undefined} type - The quick check type
+   * @return {QuestionType|null} The definition, or null
+   */
+  get(type) {
+    if (!type || !Object.prototype.hasOwnProperty.call(this.types, type)) {
+      return null;
+    }
+    return this.types[type];
+  }
+}
+
+export const questionTypeRegistry = new QuestionTypeRegistry();
\ No newline at end of file
@@ -0,0 +1,60 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { QuestionTypeRegistry } from './question_type_registry.js';
+
+describe('QuestionTypeRegistry', () => {
+  /** @type {QuestionTypeRegistry} */
+  let registry;
+
+  beforeEach(() => {
+    registry = new QuestionTypeRegistry();
+  });
+
+  describe('register', () => {
+    it('adds a question type', () => {
+      const component = { name: 'SpellingQuestion' };
+
+      registry.register({ component, type: 'spelling' });
+
+      expect(registry.get('spelling')).toEqual({ component, type: 'spelling' });
+    });
+
+    it('merges into an existing definition', () => {
+      const component = { name: 'SpellingQuestion' };
+      const getDL = () => 'Spell the word';
+      registry.register({ getDL, type: 'spelling' });
+
+      registry.register({
+        answerEvent: 'word-spelled',
+        component,
+        type: 'spelling',
+      });
+
+      expect(registry.get('spelling')).toEqual({
+        answerEvent: 'word-spelled',
+        component,
+        getDL,
+        type: 'spelling',
+      });
+    });
+  });
+
+  describe('unregister', () => {
+    it('removes a question type', () => {
+      registry.register({ type: 'spelling' });
+
+      registry.unregister('spelling');
+
+      expect(registry.get('spelling')).toBeNull();
+    });
+  });
+
+  describe('get', () => {
+    it('returns null for unknown or missing types', () => {
+      expect(registry.get('crossword')).toBeNull();
+      expect(registry.get('toString')).toBeNull();
+      expect(registry.get(undefined)).toBeNull();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// @ts-check
+
+import { questionTypeRegistry } from './question_type_registry.js';
+import DictationQuestion from '../components/questions/DictationQuestion.vue';
+import DragAndDropQuestion from '../components/questions/DragAndDropQuestion.vue';
+import FillInTheBlanksQuestion from '../components/questions/FillInTheBlanksQuestion.vue';
+import MatchingQuestion from '../components/questions/MatchingQuestion.vue';
+import MultipleChoiceQuestion from '../components/questions/MultipleChoiceQuestion.vue';
+import OrderingQuestion from '../components/questions/OrderingQuestion.vue';
+import PronunciationQuestion from '../components/questions/PronunciationQuestion.vue';
+import TrueFalseQuestion from '../components/questions/TrueFalseQuestion.vue';
+import VideoHotspotQuestion from '../components/questions/VideoHotspotQuestion.vue';
+
+/**
+ * @typedef {import('./answer_scoring.js').QuickCheck} QuickCheck
+ * @typedef {import('./question_type_registry.js').QuestionType} QuestionType
+ * @typedef {import('./question_type_registry.js').QuestionTypeRegistry} QuestionTypeRegistry
+ */
+
+/**
+ * Reads the direction line most quick check types keep in their content
+ * @param {Object} content - The quick check content
+ * @return {string|undefined} The direction line text
+ */
+function getContentDL(content) {
+  return /** @type {{dl?: string}} */ (content).dl;
+}
+
+/**
+ * Add a built-in question type, keeping whatever the host already
+ * registered for that type
+ * @param {QuestionTypeRegistry} registry - The registry to add the type to
+ * @param {QuestionType} definition - The built-in definition
+ */
+function registerDefault(registry, definition) {
+  registry.register({ ...definition, ...registry.get(definition.type) });
+}
+
+/**
+ * Add the question types every activity supports to a registry, with the
+ * components that render them and the events they answer with. Their
+ * scorers are registered by answer_scoring.js. Host registrations for the
+ * same types win.
+ * @param {QuestionTypeRegistry} registry - The registry to add the types to
+ */
+export function registerDefaultQuestionTypes(registry) {
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: DictationQuestion,
+    getDL: getContentDL,
+    type: 'dictation',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: FillInTheBlanksQuestion,
+    getDL: getContentDL,
+    type: 'fill_in_the_blanks',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: MatchingQuestion,
+    getDL: getContentDL,
+    type: 'matching',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-selected',
+    component: MultipleChoiceQuestion,
+    getDL: getContentDL,
+    type: 'multiple_choice',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: OrderingQuestion,
+    getDL: getContentDL,
+    type: 'ordering',
+  });
+  registerDefault(registry, {
+    answerEvent: 'pronunciation-complete',
+    component: PronunciationQuestion,
+    getDL: getContentDL,
+    type: 'pronunciation',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: DragAndDropQuestion,
+    getDL: getContentDL,
+    type: 'quick_check_drag_and_drop',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: TrueFalseQuestion,
+    getDL: getContentDL,
+    type: 'true_false',
+  });
+  registerDefault(registry, {
+    answerEvent: 'answer-submitted',
+    component: VideoHotspotQuestion,
+    getDL: getContentDL,
+    type: 'video_hotspot',
+  });
+}
+
+registerDefaultQuestionTypes(questionTypeRegistry);
+
+/**
+ * Get the direction line of a quick check. Types without an extractor use
+ * the dl in their content.
+ * @param {QuickCheck|null} quickCheck - The quick check
+ * @param {QuestionTypeRegistry} [registry] - Where the types are registered
+ * @return {string} The direction line text, or an empty string
+ */
+export function getQuestionDL(quickCheck, registry = questionTypeRegistry) {
+  if (!quickCheck) {
+    return '';
+  }
+  const getDL = registry.get(quickCheck.type)?.getDL || getContentDL;
+  return getDL(quickCheck.quick_check_content || {}) || '';
+}
\ No newline at end of file
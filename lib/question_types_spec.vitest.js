@@ -0,0 +1,94 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { QuestionTypeRegistry } from './question_type_registry.js';
+import {
+  getQuestionDL,
+  registerDefaultQuestionTypes,
+} from './question_types.js';
+import MultipleChoiceQuestion from '../components/questions/MultipleChoiceQuestion.vue';
+
+describe('question_types', () => {
+  /** @type {QuestionTypeRegistry} */
+  let registry;
+
+  beforeEach(() => {
+    registry = new QuestionTypeRegistry();
+    registerDefaultQuestionTypes(registry);
+  });
+
+  describe('registerDefaultQuestionTypes', () => {
+    it('registers the built-in question types', () => {
+      expect(Object.keys(registry.types).sort()).toEqual([
+        'dictation',
+        'fill_in_the_blanks',
+        'matching',
+        'multiple_choice',
+        'ordering',
+        'pronunciation',
+        'quick_check_drag_and_drop',
+        'true_false',
+        'video_hotspot',
+      ]);
+    });
+
+    it('pairs each type with its component and answer event', () => {
+      expect(registry.get('multiple_choice')?.component)
+        .toBe(MultipleChoiceQuestion);
+      expect(registry.get('multiple_choice')?.answerEvent)
+        .toBe('answer-selected');
+      Object.values(registry.types).forEach((definition) => {
+        expect(definition.component).toBeTypeOf('object');
+        expect(definition.answerEvent).toBeTypeOf('string');
+      });
+    });
+
+    it('keeps what the host registered for a built-in type', () => {
+      const hostRegistry = new QuestionTypeRegistry();
+      const HostTrueFalse = { name: 'HostTrueFalse', template: '<div />' };
+      hostRegistry.register({
+        answerEvent: 'verdict',
+        component: HostTrueFalse,
+        type: 'true_false',
+      });
+
+      registerDefaultQuestionTypes(hostRegistry);
+
+      expect(hostRegistry.get('true_false')).toEqual({
+        answerEvent: 'verdict',
+        component: HostTrueFalse,
+        getDL: expect.any(Function),
+        type: 'true_false',
+      });
+    });
+  });
+
+  describe('getQuestionDL', () => {
+    it('reads the direction line from the quick check content', () => {
+      const quickCheck = {
+        quick_check_content: { dl: 'Choose the answer' },
+        type: 'multiple_choice',
+      };
+
+      expect(getQuestionDL(quickCheck, registry)).toBe('Choose the answer');
+    });
+
+    it('uses the extractor registered for the type', () => {
+      registry.register({
+        getDL: (content) => content.instructions,
+        type: 'spelling',
+      });
+      const quickCheck = {
+        quick_check_content: { instructions: 'Spell the word' },
+        type: 'spelling',
+      };
+
+      expect(getQuestionDL(quickCheck, registry)).toBe('Spell the word');
+    });
+
+    it('returns an empty string without a direction line', () => {
+      expect(getQuestionDL(null, registry)).toBe('');
+      expect(getQuestionDL({ type: 'crossword' }, registry)).toBe('');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+// @ts-check
+
+/**
+ * @typedef {import('./answer_scoring.js').QuickCheck} QuickCheck
+ */
+
+/**
+ * @typedef {Object} QuickCheckItemContent
+ * @property {string} [id] - Identifier of the item
+ * @property {string} [prompt] - Prompt shown for the item
+ */
+
+/**
+ * Gets the items a quick check walks through
+ * @param {QuickCheck|null} quickCheck - The quick check
+ * @return {Array<QuickCheckItemContent>} The items, or an empty array
+ */
+function getItems(quickCheck) {
+  const items = /** @type {{items?: unknown}} */ (
+    quickCheck?.quick_check_content || {}
+  ).items;
+  return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Checks whether a quick check asks more than one question
+ * @param {QuickCheck|null} quickCheck - The quick check
+ * @return {boolean} True if the quick check has several items
+ */
+export function isMultiItemQuickCheck(quickCheck) {
+  return getItems(quickCheck).length > 1;
+}
+
+/**
+ * Splits a quick check into one quick check per item, so each item can be
+ * rendered and scored by the component for its type. An item's fields
+ * override the shared content and it becomes the only entry in `items`.
+ * Quick checks with one item or none are returned as they are.
+ * @param {QuickCheck|null} quickCheck - The quick check
+ * @return {Array<QuickCheck>} The quick check for each item
+ */
+export function getQuickCheckItems(quickCheck) {
+  if (!quickCheck) {
+    return [];
+  }
+  if (!isMultiItemQuickCheck(quickCheck)) {
+    return [quickCheck];
+  }
+
+  const { id, prompt } = /** @type {QuickCheckItemContent} */ (quickCheck);
+  return getItems(quickCheck).map((item, index) => ({
+    ...quickCheck,
+    id: item.id ?? (id === undefined ? undefined : `${id}-${index + 1}`),
+    prompt: item.prompt ?? prompt,
+    quick_check_content: {
+      ...quickCheck.quick_check_content,
+      ...item,
+      items: [item],
+    },
+  }));
+}
@@ -0,0 +1,88 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  getQuickCheckItems,
+  isMultiItemQuickCheck,
+} from './quick_check_items.js';
+
+describe('quick_check_items', () => {
+  const quickCheck = {
+    id: 'check-1',
+    prompt: 'Choose the word',
+    quick_check_content: {
+      dl: 'Drag the word into place.',
+      items: [
+        { answer: 'hola', prompt: 'Hello', words: [{ content: 'hola' }] },
+        { answer: 'adiós', words: [{ content: 'adiós' }] },
+      ],
+    },
+    type: 'quick_check_drag_and_drop',
+  };
+
+  describe('isMultiItemQuickCheck', () => {
+    it('is true for quick checks with several items', () => {
+      expect(isMultiItemQuickCheck(quickCheck)).toBe(true);
+    });
+
+    it('is false for a single item or none', () => {
+      expect(isMultiItemQuickCheck({
+        quick_check_content: { items: [{}] },
+        type: 'quick_check_drag_and_drop',
+      })).toBe(false);
+      expect(isMultiItemQuickCheck({ type: 'multiple_choice' })).toBe(false);
+      expect(isMultiItemQuickCheck(null)).toBe(false);
+    });
+  });
+
+  describe('getQuickCheckItems', () => {
+    it('returns a quick check for each item', () => {
+      const items = getQuickCheckItems(quickCheck);
+
+      expect(items).toHaveLength(2);
+      expect(items[1]).toEqual({
+        id: 'check-1-2',
+        prompt: 'Choose the word',
+        quick_check_content: {
+          answer: 'adiós',
+          dl: 'Drag the word into place.',
+          items: [{ answer: 'adiós', words: [{ content: 'adiós' }] }],
+          words: [{ content: 'adiós' }],
+        },
+        type: 'quick_check_drag_and_drop',
+      });
+    });
+
+    it('uses the item prompt when there is one', () => {
+      expect(getQuickCheckItems(quickCheck)[0].prompt).toBe('Hello');
+    });
+
+    it('lets item content replace the shared content', () => {
+      const items = getQuickCheckItems({
+        quick_check_content: {
+          choices: [{ text: 'shared' }],
+          items: [{ choices: [{ correct: true, text: 'a' }] }, {}],
+        },
+        type: 'multiple_choice',
+      });
+
+      expect(items[0].quick_check_content.choices).toEqual([
+        { correct: true, text: 'a' },
+      ]);
+      expect(items[1].quick_check_content.choices).toEqual([
+        { text: 'shared' },
+      ]);
+    });
+
+    it('returns single item quick checks unchanged', () => {
+      const single = { quick_check_content: {}, type: 'multiple_choice' };
+
+      expect(getQuickCheckItems(single)).toEqual([single]);
+      expect(getQuickCheckItems(single)[0]).toBe(single);
+    });
+
+    it('returns no items without a quick check', () => {
+      expect(getQuickCheckItems(null)).toEqual([]);
+    });
+  });
+});
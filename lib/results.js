@@ -0,0 +1,217 @@
+// @ts-check
+
+import { findRegionAt } from './hotspot_regions.js';
+
+/**
+ * @typedef {import('../stores/answer_store.js').AnswerRecord} AnswerRecord
+ * @typedef {import('./cue_points.js').CuePoint} CuePoint
+ * @typedef {import('./answer_scoring.js').MultipleChoiceAnswer}
+ *   MultipleChoiceAnswer
+ * @typedef {import('./answer_scoring.js').MultipleChoiceContent}
+ *   MultipleChoiceContent
+ * @typedef {import('./answer_scoring.js').TrueFalseAnswer} TrueFalseAnswer
+ * @typedef {import('./answer_scoring.js').HotspotContent} HotspotContent
+ * @typedef {import('./hotspot_regions.js').HotspotPoint} HotspotPoint
+ */
+
+/**
+ * @typedef {Object} ResultsAction
+ * @property {Array<CuePoint>} [cuePoints] - Quick checks shown during a video
+ * @property {Object} data - The video or quick check data
+ * @property {boolean} [remediation] - Whether the video is only reached
+ *   through a branch
+ * @property {string} type - Either 'video' or 'quick_check'
+ */
+
+/**
+ * @typedef {Object} ResultsQuickCheck
+ * @property {string} [prompt] - The question
+ * @property {Object} [quick_check_content] - Type-specific content, such as
+ *   the choices or hotspot regions
+ */
+
+/**
+ * @typedef {Object} SegmentResult
+ * @property {number} actionIndex - Index of the video action
+ * @property {string} title - The segment title
+ */
+
+/**
+ * @typedef {Object} QuickCheckResult
+ * @property {string} answer - The learner's answer as text
+ * @property {string} id - Action index or cue point ID the answer is kept
+ *   under
+ * @property {boolean} isAnswered - Whether the learner answered
+ * @property {boolean} isCorrect - Whether the answer is correct
+ * @property {boolean} isGraded - Whether the quick check has an answer key
+ * @property {string} prompt - The question as plain text
+ */
+
+/**
+ * Removes markup from question and choice text
+ * @param {unknown} html - Text that may contain HTML
+ * @return {string} Plain text with collapsed whitespace
+ */
+export function stripHtml(html) {
+  return String(html ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Describes a learner's answer in words
+ * @param {ResultsQuickCheck|null} quickCheck - The quick check that was
+ *   answered
+ * @param {unknown} answer - The answer emitted by the question component
+ * @return {string} The answer as text, or an empty string
+ */
+export function formatAnswer(quickCheck, answer) {
+  if (Array.isArray(answer)) {
+    return answer.map((part) => stripHtml(part)).filter(Boolean).join(', ');
+  }
+  if (typeof answer === 'string' || typeof answer === 'number') {
+    return stripHtml(answer);
+  }
+  if (!answer || typeof answer !== 'object') {
+    return '';
+  }
+
+  const {
+    choiceIndex,
+    choiceIndexes,
+    justification,
+    transcript,
+    value,
+    x,
+    y,
+  } = /** @type {MultipleChoiceAnswer & TrueFalseAnswer &
+   *   Partial<HotspotPoint> & {transcript?: string}} */ (answer);
+  if (typeof value === 'boolean') {
+    const verdict = value ? 'True' : 'False';
+    return justification ? `${verdict}: ${justification}` : verdict;
+  }
+  if (choiceIndex !== undefined || Array.isArray(choiceIndexes)) {
+    const { choices = [] } = /** @type {MultipleChoiceContent} */ (
+      quickCheck?.quick_check_content || {}
+    );
+    return (choiceIndexes || [choiceIndex])
+      .map((index) => choices[Number(index) - 1])
+      .map((choice) => stripHtml(choice?.text || choice?.alt))
+      .filter(Boolean)
+      .join(', ');
+  }
+  if (typeof x === 'number' && typeof y === 'number') {
+    const { regions = [] } = /** @type {HotspotContent} */ (
+      quickCheck?.quick_check_content || {}
+    );
+    return stripHtml(findRegionAt(regions, { x, y })?.label) ||
+      `${Math.round(x * 100)}%, ${Math.round(y * 100)}%`;
+  }
+  return stripHtml(transcript);
+}
+
+/**
+ * Formats a duration for display
+ * @param {number} milliseconds - The duration
+ * @return {string} The duration as m:ss or h:mm:ss
+ */
+export function formatDuration(milliseconds) {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ?
+    `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` :
+    `${minutes}:${seconds}`;
+}
+
+/**
+ * Lists the video segments the learner finished watching
+ * @param {Array<ResultsAction>} actions - All actions
+ * @param {Array<number>} completedActions - Indexes of completed actions
+ * @return {Array<SegmentResult>} The watched segments in activity order
+ */
+export function buildSegmentResults(actions, completedActions) {
+  /** @type {Array<SegmentResult>} */
+  const segments = [];
+  let position = 0;
+
+  actions.forEach((action, actionIndex) => {
+    if (action.type !== 'video') {
+      return;
+    }
+    position++;
+    if (completedActions.includes(actionIndex)) {
+      const { title } = /** @type {{title?: string}} */ (action.data || {});
+      segments.push({
+        actionIndex,
+        title: stripHtml(title) || `Segment ${position}`,
+      });
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Builds the result row for one quick check
+ * @param {ResultsQuickCheck} quickCheck - The quick check data
+ * @param {string} id - Action index or cue point ID
+ * @param {number} position - Position among all quick checks
+ * @param {AnswerRecord|null} record - The learner's answer, if any
+ * @return {QuickCheckResult} The result row
+ */
+function createQuickCheckResult(quickCheck, id, position, record) {
+  const { prompt } = quickCheck || {};
+  return {
+    answer: record ? formatAnswer(quickCheck, record.answer) : '',
+    id,
+    isAnswered: Boolean(record),
+    isCorrect: Boolean(record?.isCorrect),
+    isGraded: Boolean(record?.isGraded),
+    prompt: stripHtml(prompt) || `Quick check ${position + 1}`,
+  };
+}
+
+/**
+ * Lists every quick check on the main path, including those shown inside
+ * videos, with the learner's answer
+ * @param {Array<ResultsAction>} actions - All actions
+ * @param {function(number): (AnswerRecord|null)} getAnswer - Looks up the
+ *   answer for a quick check action
+ * @param {function(string): (AnswerRecord|null)} getCuePointAnswer - Looks
+ *   up the answer for a cue point
+ * @return {Array<QuickCheckResult>} The quick checks in activity order
+ */
+export function buildQuickCheckResults(actions, getAnswer, getCuePointAnswer) {
+  /** @type {Array<QuickCheckResult>} */
+  const results = [];
+
+  actions.forEach((action, actionIndex) => {
+    if (action.remediation) {
+      return;
+    }
+    if (action.type === 'quick_check') {
+      results.push(createQuickCheckResult(
+        /** @type {ResultsQuickCheck} */ (action.data),
+        String(actionIndex),
+        results.length,
+        getAnswer(actionIndex)
+      ));
+      return;
+    }
+
+    (action.cuePoints || []).forEach((cuePoint) => {
+      results.push(createQuickCheckResult(
+        cuePoint.quickCheck,
+        cuePoint.id,
+        results.length,
+        getCuePointAnswer(cuePoint.id)
+      ));
+    });
+  });
+
+  return results;
+}
\ No newline at end of file
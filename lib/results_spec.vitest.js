@@ -0,0 +1,201 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildQuickCheckResults,
+  buildSegmentResults,
+  formatAnswer,
+  formatDuration,
+  stripHtml,
+} from './results.js';
+
+/**
+ * Builds a stored answer record
+ * @param {unknown} answer - The learner's answer
+ * @param {boolean} isCorrect - Whether the answer is correct
+ * @return {import('../stores/answer_store.js').AnswerRecord} The record
+ */
+const createRecord = (answer, isCorrect) => ({
+  actionIndex: 0,
+  answer,
+  attempts: 1,
+  isCorrect,
+  isGraded: true,
+  maxScore: 1,
+  score: isCorrect ? 1 : 0,
+  type: 'multiple_choice',
+});
+
+describe('results', () => {
+  describe('stripHtml', () => {
+    it('removes tags and collapses whitespace', () => {
+      expect(stripHtml('<p>Hola&nbsp;<b>amigo</b></p>')).toBe('Hola amigo');
+    });
+
+    it('returns an empty string for missing text', () => {
+      expect(stripHtml(undefined)).toBe('');
+    });
+  });
+
+  describe('formatAnswer', () => {
+    it('uses the text of the selected choice', () => {
+      const quickCheck = {
+        quick_check_content: {
+          choices: [{ text: 'uno' }, { text: '<em>dos</em>' }],
+        },
+      };
+
+      expect(formatAnswer(quickCheck, { choiceIndex: 2 })).toBe('dos');
+    });
+
+    it('lists the selected choices, describing images by their alt', () => {
+      const quickCheck = {
+        quick_check_content: {
+          choices: [
+            { text: 'uno' },
+            { alt: 'Un gato', image_path: '/img/gato.png' },
+            { text: 'tres' },
+          ],
+        },
+      };
+
+      expect(formatAnswer(quickCheck, { choiceIndexes: [1, 2] }))
+        .toBe('uno, Un gato');
+    });
+
+    it('joins blank and drop zone responses', () => {
+      expect(formatAnswer({}, ['soy', '', 'eres'])).toBe('soy, eres');
+    });
+
+    it('gives the verdict and justification of a true/false answer', () => {
+      expect(formatAnswer({}, { justification: 'Es azul.', value: false }))
+        .toBe('False: Es azul.');
+      expect(formatAnswer({}, { justification: '', value: true }))
+        .toBe('True');
+    });
+
+    it('names the region a hotspot click landed in', () => {
+      const quickCheck = {
+        quick_check_content: {
+          regions: [
+            { label: 'El camarero', x: 0, y: 0, width: 0.5, height: 1 },
+          ],
+        },
+      };
+
+      expect(formatAnswer(quickCheck, { x: 0.25, y: 0.5 }))
+        .toBe('El camarero');
+      expect(formatAnswer(quickCheck, { x: 0.75, y: 0.5 })).toBe('75%, 50%');
+    });
+
+    it('uses the transcript of a pronunciation attempt', () => {
+      expect(formatAnswer({}, { score: 90, transcript: 'buenos días' }))
+        .toBe('buenos días');
+    });
+
+    it('returns an empty string for answers it cannot describe', () => {
+      expect(formatAnswer({}, null)).toBe('');
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('formats minutes and seconds', () => {
+      expect(formatDuration(125000)).toBe('2:05');
+    });
+
+    it('includes hours for long visits', () => {
+      expect(formatDuration(3723000)).toBe('1:02:03');
+    });
+
+    it('never goes below zero', () => {
+      expect(formatDuration(-500)).toBe('0:00');
+    });
+  });
+
+  describe('buildSegmentResults', () => {
+    it('lists the completed videos with their titles', () => {
+      const actions = [
+        { data: { title: 'Greetings' }, type: 'video' },
+        { data: {}, type: 'quick_check' },
+        { data: {}, type: 'video' },
+        { data: { title: 'Farewells' }, type: 'video' },
+      ];
+
+      const segments = buildSegmentResults(actions, [0, 1, 2]);
+
+      expect(segments).toEqual([
+        { actionIndex: 0, title: 'Greetings' },
+        { actionIndex: 2, title: 'Segment 2' },
+      ]);
+    });
+  });
+
+  describe('buildQuickCheckResults', () => {
+    it('lists quick check actions and cue points with their answers', () => {
+      const cueQuickCheck = { prompt: 'Cue question', type: 'multiple_choice' };
+      const actions = [
+        {
+          cuePoints: [{ id: 'cue-1', quickCheck: cueQuickCheck, time: 5 }],
+          data: {},
+          type: 'video',
+        },
+        {
+          data: {
+            prompt: '<p>Pick one</p>',
+            quick_check_content: { choices: [{ text: 'A' }, { text: 'B' }] },
+          },
+          type: 'quick_check',
+        },
+        { data: {}, type: 'quick_check' },
+      ];
+
+      const results = buildQuickCheckResults(
+        actions,
+        (index) => (index === 1 ? createRecord({ choiceIndex: 2 }, false) : null),
+        () => createRecord(['hola'], true)
+      );
+
+      expect(results).toEqual([
+        {
+          answer: 'hola',
+          id: 'cue-1',
+          isAnswered: true,
+          isCorrect: true,
+          isGraded: true,
+          prompt: 'Cue question',
+        },
+        {
+          answer: 'B',
+          id: '1',
+          isAnswered: true,
+          isCorrect: false,
+          isGraded: true,
+          prompt: 'Pick one',
+        },
+        {
+          answer: '',
+          id: '2',
+          isAnswered: false,
+          isCorrect: false,
+          isGraded: false,
+          prompt: 'Quick check 3',
+        },
+      ]);
+    });
+
+    it('leaves out remediation videos', () => {
+      const actions = [
+        {
+          cuePoints: [{ id: 'cue-0', quickCheck: {}, time: 5 }],
+          data: {},
+          remediation: true,
+          type: 'video',
+        },
+      ];
+
+      const results = buildQuickCheckResults(actions, () => null, () => null);
+
+      expect(results).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,328 @@
+// @ts-check
+
+/**
+ * @typedef {'1.2' | '2004'} ScormVersion
+ */
+
+/**
+ * @typedef {Object} ScormApi
+ * @property {Function} [Commit]
+ * @property {Function} [GetValue]
+ * @property {Function} [Initialize]
+ * @property {Function} [LMSCommit]
+ * @property {Function} [LMSFinish]
+ * @property {Function} [LMSGetValue]
+ * @property {Function} [LMSInitialize]
+ * @property {Function} [LMSSetValue]
+ * @property {Function} [SetValue]
+ * @property {Function} [Terminate]
+ */
+
+/**
+ * @typedef {Object} ScormApiLocation
+ * @property {ScormApi} api - The LMS API object
+ * @property {ScormVersion} version - The SCORM version the API implements
+ */
+
+/**
+ * @typedef {Object} ScormCompletion
+ * @property {number} [maxScore] - Highest possible score
+ * @property {boolean} [passed] - Whether the learner passed, if graded
+ * @property {number} [score] - The learner's score
+ */
+
+/**
+ * Runtime method and data model names for each SCORM version
+ */
+const SCORM_VERSIONS = {
+  '1.2': {
+    apiName: 'API',
+    commit: 'LMSCommit',
+    elements: {
+      exit: 'cmi.core.exit',
+      scoreMax: 'cmi.core.score.max',
+      scoreMin: 'cmi.core.score.min',
+      scoreRaw: 'cmi.core.score.raw',
+      suspendData: 'cmi.suspend_data',
+    },
+    getValue: 'LMSGetValue',
+    initialize: 'LMSInitialize',
+    setValue: 'LMSSetValue',
+    terminate: 'LMSFinish',
+  },
+  '2004': {
+    apiName: 'API_1484_11',
+    commit: 'Commit',
+    elements: {
+      exit: 'cmi.exit',
+      scoreMax: 'cmi.score.max',
+      scoreMin: 'cmi.score.min',
+      scoreRaw: 'cmi.score.raw',
+      suspendData: 'cmi.suspend_data',
+    },
+    getValue: 'GetValue',
+    initialize: 'Initialize',
+    setValue: 'SetValue',
+    terminate: 'Terminate',
+  },
+};
+
+const MAX_PARENT_DEPTH = 500;
+
+/**
+ * Looks for a SCORM API object on a single window
+ * @param {Window} win - The window to search
+ * @return {ScormApiLocation|null} The API and its version, or null
+ */
+function findApiOnWindow(win) {
+  try {
+    const scormWindow = /** @type {Object<string, ScormApi>} */ (
+      /** @type {unknown} */ (win)
+    );
+    if (scormWindow[SCORM_VERSIONS['2004'].apiName]) {
+      return { api: scormWindow[SCORM_VERSIONS['2004'].apiName], version: '2004' };
+    }
+    if (scormWindow[SCORM_VERSIONS['1.2'].apiName]) {
+      return { api: scormWindow[SCORM_VERSIONS['1.2'].apiName], version: '1.2' };
+    }
+  } catch (error) {
+    console.warn('Unable to access window while looking for SCORM API:', error);
+  }
+  return null;
+}
+
+/**
+ * Walks up the parent windows looking for a SCORM API object
+ * @param {Window|null} win - The window to start from
+ * @return {ScormApiLocation|null} The API and its version, or null
+ */
+function findApiInParents(win) {
+  let currentWindow = win;
+  for (let depth = 0; currentWindow && depth < MAX_PARENT_DEPTH; depth++) {
+    const location = findApiOnWindow(currentWindow);
+    if (location) {
+      return location;
+    }
+    if (currentWindow.parent === currentWindow) {
+      return null;
+    }
+    currentWindow = currentWindow.parent;
+  }
+  return null;
+}
+
+/**
+ * Finds the LMS's SCORM API on this window, its parents or its opener,
+ * preferring SCORM 2004 when both are present
+ * @param {Window} [win] - The window to start from
+ * @return {ScormApiLocation|null} The API and its version, or null
+ */
+export function findScormApi(win = window) {
+  return findApiInParents(win) || findApiInParents(win.opener || null);
+}
+
+/**
+ * Reports completion, score and suspend data to the LMS through the SCORM
+ * 1.2 or 2004 runtime API. Every method is a no-op when no LMS is present.
+ */
+export class ScormAdapter {
+  /** @type {ScormApi|null} */
+  api = null;
+  /** @type {ScormVersion|null} */
+  version = null;
+  /** @type {boolean} */
+  isInitialized = false;
+  /** @type {boolean} */
+  isPassed = false;
+
+  /**
+   * @param {ScormApiLocation|null} [location] - The LMS API; defaults to
+   *   searching the current window
+   */
+  constructor(location = findScormApi()) {
+    if (location) {
+      this.api = location.api;
+      this.version = location.version;
+    }
+  }
+
+  /**
+   * Check if an LMS API was found
+   * @return {boolean} True if reports will reach an LMS
+   */
+  get isAvailable() {
+    return Boolean(this.api && this.version);
+  }
+
+  /**
+   * Calls a runtime method on the LMS API
+   * @param {'commit' | 'getValue' | 'initialize' | 'setValue' | 'terminate'} method
+   * @param {...string} args - Arguments for the runtime method
+   * @return {string} The LMS's response, or an empty string
+   */
+  call(method, ...args) {
+    if (!this.api || !this.version) {
+      return '';
+    }
+
+    const methodName = SCORM_VERSIONS[this.version][method];
+    const runtimeMethod = this.api[/** @type {keyof ScormApi} */ (methodName)];
+    if (typeof runtimeMethod !== 'function') {
+      return '';
+    }
+
+    try {
+      return String(runtimeMethod.apply(this.api, args));
+    } catch (error) {
+      console.warn(`SCORM ${methodName} failed:`, error);
+      return '';
+    }
+  }
+
+  /**
+   * Starts the LMS session
+   * @return {boolean} True if the LMS accepted the session
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+    this.isInitialized = this.call('initialize', '') === 'true';
+    return this.isInitialized;
+  }
+
+  /**
+   * Reads a data model element
+   * @param {string} element - The data model element
+   * @return {string} The element's value, or an empty string
+   */
+  getValue(element) {
+    if (!this.isInitialized) {
+      return '';
+    }
+    return this.call('getValue', element);
+  }
+
+  /**
+   * Writes a data model element
+   * @param {string} element - The data model element
+   * @param {string|number} value - The value to write
+   * @return {boolean} True if the LMS accepted the value
+   */
+  setValue(element, value) {
+    if (!this.isInitialized) {
+      return false;
+    }
+    return this.call('setValue', element, String(value)) === 'true';
+  }
+
+  /**
+   * Asks the LMS to persist the values written so far
+   * @return {boolean} True if the LMS committed the data
+   */
+  commit() {
+    if (!this.isInitialized) {
+      return false;
+    }
+    return this.call('commit', '') === 'true';
+  }
+
+  /**
+   * Records the learner's score
+   * @param {number} score - The learner's score
+   * @param {number} maxScore - Highest possible score
+   */
+  setScore(score, maxScore) {
+    if (!this.version) {
+      return;
+    }
+
+    const { elements } = SCORM_VERSIONS[this.version];
+    this.setValue(elements.scoreMin, 0);
+    this.setValue(elements.scoreMax, maxScore);
+    this.setValue(elements.scoreRaw, score);
+    if (this.version === '2004' && maxScore > 0) {
+      this.setValue('cmi.score.scaled', score / maxScore);
+    }
+  }
+
+  /**
+   * Records the lesson as completed, and as passed or failed when graded.
+   * A passed lesson is never downgraded to merely completed.
+   * @param {ScormCompletion} [completion] - Outcome and score to report
+   * @return {boolean} True if the LMS committed the report
+   */
+  reportCompletion(completion = {}) {
+    if (!this.isAvailable || !this.initialize()) {
+      return false;
+    }
+
+    const { maxScore, passed, score } = completion;
+    if (typeof score === 'number' && typeof maxScore === 'number') {
+      this.setScore(score, maxScore);
+    }
+
+    if (passed === true) {
+      this.isPassed = true;
+    }
+
+    let successStatus = '';
+    if (this.isPassed) {
+      successStatus = 'passed';
+    } else if (passed === false) {
+      successStatus = 'failed';
+    }
+
+    if (this.version === '2004') {
+      this.setValue('cmi.completion_status', 'completed');
+      if (successStatus) {
+        this.setValue('cmi.success_status', successStatus);
+      }
+    } else {
+      this.setValue('cmi.core.lesson_status', successStatus || 'completed');
+    }
+
+    return this.commit();
+  }
+
+  /**
+   * Saves data the activity needs to restore the learner's place
+   * @param {string} data - Serialized suspend data
+   * @return {boolean} True if the LMS committed the data
+   */
+  setSuspendData(data) {
+    if (!this.isAvailable || !this.initialize() || !this.version) {
+      return false;
+    }
+
+    const { elements } = SCORM_VERSIONS[this.version];
+    this.setValue(elements.suspendData, data);
+    this.setValue(elements.exit, 'suspend');
+    return this.commit();
+  }
+
+  /**
+   * Reads the suspend data saved in a previous session
+   * @return {string} Serialized suspend data, or an empty string
+   */
+  getSuspendData() {
+    if (!this.isAvailable || !this.initialize() || !this.version) {
+      return '';
+    }
+    return this.getValue(SCORM_VERSIONS[this.version].elements.suspendData);
+  }
+
+  /**
+   * Ends the LMS session
+   * @return {boolean} True if the LMS ended the session
+   */
+  terminate() {
+    if (!this.isInitialized) {
+      return false;
+    }
+    this.commit();
+    const terminated = this.call('terminate', '') === 'true';
+    this.isInitialized = !terminated;
+    return terminated;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,186 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ScormAdapter, findScormApi } from './scorm_adapter.js';
+
+/**
+ * Creates a mock LMS API that stores values like an LMS would
+ * @param {'1.2' | '2004'} version - The SCORM version to implement
+ * @return {Object} The mock API and the values it received
+ */
+function createMockApi(version) {
+  /** @type {Object<string, string>} */
+  const values = {};
+  const succeed = vi.fn(() => 'true');
+  const setValue = vi.fn((element, value) => {
+    values[element] = value;
+    return 'true';
+  });
+  const getValue = vi.fn((element) => values[element] || '');
+
+  const api = version === '2004' ?
+    {
+      Commit: succeed,
+      GetValue: getValue,
+      Initialize: succeed,
+      SetValue: setValue,
+      Terminate: succeed,
+    } :
+    {
+      LMSCommit: succeed,
+      LMSFinish: succeed,
+      LMSGetValue: getValue,
+      LMSInitialize: succeed,
+      LMSSetValue: setValue,
+    };
+
+  return { api, values };
+}
+
+describe('scorm_adapter', () => {
+  describe('findScormApi', () => {
+    it('finds a SCORM 1.2 API on a parent window', () => {
+      const { api } = createMockApi('1.2');
+      const top = /** @type {any} */ ({ API: api });
+      top.parent = top;
+      const win = /** @type {any} */ ({ parent: { parent: top } });
+
+      expect(findScormApi(win)).toEqual({ api, version: '1.2' });
+    });
+
+    it('prefers a SCORM 2004 API', () => {
+      const { api } = createMockApi('2004');
+      const win = /** @type {any} */ ({ API: {}, API_1484_11: api });
+      win.parent = win;
+
+      expect(findScormApi(win)).toEqual({ api, version: '2004' });
+    });
+
+    it('finds the API on the opener window', () => {
+      const { api } = createMockApi('1.2');
+      const opener = /** @type {any} */ ({ API: api });
+      opener.parent = opener;
+      const win = /** @type {any} */ ({ opener });
+      win.parent = win;
+
+      expect(findScormApi(win)?.api).toBe(api);
+    });
+
+    it('returns null when no LMS is present', () => {
+      const win = /** @type {any} */ ({});
+      win.parent = win;
+
+      expect(findScormApi(win)).toBeNull();
+    });
+  });
+
+  describe('without an LMS', () => {
+    it('is not available', () => {
+      const adapter = new ScormAdapter(null);
+
+      expect(adapter.isAvailable).toBe(false);
+    });
+
+    it('ignores reports', () => {
+      const adapter = new ScormAdapter(null);
+
+      expect(adapter.reportCompletion({ passed: true })).toBe(false);
+      expect(adapter.setSuspendData('{}')).toBe(false);
+      expect(adapter.terminate()).toBe(false);
+    });
+  });
+
+  describe('SCORM 1.2', () => {
+    /** @type {ReturnType<typeof createMockApi>} */
+    let lms;
+    /** @type {ScormAdapter} */
+    let adapter;
+
+    beforeEach(() => {
+      lms = createMockApi('1.2');
+      adapter = new ScormAdapter({ api: lms.api, version: '1.2' });
+    });
+
+    it('reports completion', () => {
+      adapter.reportCompletion();
+
+      expect(lms.values['cmi.core.lesson_status']).toBe('completed');
+    });
+
+    it('reports a pass with the score', () => {
+      adapter.reportCompletion({ maxScore: 5, passed: true, score: 4 });
+
+      expect(lms.values['cmi.core.lesson_status']).toBe('passed');
+      expect(lms.values['cmi.core.score.raw']).toBe('4');
+      expect(lms.values['cmi.core.score.max']).toBe('5');
+    });
+
+    it('does not downgrade a pass to completed', () => {
+      adapter.reportCompletion({ passed: true });
+
+      adapter.reportCompletion();
+
+      expect(lms.values['cmi.core.lesson_status']).toBe('passed');
+    });
+
+    it('writes suspend data', () => {
+      adapter.setSuspendData('{"currentActionIndex":2}');
+
+      expect(lms.values['cmi.suspend_data']).toBe('{"currentActionIndex":2}');
+      expect(lms.values['cmi.core.exit']).toBe('suspend');
+    });
+
+    it('reads suspend data', () => {
+      adapter.setSuspendData('saved');
+
+      expect(adapter.getSuspendData()).toBe('saved');
+    });
+
+    it('commits and finishes on terminate', () => {
+      adapter.initialize();
+
+      adapter.terminate();
+
+      expect(lms.api.LMSCommit).toHaveBeenCalled();
+      expect(lms.api.LMSFinish).toHaveBeenCalledWith('');
+    });
+  });
+
+  describe('SCORM 2004', () => {
+    /** @type {ReturnType<typeof createMockApi>} */
+    let lms;
+    /** @type {ScormAdapter} */
+    let adapter;
+
+    beforeEach(() => {
+      lms = createMockApi('2004');
+      adapter = new ScormAdapter({ api: lms.api, version: '2004' });
+    });
+
+    it('reports completion and success separately', () => {
+      adapter.reportCompletion({ maxScore: 4, passed: true, score: 3 });
+
+      expect(lms.values['cmi.completion_status']).toBe('completed');
+      expect(lms.values['cmi.success_status']).toBe('passed');
+    });
+
+    it('reports a scaled score', () => {
+      adapter.reportCompletion({ maxScore: 4, score: 3 });
+
+      expect(lms.values['cmi.score.scaled']).toBe('0.75');
+    });
+
+    it('leaves success status unset when ungraded', () => {
+      adapter.reportCompletion();
+
+      expect(lms.values['cmi.success_status']).toBeUndefined();
+    });
+
+    it('writes suspend data', () => {
+      adapter.setSuspendData('saved');
+
+      expect(lms.values['cmi.suspend_data']).toBe('saved');
+      expect(lms.values['cmi.exit']).toBe('suspend');
+    });
+  });
+});
\ No newline at end of file
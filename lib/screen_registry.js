@@ -0,0 +1,131 @@
+// @ts-check
+
+/**
+ * @typedef {import('./sequencer.js').NavigationHook} NavigationHook
+ * @typedef {import('./sequencer.js').Screen} Screen
+ * @typedef {import('./sequencer.js').ScreenVisibilityState} ScreenVisibilityState
+ */
+
+/**
+ * @typedef {Object} ScreenDefinition
+ * @property {NavigationHook} [afterEnter] - Runs after entering the screen
+ * @property {NavigationHook} [beforeEnter] - Guards entering the screen
+ * @property {NavigationHook} [beforeLeave] - Guards leaving the screen
+ * @property {Object} [component] - The Vue component that renders the screen
+ * @property {function(Object): boolean} [include] - Decides from the
+ *   activity information whether the activity has the screen at all;
+ *   screens without it are always included
+ * @property {function(ScreenVisibilityState): boolean} [isVisible] - Decides
+ *   from the activity state whether the screen is shown right now
+ * @property {function(): Object} [props] - Returns the props and event
+ *   listeners (as onEventName props) passed to the component
+ * @property {string} type - Unique screen type, used as the screen ID
+ */
+
+/**
+ * @typedef {Object} RegisterOptions
+ * @property {string} [after] - Type of the screen to place this one after
+ * @property {string} [before] - Type of the screen to place this one before
+ */
+
+const HOOK_NAMES = ['afterEnter', 'beforeEnter', 'beforeLeave'];
+
+/**
+ * Maps screen types to the component that renders them and the rules that
+ * decide whether an activity has them, so host products can add screens
+ */
+export class ScreenRegistry {
+  /** @type {ScreenDefinition[]} */
+  definitions = [];
+
+  /**
+   * Add a screen type, or update the definition of a registered one
+   * @param {ScreenDefinition} definition - The screen definition
+   * @param {RegisterOptions} [options] - Where to place a new screen; new
+   *   screens go last by default
+   */
+  register(definition, { after, before } = {}) {
+    const existingIndex = this.indexOf(definition.type);
+    if (existingIndex !== -1) {
+      this.definitions[existingIndex] = {
+        ...this.definitions[existingIndex],
+        ...definition,
+      };
+      return;
+    }
+
+    const anchorIndex = this.indexOf(after || before || '');
+    if (anchorIndex === -1) {
+      this.definitions.push(definition);
+    } else {
+      this.definitions.splice(anchorIndex + (after ? 1 : 0), 0, definition);
+    }
+  }
+
+  /**
+   * Remove a screen type
+   * @param {string} type - The screen type
+   */
+  unregister(type) {
+    this.definitions = this.definitions.filter(
+      (definition) => definition.type !== type
+    );
+  }
+
+  /**
+   * Find the position of a screen type
+   * @param {string} type - The screen type
+   * @return {number} Index of the definition, or -1 if it is not registered
+   */
+  indexOf(type) {
+    return this.definitions.findIndex(
+      (definition) => definition.type === type
+    );
+  }
+
+  /**
+   * Get the definition of a screen type
+   * @param {string|undefined} type - The screen type
+   * @return {ScreenDefinition|null} The definition, or null
+   */
+  get(type) {
+    return this.definitions.find(
+      (definition) => definition.type === type
+    ) || null;
+  }
+
+  /**
+   * Build the screens an activity has, in registration order
+   * @param {Object} activityInfo - The activity information
+   * @return {Screen[]} Screens for the sequencer
+   */
+  buildScreens(activityInfo) {
+    return this.definitions
+      .filter((definition) =>
+        !definition.include || definition.include(activityInfo)
+      )
+      .map((definition) => createScreen(definition));
+  }
+}
+
+/**
+ * Turns a screen definition into a sequencer screen
+ * @param {ScreenDefinition} definition - The screen definition
+ * @return {Screen} The screen
+ */
+function createScreen(definition) {
+  /** @type {Screen} */
+  const screen = { id: definition.type, name: definition.type };
+  if (definition.isVisible) {
+    screen.isVisible = definition.isVisible;
+  }
+  HOOK_NAMES.forEach((hookName) => {
+    const hook = definition[/** @type {'afterEnter'} */ (hookName)];
+    if (hook) {
+      screen[/** @type {'afterEnter'} */ (hookName)] = hook;
+    }
+  });
+  return screen;
+}
+
+export const screenRegistry = new ScreenRegistry();
\ No newline at end of file
@@ -0,0 +1,122 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ScreenRegistry } from './screen_registry.js';
+
+describe('ScreenRegistry', () => {
+  /** @type {ScreenRegistry} */
+  let registry;
+
+  /**
+   * Lists the registered screen types in order
+   * @return {Array<string>} The screen types
+   */
+  const getTypes = () =>
+    registry.definitions.map((definition) => definition.type);
+
+  beforeEach(() => {
+    registry = new ScreenRegistry();
+    registry.register({ type: 'intro' });
+    registry.register({ type: 'player' });
+  });
+
+  describe('register', () => {
+    it('adds new screens last by default', () => {
+      registry.register({ type: 'survey' });
+
+      expect(getTypes()).toEqual(['intro', 'player', 'survey']);
+    });
+
+    it('places a new screen after another one', () => {
+      registry.register({ type: 'warm_up' }, { after: 'intro' });
+
+      expect(getTypes()).toEqual(['intro', 'warm_up', 'player']);
+    });
+
+    it('places a new screen before another one', () => {
+      registry.register({ type: 'warm_up' }, { before: 'intro' });
+
+      expect(getTypes()).toEqual(['warm_up', 'intro', 'player']);
+    });
+
+    it('adds the screen last when the anchor is not registered', () => {
+      registry.register({ type: 'survey' }, { after: 'missing' });
+
+      expect(getTypes()).toEqual(['intro', 'player', 'survey']);
+    });
+
+    it('merges into an existing definition and keeps its position', () => {
+      const component = { name: 'IntroScreen' };
+      const include = () => true;
+      registry.register({ include, type: 'intro' });
+
+      registry.register({ component, type: 'intro' }, { after: 'player' });
+
+      expect(getTypes()).toEqual(['intro', 'player']);
+      expect(registry.get('intro')).toEqual({
+        component,
+        include,
+        type: 'intro',
+      });
+    });
+  });
+
+  describe('unregister', () => {
+    it('removes a screen type', () => {
+      registry.unregister('intro');
+
+      expect(getTypes()).toEqual(['player']);
+      expect(registry.get('intro')).toBeNull();
+    });
+  });
+
+  describe('get', () => {
+    it('returns null for unknown or missing types', () => {
+      expect(registry.get('survey')).toBeNull();
+      expect(registry.get(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildScreens', () => {
+    it('builds a screen for each included definition', () => {
+      registry.register({
+        include: (activityInfo) => activityInfo.hasSurvey,
+        type: 'survey',
+      });
+
+      expect(registry.buildScreens({ hasSurvey: false })).toEqual([
+        { id: 'intro', name: 'intro' },
+        { id: 'player', name: 'player' },
+      ]);
+      expect(registry.buildScreens({ hasSurvey: true })).toEqual([
+        { id: 'intro', name: 'intro' },
+        { id: 'player', name: 'player' },
+        { id: 'survey', name: 'survey' },
+      ]);
+    });
+
+    it('copies visibility rules and navigation hooks to the screen', () => {
+      const afterEnter = () => undefined;
+      const beforeLeave = () => true;
+      const isVisible = () => false;
+      registry.register({
+        afterEnter,
+        beforeLeave,
+        component: { name: 'SurveyScreen' },
+        isVisible,
+        props: () => ({}),
+        type: 'survey',
+      });
+
+      const [, , survey] = registry.buildScreens({});
+
+      expect(survey).toEqual({
+        afterEnter,
+        beforeLeave,
+        id: 'survey',
+        isVisible,
+        name: 'survey',
+      });
+    });
+  });
+});
\ No newline at end of file
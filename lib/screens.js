@@ -1,5 +1,7 @@
 // @ts-check
 
+import { screenRegistry } from './screen_registry.js';
+
 /**
  * @typedef {Object} ActivityInfo
  * @property {Object} [diagnostic] - Optional diagnostic data
@@ -24,25 +26,86 @@
  */
 
 /**
- * @typedef {Object} Screen
- * @property {string} id
- * @property {string} name
+ * @typedef {Object} ScreenVisibilityState
+ * @property {boolean} allActionsCompleted - Whether the learner finished the
+ *   last action on the main path
  */
 
 /**
- * Build the list of screens for a given activity
+ * @typedef {import('./screen_registry.js').ScreenDefinition} ScreenDefinition
+ * @typedef {import('./screen_registry.js').ScreenRegistry} ScreenRegistry
+ * @typedef {import('./sequencer.js').Screen} Screen
+ */
+
+/**
+ * Check if the activity has a diagnostic
  * @param {ActivityInfo} activityInfo - The activity information
- * @return {Screen[]} Array of screen objects
+ * @return {boolean} True if diagnostic data is present
+ */
+function hasDiagnostic(activityInfo) {
+  return Boolean(activityInfo.diagnostic) &&
+    Object.keys(/** @type {Object} */ (activityInfo.diagnostic)).length > 0;
+}
+
+/**
+ * Check if the learner has finished the main path
+ * @param {ScreenVisibilityState} state - The activity state
+ * @return {boolean} True if every action is completed
+ */
+function allActionsCompleted(state) {
+  return state.allActionsCompleted;
+}
+
+/**
+ * Add a built-in screen, keeping whatever the host already registered for
+ * that screen type
+ * @param {ScreenRegistry} registry - The registry to add the screen to
+ * @param {ScreenDefinition} definition - The built-in definition
+ */
+function registerDefault(registry, definition) {
+  registry.register({ ...definition, ...registry.get(definition.type) });
+}
+
+/**
+ * Add the screens every activity is built from to a registry. Host
+ * registrations for the same types win.
+ * @param {ScreenRegistry} registry - The registry to add the screens to
+ */
+export function registerDefaultScreens(registry) {
+  registerDefault(registry, { type: 'intro' });
+  registerDefault(registry, { type: 'player' });
+  registerDefault(registry, {
+    include: hasDiagnostic,
+    isVisible: allActionsCompleted,
+    type: 'diagnostic',
+  });
+  registerDefault(registry, {
+    isVisible: allActionsCompleted,
+    type: 'results',
+  });
+}
+
+/**
+ * Attach the components that render the built-in screens. The app passes
+ * them in because the screens read the stores, which build their screens
+ * from this module. Components a host registered for the same types win.
+ * @param {ScreenRegistry} registry - The registry holding the screens
+ * @param {Object<string, Object>} components - Components by screen type
  */
-export function buildScreensForActivity(activityInfo) {
-  const screens = [
-    { id: 'intro', name: 'intro' },
-    { id: 'player', name: 'player' },
-  ];
+export function registerScreenComponents(registry, components) {
+  Object.entries(components).forEach(([type, component]) => {
+    registerDefault(registry, { component, type });
+  });
+}
 
-  if (activityInfo.diagnostic && Object.keys(activityInfo.diagnostic).length > 0) {
-    screens.push({ id: 'diagnostic', name: 'diagnostic' });
-  }
+registerDefaultScreens(screenRegistry);
 
-  return screens;
+/**
+ * Build the list of screens for a given activity
+ * @param {ActivityInfo} activityInfo - The activity information
+ * @param {ScreenRegistry} [registry] - Where the screens are registered
+ * @return {Screen[]} Array of screen objects
+ */
+export function buildScreensForActivity(activityInfo, registry = screenRegistry) {
+  return registry.buildScreens(activityInfo);
 }
\ No newline at end of file
@@ -1,7 +1,12 @@
 // @ts-check
 
 import { describe, it, expect } from 'vitest';
-import { buildScreensForActivity } from './screens';
+import { ScreenRegistry } from './screen_registry.js';
+import {
+  buildScreensForActivity,
+  registerDefaultScreens,
+  registerScreenComponents,
+} from './screens';
 
 describe('screens', () => {
   describe('buildScreensForActivity', () => {
@@ -28,7 +33,16 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
-        { id: 'diagnostic', name: 'diagnostic' },
+        {
+          id: 'diagnostic',
+          isVisible: expect.any(Function),
+          name: 'diagnostic',
+        },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
 
@@ -60,7 +74,16 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
-        { id: 'diagnostic', name: 'diagnostic' },
+        {
+          id: 'diagnostic',
+          isVisible: expect.any(Function),
+          name: 'diagnostic',
+        },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
 
@@ -80,6 +103,11 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
 
@@ -99,6 +127,11 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
 
@@ -117,6 +150,11 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
 
@@ -143,7 +181,16 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
-        { id: 'diagnostic', name: 'diagnostic' },
+        {
+          id: 'diagnostic',
+          isVisible: expect.any(Function),
+          name: 'diagnostic',
+        },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
 
@@ -170,8 +217,126 @@ describe('screens', () => {
       expect(screens).toEqual([
         { id: 'intro', name: 'intro' },
         { id: 'player', name: 'player' },
-        { id: 'diagnostic', name: 'diagnostic' },
+        {
+          id: 'diagnostic',
+          isVisible: expect.any(Function),
+          name: 'diagnostic',
+        },
+        {
+          id: 'results',
+          isVisible: expect.any(Function),
+          name: 'results',
+        },
       ]);
     });
+
+    it('always ends with the results screen', () => {
+      const activityInfo = {
+        topic: 'Spanish Grammar',
+        sub_topic: 'Present Tense',
+        title: 'Interactive Grammar Tutorial',
+        dl: 'Welcome to the lesson',
+        reference: [],
+        quick_checks: [],
+      };
+
+      const screens = buildScreensForActivity(activityInfo);
+      const resultsScreen = screens[screens.length - 1];
+
+      expect(resultsScreen.id).toBe('results');
+      expect(resultsScreen.isVisible?.({ allActionsCompleted: false }))
+        .toBe(false);
+      expect(resultsScreen.isVisible?.({ allActionsCompleted: true }))
+        .toBe(true);
+    });
+
+    it('shows the diagnostic screen only after all actions are completed', () => {
+      const activityInfo = {
+        topic: 'Spanish Grammar',
+        sub_topic: 'Present Tense',
+        title: 'Interactive Grammar Tutorial',
+        dl: 'Welcome to the lesson',
+        reference: [],
+        quick_checks: [],
+        diagnostic: {
+          dl: 'Test diagnostic',
+          failure_message: '',
+          items: [],
+          language: '',
+          number_of_questions: '',
+          threshold: '',
+        },
+      };
+
+      const diagnosticScreen = buildScreensForActivity(activityInfo)[2];
+
+      expect(diagnosticScreen.isVisible?.({ allActionsCompleted: false }))
+        .toBe(false);
+      expect(diagnosticScreen.isVisible?.({ allActionsCompleted: true }))
+        .toBe(true);
+    });
+  });
+
+  describe('registerDefaultScreens', () => {
+    it('adds the built-in screens in order', () => {
+      const registry = new ScreenRegistry();
+
+      registerDefaultScreens(registry);
+
+      expect(registry.definitions.map((definition) => definition.type))
+        .toEqual(['intro', 'player', 'diagnostic', 'results']);
+    });
+
+    it('keeps the component and props a host registered', () => {
+      const registry = new ScreenRegistry();
+      const HostIntro = { name: 'HostIntro', template: '<div />' };
+      const props = () => ({ title: 'Welcome' });
+      registry.register({ component: HostIntro, props, type: 'intro' });
+
+      registerDefaultScreens(registry);
+
+      expect(registry.get('intro')?.component).toBe(HostIntro);
+      expect(registry.get('intro')?.props).toBe(props);
+      expect(registry.definitions.map((definition) => definition.type))
+        .toEqual(['intro', 'player', 'diagnostic', 'results']);
+    });
+
+    it('keeps the rules of a host screen with a built-in type', () => {
+      const registry = new ScreenRegistry();
+      const isVisible = () => true;
+      registry.register({ isVisible, type: 'results' });
+
+      registerDefaultScreens(registry);
+
+      expect(registry.get('results')?.isVisible).toBe(isVisible);
+    });
+  });
+
+  describe('registerScreenComponents', () => {
+    it('attaches the component that renders each screen', () => {
+      const registry = new ScreenRegistry();
+      const Intro = { name: 'Intro', template: '<div />' };
+      const Results = { name: 'Results', template: '<div />' };
+      registerDefaultScreens(registry);
+
+      registerScreenComponents(registry, { intro: Intro, results: Results });
+
+      expect(registry.get('intro')?.component).toBe(Intro);
+      expect(registry.get('results')?.component).toBe(Results);
+      expect(registry.get('results')?.isVisible).toBeTypeOf('function');
+    });
+
+    it('keeps the component a host registered', () => {
+      const registry = new ScreenRegistry();
+      const HostIntro = { name: 'HostIntro', template: '<div />' };
+      registry.register({ component: HostIntro, type: 'intro' });
+      registerDefaultScreens(registry);
+
+      registerScreenComponents(registry, {
+        intro: { name: 'Intro', template: '<div />' },
+      });
+
+      expect(registry.get('intro')?.component).toBe(HostIntro);
+    });
   });
-});
\ No newline at end of file
+});
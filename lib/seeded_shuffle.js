@@ -0,0 +1,77 @@
+// @ts-check
+
+const LEARNER_SEED_KEY = 'interactive_video_learner_seed';
+
+/**
+ * Seed used when storage is unavailable
+ */
+const pageSeed = Math.random().toString(36).slice(2);
+
+/**
+ * Hashes text into a 32-bit number with FNV-1a
+ * @param {string} text - The text to hash
+ * @return {number} The unsigned hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a random number generator that always gives the same sequence for
+ * the same seed (mulberry32)
+ * @param {string} seed - The seed
+ * @return {function(): number} Returns numbers from 0 up to but not
+ *   including 1
+ */
+export function createSeededRandom(seed) {
+  let state = hashString(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffles items into an order that depends only on the seed
+ * @template T
+ * @param {Array<T>} items - The items to shuffle
+ * @param {string} seed - The seed
+ * @return {Array<T>} A shuffled copy of the items
+ */
+export function shuffleWithSeed(items, seed) {
+  const random = createSeededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Gets a seed that stays the same for a learner across visits, creating and
+ * saving one on first use. Without storage the seed lasts for the page.
+ * @return {string} The learner's seed
+ */
+export function getLearnerSeed() {
+  try {
+    const storedSeed = localStorage.getItem(LEARNER_SEED_KEY);
+    if (storedSeed) {
+      return storedSeed;
+    }
+    const seed = Math.random().toString(36).slice(2);
+    localStorage.setItem(LEARNER_SEED_KEY, seed);
+    return seed;
+  } catch (error) {
+    console.warn('Failed to read the learner seed:', error);
+    return pageSeed;
+  }
+}
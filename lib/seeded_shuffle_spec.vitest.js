@@ -0,0 +1,96 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  createSeededRandom,
+  getLearnerSeed,
+  hashString,
+  shuffleWithSeed,
+} from './seeded_shuffle.js';
+
+describe('seeded_shuffle', () => {
+  describe('hashString', () => {
+    it('hashes the same text the same way', () => {
+      expect(hashString('hola')).toBe(hashString('hola'));
+      expect(hashString('hola')).not.toBe(hashString('adiós'));
+    });
+  });
+
+  describe('createSeededRandom', () => {
+    it('repeats the sequence for a seed', () => {
+      const first = createSeededRandom('seed');
+      const second = createSeededRandom('seed');
+
+      expect([first(), first(), first()]).toEqual([
+        second(),
+        second(),
+        second(),
+      ]);
+    });
+
+    it('returns numbers from 0 up to 1', () => {
+      const random = createSeededRandom('seed');
+
+      for (let i = 0; i < 100; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe('shuffleWithSeed', () => {
+    const items = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+    it('keeps every item', () => {
+      expect([...shuffleWithSeed(items, 'seed')].sort()).toEqual(items);
+    });
+
+    it('gives the same order for the same seed', () => {
+      expect(shuffleWithSeed(items, 'learner-1:q1'))
+        .toEqual(shuffleWithSeed(items, 'learner-1:q1'));
+    });
+
+    it('gives other seeds other orders', () => {
+      const orders = new Set(
+        ['1', '2', '3', '4', '5'].map((seed) =>
+          shuffleWithSeed(items, seed).join('')
+        )
+      );
+
+      expect(orders.size).toBeGreaterThan(1);
+    });
+
+    it('leaves the items alone', () => {
+      shuffleWithSeed(items, 'seed');
+
+      expect(items).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+    });
+  });
+
+  describe('getLearnerSeed', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('keeps the seed between visits', () => {
+      const seed = getLearnerSeed();
+
+      expect(seed).not.toBe('');
+      expect(getLearnerSeed()).toBe(seed);
+    });
+
+    it('falls back to a page seed without storage', () => {
+      vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+        throw new Error('blocked');
+      });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(getLearnerSeed()).toBe(getLearnerSeed());
+    });
+  });
+});
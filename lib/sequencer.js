@@ -1,11 +1,44 @@
 // @ts-check
 
+/**
+ * The activity state screens decide their visibility from, such as whether
+ * every action is completed
+ * @typedef {Object<string, unknown>} ScreenVisibilityState
+ */
+
+/**
+ * @typedef {'afterEnter' | 'beforeEnter' | 'beforeLeave'} NavigationHookType
+ */
+
+/**
+ * A navigation hook. Guards (beforeLeave and beforeEnter) can cancel the
+ * navigation by returning false, or redirect it by returning a screen ID.
+ * afterEnter hooks run once the new screen is current.
+ * @typedef {function(Screen, Screen|null):
+ *   (boolean|string|void|Promise<boolean|string|void>)} NavigationHook
+ */
+
+/**
+ * @typedef {Object} RegisteredNavigationHook
+ * @property {NavigationHook} hook - The hook
+ * @property {string} screenId - ID of the screen the hook belongs to
+ * @property {NavigationHookType} type - When the hook runs
+ */
+
 /**
  * @typedef {Object} Screen
+ * @property {NavigationHook} [afterEnter] - Runs after entering the screen
+ * @property {NavigationHook} [beforeEnter] - Guards entering the screen
+ * @property {NavigationHook} [beforeLeave] - Guards leaving the screen
  * @property {string} id - Unique identifier for the screen
+ * @property {function(ScreenVisibilityState): boolean} [isVisible] - Decides
+ *   from the activity state whether the screen is shown; screens without it
+ *   are always shown
  * @property {string} name - Display name of the screen
  */
 
+const MAX_REDIRECTS = 10;
+
 /**
  * Manages screen navigation and sequencing for interactive video components
  */
@@ -16,6 +49,12 @@ export class Sequencer {
   visibleScreens = [];
   /** @type {Screen|null} */
   currentScreen = null;
+  /** @type {function(): ScreenVisibilityState} */
+  getVisibilityState = () => ({});
+  /** @type {RegisteredNavigationHook[]} */
+  hooks = [];
+  /** @type {number} */
+  navigationId = 0;
 
   /**
    * Add one or more screens to the sequencer
@@ -25,7 +64,35 @@ export class Sequencer {
     Array.isArray(screen) ?
       this.screens.push(...screen) :
       this.screens.push(screen);
-    this.visibleScreens = this.screens;
+    this.updateVisibleScreens();
+  }
+
+  /**
+   * Set where screen visibility rules read the activity state from
+   * @param {function(): ScreenVisibilityState} getState - Returns the current
+   *   activity state
+   */
+  setVisibilityState(getState) {
+    this.getVisibilityState = getState;
+    this.updateVisibleScreens();
+  }
+
+  /**
+   * Check a screen's visibility rule against the current activity state
+   * @param {Screen} screen - The screen to check
+   * @return {boolean} True if the screen should be shown
+   */
+  isScreenVisible(screen) {
+    return !screen.isVisible || screen.isVisible(this.getVisibilityState());
+  }
+
+  /**
+   * Re-evaluate every screen's visibility rule
+   */
+  updateVisibleScreens() {
+    this.visibleScreens = this.screens.filter(
+      (screen) => this.isScreenVisible(screen)
+    );
   }
 
   /**
@@ -43,32 +110,157 @@ export class Sequencer {
   }
 
   /**
-   * Navigate to a screen by its ID
+   * Register a navigation hook for a screen
+   * @param {string} screenId - ID of the screen
+   * @param {NavigationHookType} type - When the hook runs
+   * @param {NavigationHook} hook - The hook
+   * @return {function(): void} Removes the hook
+   */
+  addNavigationHook(screenId, type, hook) {
+    this.hooks.push({ hook, screenId, type });
+    return () => {
+      this.hooks = this.hooks.filter((entry) =>
+        entry.hook !== hook || entry.screenId !== screenId
+      );
+    };
+  }
+
+  /**
+   * Get the hooks of one type for a screen, including the screen's own hook
+   * @param {Screen|null} screen - The screen
+   * @param {NavigationHookType} type - When the hooks run
+   * @return {NavigationHook[]} The hooks in the order they run
+   */
+  getNavigationHooks(screen, type) {
+    if (!screen) {
+      return [];
+    }
+    const ownHook = screen[type];
+    const registeredHooks = this.hooks
+      .filter((entry) => entry.screenId === screen.id && entry.type === type)
+      .map((entry) => entry.hook);
+    return ownHook ? [ownHook, ...registeredHooks] : registeredHooks;
+  }
+
+  /**
+   * Navigate to a screen by its ID. Without guards the screen changes right
+   * away; otherwise it changes once every guard has allowed it.
    * @param {string} screenId - The ID of the screen to navigate to
+   * @return {Promise<boolean>} Resolves to true if the screen changed
    */
   goToScreen(screenId) {
+    this.updateVisibleScreens();
     const targetScreen = this.visibleScreens.find(
       (screen) => screen.id === screenId
     );
-    if (targetScreen) {
-      this.currentScreen = targetScreen;
+    if (!targetScreen) {
+      return Promise.resolve(false);
     }
+    return this.navigate(targetScreen, 0);
   }
 
   /**
    * Move to the next screen in the sequence
+   * @return {Promise<boolean>} Resolves to true if the screen changed
    */
   goToNextScreen() {
+    this.updateVisibleScreens();
     if (!this.currentScreenExists()) {
-      return;
+      return Promise.resolve(false);
     }
 
     const currentScreenIndex = this.getCurrentScreenIndex();
     if (!this.screenInVisibleList(currentScreenIndex)) {
-      return;
+      return Promise.resolve(false);
     }
 
-    this.moveToNextScreen(currentScreenIndex);
+    return this.moveToNextScreen(currentScreenIndex);
+  }
+
+  /**
+   * Run the guards between the current screen and the target, then enter it
+   * @param {Screen} targetScreen - The screen to navigate to
+   * @param {number} redirectCount - How many redirects led here
+   * @return {Promise<boolean>} Resolves to true if the screen changed
+   */
+  navigate(targetScreen, redirectCount) {
+    const fromScreen = this.currentScreen;
+    const guards = [
+      ...this.getNavigationHooks(fromScreen, 'beforeLeave'),
+      ...this.getNavigationHooks(targetScreen, 'beforeEnter'),
+    ];
+    const navigationId = ++this.navigationId;
+
+    if (guards.length === 0) {
+      this.enterScreen(targetScreen, fromScreen);
+      return Promise.resolve(true);
+    }
+
+    return this.runGuards(guards, targetScreen, fromScreen)
+      .then((result) => {
+        if (navigationId !== this.navigationId || result === false) {
+          return false;
+        }
+        if (typeof result === 'string' && result !== targetScreen.id) {
+          return this.redirect(result, redirectCount);
+        }
+        this.enterScreen(targetScreen, fromScreen);
+        return true;
+      });
+  }
+
+  /**
+   * Run guards one after another until one cancels or redirects
+   * @param {NavigationHook[]} guards - The guards to run
+   * @param {Screen} targetScreen - The screen being entered
+   * @param {Screen|null} fromScreen - The screen being left
+   * @return {Promise<boolean|string>} False to cancel, a screen ID to
+   *   redirect, or true to continue
+   */
+  async runGuards(guards, targetScreen, fromScreen) {
+    for (const guard of guards) {
+      try {
+        const result = await guard(targetScreen, fromScreen);
+        if (result === false || typeof result === 'string') {
+          return result;
+        }
+      } catch (error) {
+        console.error('Navigation guard failed:', error);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Send a guarded navigation to another screen
+   * @param {string} screenId - ID of the screen to redirect to
+   * @param {number} redirectCount - How many redirects led here
+   * @return {Promise<boolean>} Resolves to true if the screen changed
+   */
+  redirect(screenId, redirectCount) {
+    this.updateVisibleScreens();
+    const redirectScreen = this.visibleScreens.find(
+      (screen) => screen.id === screenId
+    );
+    if (!redirectScreen || redirectCount >= MAX_REDIRECTS) {
+      return Promise.resolve(false);
+    }
+    return this.navigate(redirectScreen, redirectCount + 1);
+  }
+
+  /**
+   * Make a screen current and run its afterEnter hooks
+   * @param {Screen} targetScreen - The screen to enter
+   * @param {Screen|null} fromScreen - The screen that was left
+   */
+  enterScreen(targetScreen, fromScreen) {
+    this.currentScreen = targetScreen;
+    this.getNavigationHooks(targetScreen, 'afterEnter').forEach((hook) => {
+      Promise.resolve()
+        .then(() => hook(targetScreen, fromScreen))
+        .catch((error) => console.error('afterEnter hook failed:', error));
+    });
   }
 
   /**
@@ -91,11 +283,13 @@ export class Sequencer {
   /**
    * Move to the next screen in the sequence
    * @param {number} currentIndex - The current screen index
+   * @return {Promise<boolean>} Resolves to true if the screen changed
    */
   moveToNextScreen(currentIndex) {
     const nextScreen = this.visibleScreens[currentIndex + 1];
-    if (nextScreen) {
-      this.currentScreen = nextScreen;
+    if (!nextScreen) {
+      return Promise.resolve(false);
     }
+    return this.navigate(nextScreen, 0);
   }
 }
\ No newline at end of file
@@ -291,6 +291,233 @@ describe('Sequencer', () => {
     });
   });
 
+  describe('visibility rules', () => {
+    it('hides screens whose rule fails', () => {
+      const sequencer = new Sequencer();
+      sequencer.setVisibilityState(() => ({ allActionsCompleted: false }));
+
+      sequencer.addScreen([
+        { id: 'intro', name: 'Introduction' },
+        {
+          id: 'diagnostic',
+          isVisible: (state) => state.allActionsCompleted,
+          name: 'Diagnostic',
+        },
+      ]);
+
+      expect(sequencer.visibleScreens.map((screen) => screen.id))
+        .toEqual(['intro']);
+    });
+
+    it('does not navigate to a hidden screen', () => {
+      const sequencer = new Sequencer();
+      sequencer.addScreen([
+        { id: 'intro', name: 'Introduction' },
+        { id: 'pretest', isVisible: () => false, name: 'Pre-test' },
+      ]);
+      sequencer.goToScreen('intro');
+
+      sequencer.goToScreen('pretest');
+
+      expect(sequencer.currentScreen?.id).toBe('intro');
+    });
+
+    it('skips hidden screens when moving to the next screen', () => {
+      const sequencer = new Sequencer();
+      sequencer.setVisibilityState(() => ({ isFirstAttempt: false }));
+      sequencer.addScreen([
+        { id: 'intro', name: 'Introduction' },
+        {
+          id: 'pretest',
+          isVisible: (state) => state.isFirstAttempt,
+          name: 'Pre-test',
+        },
+        { id: 'video', name: 'Video' },
+      ]);
+      sequencer.goToScreen('intro');
+
+      sequencer.goToNextScreen();
+
+      expect(sequencer.currentScreen?.id).toBe('video');
+    });
+
+    it('re-evaluates rules when the state changes', () => {
+      const sequencer = new Sequencer();
+      const state = { allActionsCompleted: false };
+      sequencer.setVisibilityState(() => state);
+      sequencer.addScreen([
+        { id: 'player', name: 'Player' },
+        {
+          id: 'diagnostic',
+          isVisible: (visibilityState) => visibilityState.allActionsCompleted,
+          name: 'Diagnostic',
+        },
+      ]);
+      sequencer.goToScreen('player');
+
+      state.allActionsCompleted = true;
+      sequencer.goToNextScreen();
+
+      expect(sequencer.currentScreen?.id).toBe('diagnostic');
+      expect(sequencer.getCurrentScreenIndex()).toBe(1);
+    });
+
+    it('updates the visible screens on request', () => {
+      const sequencer = new Sequencer();
+      const state = { allActionsCompleted: false };
+      sequencer.setVisibilityState(() => state);
+      sequencer.addScreen({
+        id: 'diagnostic',
+        isVisible: (visibilityState) => visibilityState.allActionsCompleted,
+        name: 'Diagnostic',
+      });
+
+      state.allActionsCompleted = true;
+      sequencer.updateVisibleScreens();
+
+      expect(sequencer.visibleScreens).toHaveLength(1);
+    });
+  });
+
+  describe('navigation hooks', () => {
+    /** @type {Sequencer} */
+    let sequencer;
+
+    beforeEach(() => {
+      sequencer = new Sequencer();
+      sequencer.addScreen([
+        { id: 'intro', name: 'Introduction' },
+        { id: 'player', name: 'Player' },
+        { id: 'diagnostic', name: 'Diagnostic' },
+      ]);
+      sequencer.goToScreen('player');
+    });
+
+    it('changes screen right away when there are no guards', () => {
+      const result = sequencer.goToScreen('diagnostic');
+
+      expect(sequencer.currentScreen?.id).toBe('diagnostic');
+      return expect(result).resolves.toBe(true);
+    });
+
+    it('resolves to false for an unknown screen', async () => {
+      const result = await sequencer.goToScreen('missing');
+
+      expect(result).toBe(false);
+    });
+
+    it('waits for async guards before changing screen', async () => {
+      const guard = vi.fn(() => Promise.resolve(true));
+      sequencer.addNavigationHook('player', 'beforeLeave', guard);
+
+      const navigation = sequencer.goToScreen('diagnostic');
+      const screenWhileGuarding = sequencer.currentScreen?.id;
+      const result = await navigation;
+
+      expect(screenWhileGuarding).toBe('player');
+      expect(result).toBe(true);
+      expect(sequencer.currentScreen?.id).toBe('diagnostic');
+      expect(guard).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'diagnostic' }),
+        expect.objectContaining({ id: 'player' })
+      );
+    });
+
+    it('cancels navigation when a beforeLeave guard returns false', async () => {
+      sequencer.addNavigationHook('player', 'beforeLeave', () => false);
+
+      const result = await sequencer.goToScreen('diagnostic');
+
+      expect(result).toBe(false);
+      expect(sequencer.currentScreen?.id).toBe('player');
+    });
+
+    it('cancels navigation when a beforeEnter guard throws', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      sequencer.addNavigationHook('diagnostic', 'beforeEnter', () => {
+        throw new Error('Not ready');
+      });
+
+      const result = await sequencer.goToScreen('diagnostic');
+
+      expect(result).toBe(false);
+      expect(sequencer.currentScreen?.id).toBe('player');
+      consoleSpy.mockRestore();
+    });
+
+    it('redirects navigation to the screen a guard returns', async () => {
+      sequencer.addNavigationHook('diagnostic', 'beforeEnter', () => 'intro');
+
+      const result = await sequencer.goToScreen('diagnostic');
+
+      expect(result).toBe(true);
+      expect(sequencer.currentScreen?.id).toBe('intro');
+    });
+
+    it('stops redirect loops', async () => {
+      sequencer.addNavigationHook('intro', 'beforeEnter', () => 'diagnostic');
+      sequencer.addNavigationHook('diagnostic', 'beforeEnter', () => 'intro');
+
+      const result = await sequencer.goToScreen('diagnostic');
+
+      expect(result).toBe(false);
+      expect(sequencer.currentScreen?.id).toBe('player');
+    });
+
+    it('runs guards defined on the screen itself', async () => {
+      const guardedSequencer = new Sequencer();
+      guardedSequencer.addScreen([
+        { beforeLeave: () => false, id: 'player', name: 'Player' },
+        { id: 'diagnostic', name: 'Diagnostic' },
+      ]);
+      guardedSequencer.goToScreen('player');
+
+      const result = await guardedSequencer.goToNextScreen();
+
+      expect(result).toBe(false);
+      expect(guardedSequencer.currentScreen?.id).toBe('player');
+    });
+
+    it('runs afterEnter hooks once the screen is current', async () => {
+      const afterEnter = vi.fn();
+      sequencer.addNavigationHook('diagnostic', 'afterEnter', afterEnter);
+
+      await sequencer.goToScreen('diagnostic');
+      await Promise.resolve();
+
+      expect(afterEnter).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'diagnostic' }),
+        expect.objectContaining({ id: 'player' })
+      );
+    });
+
+    it('abandons a navigation that a newer one replaced', async () => {
+      sequencer.addNavigationHook('player', 'beforeLeave', () =>
+        Promise.resolve(true)
+      );
+
+      const firstNavigation = sequencer.goToScreen('diagnostic');
+      const secondNavigation = sequencer.goToScreen('intro');
+      const results = await Promise.all([firstNavigation, secondNavigation]);
+
+      expect(results).toEqual([false, true]);
+      expect(sequencer.currentScreen?.id).toBe('intro');
+    });
+
+    it('stops running a hook once it is removed', async () => {
+      const removeGuard = sequencer.addNavigationHook(
+        'player',
+        'beforeLeave',
+        () => false
+      );
+
+      removeGuard();
+      const result = await sequencer.goToScreen('diagnostic');
+
+      expect(result).toBe(true);
+    });
+  });
+
   describe('screen navigation flow', () => {
     it('navigates through all screens in sequence', () => {
       const sequencer = new Sequencer();
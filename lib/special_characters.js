@@ -0,0 +1,137 @@
+// @ts-check
+
+/**
+ * @typedef {Object} TextEdit
+ * @property {number} cursor - Cursor position after the edit
+ * @property {string} value - The edited text
+ */
+
+/**
+ * Characters learners need for each language that a US keyboard lacks
+ * @type {Object<string, Array<string>>}
+ */
+export const CHARACTER_SETS = {
+  de: ['ä', 'ö', 'ü', 'ß'],
+  es: ['á', 'é', 'í', 'ó', 'ú', 'ü', 'ñ', '¿', '¡'],
+  fr: [
+    'à', 'â', 'æ', 'ç', 'é', 'è', 'ê', 'ë', 'î', 'ï', 'ô', 'œ', 'ù', 'û',
+    'ü', 'ÿ', '«', '»',
+  ],
+  it: ['à', 'è', 'é', 'ì', 'ò', 'ù'],
+  pt: ['á', 'â', 'ã', 'à', 'ç', 'é', 'ê', 'í', 'ó', 'ô', 'õ', 'ú'],
+};
+
+/**
+ * Combining marks added by typing a key after a letter, so e then ' gives é.
+ * The comma and the double quote are left out because they follow letters
+ * in ordinary text, as in "oui"; ç and the umlauts are on the palette.
+ * @type {Object<string, string>}
+ */
+export const ACCENT_KEYS = {
+  '\'': '\u0301',
+  '^': '\u0302',
+  '`': '\u0300',
+  '~': '\u0303',
+};
+
+/**
+ * Accent keys a language writes as ordinary punctuation after a vowel, like
+ * the apostrophe in Italian po' and e', so they are left as typed
+ * @type {Object<string, Array<string>>}
+ */
+export const LITERAL_ACCENT_KEYS = {
+  it: ['\''],
+};
+
+/**
+ * Punctuation typed as a doubled key, so ? then ? gives ¿
+ * @type {Object<string, string>}
+ */
+export const PUNCTUATION_KEYS = {
+  '!!': '¡',
+  '<<': '«',
+  '>>': '»',
+  '??': '¿',
+};
+
+/**
+ * Reduces a language code to its language, without the region
+ * @param {unknown} language - Language code, with or without a region
+ * @return {string} The lowercase language code
+ */
+function getLanguageCode(language) {
+  return String(language ?? '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Gets the special characters for a language
+ * @param {unknown} language - Language code, with or without a region
+ * @return {Array<string>} The characters; empty for languages without any
+ */
+export function getSpecialCharacters(language) {
+  return CHARACTER_SETS[getLanguageCode(language)] || [];
+}
+
+/**
+ * Combines two typed characters into one special character. Only characters
+ * in the language's set are produced, so other text is left alone.
+ * @param {string} previous - The character before the one just typed
+ * @param {string} typed - The character just typed
+ * @param {unknown} language - Language code
+ * @return {string|null} The combined character, or null if there is none
+ */
+export function composeCharacters(previous, typed, language) {
+  const characters = getSpecialCharacters(language);
+  const isLiteral = Boolean(
+    LITERAL_ACCENT_KEYS[getLanguageCode(language)]?.includes(typed)
+  );
+  const composed = PUNCTUATION_KEYS[`${previous}${typed}`] ||
+    (ACCENT_KEYS[typed] && !isLiteral ?
+      `${previous}${ACCENT_KEYS[typed]}`.normalize('NFC') :
+      '');
+  if (composed.length !== 1 || !characters.includes(composed.toLowerCase())) {
+    return null;
+  }
+  return composed;
+}
+
+/**
+ * Combines the two characters before the cursor when they form a special
+ * character
+ * @param {string} value - The text
+ * @param {number} cursor - Cursor position just after the typed character
+ * @param {unknown} language - Language code
+ * @return {TextEdit|null} The edited text, or null if nothing combines
+ */
+export function composeAtCursor(value, cursor, language) {
+  if (cursor < 2) {
+    return null;
+  }
+  const composed = composeCharacters(
+    value[cursor - 2],
+    value[cursor - 1],
+    language
+  );
+  if (!composed) {
+    return null;
+  }
+  return {
+    cursor: cursor - 1,
+    value: value.slice(0, cursor - 2) + composed + value.slice(cursor),
+  };
+}
+
+/**
+ * Inserts text over a selection
+ * @param {string} value - The text
+ * @param {number} start - Start of the selection
+ * @param {number} end - End of the selection
+ * @param {string} text - The text to insert
+ * @return {TextEdit} The edited text with the cursor after the insertion
+ */
+export function insertText(value, start, end, text) {
+  return {
+    cursor: start + text.length,
+    value: value.slice(0, start) + text + value.slice(end),
+  };
+}
@@ -0,0 +1,106 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  composeAtCursor,
+  composeCharacters,
+  getSpecialCharacters,
+  insertText,
+} from './special_characters.js';
+
+describe('special_characters', () => {
+  describe('getSpecialCharacters', () => {
+    it('gets the characters for a language', () => {
+      expect(getSpecialCharacters('es')).toContain('ñ');
+      expect(getSpecialCharacters('fr')).toContain('ç');
+    });
+
+    it('ignores the region', () => {
+      expect(getSpecialCharacters('es-MX')).toEqual(getSpecialCharacters('es'));
+    });
+
+    it('has no characters for other languages', () => {
+      expect(getSpecialCharacters('en')).toEqual([]);
+      expect(getSpecialCharacters(undefined)).toEqual([]);
+    });
+  });
+
+  describe('composeCharacters', () => {
+    it('adds accents typed after a letter', () => {
+      expect(composeCharacters('e', '\'', 'es')).toBe('é');
+      expect(composeCharacters('n', '~', 'es')).toBe('ñ');
+      expect(composeCharacters('e', '`', 'fr')).toBe('è');
+      expect(composeCharacters('o', '^', 'fr')).toBe('ô');
+    });
+
+    it('keeps capitals', () => {
+      expect(composeCharacters('E', '\'', 'es')).toBe('É');
+    });
+
+    it('turns doubled punctuation into inverted marks', () => {
+      expect(composeCharacters('?', '?', 'es')).toBe('¿');
+      expect(composeCharacters('!', '!', 'es')).toBe('¡');
+    });
+
+    it('only produces characters of the language', () => {
+      expect(composeCharacters('e', '`', 'es')).toBeNull();
+      expect(composeCharacters('e', '\'', 'en')).toBeNull();
+    });
+
+    it('leaves a comma after c alone', () => {
+      expect(composeCharacters('c', ',', 'fr')).toBeNull();
+      expect(composeCharacters('c', ',', 'pt')).toBeNull();
+    });
+
+    it('leaves an Italian apostrophe after a vowel alone', () => {
+      expect(composeCharacters('e', '\'', 'it')).toBeNull();
+      expect(composeCharacters('o', '\'', 'it-IT')).toBeNull();
+      expect(composeCharacters('e', '`', 'it')).toBe('è');
+    });
+
+    it('leaves other pairs alone', () => {
+      expect(composeCharacters('l', '\'', 'fr')).toBeNull();
+      expect(composeCharacters('a', 'b', 'es')).toBeNull();
+    });
+  });
+
+  describe('composeAtCursor', () => {
+    it('combines the characters before the cursor', () => {
+      expect(composeAtCursor('cafe\' con', 5, 'es')).toEqual({
+        cursor: 4,
+        value: 'café con',
+      });
+    });
+
+    it('returns null when nothing combines', () => {
+      expect(composeAtCursor('l\'eau', 2, 'fr')).toBeNull();
+      expect(composeAtCursor('\'', 1, 'es')).toBeNull();
+    });
+
+    it('keeps the comma in "donc, il"', () => {
+      expect(composeAtCursor('donc,', 5, 'fr')).toBeNull();
+    });
+
+    it('keeps quotes around words that end in a vowel', () => {
+      expect(composeAtCursor('"oui"', 5, 'fr')).toBeNull();
+      expect(composeAtCursor('"tu"', 4, 'es')).toBeNull();
+      expect(composeAtCursor('"Auto"', 6, 'de')).toBeNull();
+    });
+  });
+
+  describe('insertText', () => {
+    it('inserts at the cursor', () => {
+      expect(insertText('mana', 2, 2, 'ñ')).toEqual({
+        cursor: 3,
+        value: 'mañna',
+      });
+    });
+
+    it('replaces the selection', () => {
+      expect(insertText('mana', 2, 3, 'ñ')).toEqual({
+        cursor: 3,
+        value: 'maña',
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * @typedef {import('./xapi_statements.js').XapiStatement} XapiStatement
+ */
+
+/**
+ * @typedef {Object} StatementQueueOptions
+ * @property {string} [databaseName] - Name of the IndexedDB database
+ * @property {IDBFactory|null} [indexedDB] - IndexedDB implementation; the
+ *   queue is kept in memory when none is available
+ */
+
+const STORE_NAME = 'statements';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @template T
+ * @param {IDBRequest<T>} request - The request to wait for
+ * @return {Promise<T>} Resolves with the request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persists xAPI statements until the LRS accepts them, so statements
+ * recorded while the learner is offline survive a reload
+ */
+export class StatementQueue {
+  /** @type {Promise<IDBDatabase|null>|null} */
+  databasePromise = null;
+  /** @type {Map<string, XapiStatement>} */
+  memoryQueue = new Map();
+
+  /**
+   * @param {StatementQueueOptions} [options] - Queue options
+   */
+  constructor({
+    databaseName = 'interactive_video_xapi',
+    indexedDB = globalThis.indexedDB || null,
+  } = {}) {
+    this.databaseName = databaseName;
+    this.indexedDB = indexedDB;
+  }
+
+  /**
+   * Opens the database, falling back to memory when it cannot be opened
+   * @return {Promise<IDBDatabase|null>} The database or null
+   */
+  openDatabase() {
+    if (!this.databasePromise) {
+      this.databasePromise = this.createDatabase().catch((error) => {
+        console.warn('Failed to open xAPI statement queue:', error);
+        return null;
+      });
+    }
+    return this.databasePromise;
+  }
+
+  /**
+   * Opens the database and creates the statement store if needed
+   * @return {Promise<IDBDatabase|null>} The database or null
+   */
+  async createDatabase() {
+    if (!this.indexedDB) {
+      return null;
+    }
+
+    const request = this.indexedDB.open(this.databaseName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    return requestToPromise(request);
+  }
+
+  /**
+   * Runs an operation against the statement store
+   * @template T
+   * @param {IDBTransactionMode} mode - The transaction mode
+   * @param {function(IDBObjectStore): IDBRequest<T>|void} operation - The
+   *   operation to run
+   * @return {Promise<T|undefined>} Resolves with the operation's result
+   *   when the transaction completes
+   */
+  async withStore(mode, operation) {
+    const database = await this.openDatabase();
+    if (!database) {
+      return undefined;
+    }
+
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Adds a statement to the queue
+   * @param {XapiStatement} statement - The statement to queue
+   * @return {Promise<void>}
+   */
+  async add(statement) {
+    if (!(await this.openDatabase())) {
+      this.memoryQueue.set(statement.id, statement);
+      return;
+    }
+    await this.withStore('readwrite', (store) => store.put(statement));
+  }
+
+  /**
+   * Reads every queued statement, oldest first
+   * @return {Promise<Array<XapiStatement>>} The queued statements
+   */
+  async getAll() {
+    if (!(await this.openDatabase())) {
+      return [...this.memoryQueue.values()];
+    }
+
+    const statements = await this.withStore('readonly', (store) => store.getAll());
+    return [...(statements || [])].sort(
+      (a, b) => a.timestamp.localeCompare(b.timestamp)
+    );
+  }
+
+  /**
+   * Removes statements the LRS has accepted
+   * @param {Array<string>} ids - IDs of the statements to remove
+   * @return {Promise<void>}
+   */
+  async remove(ids) {
+    if (!(await this.openDatabase())) {
+      ids.forEach((id) => this.memoryQueue.delete(id));
+      return;
+    }
+    await this.withStore('readwrite', (store) => {
+      ids.forEach((id) => store.delete(id));
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,168 @@
+// @ts-check
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { StatementQueue } from './statement_queue.js';
+
+/**
+ * @typedef {import('./xapi_statements.js').XapiStatement} XapiStatement
+ */
+
+/**
+ * Creates a statement with just enough shape for the queue
+ * @param {string} id - The statement ID
+ * @param {string} timestamp - When the statement was recorded
+ * @return {XapiStatement} The statement
+ */
+function createTestStatement(id, timestamp) {
+  return /** @type {XapiStatement} */ (
+    /** @type {unknown} */ ({ id, timestamp })
+  );
+}
+
+/**
+ * Creates an IndexedDB stand-in whose databases outlive the queues that
+ * open them, like a real browser across reloads
+ * @return {{factory: IDBFactory, records: Map<string, Map<string, Object>>}}
+ *   The factory and the records of each database
+ */
+function createFakeIndexedDB() {
+  /** @type {Map<string, Map<string, Object>>} */
+  const records = new Map();
+
+  /**
+   * Opens a database, creating it on first use
+   * @param {string} name - The database name
+   * @return {Object} The open request
+   */
+  const open = (name) => {
+    /** @type {Object<string, Function|Object|null>} */
+    const request = { onsuccess: null, onupgradeneeded: null, result: null };
+    queueMicrotask(() => {
+      const isNew = !records.has(name);
+      if (isNew) {
+        records.set(name, new Map());
+      }
+      const stored = /** @type {Map<string, Object>} */ (records.get(name));
+      request.result = createDatabase(stored);
+      if (isNew) {
+        /** @type {Function} */ (request.onupgradeneeded)();
+      }
+      /** @type {Function} */ (request.onsuccess)();
+    });
+    return request;
+  };
+
+  /**
+   * Creates a database whose single store keeps statements by ID
+   * @param {Map<string, Object>} stored - The database's records
+   * @return {Object} The database
+   */
+  const createDatabase = (stored) => ({
+    createObjectStore: vi.fn(),
+    transaction: () => {
+      /** @type {Object<string, Function|null|Function>} */
+      const transaction = { oncomplete: null };
+      const store = {
+        delete: (/** @type {string} */ id) => stored.delete(id),
+        getAll: () => ({ result: [...stored.values()] }),
+        put: (/** @type {XapiStatement} */ statement) => {
+          stored.set(statement.id, statement);
+          return { result: statement.id };
+        },
+      };
+      transaction.objectStore = () => store;
+      queueMicrotask(() => /** @type {Function} */ (transaction.oncomplete)());
+      return transaction;
+    },
+  });
+
+  return {
+    factory: /** @type {IDBFactory} */ (/** @type {unknown} */ ({ open })),
+    records,
+  };
+}
+
+describe('StatementQueue', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('in memory', () => {
+    it('keeps statements until they are removed', async () => {
+      const queue = new StatementQueue({ indexedDB: null });
+
+      await queue.add(createTestStatement('1', '2024-01-01T00:00:00Z'));
+      await queue.add(createTestStatement('2', '2024-01-01T00:00:01Z'));
+      await queue.remove(['1']);
+
+      expect((await queue.getAll()).map((statement) => statement.id))
+        .toEqual(['2']);
+    });
+
+    it('stores a statement added twice once', async () => {
+      const queue = new StatementQueue({ indexedDB: null });
+      const statement = createTestStatement('1', '2024-01-01T00:00:00Z');
+
+      await queue.add(statement);
+      await queue.add(statement);
+
+      expect(await queue.getAll()).toHaveLength(1);
+    });
+  });
+
+  describe('in IndexedDB', () => {
+    it('keeps statements across reloads', async () => {
+      const { factory } = createFakeIndexedDB();
+      await new StatementQueue({ indexedDB: factory })
+        .add(createTestStatement('1', '2024-01-01T00:00:00Z'));
+
+      const reloaded = new StatementQueue({ indexedDB: factory });
+
+      expect((await reloaded.getAll()).map((statement) => statement.id))
+        .toEqual(['1']);
+    });
+
+    it('returns statements oldest first', async () => {
+      const { factory } = createFakeIndexedDB();
+      const queue = new StatementQueue({ indexedDB: factory });
+
+      await queue.add(createTestStatement('late', '2024-01-01T00:00:05Z'));
+      await queue.add(createTestStatement('early', '2024-01-01T00:00:01Z'));
+
+      expect((await queue.getAll()).map((statement) => statement.id))
+        .toEqual(['early', 'late']);
+    });
+
+    it('removes statements the LRS accepted', async () => {
+      const { factory, records } = createFakeIndexedDB();
+      const queue = new StatementQueue({
+        databaseName: 'test_queue',
+        indexedDB: factory,
+      });
+
+      await queue.add(createTestStatement('1', '2024-01-01T00:00:00Z'));
+      await queue.add(createTestStatement('2', '2024-01-01T00:00:01Z'));
+      await queue.remove(['1']);
+
+      expect([...(records.get('test_queue')?.keys() || [])]).toEqual(['2']);
+    });
+
+    it('falls back to memory when the database cannot be opened', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const factory = /** @type {IDBFactory} */ (/** @type {unknown} */ ({
+        open: () => {
+          /** @type {Object<string, Function|Error|null>} */
+          const request = { error: new Error('Blocked'), onerror: null };
+          queueMicrotask(() => /** @type {Function} */ (request.onerror)());
+          return request;
+        },
+      }));
+      const queue = new StatementQueue({ indexedDB: factory });
+
+      await queue.add(createTestStatement('1', '2024-01-01T00:00:00Z'));
+
+      expect(await queue.getAll()).toHaveLength(1);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+});
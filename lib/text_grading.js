@@ -0,0 +1,212 @@
+// @ts-check
+
+import { calculateEditDistance } from './pronunciation_scoring.js';
+
+/**
+ * @typedef {'accent' | 'article' | 'capitalization' | 'punctuation' |
+ *   'spelling'} EditType
+ */
+
+/**
+ * @typedef {Object} DistanceEdit
+ * @property {EditType} type - The kind of error
+ * @property {string} value - The expected answer the response was closest to
+ */
+
+/**
+ * @typedef {Object} GradingTolerance
+ * @property {boolean} [accents] - Accept missing or wrong accents
+ * @property {boolean} [case] - Accept differences in capitalization
+ * @property {boolean} [punctuation] - Accept missing or extra punctuation
+ */
+
+/**
+ * @typedef {Object} ResponseGrade
+ * @property {string} closestAnswer - The accepted answer nearest the response
+ * @property {Array<DistanceEdit>} edits - What separates the response from
+ *   the closest answer; empty when it is correct or blank
+ * @property {boolean} isCorrect - Whether the response matches an answer
+ */
+
+/**
+ * @typedef {Exclude<EditType, 'spelling'>} RelaxableEditType
+ */
+
+/**
+ * Differences accepted unless the author asks for stricter grading
+ * @type {GradingTolerance}
+ */
+export const DEFAULT_TOLERANCE = {
+  accents: false,
+  case: true,
+  punctuation: false,
+};
+
+/**
+ * Articles that can be dropped or swapped without changing the rest of an
+ * answer, in the languages the activities teach
+ * @type {Array<string>}
+ */
+const ARTICLES = [
+  'a', 'an', 'das', 'der', 'des', 'die', 'ein', 'eine', 'el', 'gli', 'il',
+  'la', 'las', 'le', 'les', 'lo', 'los', 'the', 'un', 'una', 'une', 'unas',
+  'unos',
+];
+
+/**
+ * Differences that can be named, in the order they are relaxed
+ * @type {Array<RelaxableEditType>}
+ */
+const RELAXABLE_EDITS = ['punctuation', 'capitalization', 'accent', 'article'];
+
+/**
+ * Removes accents and other combining marks
+ * @param {string} text - The text
+ * @return {string} The text without diacritics
+ */
+function removeAccents(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+}
+
+/**
+ * Removes articles from text
+ * @param {string} text - The text
+ * @return {string} The text without article words
+ */
+function removeArticles(text) {
+  return text
+    .split(' ')
+    .filter((word) => !ARTICLES.includes(removeAccents(word.toLowerCase())))
+    .join(' ');
+}
+
+/**
+ * Ignores the given kinds of difference in a text
+ * @type {Object<RelaxableEditType, function(string): string>}
+ */
+const RELAXATIONS = {
+  accent: removeAccents,
+  article: removeArticles,
+  capitalization: (text) => text.toLowerCase(),
+  punctuation: (text) => text.replace(/[\p{P}\p{S}]/gu, ''),
+};
+
+/**
+ * Normalizes text for comparison, ignoring the given kinds of difference
+ * @param {unknown} text - The text to normalize
+ * @param {Array<RelaxableEditType>} relaxed - Differences to ignore
+ * @return {string} Trimmed text with collapsed whitespace
+ */
+export function normalizeForGrading(text, relaxed) {
+  /**
+   * Trims and collapses whitespace
+   * @param {string} value - The text
+   * @return {string} The tidied text
+   */
+  const tidy = (value) => value.trim().replace(/\s+/g, ' ');
+
+  return RELAXABLE_EDITS
+    .filter((type) => relaxed.includes(type))
+    .reduce(
+      (normalized, type) => tidy(RELAXATIONS[type](normalized)),
+      tidy(String(text ?? ''))
+    );
+}
+
+/**
+ * Lists the differences a tolerance accepts
+ * @param {GradingTolerance} tolerance - The grading tolerance
+ * @return {Array<RelaxableEditType>} The tolerated differences
+ */
+function getToleratedEdits(tolerance) {
+  /** @type {Array<RelaxableEditType>} */
+  const tolerated = [];
+  if (tolerance.accents) {
+    tolerated.push('accent');
+  }
+  if (tolerance.case) {
+    tolerated.push('capitalization');
+  }
+  if (tolerance.punctuation) {
+    tolerated.push('punctuation');
+  }
+  return tolerated;
+}
+
+/**
+ * Finds the accepted answer closest to a response once every nameable
+ * difference is ignored
+ * @param {string} response - The learner's response
+ * @param {Array<string>} answers - The accepted answers
+ * @return {string} The closest answer
+ */
+function findClosestAnswer(response, answers) {
+  const normalizedResponse = normalizeForGrading(response, RELAXABLE_EDITS);
+  return answers.reduce((closest, answer) => {
+    const distance = calculateEditDistance(
+      normalizedResponse,
+      normalizeForGrading(answer, RELAXABLE_EDITS)
+    );
+    return distance < closest.distance ? { answer, distance } : closest;
+  }, { answer: answers[0] || '', distance: Infinity }).answer;
+}
+
+/**
+ * Names the differences between a response and an answer. A difference is
+ * named when the two still differ with every other difference ignored;
+ * anything left over counts as spelling.
+ * @param {string} response - The learner's response
+ * @param {string} answer - The expected answer
+ * @param {Array<RelaxableEditType>} tolerated - Differences to ignore
+ * @return {Array<DistanceEdit>} The differences
+ */
+export function classifyEdits(response, answer, tolerated = []) {
+  /** @type {Array<DistanceEdit>} */
+  const spelling = [{ type: 'spelling', value: answer }];
+  if (normalizeForGrading(response, RELAXABLE_EDITS) !==
+    normalizeForGrading(answer, RELAXABLE_EDITS)) {
+    return spelling;
+  }
+
+  /** @type {Array<DistanceEdit>} */
+  const edits = RELAXABLE_EDITS
+    .filter((type) => !tolerated.includes(type))
+    .filter((type) => {
+      const others = RELAXABLE_EDITS.filter((other) => other !== type);
+      return normalizeForGrading(response, others) !==
+        normalizeForGrading(answer, others);
+    })
+    .map((type) => ({ type, value: answer }));
+  return edits.length > 0 ? edits : spelling;
+}
+
+/**
+ * Grades a typed response against one or more accepted answers
+ * @param {unknown} response - The learner's response
+ * @param {string|Array<string>} accepted - Accepted answer(s)
+ * @param {GradingTolerance} [tolerance] - Differences to accept
+ * @return {ResponseGrade} The grade
+ */
+export function gradeResponse(response, accepted, tolerance = {}) {
+  const answers = (Array.isArray(accepted) ? accepted : [accepted])
+    .map((answer) => String(answer ?? ''));
+  const tolerated = getToleratedEdits({ ...DEFAULT_TOLERANCE, ...tolerance });
+  const normalizedResponse = normalizeForGrading(response, tolerated);
+
+  const match = answers.find((answer) =>
+    normalizeForGrading(answer, tolerated) === normalizedResponse
+  );
+  if (match !== undefined) {
+    return { closestAnswer: match, edits: [], isCorrect: true };
+  }
+
+  const text = String(response ?? '');
+  const closestAnswer = findClosestAnswer(text, answers);
+  return {
+    closestAnswer,
+    edits: normalizedResponse === '' ?
+      [] :
+      classifyEdits(text, closestAnswer, tolerated),
+    isCorrect: false,
+  };
+}
@@ -0,0 +1,116 @@
+// @ts-check
+
+import { describe, it, expect } from 'vitest';
+import {
+  classifyEdits,
+  gradeResponse,
+  normalizeForGrading,
+} from './text_grading.js';
+
+describe('text_grading', () => {
+  describe('normalizeForGrading', () => {
+    it('trims and collapses whitespace', () => {
+      expect(normalizeForGrading('  Yo   hablo ', [])).toBe('Yo hablo');
+    });
+
+    it('ignores the relaxed differences', () => {
+      expect(normalizeForGrading('¿Cómo estás?', [
+        'accent',
+        'capitalization',
+        'punctuation',
+      ])).toBe('como estas');
+    });
+
+    it('drops articles', () => {
+      expect(normalizeForGrading('La casa', ['article'])).toBe('casa');
+    });
+  });
+
+  describe('classifyEdits', () => {
+    it('names capitalization', () => {
+      expect(classifyEdits('madrid', 'Madrid')).toEqual([
+        { type: 'capitalization', value: 'Madrid' },
+      ]);
+    });
+
+    it('names punctuation', () => {
+      expect(classifyEdits('Hola', '¡Hola!')).toEqual([
+        { type: 'punctuation', value: '¡Hola!' },
+      ]);
+    });
+
+    it('names accents', () => {
+      expect(classifyEdits('esta', 'está')).toEqual([
+        { type: 'accent', value: 'está' },
+      ]);
+    });
+
+    it('names articles', () => {
+      expect(classifyEdits('el mesa', 'la mesa')).toEqual([
+        { type: 'article', value: 'la mesa' },
+      ]);
+    });
+
+    it('names every difference that applies', () => {
+      expect(classifyEdits('Esta', 'está').map((edit) => edit.type))
+        .toEqual(['capitalization', 'accent']);
+    });
+
+    it('leaves out tolerated differences', () => {
+      expect(classifyEdits('Esta', 'está', ['capitalization'])).toEqual([
+        { type: 'accent', value: 'está' },
+      ]);
+    });
+
+    it('falls back to spelling', () => {
+      expect(classifyEdits('habla', 'hablo')).toEqual([
+        { type: 'spelling', value: 'hablo' },
+      ]);
+    });
+  });
+
+  describe('gradeResponse', () => {
+    it('accepts any of several answers', () => {
+      const grade = gradeResponse('bebes', ['comes', 'bebes']);
+
+      expect(grade).toEqual({
+        closestAnswer: 'bebes',
+        edits: [],
+        isCorrect: true,
+      });
+    });
+
+    it('ignores case by default', () => {
+      expect(gradeResponse('HABLO', 'hablo').isCorrect).toBe(true);
+    });
+
+    it('grades accents and punctuation strictly by default', () => {
+      expect(gradeResponse('esta', 'está').isCorrect).toBe(false);
+      expect(gradeResponse('Hola', '¡Hola!').isCorrect).toBe(false);
+    });
+
+    it('applies the configured tolerance', () => {
+      const tolerance = { accents: true, case: false, punctuation: true };
+
+      expect(gradeResponse('esta', 'está', tolerance).isCorrect).toBe(true);
+      expect(gradeResponse('Hola', '¡Hola!', tolerance).isCorrect).toBe(true);
+      expect(gradeResponse('hola', 'Hola', tolerance).edits).toEqual([
+        { type: 'capitalization', value: 'Hola' },
+      ]);
+    });
+
+    it('explains the error against the closest answer', () => {
+      const grade = gradeResponse('bebés', ['comes', 'bebes']);
+
+      expect(grade.closestAnswer).toBe('bebes');
+      expect(grade.edits).toEqual([{ type: 'accent', value: 'bebes' }]);
+    });
+
+    it('names no errors for a blank response', () => {
+      const grade = gradeResponse('  ', 'hablo');
+
+      expect(grade.isCorrect).toBe(false);
+      expect(grade.edits).toEqual([]);
+    });
+  });
+});
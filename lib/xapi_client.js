@@ -0,0 +1,242 @@
+// @ts-check
+
+import { StatementQueue } from './statement_queue.js';
+
+/**
+ * @typedef {import('./xapi_statements.js').XapiActor} XapiActor
+ * @typedef {import('./xapi_statements.js').XapiStatement} XapiStatement
+ */
+
+/**
+ * @typedef {Object} XapiConfig
+ * @property {string} [activityId] - IRI identifying this activity
+ * @property {XapiActor} [actor] - The learner sending statements
+ * @property {string} [auth] - Authorization header value for the LRS
+ * @property {string} [endpoint] - Base URL of the LRS
+ */
+
+/**
+ * @typedef {Object} XapiClientOptions
+ * @property {string} [auth] - Authorization header value for the LRS
+ * @property {string} [endpoint] - Base URL of the LRS
+ * @property {typeof fetch} [fetch] - Fetch implementation
+ * @property {number} [maxRetries] - Retries before giving up until the next
+ *   flush
+ * @property {StatementQueue} [queue] - Where statements wait to be sent
+ * @property {number} [retryDelay] - Delay before the first retry in
+ *   milliseconds; doubles with each retry
+ * @property {function(number): Promise<void>} [wait] - Waits a number of
+ *   milliseconds
+ */
+
+/**
+ * @typedef {'accepted' | 'conflict' | 'failed'} PostStatus
+ */
+
+const XAPI_VERSION = '1.0.3';
+
+/**
+ * Waits a number of milliseconds
+ * @param {number} milliseconds - How long to wait
+ * @return {Promise<void>}
+ */
+function wait(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Reads the LRS configuration from data attributes on the activity element:
+ * `data-xapi-endpoint`, `data-xapi-auth`, `data-xapi-activity-id`,
+ * `data-xapi-actor-name` and `data-xapi-actor-mbox`
+ * @param {Element|null} element - The activity element
+ * @return {XapiConfig} The configuration; without an endpoint nothing is sent
+ */
+export function readXapiConfig(element) {
+  const dataset = /** @type {HTMLElement|null} */ (element)?.dataset || {};
+  if (!dataset.xapiEndpoint) {
+    return {};
+  }
+
+  /** @type {XapiActor} */
+  const actor = { objectType: 'Agent' };
+  if (dataset.xapiActorName) {
+    actor.name = dataset.xapiActorName;
+  }
+  if (dataset.xapiActorMbox) {
+    actor.mbox = dataset.xapiActorMbox.startsWith('mailto:') ?
+      dataset.xapiActorMbox :
+      `mailto:${dataset.xapiActorMbox}`;
+  } else {
+    actor.account = { homePage: window.location.origin, name: 'anonymous' };
+  }
+
+  return {
+    activityId: dataset.xapiActivityId || '',
+    actor,
+    auth: dataset.xapiAuth || '',
+    endpoint: dataset.xapiEndpoint,
+  };
+}
+
+/**
+ * Sends xAPI statements to an LRS. Statements are queued first and the
+ * queue is flushed with retries, so statements recorded offline are sent
+ * once the LRS can be reached again.
+ */
+export class XapiClient {
+  /** @type {Promise<boolean>|null} */
+  flushPromise = null;
+
+  /**
+   * @param {XapiClientOptions} [options] - Client options
+   */
+  constructor({
+    auth = '',
+    endpoint = '',
+    fetch = globalThis.fetch?.bind(globalThis),
+    maxRetries = 3,
+    queue = new StatementQueue(),
+    retryDelay = 1000,
+    wait: waitFor = wait,
+  } = {}) {
+    this.auth = auth;
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.fetch = fetch;
+    this.maxRetries = maxRetries;
+    this.queue = queue;
+    this.retryDelay = retryDelay;
+    this.wait = waitFor;
+  }
+
+  /**
+   * Check if an LRS is configured
+   * @return {boolean} True if statements will be sent
+   */
+  get isEnabled() {
+    return Boolean(this.endpoint && this.fetch);
+  }
+
+  /**
+   * Queues a statement and tries to send everything queued
+   * @param {XapiStatement} statement - The statement to send
+   * @return {Promise<boolean>} True if the queue was emptied
+   */
+  async send(statement) {
+    if (!this.isEnabled) {
+      return false;
+    }
+
+    await this.queue.add(statement);
+    return this.flush();
+  }
+
+  /**
+   * Sends every queued statement, retrying with backoff. Statements stay
+   * queued when the LRS cannot be reached. Flushes run one after another so
+   * statements queued during a flush are picked up by the next one.
+   * @return {Promise<boolean>} True if the queue was emptied
+   */
+  flush() {
+    if (!this.isEnabled) {
+      return Promise.resolve(false);
+    }
+
+    const previousFlush = this.flushPromise || Promise.resolve(true);
+    const nextFlush = previousFlush.then(() => this.flushQueue());
+    this.flushPromise = nextFlush;
+    nextFlush.then(() => {
+      if (this.flushPromise === nextFlush) {
+        this.flushPromise = null;
+      }
+    });
+    return nextFlush;
+  }
+
+  /**
+   * Sends the queued statements in one batch
+   * @return {Promise<boolean>} True if the queue was emptied
+   */
+  async flushQueue() {
+    try {
+      const statements = await this.queue.getAll();
+      if (statements.length === 0) {
+        return true;
+      }
+
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        if (attempt > 0) {
+          await this.wait(this.retryDelay * 2 ** (attempt - 1));
+        }
+
+        const status = await this.postStatements(statements);
+        if (status === 'accepted') {
+          await this.queue.remove(statements.map((statement) => statement.id));
+          return true;
+        }
+        if (status === 'conflict') {
+          return this.sendEachStatement(statements);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to flush xAPI statement queue:', error);
+    }
+
+    return false;
+  }
+
+  /**
+   * Sends statements one at a time after the LRS rejected their batch with a
+   * conflict. The LRS rejects a whole batch when any statement ID is already
+   * stored, so only a conflict on a single statement means that statement
+   * was stored before.
+   * @param {Array<XapiStatement>} statements - The statements to send
+   * @return {Promise<boolean>} True if every statement was stored
+   */
+  async sendEachStatement(statements) {
+    /** @type {Array<string>} */
+    const storedIds = [];
+    for (const statement of statements) {
+      const status = statements.length === 1 ?
+        'conflict' :
+        await this.postStatements([statement]);
+      if (status !== 'failed') {
+        storedIds.push(statement.id);
+      }
+    }
+
+    await this.queue.remove(storedIds);
+    return storedIds.length === statements.length;
+  }
+
+  /**
+   * Posts statements to the LRS
+   * @param {Array<XapiStatement>} statements - The statements to post
+   * @return {Promise<PostStatus>} Whether the LRS accepted the statements,
+   *   rejected them with a conflict or could not be reached
+   */
+  async postStatements(statements) {
+    /** @type {Object<string, string>} */
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': XAPI_VERSION,
+    };
+    if (this.auth) {
+      headers.Authorization = this.auth;
+    }
+
+    try {
+      const response = await this.fetch(`${this.endpoint}/statements`, {
+        body: JSON.stringify(statements),
+        headers,
+        method: 'POST',
+      });
+      if (response.ok) {
+        return 'accepted';
+      }
+      return response.status === 409 ? 'conflict' : 'failed';
+    } catch (error) {
+      console.warn('Failed to send xAPI statements:', error);
+      return 'failed';
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { StatementQueue } from './statement_queue.js';
+import { XapiClient, readXapiConfig } from './xapi_client.js';
+
+/**
+ * Creates a statement with just enough shape for the queue
+ * @param {string} id - The statement ID
+ * @return {any} The statement
+ */
+function createTestStatement(id) {
+  return { id, timestamp: new Date().toISOString() };
+}
+
+describe('xapi_client', () => {
+  describe('readXapiConfig', () => {
+    it('returns an empty config without an endpoint', () => {
+      const element = document.createElement('div');
+
+      expect(readXapiConfig(element)).toEqual({});
+    });
+
+    it('reads the endpoint, auth and actor from data attributes', () => {
+      const element = document.createElement('div');
+      element.dataset.xapiEndpoint = 'https://lrs.example.com/xapi';
+      element.dataset.xapiAuth = 'Basic abc';
+      element.dataset.xapiActorName = 'Learner';
+      element.dataset.xapiActorMbox = 'learner@example.com';
+
+      expect(readXapiConfig(element)).toEqual({
+        activityId: '',
+        actor: {
+          mbox: 'mailto:learner@example.com',
+          name: 'Learner',
+          objectType: 'Agent',
+        },
+        auth: 'Basic abc',
+        endpoint: 'https://lrs.example.com/xapi',
+      });
+    });
+  });
+
+  describe('XapiClient', () => {
+    /** @type {import('vitest').Mock} */
+    let fetchStub;
+    /** @type {StatementQueue} */
+    let queue;
+    /** @type {XapiClient} */
+    let client;
+
+    beforeEach(() => {
+      fetchStub = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+      queue = new StatementQueue({ indexedDB: null });
+      client = new XapiClient({
+        auth: 'Basic abc',
+        endpoint: 'https://lrs.example.com/xapi/',
+        fetch: fetchStub,
+        queue,
+        wait: () => Promise.resolve(),
+      });
+    });
+
+    it('is disabled without an endpoint', async () => {
+      const disabledClient = new XapiClient({ fetch: fetchStub, queue });
+
+      expect(await disabledClient.send(createTestStatement('1'))).toBe(false);
+      expect(fetchStub).not.toHaveBeenCalled();
+    });
+
+    it('posts statements to the LRS statements resource', async () => {
+      await client.send(createTestStatement('1'));
+
+      const [url, request] = fetchStub.mock.calls[0];
+      expect(url).toBe('https://lrs.example.com/xapi/statements');
+      expect(request.method).toBe('POST');
+      expect(request.headers.Authorization).toBe('Basic abc');
+      expect(request.headers['X-Experience-API-Version']).toBe('1.0.3');
+      expect(JSON.parse(request.body)).toEqual([
+        expect.objectContaining({ id: '1' }),
+      ]);
+    });
+
+    it('empties the queue once the LRS accepts the statements', async () => {
+      await client.send(createTestStatement('1'));
+
+      expect(await queue.getAll()).toEqual([]);
+    });
+
+    it('retries failed requests', async () => {
+      fetchStub
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+        .mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const sent = await client.send(createTestStatement('1'));
+
+      expect(sent).toBe(true);
+      expect(fetchStub).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps statements queued while the LRS is unreachable', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      fetchStub.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const sent = await client.send(createTestStatement('1'));
+
+      expect(sent).toBe(false);
+      expect(fetchStub).toHaveBeenCalledTimes(4);
+      expect(await queue.getAll()).toHaveLength(1);
+    });
+
+    it('sends queued statements on the next flush', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      fetchStub.mockRejectedValue(new TypeError('Failed to fetch'));
+      await client.send(createTestStatement('1'));
+      fetchStub.mockResolvedValue({ ok: true, status: 200 });
+
+      await client.send(createTestStatement('2'));
+
+      const body = JSON.parse(fetchStub.mock.lastCall[1].body);
+      expect(body.map((statement) => statement.id)).toEqual(['1', '2']);
+      expect(await queue.getAll()).toEqual([]);
+    });
+
+    it('treats a conflict as already stored', async () => {
+      fetchStub.mockResolvedValue({ ok: false, status: 409 });
+
+      expect(await client.send(createTestStatement('1'))).toBe(true);
+      expect(await queue.getAll()).toEqual([]);
+    });
+
+    it('sends each statement of a conflicting batch on its own', async () => {
+      await queue.add(createTestStatement('1'));
+      fetchStub.mockImplementation(async (url, request) => {
+        const ids = JSON.parse(request.body).map((statement) => statement.id);
+        if (ids.length > 1) {
+          return { ok: false, status: 409 };
+        }
+        return ids[0] === '1' ?
+          { ok: false, status: 409 } :
+          { ok: true, status: 200 };
+      });
+
+      expect(await client.send(createTestStatement('2'))).toBe(true);
+      expect(fetchStub).toHaveBeenCalledTimes(3);
+      expect(await queue.getAll()).toEqual([]);
+    });
+
+    it('keeps statements of a conflicting batch that fail', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await queue.add(createTestStatement('1'));
+      fetchStub
+        .mockResolvedValueOnce({ ok: false, status: 409 })
+        .mockResolvedValueOnce({ ok: false, status: 409 })
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      expect(await client.send(createTestStatement('2'))).toBe(false);
+      expect((await queue.getAll()).map((statement) => statement.id))
+        .toEqual(['2']);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+// @ts-check
+
+/**
+ * @typedef {Object} XapiActor
+ * @property {{homePage: string, name: string}} [account]
+ * @property {string} [mbox]
+ * @property {string} [name]
+ * @property {'Agent'} objectType
+ */
+
+/**
+ * @typedef {Object} XapiVerb
+ * @property {Object<string, string>} display
+ * @property {string} id
+ */
+
+/**
+ * @typedef {Object} XapiActivity
+ * @property {{name: Object<string, string>, type: string}} definition
+ * @property {string} id
+ * @property {'Activity'} objectType
+ */
+
+/**
+ * @typedef {Object} XapiResult
+ * @property {boolean} [completion]
+ * @property {string} [response]
+ * @property {{max: number, min: number, raw: number, scaled: number}} [score]
+ * @property {boolean} [success]
+ */
+
+/**
+ * @typedef {Object} XapiStatement
+ * @property {XapiActor} actor
+ * @property {Object} [context]
+ * @property {string} id
+ * @property {XapiActivity} object
+ * @property {XapiResult} [result]
+ * @property {string} timestamp
+ * @property {XapiVerb} verb
+ */
+
+/**
+ * @typedef {Object} StatementOptions
+ * @property {XapiActor} actor - Who performed the activity
+ * @property {XapiActivity} object - What the actor interacted with
+ * @property {string} [parentId] - ID of the activity the object belongs to
+ * @property {XapiResult} [result] - Outcome of the interaction
+ * @property {XapiVerb} verb - What the actor did
+ */
+
+/**
+ * Builds an ADL verb with an English display name
+ * @param {string} name - The verb name
+ * @return {XapiVerb} The verb
+ */
+function createAdlVerb(name) {
+  return {
+    display: { 'en-US': name },
+    id: `http://adlnet.gov/expapi/verbs/${name}`,
+  };
+}
+
+export const XAPI_VERBS = {
+  ANSWERED: createAdlVerb('answered'),
+  COMPLETED: createAdlVerb('completed'),
+  EXPERIENCED: createAdlVerb('experienced'),
+  FAILED: createAdlVerb('failed'),
+  LAUNCHED: createAdlVerb('launched'),
+  PASSED: createAdlVerb('passed'),
+};
+
+export const XAPI_ACTIVITY_TYPES = {
+  ASSESSMENT: 'http://adlnet.gov/expapi/activities/assessment',
+  INTERACTION: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+  LESSON: 'http://adlnet.gov/expapi/activities/lesson',
+  MEDIA: 'http://adlnet.gov/expapi/activities/media',
+};
+
+/**
+ * Generates a statement ID so the LRS can ignore statements sent twice
+ * @return {string} A version 4 UUID
+ */
+export function createStatementId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    const value = char === 'x' ? random : (random % 4) + 8;
+    return value.toString(16);
+  });
+}
+
+/**
+ * Builds an activity object
+ * @param {string} id - The activity IRI
+ * @param {string} name - Human-readable name of the activity
+ * @param {string} type - The activity type IRI
+ * @return {XapiActivity} The activity
+ */
+export function createActivity(id, name, type) {
+  return {
+    definition: {
+      name: { 'en-US': name },
+      type,
+    },
+    id,
+    objectType: 'Activity',
+  };
+}
+
+/**
+ * Builds a result with a score and, when graded, success
+ * @param {number} score - The learner's score
+ * @param {number} maxScore - Highest possible score
+ * @param {Partial<XapiResult>} [extra] - Additional result properties
+ * @return {XapiResult} The result
+ */
+export function createScoredResult(score, maxScore, extra = {}) {
+  return {
+    ...extra,
+    score: {
+      max: maxScore,
+      min: 0,
+      raw: score,
+      scaled: maxScore > 0 ? score / maxScore : 0,
+    },
+  };
+}
+
+/**
+ * Builds a complete xAPI statement
+ * @param {StatementOptions} options - The statement parts
+ * @return {XapiStatement} The statement
+ */
+export function createStatement({ actor, object, parentId, result, verb }) {
+  /** @type {XapiStatement} */
+  const statement = {
+    actor,
+    id: createStatementId(),
+    object,
+    timestamp: new Date().toISOString(),
+    verb,
+  };
+
+  if (result) {
+    statement.result = result;
+  }
+  if (parentId && parentId !== object.id) {
+    statement.context = {
+      contextActivities: { parent: [{ id: parentId, objectType: 'Activity' }] },
+    };
+  }
+
+  return statement;
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+// @ts-check
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  XAPI_ACTIVITY_TYPES,
+  XAPI_VERBS,
+  createActivity,
+  createScoredResult,
+  createStatement,
+  createStatementId,
+} from './xapi_statements.js';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('xapi_statements', () => {
+  const actor = /** @type {import('./xapi_statements.js').XapiActor} */ ({
+    mbox: 'mailto:learner@example.com',
+    objectType: 'Agent',
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('createStatementId', () => {
+    it('creates a version 4 UUID', () => {
+      expect(createStatementId()).toMatch(UUID_PATTERN);
+    });
+
+    it('creates one without crypto.randomUUID', () => {
+      vi.stubGlobal('crypto', {});
+
+      expect(createStatementId()).toMatch(UUID_PATTERN);
+    });
+  });
+
+  describe('createActivity', () => {
+    it('names the activity in English', () => {
+      expect(createActivity('urn:a', 'Lesson', XAPI_ACTIVITY_TYPES.LESSON))
+        .toEqual({
+          definition: {
+            name: { 'en-US': 'Lesson' },
+            type: XAPI_ACTIVITY_TYPES.LESSON,
+          },
+          id: 'urn:a',
+          objectType: 'Activity',
+        });
+    });
+  });
+
+  describe('createScoredResult', () => {
+    it('scales the score', () => {
+      expect(createScoredResult(3, 4, { success: false })).toEqual({
+        score: { max: 4, min: 0, raw: 3, scaled: 0.75 },
+        success: false,
+      });
+    });
+
+    it('scales to 0 without a maximum', () => {
+      expect(createScoredResult(0, 0).score?.scaled).toBe(0);
+    });
+  });
+
+  describe('createStatement', () => {
+    const object = createActivity(
+      'urn:a/quick-check-1',
+      'Quick check 1',
+      XAPI_ACTIVITY_TYPES.INTERACTION
+    );
+
+    it('stamps the statement with an ID and time', () => {
+      const statement = createStatement({
+        actor,
+        object,
+        verb: XAPI_VERBS.ANSWERED,
+      });
+
+      expect(statement.id).toMatch(UUID_PATTERN);
+      expect(Number.isNaN(Date.parse(statement.timestamp))).toBe(false);
+      expect(statement.verb.id)
+        .toBe('http://adlnet.gov/expapi/verbs/answered');
+      expect(statement).not.toHaveProperty('result');
+      expect(statement).not.toHaveProperty('context');
+    });
+
+    it('adds the result and parent activity', () => {
+      const result = createScoredResult(1, 1, { success: true });
+      const statement = createStatement({
+        actor,
+        object,
+        parentId: 'urn:a',
+        result,
+        verb: XAPI_VERBS.ANSWERED,
+      });
+
+      expect(statement.result).toBe(result);
+      expect(statement.context).toEqual({
+        contextActivities: { parent: [{ id: 'urn:a', objectType: 'Activity' }] },
+      });
+    });
+
+    it('leaves out a parent that is the object itself', () => {
+      const statement = createStatement({
+        actor,
+        object,
+        parentId: object.id,
+        verb: XAPI_VERBS.EXPERIENCED,
+      });
+
+      expect(statement).not.toHaveProperty('context');
+    });
+  });
+});
@@ -1,19 +1,40 @@
 // @ts-check
 
 import { defineStore } from 'pinia';
+import {
+  findFinalActionIndex,
+  resolveNextActionIndex,
+} from '../lib/branching.js';
+import { groupCuePointsByReference } from '../lib/cue_points.js';
+import { useAnswerStore } from './answer_store';
+
+/**
+ * @typedef {import('../lib/cue_points.js').CuePoint} CuePoint
+ */
+
+/**
+ * @typedef {import('../lib/branching.js').BranchRule} BranchRule
+ */
 
 /**
  * @typedef Reference
+ * @property {Array<BranchRule>} [branches] - Where to go after the video
  * @property {string} dl
  * @property {string} id
+ * @property {string} [next] - Where a remediation video continues
  * @property {string} title
  * @property {string} url
  */
 
 /**
  * @typedef QuickCheck
+ * @property {Array<BranchRule>} [branches] - Where to go depending on the
+ *   learner's answer
+ * @property {string} [id] - Identifier branch rules point at
  * @property {Object} quick_check_content
  * @property {string} [prompt]
+ * @property {string} [reference_id] - Video a timed check appears in
+ * @property {number|string} [timestamp] - When the check interrupts the video
  * @property {string} type
  */
 
@@ -23,6 +44,8 @@ import { defineStore } from 'pinia';
  * @property {string} dl
  * @property {Array<QuickCheck>} quick_checks
  * @property {Array<Reference>} reference
+ * @property {Array<Reference>} [remediation] - Videos only reached through
+ *   branch rules
  * @property {string} sub_topic
  * @property {string} title
  * @property {string} topic
@@ -30,14 +53,18 @@ import { defineStore } from 'pinia';
 
 /**
  * @typedef Action
+ * @property {Array<CuePoint>} [cuePoints] - Quick checks shown during a video
  * @property {Object} data - The action data
  * @property {number} index - The action index
+ * @property {boolean} [remediation] - Whether the action is only reached
+ *   through a branch rule
  * @property {string} type - Either 'video' or 'quick_check'
  */
 
 /**
  * @typedef ActionStoreState
  * @property {Array<Action>} actions
+ * @property {Array<number>} completedActions
  * @property {number} currentActionIndex
  */
 
@@ -45,6 +72,8 @@ export const useActionStore = defineStore('action', {
   state: () => ({
     /** @type {Array<Action>} */
     actions: [],
+    /** @type {Array<number>} */
+    completedActions: [],
     /** @type {number} */
     currentActionIndex: 0,
   }),
@@ -79,13 +108,26 @@ export const useActionStore = defineStore('action', {
       return action ? action.type === 'video' : false;
     },
 
+    /**
+     * Get the index of the last action on the main path
+     * @param {ActionStoreState} state - The store state
+     * @return {number} The final action index, or -1 without actions
+     */
+    finalActionIndex: (state) => {
+      return findFinalActionIndex(state.actions);
+    },
+
     /**
      * Check if there are more actions after current
      * @param {ActionStoreState} state - The store state
      * @return {boolean} True if there are more actions
      */
     hasNextAction: (state) => {
-      return state.currentActionIndex < state.actions.length - 1;
+      return resolveNextActionIndex(
+        state.actions,
+        state.currentActionIndex,
+        useAnswerStore().answerForAction
+      ) !== -1;
     },
 
     /**
@@ -94,7 +136,25 @@ export const useActionStore = defineStore('action', {
      * @return {boolean} True if at last action
      */
     isAtLastAction: (state) => {
-      return state.actions.length === 0 || state.currentActionIndex === state.actions.length - 1;
+      return state.actions.length === 0 || resolveNextActionIndex(
+        state.actions,
+        state.currentActionIndex,
+        useAnswerStore().answerForAction
+      ) === -1;
+    },
+
+    /**
+     * Get the index of the action that follows the current one, applying
+     * branch rules to the learner's answers
+     * @param {ActionStoreState} state - The store state
+     * @return {number} The next action index, or -1 at the end
+     */
+    nextActionIndex: (state) => {
+      return resolveNextActionIndex(
+        state.actions,
+        state.currentActionIndex,
+        useAnswerStore().answerForAction
+      );
     },
   },
 
@@ -103,10 +163,22 @@ export const useActionStore = defineStore('action', {
      * Create actions from video references and quick checks
      * This creates the sequential flow following the exact order from XML
      * Matches the Ruby backend's mixed_entries behavior
+     * Quick checks with a timestamp become cue points inside their video
+     * instead of separate actions
+     * Remediation videos are added after the main path
      * @param {ActivityInfo} activityInfo - The activity information
      */
     createActions(activityInfo) {
       const actions = [];
+      const cuePointsByReference = groupCuePointsByReference(
+        activityInfo.reference,
+        activityInfo.quick_checks
+      );
+      const timedQuickChecks = new Set(
+        [...cuePointsByReference.values()]
+          .flat()
+          .map((cuePoint) => cuePoint.quickCheck)
+      );
 
       const maxLength = Math.max(
         activityInfo.reference.length,
@@ -115,14 +187,20 @@ export const useActionStore = defineStore('action', {
 
       for (let i = 0; i < maxLength; i++) {
         if (activityInfo.reference[i]) {
-          actions.push({
+          /** @type {Action} */
+          const videoAction = {
             data: activityInfo.reference[i],
             index: actions.length,
             type: 'video',
-          });
+          };
+          if (cuePointsByReference.has(i)) {
+            videoAction.cuePoints = cuePointsByReference.get(i);
+          }
+          actions.push(videoAction);
         }
 
-        if (activityInfo.quick_checks[i]) {
+        if (activityInfo.quick_checks[i] &&
+            !timedQuickChecks.has(activityInfo.quick_checks[i])) {
           actions.push({
             data: activityInfo.quick_checks[i],
             index: actions.length,
@@ -132,6 +210,9 @@ export const useActionStore = defineStore('action', {
       }
 
       for (let i = maxLength; i < activityInfo.quick_checks.length; i++) {
+        if (timedQuickChecks.has(activityInfo.quick_checks[i])) {
+          continue;
+        }
         actions.push({
           data: activityInfo.quick_checks[i],
           index: actions.length,
@@ -139,7 +220,17 @@ export const useActionStore = defineStore('action', {
         });
       }
 
+      (activityInfo.remediation || []).forEach((reference) => {
+        actions.push({
+          data: reference,
+          index: actions.length,
+          remediation: true,
+          type: 'video',
+        });
+      });
+
       this.actions = actions;
+      this.completedActions = [];
       this.currentActionIndex = 0;
     },
 
@@ -157,10 +248,23 @@ export const useActionStore = defineStore('action', {
      * Go to the next action in the sequence
      * Quick check completion triggers next video
      * Video completion triggers next quick check
+     * Branch rules on the current action can send the learner elsewhere,
+     * such as a remediation video after a wrong answer
      */
     goToNextAction() {
-      if (this.hasNextAction) {
-        this.currentActionIndex++;
+      const nextIndex = this.nextActionIndex;
+      if (nextIndex !== -1) {
+        this.currentActionIndex = nextIndex;
+      }
+    },
+
+    /**
+     * Record that the learner finished an action
+     * @param {number} index - The completed action index
+     */
+    markActionComplete(index) {
+      if (!this.completedActions.includes(index)) {
+        this.completedActions.push(index);
       }
     },
 
@@ -168,6 +272,7 @@ export const useActionStore = defineStore('action', {
      * Reset the action store to initial state
      */
     reset() {
+      this.completedActions = [];
       this.currentActionIndex = 0;
     },
 
@@ -3,6 +3,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { setActivePinia, createPinia } from 'pinia';
 import { useActionStore } from './action_store';
+import { useAnswerStore } from './answer_store';
 
 /**
  * @description Test suite for useActionStore
@@ -341,6 +342,99 @@ describe('useActionStore', () => {
 
       expect(store.currentActionIndex).toBe(0);
     });
+
+    it('shows timed quick checks inside their video', () => {
+      const timedCheck = {
+        quick_check_content: {},
+        timestamp: '0:30',
+        type: 'multiple_choice',
+      };
+      const activityInfo = {
+        topic: 'Test',
+        sub_topic: '',
+        title: '',
+        dl: '',
+        reference: [
+          { dl: '', id: 'ref1', title: 'Video 1', url: '/video1.mp4' },
+          { dl: '', id: 'ref2', title: 'Video 2', url: '/video2.mp4' },
+        ],
+        quick_checks: [
+          timedCheck,
+          { quick_check_content: {}, type: 'fill_in_the_blanks' },
+        ],
+        diagnostic: {
+          dl: '',
+        },
+      };
+
+      store.createActions(activityInfo);
+
+      expect(store.actions.map((action) => action.type))
+        .toEqual(['video', 'video', 'quick_check']);
+      expect(store.actions[0].cuePoints).toEqual([
+        { id: 'cue-0', quickCheck: timedCheck, time: 30 },
+      ]);
+    });
+
+    it('places timed quick checks in the referenced video', () => {
+      const activityInfo = {
+        topic: 'Test',
+        sub_topic: '',
+        title: '',
+        dl: '',
+        reference: [
+          { dl: '', id: 'ref1', title: 'Video 1', url: '/video1.mp4' },
+          { dl: '', id: 'ref2', title: 'Video 2', url: '/video2.mp4' },
+        ],
+        quick_checks: [
+          {
+            quick_check_content: {},
+            reference_id: 'ref2',
+            timestamp: 12,
+            type: 'multiple_choice',
+          },
+        ],
+        diagnostic: {
+          dl: '',
+        },
+      };
+
+      store.createActions(activityInfo);
+
+      expect(store.actions).toHaveLength(2);
+      expect(store.actions[0].cuePoints).toBeUndefined();
+      expect(store.actions[1].cuePoints?.[0].time).toBe(12);
+    });
+
+    it('adds remediation videos after the main path', () => {
+      const activityInfo = {
+        topic: 'Test',
+        sub_topic: '',
+        title: '',
+        dl: '',
+        reference: [
+          { dl: '', id: 'ref1', title: 'Video 1', url: '/video1.mp4' },
+        ],
+        quick_checks: [
+          { quick_check_content: {}, type: 'multiple_choice' },
+        ],
+        remediation: [
+          { dl: '', id: 'ref1b', title: 'Video 1b', url: '/video1b.mp4' },
+        ],
+        diagnostic: {
+          dl: '',
+        },
+      };
+
+      store.createActions(activityInfo);
+
+      expect(store.actions[2]).toMatchObject({
+        data: { id: 'ref1b' },
+        index: 2,
+        remediation: true,
+        type: 'video',
+      });
+    });
   });
 
   describe('goToAction', () => {
@@ -417,9 +511,99 @@ describe('useActionStore', () => {
 
       expect(store.currentActionIndex).toBe(0);
     });
+
+    describe('with branch rules', () => {
+      const quickCheck = {
+        branches: [
+          { go_to: 'ref2b', when: 'incorrect' },
+          { go_to: 'ref3', when: 'correct' },
+        ],
+        id: 'check1',
+        quick_check_content: {
+          choices: [{ correct: true, text: 'hola' }, { text: 'adiós' }],
+        },
+        type: 'multiple_choice',
+      };
+
+      beforeEach(() => {
+        store.createActions({
+          topic: 'Test',
+          sub_topic: '',
+          title: '',
+          dl: '',
+          reference: [
+            { dl: '', id: 'ref1', title: 'Video 1', url: '/video1.mp4' },
+            { dl: '', id: 'ref2', title: 'Video 2', url: '/video2.mp4' },
+            { dl: '', id: 'ref3', title: 'Video 3', url: '/video3.mp4' },
+          ],
+          quick_checks: [quickCheck],
+          remediation: [
+            { dl: '', id: 'ref2b', title: 'Video 2b', url: '/video2b.mp4' },
+          ],
+          diagnostic: {
+            dl: '',
+          },
+        });
+        store.currentActionIndex = 1;
+      });
+
+      it('goes to the remediation video after a wrong answer', () => {
+        useAnswerStore().recordAnswer(1, quickCheck, { choiceIndex: 2 });
+
+        store.goToNextAction();
+
+        expect(store.currentAction?.data.id).toBe('ref2b');
+      });
+
+      it('skips ahead after a right answer', () => {
+        useAnswerStore().recordAnswer(1, quickCheck, { choiceIndex: 1 });
+
+        store.goToNextAction();
+
+        expect(store.currentAction?.data.id).toBe('ref3');
+      });
+
+      it('returns to the main path after remediation', () => {
+        store.currentActionIndex = 4;
+
+        store.goToNextAction();
+
+        expect(store.currentAction?.data.id).toBe('ref2');
+      });
+
+      it('ends the activity at the last main path action', () => {
+        store.currentActionIndex = 3;
+
+        expect(store.isAtLastAction).toBe(true);
+        expect(store.finalActionIndex).toBe(3);
+      });
+    });
+  });
+
+  describe('markActionComplete', () => {
+    it('records the completed action', () => {
+      store.markActionComplete(2);
+
+      expect(store.completedActions).toEqual([2]);
+    });
+
+    it('does not record an action twice', () => {
+      store.markActionComplete(2);
+      store.markActionComplete(2);
+
+      expect(store.completedActions).toEqual([2]);
+    });
   });
 
   describe('reset', () => {
+    it('clears completed actions', () => {
+      store.markActionComplete(1);
+
+      store.reset();
+
+      expect(store.completedActions).toEqual([]);
+    });
+
     it('resets action index to 0', () => {
       store.currentActionIndex = 5;
 
@@ -0,0 +1,144 @@
+// @ts-check
+
+import { defineStore } from 'pinia';
+import { scoreAnswer } from '../lib/answer_scoring.js';
+
+/**
+ * @typedef {import('../lib/answer_scoring.js').QuickCheck} QuickCheck
+ * @typedef {import('../lib/answer_scoring.js').ScoreResult} ScoreResult
+ */
+
+/**
+ * @typedef {Object} AnswerRecord
+ * @property {number} actionIndex - Index of the quick check action, or of the
+ *   video a cue point belongs to
+ * @property {unknown} answer - The learner's most recent answer
+ * @property {number} attempts - Number of times the learner answered
+ * @property {string} [cuePointId] - The cue point answered inside a video
+ * @property {boolean} isCorrect - Whether the most recent answer is correct
+ * @property {boolean} isGraded - Whether the quick check has an answer key
+ * @property {Array<ScoreResult>} [items] - Result for each item of a quick
+ *   check that asks several questions
+ * @property {number} maxScore - Highest score the quick check can award
+ * @property {number} score - Score earned by the most recent answer
+ * @property {string} type - The quick check type
+ */
+
+/**
+ * @typedef {Object} AnswerStoreState
+ * @property {Object<number|string, AnswerRecord>} answers - Answers keyed by
+ *   action index, or by cue point ID for checks shown inside a video
+ */
+
+export const useAnswerStore = defineStore('answer', {
+  state: () => ({
+    /** @type {Object<number|string, AnswerRecord>} */
+    answers: {},
+  }),
+
+  getters: {
+    /**
+     * Get the answer record lookup for an action
+     * @param {AnswerStoreState} state - The store state
+     * @return {function(number): (AnswerRecord|null)} Lookup by action index
+     */
+    answerForAction: (state) => {
+      return (actionIndex) => state.answers[actionIndex] || null;
+    },
+
+    /**
+     * Get the answer record lookup for a cue point
+     * @param {AnswerStoreState} state - The store state
+     * @return {function(string): (AnswerRecord|null)} Lookup by cue point ID
+     */
+    answerForCuePoint: (state) => {
+      return (cuePointId) => state.answers[cuePointId] || null;
+    },
+
+    /**
+     * Count the quick checks that have been answered
+     * @param {AnswerStoreState} state - The store state
+     * @return {number} Number of answered quick checks
+     */
+    answeredCount: (state) => {
+      return Object.keys(state.answers).length;
+    },
+
+    /**
+     * Count the graded quick checks that were answered correctly
+     * @param {AnswerStoreState} state - The store state
+     * @return {number} Number of correct graded answers
+     */
+    correctCount: (state) => {
+      return Object.values(state.answers)
+        .filter((record) => record.isGraded && record.isCorrect)
+        .length;
+    },
+
+    /**
+     * Sum the points possible across answered quick checks
+     * @param {AnswerStoreState} state - The store state
+     * @return {number} Total possible score
+     */
+    totalMaxScore: (state) => {
+      return Object.values(state.answers)
+        .reduce((total, record) => total + record.maxScore, 0);
+    },
+
+    /**
+     * Sum the points earned across answered quick checks
+     * @param {AnswerStoreState} state - The store state
+     * @return {number} Total earned score
+     */
+    totalScore: (state) => {
+      return Object.values(state.answers)
+        .reduce((total, record) => total + record.score, 0);
+    },
+  },
+
+  actions: {
+    /**
+     * Score an answer and store it against the quick check action
+     * @param {number} actionIndex - Index of the quick check action
+     * @param {QuickCheck} quickCheck - The quick check being answered
+     * @param {unknown} answer - The answer emitted by the question component
+     * @param {string} [cuePointId] - The cue point, when the quick check was
+     *   shown inside a video
+     * @param {number} [attempts=1] - How many checks the answer took
+     * @return {ScoreResult} The score result
+     */
+    recordAnswer(actionIndex, quickCheck, answer, cuePointId, attempts = 1) {
+      const result = scoreAnswer(quickCheck, answer);
+      const key = cuePointId ?? actionIndex;
+      const previousAttempts = this.answers[key]?.attempts || 0;
+
+      /** @type {AnswerRecord} */
+      const record = {
+        actionIndex,
+        answer,
+        attempts: previousAttempts + attempts,
+        isCorrect: result.isCorrect,
+        isGraded: result.isGraded,
+        maxScore: result.maxScore,
+        score: result.score,
+        type: quickCheck?.type || '',
+      };
+      if (cuePointId) {
+        record.cuePointId = cuePointId;
+      }
+      if (result.items) {
+        record.items = result.items;
+      }
+      this.answers[key] = record;
+
+      return result;
+    },
+
+    /**
+     * Clear all recorded answers
+     */
+    reset() {
+      this.answers = {};
+    },
+  },
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setActivePinia, createPinia } from 'pinia';
+import { useAnswerStore } from './answer_store';
+
+/**
+ * @description Test suite for answer_store
+ */
+describe('answer_store', () => {
+  /** @type {ReturnType<typeof useAnswerStore>} */
+  let store;
+
+  const multipleChoice = {
+    quick_check_content: {
+      choices: [{ text: 'hablo', correct: true }, { text: 'hablas' }],
+    },
+    type: 'multiple_choice',
+  };
+
+  const fillInTheBlanks = {
+    quick_check_content: {
+      blanks: [{ answer: 'como' }, { answer: 'bebo' }],
+    },
+    type: 'fill_in_the_blanks',
+  };
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+
+    store = useAnswerStore();
+  });
+
+  /**
+   * @description Tests store initialization
+   */
+  describe('initialization', () => {
+    it('has no answers', () => {
+      expect(store.answers).toEqual({});
+    });
+
+    it('has zero answered count', () => {
+      expect(store.answeredCount).toBe(0);
+    });
+  });
+
+  /**
+   * @description Tests recordAnswer
+   */
+  describe('recordAnswer', () => {
+    it('returns the score result', () => {
+      const result = store.recordAnswer(1, multipleChoice, { choiceIndex: 1 });
+
+      expect(result.isCorrect).toBe(true);
+    });
+
+    it('stores the answer against the action index', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 2 });
+
+      expect(store.answerForAction(1)).toEqual({
+        actionIndex: 1,
+        answer: { choiceIndex: 2 },
+        attempts: 1,
+        isCorrect: false,
+        isGraded: true,
+        maxScore: 1,
+        score: 0,
+        type: 'multiple_choice',
+      });
+    });
+
+    it('counts attempts across answers', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 2 });
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 1 });
+
+      expect(store.answerForAction(1)?.attempts).toBe(2);
+    });
+
+    it('counts the checks an answer took', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 1 }, undefined, 2);
+
+      expect(store.answerForAction(1)?.attempts).toBe(2);
+    });
+
+    it('keeps the most recent correctness', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 2 });
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 1 });
+
+      expect(store.answerForAction(1)?.isCorrect).toBe(true);
+    });
+
+    it('stores cue point answers apart from their video', () => {
+      store.recordAnswer(0, multipleChoice, { choiceIndex: 1 }, 'cue-2');
+
+      expect(store.answerForAction(0)).toBeNull();
+      expect(store.answerForCuePoint('cue-2')).toMatchObject({
+        actionIndex: 0,
+        cuePointId: 'cue-2',
+        isCorrect: true,
+      });
+    });
+  });
+
+  /**
+   * @description Tests getters
+   */
+  describe('getters', () => {
+    it('returns null for unanswered actions', () => {
+      expect(store.answerForAction(5)).toBeNull();
+    });
+
+    it('counts correct graded answers', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 1 });
+      store.recordAnswer(3, fillInTheBlanks, ['como', 'x']);
+      store.recordAnswer(5, { type: 'pronunciation' }, { recorded: true });
+
+      expect(store.correctCount).toBe(1);
+    });
+
+    it('sums scores across answers', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 1 });
+      store.recordAnswer(3, fillInTheBlanks, ['como', 'x']);
+
+      expect(store.totalScore).toBe(2);
+      expect(store.totalMaxScore).toBe(3);
+    });
+  });
+
+  /**
+   * @description Tests reset
+   */
+  describe('reset', () => {
+    it('clears all answers', () => {
+      store.recordAnswer(1, multipleChoice, { choiceIndex: 1 });
+
+      store.reset();
+
+      expect(store.answers).toEqual({});
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,145 @@
+// @ts-check
+
+import { defineStore } from 'pinia';
+import {
+  diagnosticAnswerIsCorrect,
+  diagnosticIsPassed,
+  getRequiredCorrectCount,
+  sampleDiagnosticItems,
+} from '../lib/diagnostic.js';
+
+/**
+ * @typedef {import('../lib/diagnostic.js').DiagnosticItem} DiagnosticItem
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} failure_message
+ * @property {Array<DiagnosticItem>} items
+ * @property {string} number_of_questions
+ * @property {string} threshold - Correct answers needed to pass, as a count
+ *   ('2') or a percentage of the sampled questions ('80%')
+ */
+
+/**
+ * @typedef {Object} DiagnosticResponse
+ * @property {unknown} answer - The learner's answer
+ * @property {boolean} isCorrect - Whether the answer is correct
+ */
+
+/**
+ * @typedef {'failed' | 'in_progress' | 'not_started' | 'passed'} DiagnosticStatus
+ */
+
+/**
+ * @typedef {Object} DiagnosticStoreState
+ * @property {number} currentItemIndex
+ * @property {Array<DiagnosticItem>} items
+ * @property {Array<DiagnosticResponse>} responses
+ * @property {DiagnosticStatus} status
+ * @property {number} threshold - Correct answers needed to pass
+ */
+
+export const useDiagnosticStore = defineStore('diagnostic', {
+  state: () => ({
+    /** @type {number} */
+    currentItemIndex: 0,
+    /** @type {Array<DiagnosticItem>} */
+    items: [],
+    /** @type {Array<DiagnosticResponse>} */
+    responses: [],
+    /** @type {DiagnosticStatus} */
+    status: 'not_started',
+    /** @type {number} */
+    threshold: 0,
+  }),
+
+  getters: {
+    /**
+     * Get the item the learner is currently answering
+     * @param {DiagnosticStoreState} state - The store state
+     * @return {DiagnosticItem|null} Current item or null when finished
+     */
+    currentItem: (state) => {
+      return state.items[state.currentItemIndex] || null;
+    },
+
+    /**
+     * Count the correct responses so far
+     * @param {DiagnosticStoreState} state - The store state
+     * @return {number} Number of correct responses
+     */
+    correctCount: (state) => {
+      return state.responses.filter((response) => response.isCorrect).length;
+    },
+
+    /**
+     * Check if the diagnostic has been scored
+     * @param {DiagnosticStoreState} state - The store state
+     * @return {boolean} True if the learner passed or failed
+     */
+    isComplete: (state) => {
+      return state.status === 'passed' || state.status === 'failed';
+    },
+  },
+
+  actions: {
+    /**
+     * Sample items from the diagnostic and begin a new attempt
+     * @param {Diagnostic} diagnostic - The activity's diagnostic data
+     * @param {function(): number} [random] - Random number source
+     */
+    start(diagnostic, random = Math.random) {
+      const items = sampleDiagnosticItems(
+        diagnostic?.items,
+        diagnostic?.number_of_questions,
+        random
+      );
+      this.$patch({
+        currentItemIndex: 0,
+        items,
+        responses: [],
+        status: 'in_progress',
+        threshold: getRequiredCorrectCount(diagnostic?.threshold, items.length),
+      });
+    },
+
+    /**
+     * Score the answer to the current item and move to the next one,
+     * finishing the diagnostic after the last item
+     * @param {unknown} answer - The answer emitted by the question component
+     */
+    answerCurrentItem(answer) {
+      const item = this.currentItem;
+      if (!item || this.status !== 'in_progress') {
+        return;
+      }
+
+      this.responses.push({
+        answer,
+        isCorrect: diagnosticAnswerIsCorrect(item, answer),
+      });
+      this.currentItemIndex++;
+
+      if (this.currentItemIndex >= this.items.length) {
+        this.finish();
+      }
+    },
+
+    /**
+     * Compare the correct responses to the threshold and record the outcome
+     */
+    finish() {
+      this.status = diagnosticIsPassed(this.correctCount, this.threshold) ?
+        'passed' :
+        'failed';
+    },
+
+    /**
+     * Reset the diagnostic to its initial state
+     */
+    reset() {
+      this.$reset();
+    },
+  },
+});
\ No newline at end of file
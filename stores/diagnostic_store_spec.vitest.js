@@ -0,0 +1,163 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setActivePinia, createPinia } from 'pinia';
+import { useDiagnosticStore } from './diagnostic_store';
+
+/**
+ * @description Test suite for diagnostic_store
+ */
+describe('diagnostic_store', () => {
+  /** @type {ReturnType<typeof useDiagnosticStore>} */
+  let store;
+
+  const diagnostic = {
+    failure_message: 'You need more practice',
+    items: [
+      { question: 'Q1', options: ['a', 'b'], correct: 0 },
+      { question: 'Q2', options: ['a', 'b'], correct: 1 },
+      { question: 'Q3', options: ['a', 'b'], correct: 0 },
+    ],
+    number_of_questions: '2',
+    threshold: '2',
+  };
+
+  /**
+   * Random source that keeps items in their original order
+   * @return {number}
+   */
+  const keepOrder = () => 0.99;
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+
+    store = useDiagnosticStore();
+  });
+
+  /**
+   * @description Tests store initialization
+   */
+  describe('initialization', () => {
+    it('has not started', () => {
+      expect(store.status).toBe('not_started');
+    });
+
+    it('has no current item', () => {
+      expect(store.currentItem).toBeNull();
+    });
+  });
+
+  /**
+   * @description Tests start
+   */
+  describe('start', () => {
+    it('samples number_of_questions items', () => {
+      store.start(diagnostic, keepOrder);
+
+      expect(store.items).toHaveLength(2);
+    });
+
+    it('marks the diagnostic in progress', () => {
+      store.start(diagnostic, keepOrder);
+
+      expect(store.status).toBe('in_progress');
+    });
+
+    it('parses the threshold', () => {
+      store.start(diagnostic, keepOrder);
+
+      expect(store.threshold).toBe(2);
+    });
+
+    it('converts a percentage threshold into a count', () => {
+      store.start({ ...diagnostic, threshold: '50%' }, keepOrder);
+
+      expect(store.threshold).toBe(1);
+    });
+
+    it('lets learners pass a percentage threshold', () => {
+      store.start(
+        { ...diagnostic, number_of_questions: '1', threshold: '80' },
+        keepOrder
+      );
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      expect(store.threshold).toBe(1);
+      expect(store.status).toBe('passed');
+    });
+
+    it('clears previous responses', () => {
+      store.start(diagnostic, keepOrder);
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      store.start(diagnostic, keepOrder);
+
+      expect(store.responses).toEqual([]);
+    });
+  });
+
+  /**
+   * @description Tests answering items
+   */
+  describe('answerCurrentItem', () => {
+    beforeEach(() => {
+      store.start(diagnostic, keepOrder);
+    });
+
+    it('records whether the answer is correct', () => {
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      expect(store.responses[0].isCorrect).toBe(true);
+    });
+
+    it('advances to the next item', () => {
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      expect(store.currentItem).toBe(store.items[1]);
+    });
+
+    it('passes when the threshold is met', () => {
+      store.answerCurrentItem({ choiceIndex: 1 });
+      store.answerCurrentItem({ choiceIndex: 2 });
+
+      expect(store.status).toBe('passed');
+    });
+
+    it('fails below the threshold', () => {
+      store.answerCurrentItem({ choiceIndex: 1 });
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      expect(store.status).toBe('failed');
+    });
+
+    it('is complete after the last item', () => {
+      store.answerCurrentItem({ choiceIndex: 1 });
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      expect(store.isComplete).toBe(true);
+    });
+
+    it('ignores answers after completion', () => {
+      store.answerCurrentItem({ choiceIndex: 1 });
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      store.answerCurrentItem({ choiceIndex: 1 });
+
+      expect(store.responses).toHaveLength(2);
+    });
+  });
+
+  /**
+   * @description Tests reset
+   */
+  describe('reset', () => {
+    it('returns to the initial state', () => {
+      store.start(diagnostic, keepOrder);
+
+      store.reset();
+
+      expect(store.status).toBe('not_started');
+      expect(store.items).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -3,6 +3,7 @@
 import { defineStore } from 'pinia';
 import { AudioService } from '../lib/audio_service.js';
 import { eventDispatcher, DL_EVENTS } from '../lib/event_dispatcher.js';
+import { getQuestionDL } from '../lib/question_types.js';
 import { useActionStore } from './action_store';
 
 /**
@@ -64,6 +65,7 @@ import { useActionStore } from './action_store';
  * @typedef QuickCheckActionData
  * @property {Object} quick_check_content - Quick check content
  * @property {string} quick_check_content.dl - Direction line text
+ * @property {string} type - Type of quick check
  */
 
 /**
@@ -208,10 +210,10 @@ export const useDLStore = defineStore('dl', {
     _getQuickCheckDL(currentAction) {
       if (currentAction && currentAction.type === 'quick_check') {
         const currentQC = /** @type {QuickCheckActionData} */ (currentAction.data);
-        if (currentQC && currentQC.quick_check_content.dl &&
-            currentQC.quick_check_content.dl.trim()) {
+        const dl = getQuestionDL(currentQC);
+        if (dl.trim()) {
           return {
-            dl: currentQC.quick_check_content.dl,
+            dl,
             language: 'en',
           };
         }
@@ -1,10 +1,14 @@
 // @ts-check
 
 import { defineStore } from 'pinia';
+import { NavigationHistory } from '../lib/navigation_history.js';
 import { Sequencer } from '../lib/sequencer.js';
+import { readXapiConfig } from '../lib/xapi_client.js';
 import { buildScreensForActivity } from '../lib/screens.js';
 import { useActivitySettingsStore } from './activity_settings_store';
 import { useActionStore } from './action_store';
+import { useProgressStore } from './progress_store';
+import { useXapiStore } from './xapi_store';
 
 /**
  * @typedef {Object} Diagnostic
@@ -49,10 +53,15 @@ import { useActionStore } from './action_store';
  * @property {Diagnostic} diagnostic
  */
 
+/**
+ * @typedef {import('../lib/navigation_history.js').HistoryEntry} HistoryEntry
+ */
+
 /**
  * @typedef {Object} MainStoreState
  * @property {boolean} isInitialized
  * @property {ActivityInfo} activityInfo
+ * @property {NavigationHistory} navigationHistory
  * @property {Sequencer} sequencer
  */
 
@@ -76,6 +85,7 @@ export const mainStore = defineStore('interactive_video_v2', {
       topic: '',
     },
     isInitialized: false,
+    navigationHistory: new NavigationHistory(),
     sequencer: new Sequencer(),
   }),
 
@@ -135,6 +145,44 @@ export const mainStore = defineStore('interactive_video_v2', {
     diagnostic() {
       return this.activityInfo.diagnostic;
     },
+
+    /**
+     * Returns where the learner is: the current screen and, on the player
+     * screen, the current action
+     * @return {HistoryEntry|null}
+     */
+    currentLocation() {
+      const screenId = this.sequencer.currentScreen?.id;
+      if (!screenId) {
+        return null;
+      }
+      return {
+        actionIndex: screenId === 'player' ?
+          useActionStore().currentActionIndex :
+          null,
+        screenId,
+      };
+    },
+
+    /**
+     * Returns the activity state screen visibility rules are checked against
+     * @return {import('../lib/screens.js').ScreenVisibilityState}
+     */
+    screenVisibilityState() {
+      const actionStore = useActionStore();
+      return {
+        allActionsCompleted: actionStore.finalActionIndex !== -1 &&
+          actionStore.completedActions.includes(actionStore.finalActionIndex),
+      };
+    },
+
+    /**
+     * Returns whether there is a previous screen or action to go back to
+     * @return {boolean}
+     */
+    canGoBack() {
+      return this.navigationHistory.canGoBack();
+    },
   },
 
   actions: {
@@ -212,7 +260,14 @@ export const mainStore = defineStore('interactive_video_v2', {
         const actionStore = useActionStore();
         actionStore.createActions(this.activityInfo);
 
+        const progressStore = useProgressStore();
+        progressStore.load(this.activityInfo);
+
+        const xapiStore = useXapiStore();
+        xapiStore.configure(readXapiConfig(activityInfoElement), this.activityInfo);
+
         const screens = buildScreensForActivity(this.activityInfo);
+        this.sequencer.setVisibilityState(() => this.screenVisibilityState);
         this.sequencer.addScreen(screens);
 
         const activitySettingsStore = useActivitySettingsStore();
@@ -225,6 +280,56 @@ export const mainStore = defineStore('interactive_video_v2', {
       }
     },
 
+    /**
+     * Adds the current location to the navigation history
+     */
+    recordLocation() {
+      if (this.currentLocation) {
+        this.navigationHistory.visit(this.currentLocation);
+      }
+    },
+
+    /**
+     * Returns to an earlier screen or action in the navigation history.
+     * Returning to the player screen keeps the learner's answers. If a
+     * navigation guard cancels the screen change, the history is restored,
+     * unless a later navigation has already moved it on.
+     * @param {number} [steps=1] - How many locations to step back
+     * @return {Promise<boolean>} Resolves to true if the learner went back
+     */
+    async goBack(steps = 1) {
+      const previousScreenId = this.sequencer.currentScreen?.id;
+      const previousEntries = [...this.navigationHistory.entries];
+      const previousCurrent = this.navigationHistory.current;
+      const entry = this.navigationHistory.back(steps);
+      if (!entry) {
+        return false;
+      }
+
+      const progressStore = useProgressStore();
+      const isReturningToPlayer = entry.screenId === 'player' &&
+        previousScreenId !== 'player';
+      if (isReturningToPlayer) {
+        progressStore.isResuming = true;
+      }
+      const didNavigate = await this.sequencer.goToScreen(entry.screenId);
+      if (didNavigate) {
+        if (entry.actionIndex !== null) {
+          useActionStore().goToAction(entry.actionIndex);
+        }
+        return true;
+      }
+
+      if (isReturningToPlayer) {
+        progressStore.isResuming = false;
+      }
+      if (this.navigationHistory.current === entry) {
+        this.navigationHistory.entries = previousEntries;
+        this.navigationHistory.current = previousCurrent;
+      }
+      return false;
+    },
+
     /**
      * Initialize the store with activity information and build screens
      */
@@ -253,6 +358,7 @@ export const mainStore = defineStore('interactive_video_v2', {
         title: '',
         topic: '',
       };
+      this.navigationHistory = new NavigationHistory();
       this.sequencer = new Sequencer();
     },
   },
@@ -3,6 +3,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { setActivePinia, createPinia } from 'pinia';
 import { mainStore } from './main_store';
+import { useActionStore } from './action_store';
+import { useProgressStore } from './progress_store';
 
 /**
  * @description Test suite for main_store
@@ -243,6 +245,46 @@ describe('main_store', () => {
       expect(store.activityInfo.dl).toBe('Learn the present tense');
     });
 
+    it('shows the diagnostic screen once every action is complete', async () => {
+      const mockElement = document.createElement('div');
+      const activityData = {
+        topic: 'Spanish Grammar',
+        sub_topic: 'Present Tense',
+        title: 'Basic Conjugation',
+        dl: 'Learn the present tense',
+        reference: [{ dl: '', id: '1', title: 'Video', url: '' }],
+        quick_checks: [],
+        diagnostic: {
+          dl: '',
+          failure_message: '',
+          items: [],
+          language: '',
+          number_of_questions: '',
+          threshold: '',
+        },
+      };
+      mockElement.innerHTML = JSON.stringify([activityData]);
+
+      vi.spyOn(store, 'getActivityInfo').mockResolvedValue(mockElement);
+      vi.spyOn(store, 'parseActivityInfo').mockResolvedValue(activityData);
+
+      await store.initialize();
+      const screenIdsBefore = store.sequencer.visibleScreens
+        .map((screen) => screen.id);
+      useActionStore().markActionComplete(useActionStore().finalActionIndex);
+      store.sequencer.updateVisibleScreens();
+      const screenIdsAfter = store.sequencer.visibleScreens
+        .map((screen) => screen.id);
+
+      expect(screenIdsBefore).toEqual(['intro', 'player']);
+      expect(screenIdsAfter).toEqual([
+        'intro',
+        'player',
+        'diagnostic',
+        'results',
+      ]);
+    });
+
     it('handles initialization failure gracefully', async () => {
       vi.spyOn(store, 'getActivityInfo').mockResolvedValue(null);
 
@@ -332,6 +374,200 @@ describe('main_store', () => {
     });
   });
 
+  describe('navigation history', () => {
+    beforeEach(() => {
+      store.sequencer.addScreen([
+        { id: 'intro', name: 'intro' },
+        { id: 'player', name: 'player' },
+        { id: 'diagnostic', name: 'diagnostic' },
+      ]);
+      useActionStore().actions = [
+        { data: {}, type: 'video' },
+        { data: {}, type: 'quick_check' },
+        { data: {}, type: 'video' },
+      ];
+    });
+
+    it('cannot go back before any navigation', async () => {
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+
+      const result = await store.goBack();
+
+      expect(store.canGoBack).toBe(false);
+      expect(result).toBe(false);
+    });
+
+    it('returns the action index only on the player screen', () => {
+      useActionStore().currentActionIndex = 2;
+
+      store.sequencer.goToScreen('intro');
+      const introLocation = store.currentLocation;
+      store.sequencer.goToScreen('player');
+      const playerLocation = store.currentLocation;
+
+      expect(introLocation).toEqual({ actionIndex: null, screenId: 'intro' });
+      expect(playerLocation).toEqual({ actionIndex: 2, screenId: 'player' });
+    });
+
+    it('goes back through actions on the player screen', async () => {
+      const actionStore = useActionStore();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      actionStore.goToAction(1);
+      store.recordLocation();
+      actionStore.goToAction(2);
+      store.recordLocation();
+
+      await store.goBack();
+
+      expect(actionStore.currentActionIndex).toBe(1);
+      expect(store.canGoBack).toBe(true);
+    });
+
+    it('goes back to the previous screen', async () => {
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+
+      const result = await store.goBack();
+
+      expect(result).toBe(true);
+      expect(store.sequencer.currentScreen?.id).toBe('intro');
+      expect(store.canGoBack).toBe(false);
+    });
+
+    it('resumes the player when going back to it from another screen',
+      async () => {
+        const actionStore = useActionStore();
+        store.sequencer.goToScreen('player');
+        actionStore.goToAction(2);
+        store.recordLocation();
+        store.sequencer.goToScreen('diagnostic');
+        store.recordLocation();
+
+        await store.goBack();
+
+        expect(store.sequencer.currentScreen?.id).toBe('player');
+        expect(actionStore.currentActionIndex).toBe(2);
+        expect(useProgressStore().isResuming).toBe(true);
+      }
+    );
+
+    it('goes back several steps in one navigation', async () => {
+      const actionStore = useActionStore();
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      actionStore.goToAction(1);
+      store.recordLocation();
+      const goToScreen = vi.spyOn(store.sequencer, 'goToScreen');
+
+      const result = await store.goBack(2);
+
+      expect(result).toBe(true);
+      expect(goToScreen).toHaveBeenCalledTimes(1);
+      expect(store.sequencer.currentScreen?.id).toBe('intro');
+      expect(store.canGoBack).toBe(false);
+    });
+
+    it('keeps the action when a guard cancels going back', async () => {
+      const actionStore = useActionStore();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      actionStore.goToAction(1);
+      store.recordLocation();
+      store.sequencer.addNavigationHook('player', 'beforeLeave', () => false);
+
+      const result = await store.goBack();
+
+      expect(result).toBe(false);
+      expect(actionStore.currentActionIndex).toBe(1);
+      expect(store.navigationHistory.current)
+        .toEqual({ actionIndex: 1, screenId: 'player' });
+    });
+
+    it('keeps every entry when a guard cancels going back', async () => {
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      useActionStore().goToAction(1);
+      store.recordLocation();
+      store.sequencer.addNavigationHook('player', 'beforeLeave', () => false);
+
+      await store.goBack(2);
+
+      expect(store.navigationHistory.entries).toEqual([
+        { actionIndex: null, screenId: 'intro' },
+        { actionIndex: 0, screenId: 'player' },
+      ]);
+    });
+
+    it('leaves the history to a later navigation', async () => {
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      useActionStore().goToAction(1);
+      store.recordLocation();
+      store.sequencer.addNavigationHook(
+        'player',
+        'beforeLeave',
+        () => new Promise((resolve) => setTimeout(() => resolve(true), 0))
+      );
+
+      const first = store.goBack();
+      const second = store.goBack();
+
+      expect(await first).toBe(false);
+      expect(await second).toBe(true);
+      expect(store.sequencer.currentScreen?.id).toBe('intro');
+      expect(store.navigationHistory.entries).toEqual([]);
+    });
+
+    it('keeps the entry when a guard cancels going back', async () => {
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      store.sequencer.addNavigationHook('player', 'beforeLeave', () => false);
+
+      await store.goBack();
+
+      expect(store.sequencer.currentScreen?.id).toBe('player');
+      expect(store.navigationHistory.entries).toEqual([
+        { actionIndex: null, screenId: 'intro' },
+      ]);
+    });
+
+    it('does not record the location it went back to', async () => {
+      const actionStore = useActionStore();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+      actionStore.goToAction(1);
+      store.recordLocation();
+
+      await store.goBack();
+      store.recordLocation();
+
+      expect(store.navigationHistory.entries).toEqual([]);
+    });
+
+    it('clears the history on reset', () => {
+      store.sequencer.goToScreen('intro');
+      store.recordLocation();
+      store.sequencer.goToScreen('player');
+      store.recordLocation();
+
+      store.reset();
+
+      expect(store.canGoBack).toBe(false);
+    });
+  });
+
   describe('reset', () => {
     it('resets store to initial state', () => {
       store.isInitialized = true;
@@ -0,0 +1,188 @@
+// @ts-check
+
+import { defineStore } from 'pinia';
+import {
+  clearProgress,
+  getProgressStorageKey,
+  loadProgress,
+  saveProgress,
+} from '../lib/progress_storage.js';
+import { useActionStore } from './action_store';
+import { useAnswerStore } from './answer_store';
+import { mainStore } from './main_store';
+
+/**
+ * @typedef {import('../lib/progress_storage.js').ActivityIdentity} ActivityIdentity
+ * @typedef {import('../lib/progress_storage.js').ProgressSnapshot} ProgressSnapshot
+ */
+
+/**
+ * @typedef {Object} ProgressStoreState
+ * @property {boolean} isResuming
+ * @property {number} resumeVideoPosition
+ * @property {ProgressSnapshot|null} savedProgress
+ * @property {number} sessionStartedAt
+ * @property {string} storageKey
+ * @property {number} timeSpent
+ * @property {number} videoPosition
+ */
+
+export const useProgressStore = defineStore('progress', {
+  state: () => ({
+    /** @type {boolean} */
+    isResuming: false,
+    /** @type {number} */
+    resumeVideoPosition: 0,
+    /** @type {ProgressSnapshot|null} */
+    savedProgress: null,
+    /** @type {number} */
+    sessionStartedAt: 0,
+    /** @type {string} */
+    storageKey: '',
+    /** @type {number} */
+    timeSpent: 0,
+    /** @type {number} */
+    videoPosition: 0,
+  }),
+
+  getters: {
+    /**
+     * Check if progress from a previous visit can be resumed
+     * @param {ProgressStoreState} state - The store state
+     * @return {boolean} True if saved progress exists
+     */
+    hasSavedProgress: (state) => Boolean(state.savedProgress),
+  },
+
+  actions: {
+    /**
+     * Read any progress saved for the activity
+     * @param {ActivityIdentity} activityInfo - The activity information
+     */
+    load(activityInfo) {
+      this.storageKey = getProgressStorageKey(activityInfo);
+      this.savedProgress = loadProgress(this.storageKey);
+    },
+
+    /**
+     * Build a snapshot of the learner's current progress
+     * @return {ProgressSnapshot} The progress snapshot
+     */
+    createSnapshot() {
+      const actionStore = useActionStore();
+      const store = mainStore();
+
+      return {
+        answers: { ...useAnswerStore().answers },
+        completedActions: [...(actionStore.completedActions || [])],
+        currentActionIndex: actionStore.currentActionIndex,
+        currentScreenId: store.sequencer.currentScreen?.id || '',
+        savedAt: Date.now(),
+        timeSpent: this.getTimeSpent(),
+        videoPosition: this.videoPosition,
+      };
+    },
+
+    /**
+     * Persist the learner's progress. Nothing is saved until the learner
+     * leaves the intro screen so that a reload does not overwrite the
+     * progress offered for resuming.
+     */
+    save() {
+      if (!this.storageKey) {
+        return;
+      }
+
+      const snapshot = this.createSnapshot();
+      if (!snapshot.currentScreenId || snapshot.currentScreenId === 'intro') {
+        return;
+      }
+
+      saveProgress(this.storageKey, snapshot);
+    },
+
+    /**
+     * Restore saved progress into the stores and return to the saved screen
+     */
+    resume() {
+      const progress = this.savedProgress;
+      if (!progress) {
+        return;
+      }
+
+      useActionStore().$patch({
+        completedActions: progress.completedActions || [],
+        currentActionIndex: progress.currentActionIndex || 0,
+      });
+      useAnswerStore().answers = progress.answers || {};
+      this.$patch({
+        isResuming: true,
+        resumeVideoPosition: progress.videoPosition || 0,
+        savedProgress: null,
+        sessionStartedAt: 0,
+        timeSpent: progress.timeSpent || 0,
+        videoPosition: progress.videoPosition || 0,
+      });
+
+      const screenId = progress.currentScreenId === 'intro' ?
+        'player' :
+        progress.currentScreenId || 'player';
+      mainStore().sequencer.goToScreen(screenId);
+    },
+
+    /**
+     * Discard saved progress so the activity starts from the beginning
+     */
+    startOver() {
+      if (this.storageKey) {
+        clearProgress(this.storageKey);
+      }
+      this.$patch({
+        isResuming: false,
+        resumeVideoPosition: 0,
+        savedProgress: null,
+        sessionStartedAt: 0,
+        timeSpent: 0,
+        videoPosition: 0,
+      });
+    },
+
+    /**
+     * Start timing the learner's visit, unless it is already being timed
+     */
+    startTimer() {
+      if (!this.sessionStartedAt) {
+        this.sessionStartedAt = Date.now();
+      }
+    },
+
+    /**
+     * Get the time spent on the activity across every visit
+     * @return {number} Time spent in milliseconds
+     */
+    getTimeSpent() {
+      const sessionTime = this.sessionStartedAt ?
+        Date.now() - this.sessionStartedAt :
+        0;
+      return this.timeSpent + sessionTime;
+    },
+
+    /**
+     * Get the video position to seek to after resuming, once
+     * @return {number} Position in seconds, or 0 if there is none
+     */
+    takeResumeVideoPosition() {
+      const position = this.resumeVideoPosition;
+      this.resumeVideoPosition = 0;
+      return position;
+    },
+
+    /**
+     * Track the playback position of the current video
+     * @param {number} seconds - Current playback position
+     */
+    updateVideoPosition(seconds) {
+      this.videoPosition = Math.floor(seconds) || 0;
+    },
+  },
+});
\ No newline at end of file
@@ -0,0 +1,224 @@
+// @ts-check
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { setActivePinia, createPinia } from 'pinia';
+import { useProgressStore } from './progress_store';
+import { useActionStore } from './action_store';
+import { useAnswerStore } from './answer_store';
+import { mainStore } from './main_store';
+
+/**
+ * @description Test suite for progress_store
+ */
+describe('progress_store', () => {
+  /** @type {ReturnType<typeof useProgressStore>} */
+  let store;
+
+  const activityInfo = {
+    sub_topic: 'Greetings',
+    title: 'Lesson 1',
+    topic: 'Spanish',
+  };
+
+  const savedProgress = {
+    answers: { 1: { actionIndex: 1, isCorrect: true } },
+    completedActions: [0, 1],
+    currentActionIndex: 2,
+    currentScreenId: 'player',
+    savedAt: 1000,
+    videoPosition: 42,
+  };
+
+  /**
+   * Points the sequencer at a screen without rendering it
+   * @param {string} screenId - The screen to make current
+   */
+  const setCurrentScreen = (screenId) => {
+    mainStore().sequencer.currentScreen = { id: screenId, name: screenId };
+  };
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+
+    store = useProgressStore();
+  });
+
+  /**
+   * @description Tests loading saved progress
+   */
+  describe('load', () => {
+    it('has no saved progress for a new activity', () => {
+      store.load(activityInfo);
+
+      expect(store.hasSavedProgress).toBe(false);
+    });
+
+    it('reads progress saved for the activity', () => {
+      store.load(activityInfo);
+      localStorage.setItem(store.storageKey, JSON.stringify(savedProgress));
+
+      store.load(activityInfo);
+
+      expect(store.savedProgress).toEqual(savedProgress);
+    });
+  });
+
+  /**
+   * @description Tests saving progress
+   */
+  describe('save', () => {
+    beforeEach(() => {
+      store.load(activityInfo);
+    });
+
+    it('saves the current action, answers and video position', () => {
+      setCurrentScreen('player');
+      useActionStore().currentActionIndex = 1;
+      useActionStore().markActionComplete(0);
+      store.updateVideoPosition(12.7);
+
+      store.save();
+
+      const saved = JSON.parse(localStorage.getItem(store.storageKey) || '');
+      expect(saved).toMatchObject({
+        completedActions: [0],
+        currentActionIndex: 1,
+        currentScreenId: 'player',
+        videoPosition: 12,
+      });
+    });
+
+    it('does not save from the intro screen', () => {
+      setCurrentScreen('intro');
+
+      store.save();
+
+      expect(localStorage.getItem(store.storageKey)).toBeNull();
+    });
+  });
+
+  /**
+   * @description Tests resuming saved progress
+   */
+  describe('resume', () => {
+    beforeEach(() => {
+      store.savedProgress = savedProgress;
+    });
+
+    it('restores the action store', () => {
+      store.resume();
+
+      expect(useActionStore().currentActionIndex).toBe(2);
+      expect(useActionStore().completedActions).toEqual([0, 1]);
+    });
+
+    it('restores quick check answers', () => {
+      store.resume();
+
+      expect(useAnswerStore().answers).toEqual(savedProgress.answers);
+    });
+
+    it('navigates to the saved screen', () => {
+      const goToScreen = vi.spyOn(mainStore().sequencer, 'goToScreen')
+        .mockImplementation(() => {});
+
+      store.resume();
+
+      expect(goToScreen).toHaveBeenCalledWith('player');
+    });
+
+    it('keeps the video position to seek to once', () => {
+      store.resume();
+
+      expect(store.takeResumeVideoPosition()).toBe(42);
+      expect(store.takeResumeVideoPosition()).toBe(0);
+    });
+  });
+
+  /**
+   * @description Tests starting over
+   */
+  describe('startOver', () => {
+    it('clears saved progress', () => {
+      store.load(activityInfo);
+      localStorage.setItem(store.storageKey, JSON.stringify(savedProgress));
+      store.load(activityInfo);
+
+      store.startOver();
+
+      expect(store.hasSavedProgress).toBe(false);
+      expect(localStorage.getItem(store.storageKey)).toBeNull();
+    });
+  });
+
+  /**
+   * @description Tests timing the learner's visits
+   */
+  describe('time spent', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('counts time from when the timer starts', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(10000);
+      store.startTimer();
+
+      vi.setSystemTime(70000);
+
+      expect(store.getTimeSpent()).toBe(60000);
+    });
+
+    it('does not restart a running timer', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(10000);
+      store.startTimer();
+      vi.setSystemTime(20000);
+
+      store.startTimer();
+      vi.setSystemTime(30000);
+
+      expect(store.getTimeSpent()).toBe(20000);
+    });
+
+    it('adds the time saved from earlier visits', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(10000);
+      store.savedProgress = { ...savedProgress, timeSpent: 5000 };
+      vi.spyOn(mainStore().sequencer, 'goToScreen')
+        .mockImplementation(() => Promise.resolve(true));
+      store.resume();
+      store.startTimer();
+
+      vi.setSystemTime(12000);
+
+      expect(store.getTimeSpent()).toBe(7000);
+    });
+
+    it('saves the time spent with the progress', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(10000);
+      store.load(activityInfo);
+      setCurrentScreen('player');
+      store.startTimer();
+      vi.setSystemTime(15000);
+
+      store.save();
+
+      const saved = JSON.parse(localStorage.getItem(store.storageKey) || '');
+      expect(saved.timeSpent).toBe(5000);
+    });
+
+    it('resets the time spent when starting over', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(10000);
+      store.startTimer();
+      vi.setSystemTime(15000);
+
+      store.startOver();
+
+      expect(store.getTimeSpent()).toBe(0);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,244 @@
+// @ts-check
+
+import { defineStore } from 'pinia';
+import { markRaw } from 'vue';
+import { XapiClient } from '../lib/xapi_client.js';
+import {
+  XAPI_ACTIVITY_TYPES,
+  XAPI_VERBS,
+  createActivity,
+  createScoredResult,
+  createStatement,
+} from '../lib/xapi_statements.js';
+
+/**
+ * @typedef {import('../lib/xapi_client.js').XapiConfig} XapiConfig
+ * @typedef {import('../lib/xapi_statements.js').XapiActivity} XapiActivity
+ * @typedef {import('../lib/xapi_statements.js').XapiActor} XapiActor
+ * @typedef {import('../lib/xapi_statements.js').XapiResult} XapiResult
+ * @typedef {import('../lib/xapi_statements.js').XapiVerb} XapiVerb
+ * @typedef {import('./action_store').Action} Action
+ * @typedef {import('./answer_store').AnswerRecord} AnswerRecord
+ * @typedef {import('../lib/cue_points.js').CuePoint} CuePoint
+ */
+
+/**
+ * @typedef {Object} XapiStoreState
+ * @property {string} activityId
+ * @property {string} activityName
+ * @property {XapiActor|null} actor
+ * @property {XapiClient|null} client
+ * @property {boolean} isLaunched
+ */
+
+export const useXapiStore = defineStore('xapi', {
+  state: () => ({
+    /** @type {string} */
+    activityId: '',
+    /** @type {string} */
+    activityName: '',
+    /** @type {XapiActor|null} */
+    actor: null,
+    /** @type {XapiClient|null} */
+    client: null,
+    /** @type {boolean} */
+    isLaunched: false,
+  }),
+
+  getters: {
+    /**
+     * Check if statements will be sent to an LRS
+     * @param {XapiStoreState} state - The store state
+     * @return {boolean} True if an LRS is configured
+     */
+    isEnabled: (state) => Boolean(state.client?.isEnabled && state.actor),
+  },
+
+  actions: {
+    /**
+     * Configure the LRS connection and send statements left over from a
+     * previous visit
+     * @param {XapiConfig} config - The LRS configuration
+     * @param {{title: string}} activityInfo - The activity information
+     * @param {XapiClient} [client] - Client to send statements with
+     */
+    configure(config, activityInfo, client) {
+      this.$patch({
+        activityId: config.activityId || window.location.href.split('#')[0],
+        activityName: activityInfo.title || '',
+        actor: config.actor || null,
+        isLaunched: false,
+      });
+      this.client = markRaw(client || new XapiClient({
+        auth: config.auth,
+        endpoint: config.endpoint,
+      }));
+      this.flush();
+    },
+
+    /**
+     * Send any queued statements
+     * @return {Promise<boolean>} True if the queue was emptied
+     */
+    flush() {
+      if (!this.isEnabled || !this.client) {
+        return Promise.resolve(false);
+      }
+      return this.client.flush();
+    },
+
+    /**
+     * Build a statement about the learner and send it
+     * @param {XapiVerb} verb - What the learner did
+     * @param {XapiActivity} object - What the learner interacted with
+     * @param {XapiResult} [result] - Outcome of the interaction
+     * @return {Promise<boolean>} True if the statement reached the LRS
+     */
+    send(verb, object, result) {
+      if (!this.isEnabled || !this.client || !this.actor) {
+        return Promise.resolve(false);
+      }
+
+      return this.client.send(createStatement({
+        actor: this.actor,
+        object,
+        parentId: this.activityId,
+        result,
+        verb,
+      }));
+    },
+
+    /**
+     * Get the activity object for the whole activity
+     * @return {XapiActivity} The activity
+     */
+    getActivity() {
+      return createActivity(
+        this.activityId,
+        this.activityName,
+        XAPI_ACTIVITY_TYPES.LESSON
+      );
+    },
+
+    /**
+     * Get the activity object for one action
+     * @param {Action} action - The video or quick check action
+     * @return {XapiActivity} The activity
+     */
+    getActionActivity(action) {
+      const isVideo = action.type === 'video';
+      const data = /** @type {{title?: string}} */ (action.data) || {};
+      const name = data.title ||
+        `${isVideo ? 'Video' : 'Quick check'} ${action.index + 1}`;
+
+      return createActivity(
+        `${this.activityId}/actions/${action.index}`,
+        name,
+        isVideo ? XAPI_ACTIVITY_TYPES.MEDIA : XAPI_ACTIVITY_TYPES.INTERACTION
+      );
+    },
+
+    /**
+     * Get the activity object for a quick check shown inside a video
+     * @param {Action} action - The video action
+     * @param {CuePoint} cuePoint - The cue point
+     * @return {XapiActivity} The activity
+     */
+    getCuePointActivity(action, cuePoint) {
+      const { prompt } = /** @type {{prompt?: string}} */ (cuePoint.quickCheck);
+      return createActivity(
+        `${this.activityId}/actions/${action.index}/${cuePoint.id}`,
+        prompt || `Quick check at ${cuePoint.time}s`,
+        XAPI_ACTIVITY_TYPES.INTERACTION
+      );
+    },
+
+    /**
+     * Record that the learner launched the activity, once per visit
+     * @return {Promise<boolean>} True if the statement reached the LRS
+     */
+    trackLaunched() {
+      if (this.isLaunched) {
+        return Promise.resolve(false);
+      }
+      this.isLaunched = true;
+      return this.send(XAPI_VERBS.LAUNCHED, this.getActivity());
+    },
+
+    /**
+     * Record that the learner watched a video segment
+     * @param {Action} action - The video action
+     * @return {Promise<boolean>} True if the statement reached the LRS
+     */
+    trackExperienced(action) {
+      if (!action) {
+        return Promise.resolve(false);
+      }
+      return this.send(XAPI_VERBS.EXPERIENCED, this.getActionActivity(action));
+    },
+
+    /**
+     * Record the learner's answer to a quick check
+     * @param {Action} action - The quick check action, or the video action
+     *   for a cue point
+     * @param {AnswerRecord|null} answerRecord - The scored answer
+     * @param {CuePoint} [cuePoint] - The cue point answered inside the video
+     * @return {Promise<boolean>} True if the statement reached the LRS
+     */
+    trackAnswered(action, answerRecord, cuePoint) {
+      if (!action) {
+        return Promise.resolve(false);
+      }
+
+      /** @type {XapiResult} */
+      let result = { completion: true };
+      if (answerRecord) {
+        const response = JSON.stringify(answerRecord.answer ?? null);
+        result = answerRecord.isGraded ?
+          createScoredResult(answerRecord.score, answerRecord.maxScore, {
+            ...result,
+            response,
+            success: answerRecord.isCorrect,
+          }) :
+          { ...result, response };
+      }
+
+      return this.send(
+        XAPI_VERBS.ANSWERED,
+        cuePoint ?
+          this.getCuePointActivity(action, cuePoint) :
+          this.getActionActivity(action),
+        result
+      );
+    },
+
+    /**
+     * Record that the learner finished every action
+     * @return {Promise<boolean>} True if the statement reached the LRS
+     */
+    trackCompleted() {
+      return this.send(XAPI_VERBS.COMPLETED, this.getActivity(), {
+        completion: true,
+      });
+    },
+
+    /**
+     * Record whether the learner passed the diagnostic
+     * @param {boolean} passed - Whether the learner met the threshold
+     * @param {number} score - Number of correct answers
+     * @param {number} maxScore - Number of diagnostic questions
+     * @return {Promise<boolean>} True if the statement reached the LRS
+     */
+    trackDiagnosticResult(passed, score, maxScore) {
+      return this.send(
+        passed ? XAPI_VERBS.PASSED : XAPI_VERBS.FAILED,
+        createActivity(
+          `${this.activityId}/diagnostic`,
+          `${this.activityName} diagnostic`.trim(),
+          XAPI_ACTIVITY_TYPES.ASSESSMENT
+        ),
+        createScoredResult(score, maxScore, { completion: true, success: passed })
+      );
+    },
+  },
+});
\ No newline at end of file
@@ -0,0 +1,187 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { setActivePinia, createPinia } from 'pinia';
+import { StatementQueue } from '../lib/statement_queue.js';
+import { XapiClient } from '../lib/xapi_client.js';
+import { XAPI_VERBS } from '../lib/xapi_statements.js';
+import { useXapiStore } from './xapi_store';
+
+/**
+ * @description Test suite for xapi_store
+ */
+describe('xapi_store', () => {
+  /** @type {ReturnType<typeof useXapiStore>} */
+  let store;
+  /** @type {import('vitest').Mock} */
+  let fetchStub;
+
+  const actor = { mbox: 'mailto:learner@example.com', objectType: 'Agent' };
+  const videoAction = { data: { title: 'Greetings' }, index: 0, type: 'video' };
+  const quickCheckAction = { data: {}, index: 1, type: 'quick_check' };
+
+  /**
+   * Gets the statements posted to the LRS stub
+   * @return {Array<any>} Every statement sent so far
+   */
+  const sentStatements = () => fetchStub.mock.calls.flatMap(
+    ([, request]) => JSON.parse(request.body)
+  );
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    fetchStub = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+
+    store = useXapiStore();
+    store.configure(
+      { activityId: 'https://example.com/activity', actor },
+      { title: 'Lesson 1' },
+      new XapiClient({
+        endpoint: 'https://lrs.example.com/xapi',
+        fetch: fetchStub,
+        queue: new StatementQueue({ indexedDB: null }),
+      })
+    );
+  });
+
+  /**
+   * @description Tests configuration
+   */
+  describe('configure', () => {
+    it('is enabled with an endpoint and actor', () => {
+      expect(store.isEnabled).toBe(true);
+    });
+
+    it('is disabled without an endpoint', () => {
+      store.configure({}, { title: 'Lesson 1' });
+
+      expect(store.isEnabled).toBe(false);
+    });
+  });
+
+  /**
+   * @description Tests launched statements
+   */
+  describe('trackLaunched', () => {
+    it('sends launched for the activity', async () => {
+      await store.trackLaunched();
+
+      const [statement] = sentStatements();
+      expect(statement.verb).toEqual(XAPI_VERBS.LAUNCHED);
+      expect(statement.object.id).toBe('https://example.com/activity');
+      expect(statement.actor).toEqual(actor);
+    });
+
+    it('sends launched once per visit', async () => {
+      await store.trackLaunched();
+      await store.trackLaunched();
+
+      expect(sentStatements()).toHaveLength(1);
+    });
+  });
+
+  /**
+   * @description Tests experienced statements
+   */
+  describe('trackExperienced', () => {
+    it('sends experienced for the video segment', async () => {
+      await store.trackExperienced(videoAction);
+
+      const [statement] = sentStatements();
+      expect(statement.verb).toEqual(XAPI_VERBS.EXPERIENCED);
+      expect(statement.object.id).toBe('https://example.com/activity/actions/0');
+      expect(statement.object.definition.name['en-US']).toBe('Greetings');
+    });
+
+    it('links the segment to the activity', async () => {
+      await store.trackExperienced(videoAction);
+
+      const [statement] = sentStatements();
+      expect(statement.context.contextActivities.parent[0].id)
+        .toBe('https://example.com/activity');
+    });
+  });
+
+  /**
+   * @description Tests answered statements
+   */
+  describe('trackAnswered', () => {
+    it('sends the scored result', async () => {
+      await store.trackAnswered(quickCheckAction, {
+        actionIndex: 1,
+        answer: { choiceIndex: 2 },
+        attempts: 1,
+        isCorrect: true,
+        isGraded: true,
+        maxScore: 1,
+        score: 1,
+        type: 'multiple_choice',
+      });
+
+      const [statement] = sentStatements();
+      expect(statement.verb).toEqual(XAPI_VERBS.ANSWERED);
+      expect(statement.result).toMatchObject({
+        response: '{"choiceIndex":2}',
+        score: { max: 1, raw: 1, scaled: 1 },
+        success: true,
+      });
+    });
+
+    it('omits success for ungraded answers', async () => {
+      await store.trackAnswered(quickCheckAction, {
+        actionIndex: 1,
+        answer: 'hola',
+        attempts: 1,
+        isCorrect: true,
+        isGraded: false,
+        maxScore: 0,
+        score: 0,
+        type: 'pronunciation',
+      });
+
+      const [statement] = sentStatements();
+      expect(statement.result.success).toBeUndefined();
+    });
+
+    it('identifies quick checks shown inside a video', async () => {
+      const cuePoint = {
+        id: 'cue-3',
+        quickCheck: { prompt: 'Who is speaking?', type: 'multiple_choice' },
+        time: 30,
+      };
+
+      await store.trackAnswered(videoAction, null, cuePoint);
+
+      const [statement] = sentStatements();
+      expect(statement.object.id)
+        .toBe('https://example.com/activity/actions/0/cue-3');
+      expect(statement.object.definition.name['en-US'])
+        .toBe('Who is speaking?');
+    });
+  });
+
+  /**
+   * @description Tests completion and diagnostic statements
+   */
+  describe('results', () => {
+    it('sends completed for the activity', async () => {
+      await store.trackCompleted();
+
+      expect(sentStatements()[0].verb).toEqual(XAPI_VERBS.COMPLETED);
+    });
+
+    it('sends passed with the diagnostic score', async () => {
+      await store.trackDiagnosticResult(true, 3, 4);
+
+      const [statement] = sentStatements();
+      expect(statement.verb).toEqual(XAPI_VERBS.PASSED);
+      expect(statement.result.score.raw).toBe(3);
+    });
+
+    it('sends failed below the threshold', async () => {
+      await store.trackDiagnosticResult(false, 1, 4);
+
+      expect(sentStatements()[0].verb).toEqual(XAPI_VERBS.FAILED);
+    });
+  });
+});
\ No newline at end of file
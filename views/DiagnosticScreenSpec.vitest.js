@@ -381,6 +381,146 @@ describe('DiagnosticScreen', () => {
     });
   });
 
+  /**
+   * @description Tests the diagnostic quiz flow
+   */
+  describe('diagnostic quiz', () => {
+    /**
+     * Mounts the screen with two multiple choice items and a threshold of 2
+     * @return {Promise<import('@vue/test-utils').VueWrapper>}
+     */
+    const mountWithItems = async () => {
+      const { mainStore } = await import('../stores/main_store');
+      /** @type {any} */ (mainStore).mockReturnValue({
+        activityInfo: {
+          diagnostic: {
+            dl: '',
+            failure_message: 'Review the videos',
+            items: [
+              { question: 'Q1', options: ['right', 'wrong'], correct: 0 },
+              { question: 'Q2', options: ['right', 'wrong'], correct: 0 },
+            ],
+            language: 'en',
+            number_of_questions: '2',
+            threshold: '2',
+          },
+        },
+        sequencer: {
+          goToScreen: vi.fn(),
+        },
+      });
+
+      return mount(DiagnosticScreen, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+    };
+
+    /**
+     * Selects a choice on the current question and checks it. Choices are
+     * shuffled, so the choice is found by its text.
+     * @param {import('@vue/test-utils').VueWrapper} wrapper
+     * @param {number} choiceIndex - Zero-based choice to select, as authored
+     */
+    const selectChoice = async (wrapper, choiceIndex) => {
+      const option = ['right', 'wrong'][choiceIndex];
+      await wrapper.findAll('label')
+        .find((label) => label.text() === option)
+        ?.find('input[type="radio"]')
+        .trigger('change');
+      await wrapper.findAll('button')
+        .find((button) => button.text() === 'Check')
+        ?.trigger('click');
+    };
+
+    it('shows question progress', async () => {
+      const wrapper = await mountWithItems();
+
+      expect(wrapper.text()).toContain('Question 1 of 2');
+    });
+
+    it('renders the current item through MultipleChoiceQuestion', async () => {
+      const wrapper = await mountWithItems();
+
+      const question = wrapper.findComponent({ name: 'MultipleChoiceQuestion' });
+
+      expect(question.exists()).toBe(true);
+    });
+
+    it('advances after an answer', async () => {
+      const wrapper = await mountWithItems();
+
+      await selectChoice(wrapper, 0);
+
+      expect(wrapper.text()).toContain('Question 2 of 2');
+    });
+
+    it('shows the success state when the threshold is met', async () => {
+      const wrapper = await mountWithItems();
+
+      await selectChoice(wrapper, 0);
+      await selectChoice(wrapper, 0);
+
+      expect(wrapper.text()).toContain('You passed!');
+    });
+
+    it('shows the failure message when below the threshold', async () => {
+      const wrapper = await mountWithItems();
+
+      await selectChoice(wrapper, 0);
+      await selectChoice(wrapper, 1);
+
+      expect(wrapper.text()).toContain('Review the videos');
+    });
+
+    it('offers remediation after a failure', async () => {
+      const wrapper = await mountWithItems();
+
+      await selectChoice(wrapper, 1);
+      await selectChoice(wrapper, 1);
+
+      const labels = wrapper.findAll('button').map((button) => button.text());
+
+      expect(labels).toContain('Review Videos');
+      expect(labels).toContain('Try Again');
+    });
+
+    it('restarts the diagnostic on Try Again', async () => {
+      const wrapper = await mountWithItems();
+      await selectChoice(wrapper, 1);
+      await selectChoice(wrapper, 1);
+
+      const retryButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Try Again');
+      await retryButton?.trigger('click');
+
+      expect(wrapper.text()).toContain('Question 1 of 2');
+    });
+
+    it('shows the results once the diagnostic is scored', async () => {
+      const wrapper = await mountWithItems();
+      const { mainStore } = await import('../stores/main_store');
+      const store = mainStore();
+      await selectChoice(wrapper, 0);
+      await selectChoice(wrapper, 0);
+
+      const resultsButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'View Results');
+      await resultsButton?.trigger('click');
+
+      expect(store.sequencer.goToScreen).toHaveBeenCalledWith('results');
+    });
+
+    it('hides the results link while questions remain', async () => {
+      const wrapper = await mountWithItems();
+
+      const labels = wrapper.findAll('button').map((button) => button.text());
+
+      expect(labels).not.toContain('View Results');
+    });
+  });
+
   /**
    * @description Tests edge cases
    */
@@ -1,9 +1,12 @@
 // @ts-check
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { mount } from '@vue/test-utils';
+import { flushPromises, mount } from '@vue/test-utils';
 import { createPinia, setActivePinia } from 'pinia';
 import InteractiveVideoApp from './InteractiveVideoApp.vue';
+import { useActionStore } from '../stores/action_store';
+import { mainStore } from '../stores/main_store';
+import { screenRegistry } from '../lib/screen_registry.js';
 
 vi.mock('../stores/main_store', () => ({
   mainStore: vi.fn(() => ({
@@ -25,9 +28,15 @@ vi.mock('../stores/main_store', () => ({
     },
     sequencer: {
       currentScreen: { name: 'intro' },
-      goToScreen: vi.fn(),
+      goToScreen: vi.fn(() => Promise.resolve(true)),
+      updateVisibleScreens: vi.fn(),
     },
+    canGoBack: false,
+    goBack: vi.fn(),
     init: vi.fn(),
+    navigationHistory: { entries: [] },
+    recordLocation: vi.fn(),
+    screenVisibilityState: { allActionsCompleted: false },
   })),
 }));
 
@@ -37,6 +46,7 @@ vi.mock('../stores/action_store', () => ({
       { type: 'video', data: { dl: 'Test video' }, index: 0 },
       { type: 'quick_check', data: { question: 'Test question' }, index: 1 },
     ],
+    completedActions: [],
     currentActionIndex: 0,
     goToAction: vi.fn(),
   })),
@@ -144,6 +154,64 @@ describe('InteractiveVideoApp', () => {
 
       expect(introScreen.exists()).toBe(true);
     });
+
+    it('renders a screen registered by the host with its props', () => {
+      const store = mainStore();
+      store.sequencer.currentScreen = { id: 'survey', name: 'survey' };
+      vi.mocked(mainStore).mockReturnValue(store);
+      screenRegistry.register({
+        component: {
+          name: 'SurveyScreen',
+          props: ['question'],
+          template: '<div class="survey-screen">{{ question }}</div>',
+        },
+        props: () => ({ question: 'How was it?' }),
+        type: 'survey',
+      });
+
+      const wrapper = mount(InteractiveVideoApp, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+
+      expect(wrapper.find('.survey-screen').text()).toBe('How was it?');
+      expect(wrapper.findComponent({ name: 'IntroScreen' }).exists())
+        .toBe(false);
+      screenRegistry.unregister('survey');
+    });
+
+    it('keeps a component the host registered for a built-in screen',
+      async () => {
+        const builtInIntro = screenRegistry.get('intro');
+        screenRegistry.register({
+          component: {
+            emits: ['start'],
+            name: 'HostIntroScreen',
+            template: '<button class="host-intro" @click="$emit(\'start\')" />',
+          },
+          type: 'intro',
+        });
+        const firstStoreCall = vi.mocked(mainStore).mock.calls.length;
+
+        const wrapper = mount(InteractiveVideoApp, {
+          global: {
+            plugins: [pinia],
+          },
+        });
+        const store = vi.mocked(mainStore).mock.results[firstStoreCall].value;
+        await wrapper.find('.host-intro').trigger('click');
+        screenRegistry.register(
+          /** @type {import('../lib/screen_registry.js').ScreenDefinition} */ (
+            builtInIntro
+          )
+        );
+
+        expect(wrapper.findComponent({ name: 'IntroScreen' }).exists())
+          .toBe(false);
+        expect(store.sequencer.goToScreen).toHaveBeenCalledWith('player');
+      }
+    );
   });
 
   /**
@@ -169,5 +237,93 @@ describe('InteractiveVideoApp', () => {
 
       consoleSpy.mockRestore();
     });
+
+    it('jumps to the clicked action after entering the player', async () => {
+      vi.useFakeTimers();
+      const firstActionStoreCall = vi.mocked(useActionStore).mock.calls.length;
+      mount(InteractiveVideoApp, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+      const actionStore = vi.mocked(useActionStore)
+        .mock.results[firstActionStoreCall].value;
+
+      document.dispatchEvent(new CustomEvent('progressBarButtonClick', {
+        detail: { elementIndex: 1 },
+      }));
+      await vi.runAllTimersAsync();
+      vi.useRealTimers();
+
+      expect(actionStore.goToAction).toHaveBeenCalledWith(1);
+    });
+
+    it('runs the player guards before jumping within the player', async () => {
+      const firstStoreCall = vi.mocked(mainStore).mock.calls.length;
+      const firstActionStoreCall = vi.mocked(useActionStore).mock.calls.length;
+      mount(InteractiveVideoApp, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+      const store = vi.mocked(mainStore).mock.results[firstStoreCall].value;
+      const actionStore = vi.mocked(useActionStore)
+        .mock.results[firstActionStoreCall].value;
+      store.sequencer.currentScreen = { name: 'player' };
+      store.sequencer.goToScreen.mockResolvedValue(false);
+
+      document.dispatchEvent(new CustomEvent('progressBarButtonClick', {
+        detail: { elementIndex: 1 },
+      }));
+      await flushPromises();
+
+      expect(store.sequencer.goToScreen).toHaveBeenCalledWith('player');
+      expect(actionStore.goToAction).not.toHaveBeenCalled();
+    });
+
+    it('jumps within the player once its guards allow it', async () => {
+      const firstStoreCall = vi.mocked(mainStore).mock.calls.length;
+      const firstActionStoreCall = vi.mocked(useActionStore).mock.calls.length;
+      mount(InteractiveVideoApp, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+      const store = vi.mocked(mainStore).mock.results[firstStoreCall].value;
+      const actionStore = vi.mocked(useActionStore)
+        .mock.results[firstActionStoreCall].value;
+      store.sequencer.currentScreen = { name: 'player' };
+
+      document.dispatchEvent(new CustomEvent('progressBarButtonClick', {
+        detail: { elementIndex: 1 },
+      }));
+      await flushPromises();
+
+      expect(actionStore.goToAction).toHaveBeenCalledWith(1);
+    });
+
+    it('stays put when a guard cancels entering the player', async () => {
+      vi.useFakeTimers();
+      const firstStoreCall = vi.mocked(mainStore).mock.calls.length;
+      const firstActionStoreCall = vi.mocked(useActionStore).mock.calls.length;
+      mount(InteractiveVideoApp, {
+        global: {
+          plugins: [pinia],
+        },
+      });
+      const store = vi.mocked(mainStore).mock.results[firstStoreCall].value;
+      const actionStore = vi.mocked(useActionStore)
+        .mock.results[firstActionStoreCall].value;
+      store.sequencer.goToScreen.mockResolvedValue(false);
+
+      document.dispatchEvent(new CustomEvent('progressBarButtonClick', {
+        detail: { elementIndex: 1 },
+      }));
+      await vi.runAllTimersAsync();
+      vi.useRealTimers();
+
+      expect(store.sequencer.goToScreen).toHaveBeenCalledWith('player');
+      expect(actionStore.goToAction).not.toHaveBeenCalled();
+    });
   });
 });
\ No newline at end of file
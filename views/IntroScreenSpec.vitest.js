@@ -4,6 +4,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { mount } from '@vue/test-utils';
 import { setActivePinia, createPinia } from 'pinia';
 import IntroScreen from './IntroScreen.vue';
+import { useProgressStore } from '../stores/progress_store';
 
 vi.mock('../stores/main_store', () => ({
   mainStore: () => ({
@@ -214,6 +215,77 @@ describe('IntroScreen', () => {
     });
   });
 
+  /**
+   * @description Tests resuming saved progress
+   */
+  describe('saved progress', () => {
+    /** @type {ReturnType<typeof useProgressStore>} */
+    let progressStore;
+
+    beforeEach(() => {
+      progressStore = useProgressStore();
+      progressStore.savedProgress = {
+        answers: {},
+        completedActions: [0],
+        currentActionIndex: 1,
+        currentScreenId: 'player',
+        savedAt: 0,
+        videoPosition: 12,
+      };
+      vi.spyOn(progressStore, 'resume').mockImplementation(() => {});
+      vi.spyOn(progressStore, 'startOver').mockImplementation(() => {});
+    });
+
+    /**
+     * Finds the button with the given text
+     * @param {import('@vue/test-utils').VueWrapper} wrapper - The screen
+     * @param {string} label - The button text
+     * @return {import('@vue/test-utils').DOMWrapper<Element>|undefined}
+     */
+    const findButton = (wrapper, label) =>
+      wrapper.findAll('button').find((button) => button.text() === label);
+
+    it('offers Resume and Start over instead of BeginAction', () => {
+      const wrapper = mount(IntroScreen);
+
+      expect(findButton(wrapper, 'Resume')?.exists()).toBe(true);
+      expect(findButton(wrapper, 'Start over')?.exists()).toBe(true);
+      expect(wrapper.findComponent({ name: 'BeginAction' }).exists())
+        .toBe(false);
+    });
+
+    it('disables the buttons while media loads', () => {
+      const wrapper = mount(IntroScreen);
+
+      expect(findButton(wrapper, 'Resume')?.attributes('disabled'))
+        .toBeDefined();
+      expect(findButton(wrapper, 'Start over')?.attributes('disabled'))
+        .toBeDefined();
+    });
+
+    it('resumes the saved progress', async () => {
+      const wrapper = mount(IntroScreen);
+
+      await /** @type {{resumeActivity: function(Event): Promise<void>}} */ (
+        /** @type {unknown} */ (wrapper.vm)
+      ).resumeActivity(new Event('click'));
+
+      expect(progressStore.resume).toHaveBeenCalled();
+      expect(wrapper.emitted('start')).toBeUndefined();
+    });
+
+    it('discards the saved progress and starts over', async () => {
+      const wrapper = mount(IntroScreen);
+
+      await /** @type {{startOver: function(Event): Promise<void>}} */ (
+        /** @type {unknown} */ (wrapper.vm)
+      ).startOver(new Event('click'));
+
+      expect(progressStore.startOver).toHaveBeenCalled();
+      expect(wrapper.emitted('start')).toHaveLength(1);
+    });
+  });
+
   /**
    * @description Tests component initialization
    */
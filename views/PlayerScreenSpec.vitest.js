@@ -5,7 +5,7 @@ import { mount } from '@vue/test-utils';
 import { setActivePinia, createPinia } from 'pinia';
 
 vi.mock('../stores/main_store', () => ({
-  mainStore: () => ({
+  mainStore: vi.fn(() => ({
     activityInfo: {
       quick_checks: [
         {
@@ -19,19 +19,23 @@ vi.mock('../stores/main_store', () => ({
       ],
     },
     sequencer: {
+      addNavigationHook: vi.fn(() => vi.fn()),
+      goToNextScreen: vi.fn(),
       goToScreen: vi.fn(),
     },
-  }),
+  })),
 }));
 
 vi.mock('../stores/action_store', () => ({
-  useActionStore: () => ({
+  useActionStore: vi.fn(() => ({
+    currentActionIndex: 0,
     currentActionIsVideo: true,
     currentActionIsQuickCheck: false,
     isAtLastAction: false,
     reset: vi.fn(),
     goToNextAction: vi.fn(),
-  }),
+    markActionComplete: vi.fn(),
+  })),
 }));
 
 vi.mock('../stores/quick_check_store', () => ({
@@ -64,6 +68,9 @@ vi.mock('../components/DirectionLine.vue', () => ({
 }));
 
 import PlayerScreen from './PlayerScreen.vue';
+import { mainStore } from '../stores/main_store';
+import { useActionStore } from '../stores/action_store';
+import { useProgressStore } from '../stores/progress_store';
 
 describe('PlayerScreen', () => {
   beforeEach(() => {
@@ -186,6 +193,29 @@ describe('PlayerScreen', () => {
   });
 
   describe('quick check completion handling', () => {
+    it('moves on to the next screen after the last action', async () => {
+      vi.mocked(useActionStore).mockReturnValueOnce(
+        /** @type {any} */ ({
+          currentAction: { data: {}, index: 0, type: 'quick_check' },
+          currentActionIndex: 0,
+          currentActionIsQuickCheck: true,
+          currentActionIsVideo: false,
+          goToNextAction: vi.fn(),
+          isAtLastAction: true,
+          markActionComplete: vi.fn(),
+          reset: vi.fn(),
+        })
+      );
+      const wrapper = mount(PlayerScreen);
+      const store = vi.mocked(mainStore).mock.results.at(-1)?.value;
+
+      await wrapper.findComponent({ name: 'QuickCheck' })
+        .vm.$emit('quick-check-complete');
+
+      expect(store.sequencer.goToNextScreen).toHaveBeenCalled();
+      expect(store.sequencer.goToScreen).not.toHaveBeenCalled();
+    });
+
     it('handles quick check component when present', () => {
       const wrapper = mount(PlayerScreen);
 
@@ -194,4 +224,62 @@ describe('PlayerScreen', () => {
       expect(quickCheck.exists()).toBe(false);
     });
   });
+
+  describe('navigation guards', () => {
+    it('saves progress before leaving the player', () => {
+      mount(PlayerScreen);
+      const store = vi.mocked(mainStore).mock.results.at(-1)?.value;
+      const saveSpy = vi.spyOn(useProgressStore(), 'save');
+      const [screenId, type, guard] =
+        store.sequencer.addNavigationHook.mock.calls[0];
+
+      const result = guard();
+
+      expect(screenId).toBe('player');
+      expect(type).toBe('beforeLeave');
+      expect(result).toBe(true);
+      expect(saveSpy).toHaveBeenCalled();
+    });
+
+    it('keeps the learner on an unanswered quick check', () => {
+      vi.spyOn(window, 'confirm').mockReturnValue(false);
+      mount(PlayerScreen);
+      const store = vi.mocked(mainStore).mock.results.at(-1)?.value;
+      const actionStore = vi.mocked(useActionStore).mock.results.at(-1)?.value;
+      actionStore.completedActions = [];
+      actionStore.currentActionIsQuickCheck = true;
+      const saveSpy = vi.spyOn(useProgressStore(), 'save');
+      const [, , guard] = store.sequencer.addNavigationHook.mock.calls[0];
+
+      const result = guard();
+
+      expect(window.confirm).toHaveBeenCalled();
+      expect(result).toBe(false);
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+
+    it('leaves an answered quick check without asking', () => {
+      vi.spyOn(window, 'confirm');
+      mount(PlayerScreen);
+      const store = vi.mocked(mainStore).mock.results.at(-1)?.value;
+      const actionStore = vi.mocked(useActionStore).mock.results.at(-1)?.value;
+      actionStore.completedActions = [0];
+      actionStore.currentActionIsQuickCheck = true;
+      const [, , guard] = store.sequencer.addNavigationHook.mock.calls[0];
+
+      expect(guard()).toBe(true);
+      expect(window.confirm).not.toHaveBeenCalled();
+    });
+
+    it('removes the guard on unmount', () => {
+      const wrapper = mount(PlayerScreen);
+      const store = vi.mocked(mainStore).mock.results.at(-1)?.value;
+      const removeGuard = store.sequencer.addNavigationHook.mock.results[0]
+        .value;
+
+      wrapper.unmount();
+
+      expect(removeGuard).toHaveBeenCalled();
+    });
+  });
 });
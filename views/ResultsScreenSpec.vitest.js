@@ -0,0 +1,148 @@
+// @ts-check
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { setActivePinia, createPinia } from 'pinia';
+import { useActionStore } from '../stores/action_store';
+import { useAnswerStore } from '../stores/answer_store';
+import { useProgressStore } from '../stores/progress_store';
+
+const mockSequencer = {
+  goToScreen: vi.fn(),
+};
+
+vi.mock('../stores/main_store', () => ({
+  mainStore: () => ({
+    sequencer: mockSequencer,
+    title: 'Greetings',
+  }),
+}));
+
+import ResultsScreen from './ResultsScreen.vue';
+
+/**
+ * @description Test suite for ResultsScreen component
+ */
+describe('ResultsScreen', () => {
+  /** @type {import('pinia').Pinia} */
+  let pinia;
+
+  beforeEach(() => {
+    pinia = createPinia();
+    setActivePinia(pinia);
+    vi.clearAllMocks();
+
+    const actionStore = useActionStore();
+    actionStore.actions = [
+      { data: { title: 'Saying hello' }, index: 0, type: 'video' },
+      {
+        data: {
+          prompt: 'How do you say hello?',
+          quick_check_content: {
+            choices: [{ correct: true, text: 'Hola' }, { text: 'Adiós' }],
+          },
+          type: 'multiple_choice',
+        },
+        index: 1,
+        type: 'quick_check',
+      },
+      { data: { prompt: 'Say goodbye' }, index: 2, type: 'quick_check' },
+    ];
+    actionStore.completedActions = [0, 1, 2];
+    actionStore.currentActionIndex = 2;
+    useAnswerStore().recordAnswer(
+      1,
+      actionStore.actions[1].data,
+      { choiceIndex: 2 }
+    );
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Mounts the results screen
+   * @return {import('@vue/test-utils').VueWrapper}
+   */
+  const mountScreen = () => mount(ResultsScreen, {
+    global: {
+      plugins: [pinia],
+    },
+  });
+
+  /**
+   * @description Tests the summary of the learner's work
+   */
+  describe('summary', () => {
+    it('lists the segments watched', () => {
+      const wrapper = mountScreen();
+
+      expect(wrapper.text()).toContain('Saying hello');
+    });
+
+    it('shows each quick check with the answer and correctness', () => {
+      const wrapper = mountScreen();
+
+      const rows = wrapper.findAll('li[data-status]');
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0].text()).toContain('How do you say hello?');
+      expect(rows[0].text()).toContain('Adiós');
+      expect(rows[0].attributes('data-status')).toBe('incorrect');
+      expect(rows[1].text()).toContain('Not answered');
+      expect(rows[1].attributes('data-status')).toBe('unanswered');
+    });
+
+    it('shows the score for graded quick checks', () => {
+      const wrapper = mountScreen();
+
+      expect(wrapper.text()).toContain('0 of 1 answered correctly');
+    });
+
+    it('shows the total time spent', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(1000);
+      const progressStore = useProgressStore();
+      progressStore.timeSpent = 60000;
+      progressStore.startTimer();
+      vi.setSystemTime(66000);
+
+      const wrapper = mountScreen();
+
+      expect(wrapper.text()).toContain('Total time: 2:05');
+    });
+  });
+
+  /**
+   * @description Tests the Review and Restart actions
+   */
+  describe('actions', () => {
+    it('reviews from the first video, keeping the answers', async () => {
+      const wrapper = mountScreen();
+
+      const reviewButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Review');
+      await reviewButton?.trigger('click');
+
+      expect(useActionStore().currentActionIndex).toBe(0);
+      expect(useProgressStore().isResuming).toBe(true);
+      expect(mockSequencer.goToScreen).toHaveBeenCalledWith('player');
+    });
+
+    it('restarts the activity from scratch', async () => {
+      const progressStore = useProgressStore();
+      const startOverSpy = vi.spyOn(progressStore, 'startOver');
+      const wrapper = mountScreen();
+
+      const restartButton = wrapper.findAll('button')
+        .find((button) => button.text() === 'Restart');
+      await restartButton?.trigger('click');
+
+      expect(startOverSpy).toHaveBeenCalled();
+      expect(progressStore.isResuming).toBe(false);
+      expect(mockSequencer.goToScreen).toHaveBeenCalledWith('player');
+    });
+  });
+});
\ No newline at end of file